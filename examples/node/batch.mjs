@@ -0,0 +1,68 @@
+/**
+ * batch.mjs
+ *
+ * Headless run: random points, triangulation, integrity check, acuteness analysis, a few
+ * physics growth steps and the statistics of the final tessellation, with a JSON summary on stdout. Exits non-zero if the tessellation
+ * fails its integrity check, so it can gate CI.
+ *
+ *   node examples/node/batch.mjs [numPoints] [periodic]
+ *   node examples/node/batch.mjs 500 false
+ */
+
+import {
+    loadDelaunayModule,
+    DelaunayComputation,
+    GeometryAnalysis,
+    PhysicsGrowthSystem,
+    checkTessellation,
+    computeTessellationStatistics
+} from '../../src/node/index.js';
+
+const numPoints = parseInt(process.argv[2] || '300', 10);
+const periodic = process.argv[3] !== 'false';
+const growthSteps = 3;
+
+// The library logs its progress; keep stdout for the summary
+const log = console.log;
+console.log = () => {};
+
+const wasmModule = await loadDelaunayModule({ quiet: true });
+
+let points = Array.from({ length: numPoints }, () => [Math.random(), Math.random(), Math.random()]);
+let computation = await new DelaunayComputation(points, periodic).compute(wasmModule);
+const integrity = checkTessellation(computation);
+
+const growth = new PhysicsGrowthSystem({ stepMode: 'equilibrium' });
+const cellScoreHistory = [];
+for (let step = 0; step < growthSteps; step++) {
+    const analysis = GeometryAnalysis.analyzeAcuteness(computation, { includePerformance: false });
+    cellScoreHistory.push(mean(analysis.cellScores));
+    points = growth.applyGrowth(points, computation, analysis);
+    computation = await new DelaunayComputation(points, periodic).compute(wasmModule);
+}
+
+const statistics = computeTessellationStatistics(computation);
+
+console.log = log;
+console.log(JSON.stringify({
+    numPoints,
+    periodic,
+    numTetrahedra: computation.tetrahedra.length,
+    integrityValid: integrity.valid,
+    meanCellScorePerStep: cellScoreHistory,
+    growthStats: growth.getStats(),
+    statistics: {
+        cellsUsed: statistics.cellsUsed,
+        meanFaces: statistics.faces.mean,
+        faceVariance: statistics.faces.variance,
+        volumeSkewness: statistics.volume.skewness,
+        lewis: { slope: statistics.lewis.slope, n0: statistics.lewis.n0, r2: statistics.lewis.r2 },
+        aboavWeaire: { a: statistics.aboavWeaire.a, r2: statistics.aboavWeaire.r2 }
+    }
+}, null, 2));
+
+process.exitCode = integrity.valid ? 0 : 1;
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
@@ -9,6 +9,7 @@
 #include <vector>
 #include <cmath>
 #include <algorithm>
+#include <limits>
 
 using namespace emscripten;
 
@@ -43,74 +44,150 @@ float calculateAngle(const Vec3& v1, const Vec3& v2) {
     return std::acos(cosTheta);
 }
 
+// Angles between the edges from each vertex of a cell to its maxNeighbors nearest vertices
+void collectCellAngles(
+    const std::vector<float>& vertices,
+    int start,
+    int cellSize,
+    int maxNeighbors,
+    std::vector<float>& angles
+) {
+    // For each vertex in the cell
+    for (int v = 0; v < cellSize; v++) {
+        int vIdx = start + v * 3;
+        Vec3 center(vertices[vIdx], vertices[vIdx + 1], vertices[vIdx + 2]);
+        
+        // Calculate distances to other vertices (squared for speed)
+        std::vector<std::pair<float, int>> distances;
+        for (int other = 0; other < cellSize; other++) {
+            if (other == v) continue;
+            
+            int oIdx = start + other * 3;
+            Vec3 otherVec(vertices[oIdx], vertices[oIdx + 1], vertices[oIdx + 2]);
+            Vec3 diff = otherVec - center;
+            float distSq = diff.lengthSquared();
+            distances.push_back({distSq, other});
+        }
+        
+        // Sort by distance and take nearest neighbors
+        std::partial_sort(distances.begin(), 
+                        distances.begin() + std::min(maxNeighbors, (int)distances.size()),
+                        distances.end());
+        
+        int numNeighbors = std::min(maxNeighbors, (int)distances.size());
+        
+        // Calculate angles between neighbor pairs
+        for (int j = 0; j < numNeighbors; j++) {
+            int idx1 = start + distances[j].second * 3;
+            Vec3 v1(vertices[idx1], vertices[idx1 + 1], vertices[idx1 + 2]);
+            Vec3 vec1 = v1 - center;
+            
+            for (int k = j + 1; k < numNeighbors; k++) {
+                int idx2 = start + distances[k].second * 3;
+                Vec3 v2(vertices[idx2], vertices[idx2 + 1], vertices[idx2 + 2]);
+                Vec3 vec2 = v2 - center;
+                
+                angles.push_back(calculateAngle(vec1, vec2));
+            }
+        }
+    }
+}
+
+// Normalized acute angle count of one cell; angleThreshold is the cutoff in radians (π/2 classically)
+int scoreCell(
+    const std::vector<float>& vertices,
+    int start,
+    int cellSize,
+    int maxNeighbors,
+    float angleThreshold
+) {
+    if (cellSize < 4) return 0;
+    
+    std::vector<float> angles;
+    collectCellAngles(vertices, start, cellSize, maxNeighbors, angles);
+    
+    int acuteAngles = 0;
+    for (float angle : angles) {
+        if (angle < angleThreshold) {
+            acuteAngles++;
+        }
+    }
+    
+    return acuteAngles / cellSize;  // Normalized score
+}
+
 // Optimized cell acuteness calculation
 std::vector<int> calculateCellAcuteness(
     const std::vector<float>& vertices,  // Flat array of vertices
     const std::vector<int>& cellIndices,  // Indices marking cell boundaries
-    int maxNeighbors = 6
+    int maxNeighbors,
+    float angleThreshold                  // Acute cutoff in radians
 ) {
     std::vector<int> scores;
-    const float HALF_PI = 1.5707963f;
     
     for (size_t i = 0; i < cellIndices.size() - 1; i++) {
         int start = cellIndices[i];
         int end = cellIndices[i + 1];
         int cellSize = (end - start) / 3;  // 3 floats per vertex
         
-        if (cellSize < 4) {
-            scores.push_back(0);
-            continue;
-        }
+        scores.push_back(scoreCell(vertices, start, cellSize, maxNeighbors, angleThreshold));
+    }
+    
+    return scores;
+}
+
+// Continuous angle statistics per cell, as a flat array with (4 + numBins) floats per cell:
+// count, min, mean, standard deviation (radians, NaN for cells without angles), then the
+// histogram of the angles over numBins equal bins of [0, π]
+std::vector<float> calculateCellAngleStatistics(
+    const std::vector<float>& vertices,
+    const std::vector<int>& cellIndices,
+    int maxNeighbors,
+    int numBins
+) {
+    const float PI = 3.14159265f;
+    const float NaN = std::numeric_limits<float>::quiet_NaN();
+    std::vector<float> stats;
+    std::vector<float> angles;
+    
+    for (size_t i = 0; i < cellIndices.size() - 1; i++) {
+        int start = cellIndices[i];
+        int end = cellIndices[i + 1];
+        int cellSize = (end - start) / 3;
         
-        int acuteAngles = 0;
+        angles.clear();
+        if (cellSize >= 4) {
+            collectCellAngles(vertices, start, cellSize, maxNeighbors, angles);
+        }
         
-        // For each vertex in the cell
-        for (int v = 0; v < cellSize; v++) {
-            int vIdx = start + v * 3;
-            Vec3 center(vertices[vIdx], vertices[vIdx + 1], vertices[vIdx + 2]);
-            
-            // Calculate distances to other vertices (squared for speed)
-            std::vector<std::pair<float, int>> distances;
-            for (int other = 0; other < cellSize; other++) {
-                if (other == v) continue;
-                
-                int oIdx = start + other * 3;
-                Vec3 otherVec(vertices[oIdx], vertices[oIdx + 1], vertices[oIdx + 2]);
-                Vec3 diff = otherVec - center;
-                float distSq = diff.lengthSquared();
-                distances.push_back({distSq, other});
+        std::vector<float> histogram(numBins, 0.0f);
+        float minAngle = NaN, mean = NaN, stdDev = NaN;
+        if (!angles.empty()) {
+            float sum = 0;
+            minAngle = angles[0];
+            for (float angle : angles) {
+                minAngle = std::min(minAngle, angle);
+                sum += angle;
+                int bin = std::min(numBins - 1, (int)(angle / PI * numBins));
+                histogram[bin] += 1.0f;
             }
+            mean = sum / angles.size();
             
-            // Sort by distance and take nearest neighbors
-            std::partial_sort(distances.begin(), 
-                            distances.begin() + std::min(maxNeighbors, (int)distances.size()),
-                            distances.end());
-            
-            int numNeighbors = std::min(maxNeighbors, (int)distances.size());
-            
-            // Calculate angles between neighbor pairs
-            for (int j = 0; j < numNeighbors; j++) {
-                int idx1 = start + distances[j].second * 3;
-                Vec3 v1(vertices[idx1], vertices[idx1 + 1], vertices[idx1 + 2]);
-                Vec3 vec1 = v1 - center;
-                
-                for (int k = j + 1; k < numNeighbors; k++) {
-                    int idx2 = start + distances[k].second * 3;
-                    Vec3 v2(vertices[idx2], vertices[idx2 + 1], vertices[idx2 + 2]);
-                    Vec3 vec2 = v2 - center;
-                    
-                    float angle = calculateAngle(vec1, vec2);
-                    if (angle < HALF_PI) {
-                        acuteAngles++;
-                    }
-                }
+            float squaredDeviations = 0;
+            for (float angle : angles) {
+                squaredDeviations += (angle - mean) * (angle - mean);
             }
+            stdDev = std::sqrt(squaredDeviations / angles.size());
         }
         
-        scores.push_back(acuteAngles / cellSize);  // Normalized score
+        stats.push_back((float)angles.size());
+        stats.push_back(minAngle);
+        stats.push_back(mean);
+        stats.push_back(stdDev);
+        stats.insert(stats.end(), histogram.begin(), histogram.end());
     }
     
-    return scores;
+    return stats;
 }
 
 // Batch processing for live updates - only recalculate changed cells
@@ -118,10 +195,10 @@ std::vector<int> updateCellAcuteness(
     const std::vector<float>& vertices,
     const std::vector<int>& cellIndices,
     const std::vector<int>& changedCells,  // Indices of cells that changed
-    std::vector<int>& previousScores       // Previous scores to update
+    std::vector<int>& previousScores,      // Previous scores to update
+    int maxNeighbors,
+    float angleThreshold                   // Acute cutoff in radians
 ) {
-    const float HALF_PI = 1.5707963f;
-    
     for (int cellIdx : changedCells) {
         if (cellIdx >= cellIndices.size() - 1) continue;
         
@@ -129,16 +206,8 @@ std::vector<int> updateCellAcuteness(
         int end = cellIndices[cellIdx + 1];
         int cellSize = (end - start) / 3;
         
-        if (cellSize < 4) {
-            previousScores[cellIdx] = 0;
-            continue;
-        }
-        
-        // Same calculation as above but only for changed cells
-        int acuteAngles = 0;
-        // ... (same logic as calculateCellAcuteness for single cell)
-        
-        previousScores[cellIdx] = acuteAngles / cellSize;
+        // Same calculation as calculateCellAcuteness, only for changed cells
+        previousScores[cellIdx] = scoreCell(vertices, start, cellSize, maxNeighbors, angleThreshold);
     }
     
     return previousScores;
@@ -150,5 +219,6 @@ EMSCRIPTEN_BINDINGS(acuteness_module) {
     register_vector<int>("VectorInt");
     
     function("calculateCellAcuteness", &calculateCellAcuteness);
+    function("calculateCellAngleStatistics", &calculateCellAngleStatistics);
     function("updateCellAcuteness", &updateCellAcuteness);
 } 
\ No newline at end of file
@@ -20,8 +20,25 @@ void initialize_geogram() {
     }
 }
 
-// Wrapper function that uses Emscripten's val for easier JavaScript interaction
-emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+// Box dimensions of the periodic domain (or of the bounding region in non-periodic mode)
+struct BoxSize {
+    double x = 1.0;
+    double y = 1.0;
+    double z = 1.0;
+};
+
+// Core computation shared by all bindings.
+// If weights is non-empty (one per point) the regular (weighted) triangulation is computed,
+// the dual of the power diagram.
+// Returns a JavaScript array of tetrahedra, each an array of 4 point indices,
+// or null if Geogram failed.
+// If shifts_out is given, it receives one entry per tetrahedron: the integer lattice shift
+// [sx, sy, sz] of each vertex's periodic image relative to the first vertex, so vertex k lies
+// at point[k] + shift[k] * box. Tetrahedra are then deduplicated by index and shift, keeping
+// distinct tetrahedra that share the same points through different images.
+emscripten::val compute_delaunay_impl(emscripten::val points_array, int num_points, bool is_periodic, const BoxSize& box,
+                                      const std::vector<double>& weights = std::vector<double>(),
+                                      emscripten::val* shifts_out = nullptr) {
     // --- 1. Initialize ---
     initialize_geogram();
     std::cout << "Starting Delaunay computation..." << std::endl;
@@ -30,7 +47,7 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     std::unique_ptr<GEO::PeriodicDelaunay3d> delaunay;
     
     if (is_periodic) {
-        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(GEO::vec3(1.0, 1.0, 1.0));
+        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(GEO::vec3(box.x, box.y, box.z));
     } else {
         delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(false);
     }
@@ -38,18 +55,21 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     delaunay->set_stores_cicl(false);
 
     std::cout << "Delaunay object created. Periodic mode: " << is_periodic << std::endl;
+    std::cout << "Box size: (" << box.x << ", " << box.y << ", " << box.z << ")" << std::endl;
     std::cout << "Processing " << num_points << " points." << std::endl;
 
     // --- 3. Get points from JavaScript array ---
     std::vector<double> vertices;
     vertices.reserve(num_points * 3);
+    const double extent[3] = { box.x, box.y, box.z };
     
     // Extract points from JavaScript Float64Array
     for (int i = 0; i < num_points * 3; i++) {
         double coord = points_array[i].as<double>();
-        // Ensure coordinates are in [0,1) range
-        while (coord < 0.0) coord += 1.0;
-        while (coord >= 1.0) coord -= 1.0;
+        const double L = extent[i % 3];
+        // Ensure coordinates are in [0,L) range
+        while (coord < 0.0) coord += L;
+        while (coord >= L) coord -= L;
         vertices.push_back(coord);
     }
     
@@ -65,6 +85,12 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     // --- 4. Set vertices ---
     delaunay->set_vertices(num_points, vertices.data());
     std::cout << "Vertices set. Actual vertex count: " << delaunay->nb_vertices() << std::endl;
+    
+    // Weights are read during compute(), so the vector must outlive it
+    if (!weights.empty()) {
+        delaunay->set_weights(weights.data());
+        std::cout << "Weights set (regular triangulation)." << std::endl;
+    }
 
     // --- 5. Compute ---
     try {
@@ -77,6 +103,13 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
         std::cerr << "Unknown exception during compute." << std::endl;
         return emscripten::val::null();
     }
+    
+    // With weights, a point can be dominated by its neighbours and get an empty power cell.
+    // Geogram stops early in that case in periodic mode, leaving an incomplete triangulation.
+    if (is_periodic && delaunay->has_empty_cells()) {
+        std::cerr << "Weighted periodic triangulation has empty power cells; reduce the weight spread." << std::endl;
+        return emscripten::val::null();
+    }
 
     // --- 6. Get results ---
     int num_tets = delaunay->nb_cells();
@@ -94,6 +127,10 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
         std::cout << "This might indicate degenerate point configuration." << std::endl;
     }
     
+    if (shifts_out) {
+        *shifts_out = emscripten::val::array();
+    }
+    
     if (num_tets == 0) {
         return emscripten::val::array();
     }
@@ -123,37 +160,78 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     
     for (int t = 0; t < num_tets; ++t) {
         std::vector<int> tet_indices(4);
+        std::vector<int> tet_shifts(12, 0);
         
         for (int v = 0; v < 4; ++v) {
             int vertex_index = delaunay->cell_vertex(t, v);
             
-            // In periodic mode, map back to original vertex
+            // In periodic mode, map back to original vertex and keep the image's translation
             if (is_periodic && vertex_index >= nb_vertices_non_periodic) {
+                delaunay->periodic_vertex_get_T(GEO::index_t(vertex_index),
+                                                tet_shifts[3 * v], tet_shifts[3 * v + 1], tet_shifts[3 * v + 2]);
                 vertex_index = vertex_index % nb_vertices_non_periodic;
             }
             
-            // Ensure the index is valid
+            // Ensure the index is valid. Invalid ones are passed on as -1 so the caller can
+            // drop and report the tetrahedron instead of silently attaching it to point 0
             if (vertex_index < 0 || vertex_index >= nb_vertices_non_periodic) {
                 std::cerr << "Invalid vertex index " << vertex_index 
                           << " in tetrahedron " << t << std::endl;
-                vertex_index = 0; // Fallback to prevent crashes
+                vertex_index = -1;
             }
             
             tet_indices[v] = vertex_index;
         }
         
+        // Shifts relative to the first vertex
+        for (int v = 3; v >= 0; --v) {
+            for (int axis = 0; axis < 3; ++axis) {
+                tet_shifts[3 * v + axis] -= tet_shifts[axis];
+            }
+        }
+        
         // Sort the indices to create a canonical representation
         std::vector<int> sorted_indices = tet_indices;
         std::sort(sorted_indices.begin(), sorted_indices.end());
+        std::vector<int> key = sorted_indices;
+        
+        if (shifts_out) {
+            // Translated copies of a tetrahedron differ only by a common shift, so express
+            // the shifts relative to the lowest vertex (by index, then shift) and sort
+            std::vector<std::vector<int>> vertices(4);
+            for (int v = 0; v < 4; ++v) {
+                vertices[v] = { tet_indices[v], tet_shifts[3 * v], tet_shifts[3 * v + 1], tet_shifts[3 * v + 2] };
+            }
+            std::sort(vertices.begin(), vertices.end());
+            key.clear();
+            for (const std::vector<int>& vertex : vertices) {
+                key.push_back(vertex[0]);
+                for (int axis = 1; axis < 4; ++axis) {
+                    key.push_back(vertex[axis] - vertices[0][axis]);
+                }
+            }
+        }
         
         // Check if this tetrahedron is unique
-        if (unique_tets.insert(sorted_indices).second) {
+        if (unique_tets.insert(key).second) {
             // This is a new unique tetrahedron, add it to results
             emscripten::val tet = emscripten::val::array();
             for (int v = 0; v < 4; ++v) {
                 tet.set(v, tet_indices[v]);
             }
             result.set(result["length"].as<int>(), tet);
+            
+            if (shifts_out) {
+                emscripten::val shifts = emscripten::val::array();
+                for (int v = 0; v < 4; ++v) {
+                    emscripten::val shift = emscripten::val::array();
+                    for (int axis = 0; axis < 3; ++axis) {
+                        shift.set(axis, tet_shifts[3 * v + axis]);
+                    }
+                    shifts.set(v, shift);
+                }
+                shifts_out->set(shifts_out->operator[]("length").as<int>(), shifts);
+            }
         } else {
             duplicate_count++;
         }
@@ -167,7 +245,63 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     return result;
 }
 
+// Original entry point: unit cube, kept for existing pages that call it directly
+emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+    return compute_delaunay_impl(points_array, num_points, is_periodic, BoxSize());
+}
+
+// Extended entry point taking an options object:
+//   { periodic: bool, box: [Lx, Ly, Lz], weights: Float64Array (optional, one per point) }
+// Returns { tetrahedra: [[a, b, c, d], ...], shifts: [[[sx, sy, sz] x 4], ...] } or null on failure.
+// shifts[t][k] is the lattice shift of vertex k of tetrahedron t relative to its first vertex
+// (all zero in non-periodic mode).
+emscripten::val compute_delaunay_ex_js(emscripten::val points_array, int num_points, emscripten::val options) {
+    bool is_periodic = true;
+    BoxSize box;
+    std::vector<double> weights;
+    
+    if (!options.isUndefined() && !options.isNull()) {
+        if (!options["periodic"].isUndefined()) {
+            is_periodic = options["periodic"].as<bool>();
+        }
+        emscripten::val box_val = options["box"];
+        if (!box_val.isUndefined() && !box_val.isNull()) {
+            box.x = box_val[0].as<double>();
+            box.y = box_val[1].as<double>();
+            box.z = box_val[2].as<double>();
+        }
+        emscripten::val weights_val = options["weights"];
+        if (!weights_val.isUndefined() && !weights_val.isNull()) {
+            if (weights_val["length"].as<int>() != num_points) {
+                std::cerr << "Expected " << num_points << " weights, got " << weights_val["length"].as<int>() << std::endl;
+                return emscripten::val::null();
+            }
+            weights.reserve(num_points);
+            for (int i = 0; i < num_points; i++) {
+                weights.push_back(weights_val[i].as<double>());
+            }
+        }
+    }
+    
+    if (box.x <= 0.0 || box.y <= 0.0 || box.z <= 0.0) {
+        std::cerr << "Invalid box size (" << box.x << ", " << box.y << ", " << box.z << ")" << std::endl;
+        return emscripten::val::null();
+    }
+    
+    emscripten::val shifts = emscripten::val::array();
+    emscripten::val tetrahedra = compute_delaunay_impl(points_array, num_points, is_periodic, box, weights, &shifts);
+    if (tetrahedra.isNull()) {
+        return emscripten::val::null();
+    }
+    
+    emscripten::val result = emscripten::val::object();
+    result.set("tetrahedra", tetrahedra);
+    result.set("shifts", shifts);
+    return result;
+}
+
 // --- 7. Embind module ---
 EMSCRIPTEN_BINDINGS(my_module) {
     emscripten::function("compute_delaunay", &compute_periodic_delaunay_js);
+    emscripten::function("compute_delaunay_ex", &compute_delaunay_ex_js);
 } 
\ No newline at end of file
@@ -3,9 +3,10 @@
  * 
  * Web Worker for parallel acuteness computation
  * Offloads heavy angle calculations from the main thread
+ * Runs as a module worker (see WorkerManager), so it shares the angle summary with GeometryAnalysis.js
  */
 
-// Import the calculation functions (we'll need to inline them since workers can't import modules easily)
+import { summarizeAngles, DEFAULT_HISTOGRAM_BINS } from './GeometryAnalysis.js';
 
 /**
  * Calculate squared distance between two points (faster than actual distance)
@@ -44,25 +45,56 @@ function calculateAngle(vec1, vec2) {
     return Math.acos(cosTheta);
 }
 
+/**
+ * Fill in the angle options of a task
+ * @param {Object} data - Task data with optional angleThreshold, angleStatistics, histogramBins
+ * @returns {Object} { angleThreshold, angleStatistics, histogramBins }
+ */
+function getAngleOptions(data) {
+    return {
+        angleThreshold: data.angleThreshold !== undefined ? data.angleThreshold : Math.PI / 2,
+        angleStatistics: !!data.angleStatistics,
+        histogramBins: data.histogramBins || DEFAULT_HISTOGRAM_BINS
+    };
+}
+
+/**
+ * Attach the angle summary to a score entry when angles were collected
+ * @param {Object} entry - Score entry, e.g. {cellIdx, score}
+ * @param {Array<number>|null} angles - Angles of the element, null without angle statistics
+ * @param {number} bins - Number of histogram bins
+ * @returns {Object} The entry
+ */
+function withStats(entry, angles, bins) {
+    if (angles) {
+        entry.stats = summarizeAngles(angles, bins);
+    }
+    return entry;
+}
+
 /**
  * Process a chunk of cells for acuteness analysis
  * @param {Array} cellChunk - Array of cell data {cellIdx, cellVertices}
  * @param {number} maxScore - Early termination threshold
  * @param {number} searchRadius - Radius for spatial neighbor search
+ * @param {Object} angleOptions - { angleThreshold, angleStatistics, histogramBins }; with
+ *        angleStatistics every score entry also carries the element's angle summary as `stats`
  * @returns {Object} Results object with scores and metrics
  */
-function processCellChunk(cellChunk, maxScore, searchRadius) {
+function processCellChunk(cellChunk, maxScore, searchRadius, angleOptions) {
+    const { angleThreshold, angleStatistics, histogramBins } = angleOptions;
     const scores = [];
     let totalAngleCalculations = 0;
     const startTime = performance.now();
     
     for (const {cellIdx, cellVertices} of cellChunk) {
         if (cellVertices.length < 4) {
-            scores.push({cellIdx, score: 0});
+            scores.push(withStats({cellIdx, score: 0}, angleStatistics ? [] : null, histogramBins));
             continue;
         }
         
         let acuteAngles = 0;
+        const cellAngles = angleStatistics ? [] : null;
         
         // For each vertex in the cell, find angles between adjacent edges
         for (let i = 0; i < cellVertices.length; i++) {
@@ -104,17 +136,18 @@ function processCellChunk(cellChunk, maxScore, searchRadius) {
                     const angle = calculateAngle(vec1, vec2);
                     totalAngleCalculations++;
                     
-                    // Count if acute (< 90 degrees)
-                    if (angle < Math.PI / 2) {
+                    // Count if acute (< 90 degrees by default)
+                    if (angle < angleThreshold) {
                         acuteAngles++;
                     }
+                    if (cellAngles) cellAngles.push(angle);
                 }
             }
         }
         
         // Normalize by cell size to get a reasonable score
         const normalizedScore = Math.round(acuteAngles / cellVertices.length);
-        scores.push({cellIdx, score: normalizedScore});
+        scores.push(withStats({cellIdx, score: normalizedScore}, cellAngles, histogramBins));
         
         // Early termination if we've reached max score
         if (normalizedScore >= maxScore) {
@@ -140,9 +173,11 @@ function processCellChunk(cellChunk, maxScore, searchRadius) {
  * Process a chunk of faces for acuteness analysis
  * @param {Array} faceChunk - Array of face data
  * @param {number} maxScore - Early termination threshold
+ * @param {Object} angleOptions - As for processCellChunk
  * @returns {Object} Results object with scores and metrics
  */
-function processFaceChunk(faceChunk, maxScore) {
+function processFaceChunk(faceChunk, maxScore, angleOptions) {
+    const { angleThreshold, angleStatistics, histogramBins } = angleOptions;
     const scores = [];
     let totalAngleCalculations = 0;
     const startTime = performance.now();
@@ -152,11 +187,12 @@ function processFaceChunk(faceChunk, maxScore) {
         const vertices = face.voronoiVertices;
         
         if (vertices.length < 3) {
-            scores.push({faceIdx: i, score: 0});
+            scores.push(withStats({faceIdx: i, score: 0}, angleStatistics ? [] : null, histogramBins));
             continue;
         }
         
         let acuteAngles = 0;
+        const faceAngles = angleStatistics ? [] : null;
         
         // Calculate interior angles of the polygon
         for (let j = 0; j < vertices.length; j++) {
@@ -181,13 +217,14 @@ function processFaceChunk(faceChunk, maxScore) {
             const angle = calculateAngle(vec1, vec2);
             totalAngleCalculations++;
             
-            // Count if the angle is acute (< 90 degrees)
-            if (angle < Math.PI / 2) {
+            // Count if the angle is acute (< 90 degrees by default)
+            if (angle < angleThreshold) {
                 acuteAngles++;
             }
+            if (faceAngles) faceAngles.push(angle);
         }
         
-        scores.push({faceIdx: i, score: acuteAngles});
+        scores.push(withStats({faceIdx: i, score: acuteAngles}, faceAngles, histogramBins));
         
         // Early termination if we've reached max score
         if (acuteAngles >= maxScore) {
@@ -214,9 +251,11 @@ function processFaceChunk(faceChunk, maxScore) {
  * @param {Array} tetraChunk - Array of tetrahedra data
  * @param {Array} points - Array of input points
  * @param {number} maxScore - Early termination threshold
+ * @param {Object} angleOptions - As for processCellChunk
  * @returns {Object} Results object with scores and metrics
  */
-function processTetraChunk(tetraChunk, points, maxScore) {
+function processTetraChunk(tetraChunk, points, maxScore, angleOptions) {
+    const { angleThreshold, angleStatistics, histogramBins } = angleOptions;
     const scores = [];
     let totalAngleCalculations = 0;
     const startTime = performance.now();
@@ -226,6 +265,7 @@ function processTetraChunk(tetraChunk, points, maxScore) {
         const vertices = tet.map(idx => points[idx]);
         
         let acuteAngles = 0;
+        const tetAngles = angleStatistics ? [] : null;
         
         // For each vertex, calculate the angles between the three edges
         for (let j = 0; j < 4; j++) {
@@ -247,12 +287,13 @@ function processTetraChunk(tetraChunk, points, maxScore) {
             ];
             totalAngleCalculations += 3;
             
-            // Count acute angles (< 90 degrees)
-            const acuteCount = angles.filter(angle => angle < Math.PI / 2).length;
+            // Count acute angles (< 90 degrees by default)
+            const acuteCount = angles.filter(angle => angle < angleThreshold).length;
             acuteAngles += acuteCount;
+            if (tetAngles) tetAngles.push(...angles);
         }
         
-        scores.push({tetraIdx: i, score: acuteAngles});
+        scores.push(withStats({tetraIdx: i, score: acuteAngles}, tetAngles, histogramBins));
         
         // Early termination if we've reached max score
         if (acuteAngles >= maxScore) {
@@ -283,15 +324,15 @@ self.onmessage = function(e) {
         
         switch (type) {
             case 'CELL_ACUTENESS':
-                result = processCellChunk(data.cellChunk, data.maxScore, data.searchRadius);
+                result = processCellChunk(data.cellChunk, data.maxScore, data.searchRadius, getAngleOptions(data));
                 break;
                 
             case 'FACE_ACUTENESS':
-                result = processFaceChunk(data.faceChunk, data.maxScore);
+                result = processFaceChunk(data.faceChunk, data.maxScore, getAngleOptions(data));
                 break;
                 
             case 'VERTEX_ACUTENESS':
-                result = processTetraChunk(data.tetraChunk, data.points, data.maxScore);
+                result = processTetraChunk(data.tetraChunk, data.points, data.maxScore, getAngleOptions(data));
                 break;
                 
             default:
@@ -0,0 +1,438 @@
+/**
+ * AlphaComplex.js
+ *
+ * Alpha complexes and alpha-shape persistence from the Delaunay (regular) triangulation of a
+ * DelaunayComputation. For pore/void analysis and surface reconstruction of the generator cloud.
+ *
+ * Every simplex gets an alpha value, the radius at which it enters the complex:
+ *   - a tetrahedron enters at its circumradius (power radius when weighted)
+ *   - a triangle or edge enters at the radius of its smallest circumsphere if that sphere is
+ *     empty of the other vertices of its cofaces, otherwise together with its first coface
+ *   - a vertex enters at 0 (at -sqrt(w) for weight w)
+ * Weighted radii can be negative; alpha values are signed square roots of the squared radii.
+ */
+
+// Relative tolerance for a vertex to count as inside a circumsphere
+const INSIDE_TOLERANCE = 1e-12;
+
+/**
+ * Alpha values of every simplex of the triangulation.
+ * Periodic edges and triangles are told apart by their image shifts, so the complex is that of
+ * the periodic space. A warning is logged if the tetrahedra of a fully periodic box do not fill it.
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @returns {Object} {
+ *   vertices: Array<{ index, alpha }> - generators that appear in the triangulation,
+ *   edges: Array<{ vertices: [a, b], alpha, attached }>,
+ *   triangles: Array<{ vertices: [a, b, c], tetrahedra: [t, u], edges: [e0, e1, e2], alpha, attached }>
+ *     - u is -1 on the hull,
+ *   tetrahedra: Float64Array - alpha of each tetrahedron of getDelaunayTetrahedra(),
+ *   tetrahedronTriangles: Int32Array - triangle opposite vertex k of tetrahedron t at 4 * t + k
+ * }
+ */
+export function computeAlphaFiltration(computation) {
+    const tets = computation.tetrahedra;
+    const weights = computation.weights;
+    const weightOf = i => weights ? weights[i] : 0;
+
+    // Tetrahedra: circumsphere (power sphere)
+    const frames = tets.map((tet, t) => computation.getTetrahedronVertices(t));
+    const tetrahedra = new Float64Array(tets.length);
+    tets.forEach((tet, t) => {
+        const sphere = orthoSphere(frames[t], tet.map(weightOf));
+        tetrahedra[t] = sphere ? signedRoot(sphere.radiusSq) : Infinity;
+    });
+
+    if (computation.isFullyPeriodic) {
+        const [Lx, Ly, Lz] = computation.boxSize;
+        const filled = frames.reduce((sum, vertices) => sum + Math.abs(signedVolume(...vertices)) / 6, 0);
+        if (Math.abs(filled - Lx * Ly * Lz) > 1e-9 * Lx * Ly * Lz) {
+            console.warn(`Alpha filtration: tetrahedra fill ${filled} of the box volume ${Lx * Ly * Lz}; ` +
+                'periodic images are misplaced and the homology will be unreliable');
+        }
+    }
+
+    // Triangles: pair up the faces of neighbouring tetrahedra
+    const tetrahedronTriangles = new Int32Array(4 * tets.length).fill(-1);
+    const triangles = [];
+    const addTriangle = (t, k, u, l) => {
+        const id = triangles.length;
+        tetrahedronTriangles[4 * t + k] = id;
+        if (u >= 0) tetrahedronTriangles[4 * u + l] = id;
+        triangles.push({
+            vertices: tets[t].filter((_, j) => j !== k),
+            tetrahedra: [t, u],
+            edges: null,
+            alpha: 0,
+            attached: false
+        });
+    };
+    for (const edge of computation.voronoiEdges) {
+        const [t, u] = edge.tetraIndices;
+        const ownOnly = tets[t].filter(v => !tets[u].includes(v));
+        const otherOnly = tets[u].filter(v => !tets[t].includes(v));
+        if (ownOnly.length !== 1 || otherOnly.length !== 1) continue;
+        const k = tets[t].indexOf(ownOnly[0]);
+        const l = tets[u].indexOf(otherOnly[0]);
+        if (tetrahedronTriangles[4 * t + k] >= 0 || tetrahedronTriangles[4 * u + l] >= 0) continue;
+        addTriangle(t, k, u, l);
+    }
+    for (let t = 0; t < tets.length; t++) {
+        for (let k = 0; k < 4; k++) {
+            if (tetrahedronTriangles[4 * t + k] < 0) addTriangle(t, k, -1, -1);
+        }
+    }
+
+    // Edges: unique by endpoints and the lattice shift between them
+    const edgeIds = new Map();
+    const edges = [];
+    const edgeKey = (a, b, pa, pb) => {
+        const shift = [0, 1, 2].map(axis => computation.periodicAxes[axis] ?
+            Math.round(((pb[axis] - pa[axis]) - (computation.pointsArray[b][axis] - computation.pointsArray[a][axis])) / computation.boxSize[axis]) : 0);
+        // Seen from b the shift is reversed; list each edge from its smaller key
+        const forward = `${a}:${b}:${shift.join(',')}`;
+        const backward = `${b}:${a}:${shift.map(s => -s).join(',')}`;
+        return forward < backward ? forward : backward;
+    };
+    triangles.forEach(triangle => {
+        const t = triangle.tetrahedra[0];
+        const positions = triangle.vertices.map(v => frames[t][tets[t].indexOf(v)]);
+        triangle.edges = [[0, 1], [1, 2], [2, 0]].map(([i, j]) => {
+            const a = triangle.vertices[i];
+            const b = triangle.vertices[j];
+            const key = edgeKey(a, b, positions[i], positions[j]);
+            if (!edgeIds.has(key)) {
+                edgeIds.set(key, edges.length);
+                edges.push({ vertices: [a, b], alpha: Infinity, attached: false, own: null });
+            }
+            return edgeIds.get(key);
+        });
+    });
+
+    // Triangle values: own sphere unless a neighbouring tetrahedron's far vertex is inside it
+    triangles.forEach(triangle => {
+        let own = null;
+        let cofaceMin = Infinity;
+        for (const t of triangle.tetrahedra) {
+            if (t < 0) continue;
+            cofaceMin = Math.min(cofaceMin, tetrahedra[t]);
+            const tet = tets[t];
+            const positions = triangle.vertices.map(v => frames[t][tet.indexOf(v)]);
+            const sphere = orthoSphere(positions, triangle.vertices.map(weightOf));
+            if (!sphere) continue;
+            if (own === null) own = sphere.radiusSq;
+            const far = tet.findIndex(v => !triangle.vertices.includes(v));
+            if (far >= 0 && isInside(sphere, frames[t][far], weightOf(tet[far]))) triangle.attached = true;
+        }
+        const value = own === null || triangle.attached ? cofaceMin : signedRoot(own);
+        triangle.alpha = Math.min(value, cofaceMin);
+    });
+
+    // Edge values: own sphere unless the third vertex of an incident triangle is inside it
+    triangles.forEach(triangle => {
+        const t = triangle.tetrahedra[0];
+        const positions = triangle.vertices.map(v => frames[t][tets[t].indexOf(v)]);
+        triangle.edges.forEach((e, i) => {
+            const edge = edges[e];
+            const j = (i + 1) % 3;
+            const third = (i + 2) % 3;
+            const sphere = orthoSphere([positions[i], positions[j]], [weightOf(triangle.vertices[i]), weightOf(triangle.vertices[j])]);
+            if (sphere && edge.own === null) edge.own = sphere.radiusSq;
+            if (sphere && isInside(sphere, positions[third], weightOf(triangle.vertices[third]))) edge.attached = true;
+            edge.alpha = Math.min(edge.alpha, triangle.alpha);
+        });
+    });
+    for (const edge of edges) {
+        const cofaceMin = edge.alpha;
+        edge.alpha = edge.own === null || edge.attached ? cofaceMin : Math.min(signedRoot(edge.own), cofaceMin);
+        delete edge.own;
+    }
+
+    const present = new Set();
+    tets.forEach(tet => tet.forEach(v => present.add(v)));
+    const vertices = Array.from(present).sort((a, b) => a - b)
+        .map(index => ({ index, alpha: signedRoot(-weightOf(index)) }));
+
+    return { vertices, edges, triangles, tetrahedra, tetrahedronTriangles };
+}
+
+/**
+ * The alpha complex for one alpha, with the boundary of the resulting shape.
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {number} alpha - Radius; simplices with alpha value <= alpha are included
+ * @param {Object} filtration - Result of computeAlphaFiltration(), to reuse across alpha values
+ * @returns {Object} {
+ *   alpha,
+ *   vertices, edges, triangles, tetrahedra: Array<number> - included simplices (point indices for
+ *     vertices, filtration indices for edges and triangles, tetrahedron indices for tetrahedra),
+ *   boundaryTriangles: Array<{ triangle, indices, positions, tetrahedron }> - triangles with the
+ *     shape on one side only; positions are ordered so the normal points out of the shape,
+ *   singularTriangles: Array<{ triangle, indices, positions }> - included triangles with no
+ *     included tetrahedron on either side,
+ *   volume, boundaryArea
+ * }
+ */
+export function alphaComplex(computation, alpha, filtration = computeAlphaFiltration(computation)) {
+    const tets = computation.tetrahedra;
+    const inside = new Uint8Array(tets.length);
+    const tetrahedra = [];
+    let volume = 0;
+    for (let t = 0; t < tets.length; t++) {
+        if (filtration.tetrahedra[t] <= alpha) {
+            inside[t] = 1;
+            tetrahedra.push(t);
+            volume += Math.abs(signedVolume(...computation.getTetrahedronVertices(t))) / 6;
+        }
+    }
+
+    const triangles = [];
+    const boundaryTriangles = [];
+    const singularTriangles = [];
+    let boundaryArea = 0;
+    filtration.triangles.forEach((triangle, id) => {
+        if (triangle.alpha > alpha) return;
+        triangles.push(id);
+
+        const [t, u] = triangle.tetrahedra;
+        const count = inside[t] + (u >= 0 ? inside[u] : 0);
+        if (count === 2) return;
+
+        // Orient from the included tetrahedron, or from the first one for singular triangles
+        const host = count === 1 && !inside[t] ? u : t;
+        const vertices = computation.getTetrahedronVertices(host);
+        const tet = tets[host];
+        const indices = triangle.vertices.slice();
+        const positions = indices.map(v => vertices[tet.indexOf(v)]);
+        const far = vertices[tet.findIndex(v => !indices.includes(v))];
+        if (far && signedVolume(positions[0], positions[1], positions[2], far) > 0) {
+            positions.reverse();
+            indices.reverse();
+        }
+
+        if (count === 1) {
+            boundaryTriangles.push({ triangle: id, indices, positions, tetrahedron: host });
+            boundaryArea += triangleArea(positions);
+        } else {
+            singularTriangles.push({ triangle: id, indices, positions });
+        }
+    });
+
+    const edges = [];
+    filtration.edges.forEach((edge, id) => {
+        if (edge.alpha <= alpha) edges.push(id);
+    });
+    const vertices = filtration.vertices.filter(v => v.alpha <= alpha).map(v => v.index);
+
+    return { alpha, vertices, edges, triangles, tetrahedra, boundaryTriangles, singularTriangles, volume, boundaryArea };
+}
+
+/**
+ * Persistent homology of the alpha filtration (coefficients mod 2).
+ * Components (dimension 0), tunnels (1) and voids (2) are born when a simplex enters and die
+ * when a later simplex fills them. A periodic box keeps the classes of the torus forever.
+ * @param {DelaunayComputation} computation - A computed DelaunayComputation
+ * @param {Object} options - { filtration: reuse a computeAlphaFiltration() result,
+ *        minPersistence: drop pairs with death - birth at or below this (default 0) }
+ * @returns {Object} {
+ *   pairs: Array<{ dimension, birth, death, persistence, birthSimplex, deathSimplex }> sorted by
+ *     decreasing persistence, where simplices are { dimension, index },
+ *   essential: Array<{ dimension, birth, birthSimplex }> - classes that never die,
+ *   betti: Function(alpha) - Betti numbers [b0, b1, b2, b3] of the complex at alpha
+ * }
+ */
+export function alphaPersistence(computation, options = {}) {
+    const filtration = options.filtration || computeAlphaFiltration(computation);
+    const minPersistence = options.minPersistence !== undefined ? options.minPersistence : 0;
+
+    // All simplices in filtration order; faces come before cofaces at equal alpha
+    const simplices = [];
+    const vertexPosition = new Map();
+    filtration.vertices.forEach((v) => simplices.push({ dimension: 0, index: v.index, alpha: v.alpha }));
+    filtration.edges.forEach((e, id) => simplices.push({ dimension: 1, index: id, alpha: e.alpha }));
+    filtration.triangles.forEach((f, id) => simplices.push({ dimension: 2, index: id, alpha: f.alpha }));
+    filtration.tetrahedra.forEach((a, id) => simplices.push({ dimension: 3, index: id, alpha: a }));
+    simplices.sort((a, b) => a.alpha - b.alpha || a.dimension - b.dimension || a.index - b.index);
+
+    const position = [null, new Int32Array(filtration.edges.length),
+        new Int32Array(filtration.triangles.length), new Int32Array(filtration.tetrahedra.length)];
+    simplices.forEach((s, k) => {
+        if (s.dimension === 0) vertexPosition.set(s.index, k);
+        else position[s.dimension][s.index] = k;
+    });
+
+    const boundary = (s) => {
+        let rows;
+        if (s.dimension === 0) return [];
+        if (s.dimension === 1) {
+            rows = filtration.edges[s.index].vertices.map(v => vertexPosition.get(v));
+            // A loop through one generator's own image has no boundary mod 2
+            if (rows[0] === rows[1]) return [];
+        } else if (s.dimension === 2) {
+            rows = filtration.triangles[s.index].edges.map(e => position[1][e]);
+        } else {
+            rows = [0, 1, 2, 3].map(k => position[2][filtration.tetrahedronTriangles[4 * s.index + k]]);
+        }
+        return reduceModTwo(rows.sort((a, b) => a - b));
+    };
+
+    // Standard column reduction, top dimension first so that paired columns can be cleared
+    const pivotOf = new Map();
+    const paired = new Uint8Array(simplices.length);
+    const pairs = [];
+    for (let dimension = 3; dimension >= 1; dimension--) {
+        simplices.forEach((s, k) => {
+            if (s.dimension !== dimension || paired[k]) return;
+            let column = boundary(s);
+            while (column.length > 0) {
+                const pivot = column[column.length - 1];
+                const other = pivotOf.get(pivot);
+                if (other === undefined) break;
+                column = addModTwo(column, other);
+            }
+            if (column.length === 0) return;
+
+            const pivot = column[column.length - 1];
+            pivotOf.set(pivot, column);
+            paired[pivot] = 1;
+            paired[k] = 1;
+            const birth = simplices[pivot];
+            if (s.alpha - birth.alpha > minPersistence) {
+                pairs.push({
+                    dimension: birth.dimension,
+                    birth: birth.alpha,
+                    death: s.alpha,
+                    persistence: s.alpha - birth.alpha,
+                    birthSimplex: { dimension: birth.dimension, index: birth.index },
+                    deathSimplex: { dimension: s.dimension, index: s.index }
+                });
+            }
+        });
+    }
+
+    // Columns reduced to zero that were never used as a pivot start classes that never die
+    const essential = [];
+    simplices.forEach((s, k) => {
+        if (!paired[k]) {
+            essential.push({ dimension: s.dimension, birth: s.alpha, birthSimplex: { dimension: s.dimension, index: s.index } });
+        }
+    });
+    pairs.sort((a, b) => b.persistence - a.persistence);
+
+    const betti = (alpha) => {
+        const counts = [0, 0, 0, 0];
+        for (const pair of pairs) {
+            if (pair.birth <= alpha && alpha < pair.death) counts[pair.dimension]++;
+        }
+        for (const e of essential) {
+            if (e.birth <= alpha) counts[e.dimension]++;
+        }
+        return counts;
+    };
+
+    return { pairs, essential, betti };
+}
+
+/**
+ * Smallest sphere orthogonal to weighted points (the circumsphere when unweighted): the center
+ * in their affine hull with equal power |c - p|^2 - w to all of them. Null when degenerate.
+ * @private
+ */
+function orthoSphere(points, weights) {
+    const p0 = points[0];
+    const rows = points.slice(1).map(p => [p[0] - p0[0], p[1] - p0[1], p[2] - p0[2]]);
+    const n = rows.length;
+    // Gram system G λ = b, center = p0 + Σ λ_i rows_i
+    const G = rows.map(a => rows.map(b => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+    const b = rows.map((row, i) => 0.5 * (G[i][i] - (weights[i + 1] - weights[0])));
+    const scale = Math.max(...rows.map((_, i) => G[i][i]));
+    if (!(scale > 0)) return null;
+
+    // Gaussian elimination with partial pivoting
+    const A = G.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let best = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[best][col])) best = r;
+        }
+        if (Math.abs(A[best][col]) < 1e-12 * scale) return null;
+        [A[col], A[best]] = [A[best], A[col]];
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const f = A[r][col] / A[col][col];
+            for (let c = col; c <= n; c++) A[r][c] -= f * A[col][c];
+        }
+    }
+    const lambda = A.map((row, i) => row[n] / row[i]);
+
+    const center = [0, 1, 2].map(axis => p0[axis] + rows.reduce((sum, row, i) => sum + lambda[i] * row[axis], 0));
+    const d = [center[0] - p0[0], center[1] - p0[1], center[2] - p0[2]];
+    return { center, radiusSq: d[0] * d[0] + d[1] * d[1] + d[2] * d[2] - weights[0], scale };
+}
+
+/**
+ * Whether a weighted point has smaller power to the sphere's center than the sphere's own radius
+ * @private
+ */
+function isInside(sphere, p, w) {
+    const d = [p[0] - sphere.center[0], p[1] - sphere.center[1], p[2] - sphere.center[2]];
+    const power = d[0] * d[0] + d[1] * d[1] + d[2] * d[2] - w;
+    return power < sphere.radiusSq - INSIDE_TOLERANCE * sphere.scale;
+}
+
+/**
+ * @private
+ */
+function signedRoot(x) {
+    return x < 0 ? -Math.sqrt(-x) : Math.sqrt(x);
+}
+
+/**
+ * Six times the signed volume of p0 p1 p2 p3
+ * @private
+ */
+function signedVolume(p0, p1, p2, p3) {
+    const u = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const v = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    const w = [p3[0] - p0[0], p3[1] - p0[1], p3[2] - p0[2]];
+    return u[0] * (v[1] * w[2] - v[2] * w[1]) + u[1] * (v[2] * w[0] - v[0] * w[2]) + u[2] * (v[0] * w[1] - v[1] * w[0]);
+}
+
+/**
+ * @private
+ */
+function triangleArea([a, b, c]) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return 0.5 * Math.hypot(u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]);
+}
+
+/**
+ * Drop entries that appear an even number of times from a sorted list
+ * @private
+ */
+function reduceModTwo(sorted) {
+    const result = [];
+    for (const x of sorted) {
+        if (result.length > 0 && result[result.length - 1] === x) result.pop();
+        else result.push(x);
+    }
+    return result;
+}
+
+/**
+ * Sum of two sorted columns mod 2
+ * @private
+ */
+function addModTwo(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (j >= b.length || (i < a.length && a[i] < b[j])) result.push(a[i++]);
+        else if (i >= a.length || b[j] < a[i]) result.push(b[j++]);
+        else {
+            i++;
+            j++;
+        }
+    }
+    return result;
+}
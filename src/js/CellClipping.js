@@ -0,0 +1,529 @@
+/**
+ * CellClipping.js
+ *
+ * Exact construction of bounded Voronoi (or power) cells by half-space clipping.
+ * A cell starts as the domain polyhedron and is cut by the bisector plane of each
+ * Delaunay neighbour. Every face remembers what produced it: a neighbouring cell
+ * (with its periodic image shift) or a domain wall.
+ *
+ * Pure geometry, no dependency on Three.js or the WASM module.
+ */
+
+// Wall indices of the axis-aligned box, in plane order
+export const BOX_WALLS = {
+    X_MIN: 0,
+    X_MAX: 1,
+    Y_MIN: 2,
+    Y_MAX: 3,
+    Z_MIN: 4,
+    Z_MAX: 5
+};
+
+/**
+ * Create a convex domain from half-spaces normal·x <= offset.
+ * Wall indices of these planes start at 6, after the six box walls.
+ * @param {Array<Object>} planes - [{ normal: [nx, ny, nz], offset: d }, ...]
+ * @returns {Object} Domain description
+ */
+export function createConvexDomain(planes) {
+    if (!Array.isArray(planes) || planes.length === 0) {
+        throw new Error('A convex domain needs at least one plane');
+    }
+
+    const normalized = planes.map((plane, index) => {
+        const [nx, ny, nz] = plane.normal;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (!(length > 0) || !Number.isFinite(plane.offset)) {
+            throw new Error(`Invalid domain plane ${index}: expected a non-zero normal and a finite offset`);
+        }
+        return {
+            normal: [nx / length, ny / length, nz / length],
+            offset: plane.offset / length
+        };
+    });
+
+    return { type: 'convex', planes: normalized };
+}
+
+/**
+ * Create an axis-aligned box polyhedron with outward-oriented faces.
+ * @param {Array<number>} min - Lower corner [x, y, z]
+ * @param {Array<number>} max - Upper corner [x, y, z]
+ * @param {Array<Object>} faceTags - Tag for each face, in BOX_WALLS order
+ * @returns {Object} Polyhedron { faces: [{ vertices: [[x,y,z], ...], tag }] }
+ */
+export function createBoxPolyhedron(min, max, faceTags) {
+    const [x0, y0, z0] = min;
+    const [x1, y1, z1] = max;
+
+    // Each face listed counter-clockwise when seen from outside
+    const faces = [
+        [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]], // -x
+        [[x1, y0, z0], [x1, y1, z0], [x1, y1, z1], [x1, y0, z1]], // +x
+        [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]], // -y
+        [[x0, y1, z0], [x0, y1, z1], [x1, y1, z1], [x1, y1, z0]], // +y
+        [[x0, y0, z0], [x0, y1, z0], [x1, y1, z0], [x1, y0, z0]], // -z
+        [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]]  // +z
+    ];
+
+    return {
+        faces: faces.map((vertices, index) => ({ vertices, tag: faceTags[index] }))
+    };
+}
+
+/**
+ * Clip a polyhedron by the half-space normal·x <= offset.
+ * @param {Object} polyhedron - { faces: [{ vertices, tag }] }
+ * @param {Array<number>} normal - Plane normal (pointing out of the kept region)
+ * @param {number} offset - Plane offset
+ * @param {Object} tag - Tag for the new face created by the cut
+ * @param {number} tolerance - Distance below which a vertex counts as on the plane
+ * @returns {Object|null} Clipped polyhedron, or null if nothing remains
+ */
+export function clipPolyhedron(polyhedron, normal, offset, tag, tolerance = 1e-12) {
+    const signedDistance = (v) => normal[0] * v[0] + normal[1] * v[1] + normal[2] * v[2] - offset;
+
+    // Quick exits: entirely inside or entirely outside
+    let anyOutside = false;
+    let anyInside = false;
+    for (const face of polyhedron.faces) {
+        for (const v of face.vertices) {
+            const s = signedDistance(v);
+            if (s > tolerance) anyOutside = true;
+            if (s < -tolerance) anyInside = true;
+        }
+    }
+    if (!anyOutside) return polyhedron;
+    if (!anyInside) return null;
+
+    const newFaces = [];
+    const capPoints = [];
+
+    for (const face of polyhedron.faces) {
+        const vertices = face.vertices;
+        const clipped = [];
+
+        for (let i = 0; i < vertices.length; i++) {
+            const current = vertices[i];
+            const next = vertices[(i + 1) % vertices.length];
+            const sc = signedDistance(current);
+            const sn = signedDistance(next);
+
+            if (sc <= tolerance) {
+                clipped.push(current);
+                if (sc >= -tolerance) capPoints.push(current);
+            }
+
+            // Edge crosses the plane strictly: insert the intersection point
+            if ((sc < -tolerance && sn > tolerance) || (sc > tolerance && sn < -tolerance)) {
+                const t = sc / (sc - sn);
+                const point = [
+                    current[0] + t * (next[0] - current[0]),
+                    current[1] + t * (next[1] - current[1]),
+                    current[2] + t * (next[2] - current[2])
+                ];
+                clipped.push(point);
+                capPoints.push(point);
+            }
+        }
+
+        const cleaned = removeCoincidentVertices(clipped, tolerance);
+        if (cleaned.length >= 3) {
+            newFaces.push({ vertices: cleaned, tag: face.tag });
+        }
+    }
+
+    // Close the cut with a new face lying in the clipping plane
+    const cap = orderPolygon(uniquePoints(capPoints, tolerance), normal);
+    if (cap.length >= 3) {
+        newFaces.push({ vertices: cap, tag });
+    }
+
+    return newFaces.length >= 4 ? { faces: newFaces } : null;
+}
+
+/**
+ * Build one bounded cell: the start polyhedron cut by the bisector plane of every neighbour,
+ * then by the domain planes.
+ * @param {Array<number>} generator - Cell generator [x, y, z]
+ * @param {number} weight - Generator weight (0 for Voronoi cells)
+ * @param {Object} startPolyhedron - Polyhedron the cell is cut from (domain or periodic box)
+ * @param {Array<Object>} neighbors - [{ index, position, weight, shift }]; position is the image used
+ * @param {Array<Object>} domainPlanes - Extra convex-domain planes, tagged as walls from index 6
+ * @returns {Object|null} Polyhedron with tagged faces, or null if the cell is empty
+ */
+export function buildClippedCell(generator, weight, startPolyhedron, neighbors, domainPlanes = []) {
+    // Tolerance proportional to the size of the start polyhedron
+    let extent = 0;
+    for (const face of startPolyhedron.faces) {
+        for (const v of face.vertices) {
+            extent = Math.max(extent, Math.abs(v[0] - generator[0]), Math.abs(v[1] - generator[1]), Math.abs(v[2] - generator[2]));
+        }
+    }
+    const tolerance = 1e-12 * Math.max(extent, 1e-300);
+
+    let polyhedron = startPolyhedron;
+
+    for (let k = 0; k < neighbors.length && polyhedron; k++) {
+        const neighbor = neighbors[k];
+        const q = neighbor.position;
+
+        // Bisector (power) plane: 2(q - p)·x = |q|^2 - |p|^2 - (w_q - w_p)
+        const normal = [q[0] - generator[0], q[1] - generator[1], q[2] - generator[2]];
+        const offset = 0.5 * (
+            (q[0] * q[0] + q[1] * q[1] + q[2] * q[2]) -
+            (generator[0] * generator[0] + generator[1] * generator[1] + generator[2] * generator[2]) -
+            ((neighbor.weight || 0) - weight)
+        );
+
+        polyhedron = clipPolyhedron(
+            polyhedron, normal, offset,
+            { neighbor: neighbor.index, shift: neighbor.shift },
+            tolerance * Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2])
+        );
+    }
+
+    // Domain planes last, once the cell is small: curved domains bring thousands of
+    // tangent planes and only those crossing the cell's bounding sphere can cut it
+    if (polyhedron && domainPlanes.length > 0) {
+        let radius = 0;
+        for (const face of polyhedron.faces) {
+            for (const v of face.vertices) {
+                radius = Math.max(radius, Math.hypot(v[0] - generator[0], v[1] - generator[1], v[2] - generator[2]));
+            }
+        }
+
+        for (let k = 0; k < domainPlanes.length && polyhedron; k++) {
+            const { normal, offset } = domainPlanes[k];
+            const reach = normal[0] * generator[0] + normal[1] * generator[1] + normal[2] * generator[2] + radius;
+            if (reach <= offset) continue;
+            polyhedron = clipPolyhedron(polyhedron, normal, offset, { wall: 6 + k }, tolerance);
+        }
+    }
+
+    return polyhedron;
+}
+
+/**
+ * Convert a polyhedron of tagged polygons to shared-vertex form.
+ * @param {Object} polyhedron - { faces: [{ vertices: [[x,y,z]], tag }] }
+ * @param {number} tolerance - Distance below which vertices are merged
+ * @returns {Object} { vertices: [[x,y,z]], faces: [{ vertices: [indices], neighbor, shift, wall, isWall }] }
+ */
+export function indexPolyhedron(polyhedron, tolerance = 1e-10) {
+    const vertices = [];
+
+    const findOrAdd = (p) => {
+        for (let i = 0; i < vertices.length; i++) {
+            const v = vertices[i];
+            if (Math.abs(v[0] - p[0]) <= tolerance &&
+                Math.abs(v[1] - p[1]) <= tolerance &&
+                Math.abs(v[2] - p[2]) <= tolerance) {
+                return i;
+            }
+        }
+        vertices.push([p[0], p[1], p[2]]);
+        return vertices.length - 1;
+    };
+
+    const faces = [];
+    for (const face of polyhedron.faces) {
+        const indices = [];
+        for (const p of face.vertices) {
+            const index = findOrAdd(p);
+            if (indices[indices.length - 1] !== index) indices.push(index);
+        }
+        while (indices.length > 1 && indices[0] === indices[indices.length - 1]) indices.pop();
+        if (indices.length < 3) continue;
+
+        const isWall = face.tag.wall !== undefined;
+        faces.push({
+            vertices: indices,
+            neighbor: isWall ? -1 : face.tag.neighbor,
+            shift: isWall ? null : face.tag.shift,
+            wall: isWall ? face.tag.wall : -1,
+            isWall
+        });
+    }
+
+    return { vertices, faces };
+}
+
+/**
+ * Measure an indexed polyhedron (as returned by indexPolyhedron).
+ * Faces must be outward oriented; the volume is split into tetrahedra from an interior point.
+ * @param {Object} cell - { vertices: [[x,y,z]], faces: [{ vertices: [indices] }] }
+ * @returns {Object} { volume, surfaceArea, faceAreas, facePerimeters, centroid }
+ */
+export function computePolyhedronMetrics(cell) {
+    const vertices = cell.vertices;
+
+    // Interior reference point: the average vertex
+    const ref = [0, 0, 0];
+    for (const v of vertices) {
+        ref[0] += v[0];
+        ref[1] += v[1];
+        ref[2] += v[2];
+    }
+    ref[0] /= vertices.length;
+    ref[1] /= vertices.length;
+    ref[2] /= vertices.length;
+
+    let volume = 0;
+    let surfaceArea = 0;
+    const weightedCentroid = [0, 0, 0];
+    const faceAreas = [];
+    const facePerimeters = [];
+
+    for (const face of cell.faces) {
+        const polygon = face.vertices.map(index => vertices[index]);
+        const a = polygon[0];
+        const areaVector = [0, 0, 0];
+        let perimeter = 0;
+
+        for (let k = 0; k < polygon.length; k++) {
+            const p = polygon[k];
+            const q = polygon[(k + 1) % polygon.length];
+            perimeter += Math.sqrt((q[0] - p[0]) ** 2 + (q[1] - p[1]) ** 2 + (q[2] - p[2]) ** 2);
+        }
+
+        // Fan triangulation of the face; each triangle with ref forms a tetrahedron
+        for (let k = 1; k + 1 < polygon.length; k++) {
+            const b = polygon[k];
+            const c = polygon[k + 1];
+            const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const cross = [
+                u[1] * v[2] - u[2] * v[1],
+                u[2] * v[0] - u[0] * v[2],
+                u[0] * v[1] - u[1] * v[0]
+            ];
+            areaVector[0] += cross[0];
+            areaVector[1] += cross[1];
+            areaVector[2] += cross[2];
+
+            const tetVolume = (
+                cross[0] * (a[0] - ref[0]) +
+                cross[1] * (a[1] - ref[1]) +
+                cross[2] * (a[2] - ref[2])
+            ) / 6;
+            volume += tetVolume;
+            for (let axis = 0; axis < 3; axis++) {
+                weightedCentroid[axis] += tetVolume * (ref[axis] + a[axis] + b[axis] + c[axis]) / 4;
+            }
+        }
+
+        const area = 0.5 * Math.sqrt(areaVector[0] ** 2 + areaVector[1] ** 2 + areaVector[2] ** 2);
+        faceAreas.push(area);
+        facePerimeters.push(perimeter);
+        surfaceArea += area;
+    }
+
+    const centroid = volume > 0 ?
+        [weightedCentroid[0] / volume, weightedCentroid[1] / volume, weightedCentroid[2] / volume] :
+        ref;
+
+    return { volume, surfaceArea, faceAreas, facePerimeters, centroid };
+}
+
+/**
+ * Second moment of an indexed polyhedron about a point: the integral of |x - origin|^2
+ * over its volume. Each face triangle forms a tetrahedron with the origin; signed volumes
+ * make this exact for any origin, inside the polyhedron or not.
+ * @param {Object} cell - { vertices: [[x,y,z]], faces: [{ vertices: [indices] }] }, outward oriented
+ * @param {Array<number>} origin - Point the moment is taken about [x, y, z]
+ * @returns {number} Second moment
+ */
+export function computePolyhedronSecondMoment(cell, origin) {
+    const relative = cell.vertices.map(v => [v[0] - origin[0], v[1] - origin[1], v[2] - origin[2]]);
+    let moment = 0;
+
+    for (const face of cell.faces) {
+        const a = relative[face.vertices[0]];
+        for (let k = 1; k + 1 < face.vertices.length; k++) {
+            const b = relative[face.vertices[k]];
+            const c = relative[face.vertices[k + 1]];
+            const volume = (
+                a[0] * (b[1] * c[2] - b[2] * c[1]) +
+                a[1] * (b[2] * c[0] - b[0] * c[2]) +
+                a[2] * (b[0] * c[1] - b[1] * c[0])
+            ) / 6;
+
+            // Tetrahedron (0, a, b, c): integral of |x|^2 is V/20 (|a|^2 + |b|^2 + |c|^2 + |a + b + c|^2)
+            const s = [a[0] + b[0] + c[0], a[1] + b[1] + c[1], a[2] + b[2] + c[2]];
+            moment += volume / 20 * (
+                a[0] * a[0] + a[1] * a[1] + a[2] * a[2] +
+                b[0] * b[0] + b[1] * b[1] + b[2] * b[2] +
+                c[0] * c[0] + c[1] * c[1] + c[2] * c[2] +
+                s[0] * s[0] + s[1] * s[1] + s[2] * s[2]
+            );
+        }
+    }
+
+    return moment;
+}
+
+/**
+ * Section of an indexed polyhedron by the plane normal·x = offset.
+ * Where the plane runs along a face, the section belongs to the polyhedron on the
+ * negative side (normal·x < offset), so neighbouring cells never both claim it.
+ * @param {Object} cell - { vertices: [[x,y,z]], faces: [{ vertices: [indices] }] }
+ * @param {Array<number>} normal - Plane normal
+ * @param {number} offset - Plane offset
+ * @param {number} tolerance - Distance below which a vertex counts as on the plane
+ * @returns {Array<Array<number>>} Section polygon ordered counter-clockwise around the normal,
+ *          or an empty array when the plane misses the polyhedron
+ */
+export function slicePolyhedron(cell, normal, offset, tolerance = 1e-12) {
+    const signedDistance = (v) => normal[0] * v[0] + normal[1] * v[1] + normal[2] * v[2] - offset;
+    const distances = cell.vertices.map(signedDistance);
+    if (!distances.some(s => s < -tolerance)) return [];
+
+    const points = [];
+    for (const face of cell.faces) {
+        const indices = face.vertices;
+        for (let i = 0; i < indices.length; i++) {
+            const a = indices[i];
+            const b = indices[(i + 1) % indices.length];
+            const sa = distances[a];
+            const sb = distances[b];
+
+            if (Math.abs(sa) <= tolerance) points.push(cell.vertices[a]);
+
+            // Edge crosses the plane strictly: add the intersection point
+            if ((sa < -tolerance && sb > tolerance) || (sa > tolerance && sb < -tolerance)) {
+                const t = sa / (sa - sb);
+                const p = cell.vertices[a];
+                const q = cell.vertices[b];
+                points.push([
+                    p[0] + t * (q[0] - p[0]),
+                    p[1] + t * (q[1] - p[1]),
+                    p[2] + t * (q[2] - p[2])
+                ]);
+            }
+        }
+    }
+
+    const polygon = orderPolygon(uniquePoints(points, tolerance), normal);
+    return polygon.length >= 3 ? polygon : [];
+}
+
+/**
+ * Clip a convex planar polygon by the half-space normal·x <= offset (Sutherland-Hodgman).
+ * @param {Array<Array<number>>} polygon - Vertices [[x, y, z], ...] in order
+ * @param {Array<number>} normal - Plane normal (pointing out of the kept region)
+ * @param {number} offset - Plane offset
+ * @param {number} tolerance - Distance below which a vertex counts as on the plane
+ * @returns {Array<Array<number>>} Clipped polygon in the same order, or an empty array
+ */
+export function clipPolygon(polygon, normal, offset, tolerance = 1e-12) {
+    const signedDistance = (v) => normal[0] * v[0] + normal[1] * v[1] + normal[2] * v[2] - offset;
+    const clipped = [];
+
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const sc = signedDistance(current);
+        const sn = signedDistance(next);
+
+        if (sc <= tolerance) clipped.push(current);
+        if ((sc < -tolerance && sn > tolerance) || (sc > tolerance && sn < -tolerance)) {
+            const t = sc / (sc - sn);
+            clipped.push([
+                current[0] + t * (next[0] - current[0]),
+                current[1] + t * (next[1] - current[1]),
+                current[2] + t * (next[2] - current[2])
+            ]);
+        }
+    }
+
+    const cleaned = removeCoincidentVertices(clipped, tolerance);
+    return cleaned.length >= 3 ? cleaned : [];
+}
+
+/**
+ * Remove consecutive (cyclically) coincident vertices from a polygon
+ * @private
+ */
+function removeCoincidentVertices(vertices, tolerance) {
+    const result = [];
+    for (const v of vertices) {
+        const last = result[result.length - 1];
+        if (last && pointsCoincide(last, v, tolerance)) continue;
+        result.push(v);
+    }
+    while (result.length > 1 && pointsCoincide(result[0], result[result.length - 1], tolerance)) {
+        result.pop();
+    }
+    return result;
+}
+
+/**
+ * Remove duplicate points (in any order)
+ * @private
+ */
+function uniquePoints(points, tolerance) {
+    const result = [];
+    for (const p of points) {
+        if (!result.some(q => pointsCoincide(p, q, tolerance))) {
+            result.push(p);
+        }
+    }
+    return result;
+}
+
+/**
+ * @private
+ */
+function pointsCoincide(a, b, tolerance) {
+    const scale = Math.max(tolerance, 1e-300) * 1e3;
+    return Math.abs(a[0] - b[0]) <= scale &&
+           Math.abs(a[1] - b[1]) <= scale &&
+           Math.abs(a[2] - b[2]) <= scale;
+}
+
+/**
+ * Order coplanar points of a convex polygon counter-clockwise around the normal
+ * @private
+ */
+function orderPolygon(points, normal) {
+    if (points.length < 3) return points;
+
+    const centroid = [0, 0, 0];
+    for (const p of points) {
+        centroid[0] += p[0];
+        centroid[1] += p[1];
+        centroid[2] += p[2];
+    }
+    centroid[0] /= points.length;
+    centroid[1] /= points.length;
+    centroid[2] /= points.length;
+
+    // Orthonormal basis (u, v) of the plane with u × v along the normal
+    const length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
+    const n = [normal[0] / length, normal[1] / length, normal[2] / length];
+    const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    let u = [
+        helper[1] * n[2] - helper[2] * n[1],
+        helper[2] * n[0] - helper[0] * n[2],
+        helper[0] * n[1] - helper[1] * n[0]
+    ];
+    const uLength = Math.sqrt(u[0] * u[0] + u[1] * u[1] + u[2] * u[2]);
+    u = [u[0] / uLength, u[1] / uLength, u[2] / uLength];
+    const v = [
+        n[1] * u[2] - n[2] * u[1],
+        n[2] * u[0] - n[0] * u[2],
+        n[0] * u[1] - n[1] * u[0]
+    ];
+
+    return points
+        .map(p => {
+            const d = [p[0] - centroid[0], p[1] - centroid[1], p[2] - centroid[2]];
+            return {
+                point: p,
+                angle: Math.atan2(d[0] * v[0] + d[1] * v[1] + d[2] * v[2], d[0] * u[0] + d[1] * u[1] + d[2] * u[2])
+            };
+        })
+        .sort((a, b) => a.angle - b.angle)
+        .map(entry => entry.point);
+}
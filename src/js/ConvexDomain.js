@@ -0,0 +1,381 @@
+/**
+ * ConvexDomain.js
+ *
+ * Convex simulation domains for non-periodic tessellations: a sphere, a finite cylinder
+ * or an arbitrary convex polyhedron given as half-spaces.
+ *
+ * Cells are always clipped by planes, so curved domains carry a circumscribed polyhedron:
+ * one global set of tangent planes whose surface stays within `tolerance * radius` of the
+ * exact one. Neighbouring cells are cut by the same planes, so faces still match and the
+ * cell volumes add up to the volume of that polyhedron. Containment, projection and
+ * sampling use the exact shape, which lies inside the polyhedron.
+ *
+ * Pure geometry, no dependency on Three.js or the WASM module.
+ */
+
+import { createConvexDomain } from './CellClipping.js';
+
+// Default distance between the polyhedral and the exact surface, relative to the radius
+const DEFAULT_TOLERANCE = 1e-3;
+
+/**
+ * Create a domain from a description.
+ * @param {Array<Object>|Object} spec - Either an array of half-spaces
+ *        [{ normal: [nx, ny, nz], offset: d }] meaning normal·x <= d, or one of
+ *        { type: 'sphere', center, radius, tolerance },
+ *        { type: 'cylinder', center, axis, radius, height, tolerance },
+ *        { type: 'polyhedron', planes }
+ * @returns {Object} Domain { type, planes, ...shape parameters }
+ */
+export function createDomain(spec) {
+    if (Array.isArray(spec)) {
+        return createConvexDomain(spec);
+    }
+    if (!spec || typeof spec !== 'object') {
+        throw new Error('A domain must be an array of planes or an object with a type');
+    }
+
+    switch (spec.type) {
+        case 'sphere':
+            return createSphereDomain(spec.center, spec.radius, spec.tolerance);
+        case 'cylinder':
+            return createCylinderDomain(spec.center, spec.axis, spec.radius, spec.height, spec.tolerance);
+        case 'polyhedron':
+        case 'convex':
+            return createConvexDomain(spec.planes);
+        default:
+            throw new Error(`Unknown domain type '${spec.type}': expected 'sphere', 'cylinder' or 'polyhedron'`);
+    }
+}
+
+/**
+ * Create a spherical domain.
+ * The tangent planes point along a Fibonacci spiral, dense enough that no point of the
+ * polyhedron lies more than tolerance * radius outside the sphere.
+ * @param {Array<number>} center - Sphere center [x, y, z]
+ * @param {number} radius - Sphere radius
+ * @param {number} tolerance - Allowed surface deviation, relative to the radius
+ * @returns {Object} { type: 'sphere', center, radius, tolerance, planes }
+ */
+export function createSphereDomain(center, radius, tolerance = DEFAULT_TOLERANCE) {
+    checkPoint(center, 'Sphere center');
+    checkPositive(radius, 'Sphere radius');
+    checkPositive(tolerance, 'Sphere tolerance');
+
+    // A tangent plane covers the cap within angle θ of its normal with deviation
+    // 1/cos(θ) - 1. Fibonacci points are close to a hexagonal packing, whose covering
+    // radius is sqrt(8π / (3√3 N)); the factor 1.25 absorbs the irregularity.
+    const maxAngle = Math.acos(1 / (1 + tolerance)) / 1.25;
+    const count = Math.max(8, Math.ceil(8 * Math.PI / (3 * Math.sqrt(3) * maxAngle * maxAngle)));
+
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    const planes = [];
+    for (let k = 0; k < count; k++) {
+        const z = 1 - (2 * k + 1) / count;
+        const r = Math.sqrt(1 - z * z);
+        const phi = k * goldenAngle;
+        const normal = [r * Math.cos(phi), r * Math.sin(phi), z];
+        planes.push({ normal, offset: dot(normal, center) + radius });
+    }
+
+    return { type: 'sphere', center: [...center], radius, tolerance, planes };
+}
+
+/**
+ * Create a finite cylindrical domain.
+ * The lateral surface is approximated by evenly spaced tangent planes, the caps are exact.
+ * @param {Array<number>} center - Center of the cylinder (midway along the axis) [x, y, z]
+ * @param {Array<number>} axis - Axis direction; normalized here
+ * @param {number} radius - Cylinder radius
+ * @param {number} height - Length along the axis
+ * @param {number} tolerance - Allowed surface deviation, relative to the radius
+ * @returns {Object} { type: 'cylinder', center, axis, radius, height, tolerance, planes }
+ */
+export function createCylinderDomain(center, axis, radius, height, tolerance = DEFAULT_TOLERANCE) {
+    checkPoint(center, 'Cylinder center');
+    checkPoint(axis, 'Cylinder axis');
+    checkPositive(radius, 'Cylinder radius');
+    checkPositive(height, 'Cylinder height');
+    checkPositive(tolerance, 'Cylinder tolerance');
+
+    const length = Math.hypot(axis[0], axis[1], axis[2]);
+    if (!(length > 0)) {
+        throw new Error('Cylinder axis must be a non-zero vector');
+    }
+    const a = axis.map(c => c / length);
+
+    // Orthonormal basis (u, v) of the cross-section
+    const helper = Math.abs(a[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const u = normalize(cross(a, helper));
+    const v = cross(a, u);
+
+    // Half-angle π/N between tangent planes deviates by 1/cos(π/N) - 1
+    const count = Math.max(3, Math.ceil(Math.PI / Math.acos(1 / (1 + tolerance))));
+
+    const planes = [
+        { normal: [...a], offset: dot(a, center) + height / 2 },
+        { normal: a.map(c => -c), offset: -dot(a, center) + height / 2 }
+    ];
+    for (let k = 0; k < count; k++) {
+        const angle = 2 * Math.PI * k / count;
+        const normal = [0, 1, 2].map(i => Math.cos(angle) * u[i] + Math.sin(angle) * v[i]);
+        planes.push({ normal, offset: dot(normal, center) + radius });
+    }
+
+    return { type: 'cylinder', center: [...center], axis: a, radius, height, tolerance, planes };
+}
+
+/**
+ * Check whether a position lies inside the exact domain shape (not its polyhedron).
+ * @param {Object} domain - Domain from createDomain()
+ * @param {Array<number>} position - [x, y, z]
+ * @param {number} slack - Allowed overshoot, in length units
+ * @returns {boolean}
+ */
+export function domainContains(domain, position, slack = 0) {
+    if (domain.type === 'sphere') {
+        return distance(position, domain.center) <= domain.radius + slack;
+    }
+    if (domain.type === 'cylinder') {
+        const { axial, radial } = cylinderCoordinates(domain, position);
+        return Math.abs(axial) <= domain.height / 2 + slack && radial <= domain.radius + slack;
+    }
+    return domain.planes.every(({ normal, offset }) => dot(normal, position) <= offset + slack);
+}
+
+/**
+ * Move a position that left the domain back inside it, to the nearest point at least
+ * `inset` from the surface. Positions already inside are returned unchanged.
+ * @param {Object} domain - Domain from createDomain()
+ * @param {Array<number>} position - [x, y, z]; modified in place
+ * @param {number} inset - Distance kept from the surface, in length units
+ * @returns {Array<number>} The position
+ */
+export function projectIntoDomain(domain, position, inset = 0) {
+    if (domain.type === 'sphere') {
+        const limit = domain.radius - inset;
+        const r = distance(position, domain.center);
+        if (r > limit) {
+            for (let i = 0; i < 3; i++) {
+                position[i] = domain.center[i] + (position[i] - domain.center[i]) * (limit / r);
+            }
+        }
+        return position;
+    }
+
+    if (domain.type === 'cylinder') {
+        const { axial, radial, radialVector } = cylinderCoordinates(domain, position);
+        const axialLimit = domain.height / 2 - inset;
+        const radialLimit = domain.radius - inset;
+        const clampedAxial = Math.max(-axialLimit, Math.min(axialLimit, axial));
+        const radialScale = radial > radialLimit ? radialLimit / radial : 1;
+        for (let i = 0; i < 3; i++) {
+            position[i] = domain.center[i] + clampedAxial * domain.axis[i] + radialVector[i] * radialScale;
+        }
+        return position;
+    }
+
+    // Polyhedron: project onto the most violated plane until none is (alternating projections)
+    for (let iteration = 0; iteration < 100; iteration++) {
+        let worst = null;
+        let worstExcess = 0;
+        for (const plane of domain.planes) {
+            const excess = dot(plane.normal, position) - (plane.offset - inset);
+            if (excess > worstExcess) {
+                worst = plane;
+                worstExcess = excess;
+            }
+        }
+        if (!worst) break;
+        for (let i = 0; i < 3; i++) {
+            position[i] -= worstExcess * worst.normal[i];
+        }
+    }
+    return position;
+}
+
+/**
+ * Move a position that left the domain back inside by reflecting it off the surface it
+ * crossed, so points pushed out together do not all land on the same surface point.
+ * Positions that overshoot by more than the domain's size are projected instead.
+ * @param {Object} domain - Domain from createDomain()
+ * @param {Array<number>} position - [x, y, z]; modified in place
+ * @param {number} inset - Distance kept from the surface, in length units
+ * @returns {Array<number>} The position
+ */
+export function reflectIntoDomain(domain, position, inset = 0) {
+    if (domain.type === 'sphere') {
+        const limit = domain.radius - inset;
+        const r = distance(position, domain.center);
+        if (r > limit) {
+            const reflected = Math.max(0, 2 * limit - r);
+            for (let i = 0; i < 3; i++) {
+                position[i] = domain.center[i] + (position[i] - domain.center[i]) * (reflected / r);
+            }
+        }
+        return position;
+    }
+
+    if (domain.type === 'cylinder') {
+        const { axial, radial, radialVector } = cylinderCoordinates(domain, position);
+        const axialLimit = domain.height / 2 - inset;
+        const radialLimit = domain.radius - inset;
+        const reflectedAxial = Math.abs(axial) > axialLimit ? Math.sign(axial) * (2 * axialLimit - Math.abs(axial)) : axial;
+        const radialScale = radial > radialLimit ? Math.max(0, 2 * radialLimit - radial) / radial : 1;
+        for (let i = 0; i < 3; i++) {
+            position[i] = domain.center[i] + reflectedAxial * domain.axis[i] + radialVector[i] * radialScale;
+        }
+        return projectIntoDomain(domain, position, inset);
+    }
+
+    // Polyhedron: reflect off the most violated plane until none is
+    for (let iteration = 0; iteration < 10; iteration++) {
+        let worst = null;
+        let worstExcess = 0;
+        for (const plane of domain.planes) {
+            const excess = dot(plane.normal, position) - (plane.offset - inset);
+            if (excess > worstExcess) {
+                worst = plane;
+                worstExcess = excess;
+            }
+        }
+        if (!worst) return position;
+        for (let i = 0; i < 3; i++) {
+            position[i] -= 2 * worstExcess * worst.normal[i];
+        }
+    }
+    return projectIntoDomain(domain, position, inset);
+}
+
+/**
+ * Undo the moves that made points coincide: a point landing exactly on another one's new
+ * position keeps its previous position. The triangulation keeps only one of two coincident
+ * points, so the other would lose its cell.
+ * @param {Array<Array<number>>} points - New positions; modified in place
+ * @param {Array<Array<number>>} previousPoints - Positions before the move
+ * @returns {number} The number of points kept back
+ */
+export function separateCoincidentPoints(points, previousPoints) {
+    const occupied = new Set();
+    let keptBack = 0;
+    for (let i = 0; i < points.length; i++) {
+        let key = points[i].join();
+        if (occupied.has(key) && previousPoints[i]) {
+            points[i] = [...previousPoints[i]];
+            key = points[i].join();
+            keptBack++;
+        }
+        occupied.add(key);
+    }
+    if (keptBack > 0) {
+        console.log(`Kept ${keptBack} points in place that would have coincided with another`);
+    }
+    return keptBack;
+}
+
+/**
+ * Draw uniformly distributed positions inside the domain and the box [0, L) on every axis.
+ * @param {Object} domain - Domain from createDomain()
+ * @param {number} count - Number of positions
+ * @param {Array<number>} boxSize - [Lx, Ly, Lz]
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {Array<Array<number>>} Positions; fewer than count if the domain barely meets the box
+ */
+export function randomPointsInDomain(domain, count, boxSize, random = Math.random) {
+    const [min, max] = domainBounds(domain, boxSize);
+    const points = [];
+    const maxAttempts = 1000 * Math.max(count, 1);
+    for (let attempts = 0; points.length < count && attempts < maxAttempts; attempts++) {
+        const p = [0, 1, 2].map(i => min[i] + random() * (max[i] - min[i]));
+        if (domainContains(domain, p)) points.push(p);
+    }
+    if (points.length < count) {
+        console.warn(`Only ${points.length}/${count} points fit in the domain: it barely overlaps the box`);
+    }
+    return points;
+}
+
+/**
+ * Axis-aligned bounds of the domain intersected with the box
+ * @param {Object} domain - Domain from createDomain()
+ * @param {Array<number>} boxSize - [Lx, Ly, Lz]
+ * @returns {Array<Array<number>>} [min, max]
+ */
+export function domainBounds(domain, boxSize) {
+    const min = [0, 0, 0];
+    const max = [...boxSize];
+    let halfExtent = null;
+    if (domain.type === 'sphere') {
+        halfExtent = [domain.radius, domain.radius, domain.radius];
+    } else if (domain.type === 'cylinder') {
+        halfExtent = domain.axis.map(a =>
+            Math.abs(a) * domain.height / 2 + domain.radius * Math.sqrt(Math.max(0, 1 - a * a)));
+    }
+    if (halfExtent) {
+        for (let i = 0; i < 3; i++) {
+            min[i] = Math.max(min[i], domain.center[i] - halfExtent[i]);
+            max[i] = Math.min(max[i], domain.center[i] + halfExtent[i]);
+        }
+    }
+    return [min, max];
+}
+
+/**
+ * Signed position along the cylinder axis and distance from it
+ * @private
+ */
+function cylinderCoordinates(domain, position) {
+    const d = [0, 1, 2].map(i => position[i] - domain.center[i]);
+    const axial = dot(d, domain.axis);
+    const radialVector = d.map((c, i) => c - axial * domain.axis[i]);
+    return { axial, radial: Math.hypot(...radialVector), radialVector };
+}
+
+/**
+ * Throw unless p is three finite numbers
+ * @private
+ */
+function checkPoint(p, name) {
+    if (!Array.isArray(p) || p.length !== 3 || !p.every(Number.isFinite)) {
+        throw new Error(`${name} must be three finite numbers, got ${p}`);
+    }
+}
+
+/**
+ * Throw unless value is a finite positive number
+ * @private
+ */
+function checkPositive(value, name) {
+    if (!(value > 0) || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a positive number, got ${value}`);
+    }
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @private
+ */
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @private
+ */
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+/**
+ * @private
+ */
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
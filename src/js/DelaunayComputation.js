@@ -5,8 +5,38 @@
  * and provides a clean API for Delaunay triangulation and Voronoi diagram computation.
  */
 
+import {
+    createBoxPolyhedron,
+    buildClippedCell,
+    indexPolyhedron,
+    computePolyhedronMetrics,
+    slicePolyhedron,
+    clipPolygon
+} from './CellClipping.js';
+import { SpatialGrid } from './SpatialIndex.js';
+import { createDomain } from './ConvexDomain.js';
+import { computeRegularTriangulation } from './RegularTriangulation.js';
+
 export class DelaunayComputation {
-    constructor(points, isPeriodic = true) {
+    /**
+     * @param {Array|Float64Array|Float32Array} points - Generator points
+     * @param {boolean|Array<boolean>} isPeriodic - Periodic boundary conditions, either for all
+     *        axes or per axis as [x, y, z] (e.g. [true, true, false] for a film walled in z)
+     * @param {Object} options - Optional settings
+     * @param {string} options.voronoiMode - 'circumcenter' (exact Voronoi, default) or 'barycentric' (legacy)
+     * @param {number} options.degenerateTolerance - Relative volume below which a tetrahedron is treated as flat
+     * @param {Array<number>} options.boxSize - Domain dimensions [Lx, Ly, Lz] (default unit cube)
+     * @param {Array<number>|Float64Array} options.weights - Optional per-point weights (squared radii).
+     *        When given, the regular triangulation and its power (Laguerre) diagram are computed.
+     * @param {number} options.coincidentTolerance - Distance, relative to the largest box side, below
+     *        which validate() reports two points as duplicates (default 1e-9)
+     * @param {number} options.cosphericalTolerance - Relative tolerance of the cospherical test in validate()
+     * @param {Array<Object>|Object} options.domain - Optional convex domain: half-spaces
+     *        [{ normal: [nx, ny, nz], offset: d }] meaning normal·x <= d, or a shape
+     *        { type: 'sphere' | 'cylinder' | 'polyhedron', ... } (see ConvexDomain.createDomain).
+     *        Cells are clipped to its intersection with the box. Only valid in non-periodic mode.
+     */
+    constructor(points, isPeriodic = true, options = {}) {
         // Convert points to flat array if needed
         if (Array.isArray(points) && Array.isArray(points[0])) {
             // Points provided as [[x,y,z], [x,y,z], ...]
@@ -36,18 +66,89 @@ export class DelaunayComputation {
             }
         }
         
-        this.isPeriodic = isPeriodic;
+        // Per-axis periodicity; isPeriodic stays true when any axis wraps
+        this.periodicAxes = Array.isArray(isPeriodic) ?
+            [!!isPeriodic[0], !!isPeriodic[1], !!isPeriodic[2]] :
+            [!!isPeriodic, !!isPeriodic, !!isPeriodic];
+        this.isPeriodic = this.periodicAxes.some(Boolean);
+        this.isFullyPeriodic = this.periodicAxes.every(Boolean);
         this.numPoints = this.pointsArray.length;
         
+        // Domain is [0,Lx) x [0,Ly) x [0,Lz); all minimum-image logic uses these lengths
+        const boxSize = options.boxSize || [1, 1, 1];
+        if (boxSize.length !== 3 || boxSize.some(L => !(L > 0))) {
+            throw new Error(`Invalid box size [${boxSize}]: expected three positive lengths`);
+        }
+        this.boxSize = [boxSize[0], boxSize[1], boxSize[2]];
+        
+        // Power diagram weights: the power distance to point i is |x - p_i|^2 - w_i
+        this.weights = null;
+        if (options.weights) {
+            if (options.weights.length !== this.numPoints) {
+                throw new Error(`Expected ${this.numPoints} weights, got ${options.weights.length}`);
+            }
+            this.weights = new Float64Array(options.weights);
+        }
+        
+        // Convex domain for clipping boundary cells (the box alone when null);
+        // curved shapes are clipped by their circumscribed polyhedron
+        this.domain = null;
+        if (options.domain) {
+            if (this.isPeriodic) {
+                throw new Error('A convex domain can only be used in non-periodic mode');
+            }
+            this.domain = createDomain(options.domain);
+        }
+        
+        this.config = {
+            // How Voronoi vertices are placed: 'circumcenter' gives the true Voronoi diagram,
+            // 'barycentric' reproduces results from earlier versions
+            voronoiMode: options.voronoiMode || 'circumcenter',
+            // Tetrahedra whose normalized volume falls below this use their barycenter instead
+            degenerateTolerance: options.degenerateTolerance !== undefined ? options.degenerateTolerance : 1e-10,
+            // Points closer than this (times the largest box side) are reported as duplicates
+            coincidentTolerance: options.coincidentTolerance !== undefined ? options.coincidentTolerance : 1e-9,
+            // Neighbouring tetrahedra whose fifth point is this close (relative to the squared
+            // circumradius) to the circumsphere are reported as cospherical
+            cosphericalTolerance: options.cosphericalTolerance !== undefined ? options.cosphericalTolerance : 1e-10
+        };
+        
         // Results will be stored here
         this.tetrahedra = [];
         this.voronoiEdges = [];
         this.voronoiCells = [];
+        // One Voronoi vertex per tetrahedron. The name is kept for compatibility;
+        // in circumcenter mode these are circumcenters, not barycenters.
         this.barycenters = [];
+        // Indices of tetrahedra that fell back to their barycenter (circumcenter mode only)
+        this.degenerateTetrahedra = [];
+        // Input and triangulation problems found after compute(), see validate()
+        this.diagnostics = null;
+        // Tetrahedra removed from the WASM result: invalid point indices or repeats
+        this._droppedTetrahedra = [];
+        this._duplicateTetrahedra = [];
+        // Per tetrahedron, the lattice shift [sx, sy, sz] of each vertex relative to the first, so
+        // vertex k lies at points[tet[k]] + shift[k] * boxSize. Null when not periodic; builds that
+        // do not report shifts get them from the minimum image, or from triangulating periodic
+        // images when that misplaces tetrahedra (see _callWasm).
+        this.tetrahedronShifts = null;
+        // Voronoi vertex of each tetrahedron in the image frame of its first vertex (unwrapped)
+        this._localCenters = [];
         
         // Simple caching for performance
         this._facesCache = null;
         this._cellsCache = null;
+        this._clippedCellsCache = null;
+        this._cellMetricsCache = null;
+        this._neighborGraphCache = null;
+        this._typedLayoutCache = null;
+        this._spatialIndexCache = null;
+        this._tetrahedronAdjacencyCache = null;
+        // Cells to rebuild in the clipped-cell and metrics caches after a local update
+        this._staleClippedCells = null;
+        this._staleCellMetrics = null;
+        // Periodic cells large enough to depend on every point (see _completePeriodicCell)
+        this._cellsNeedingAllPoints = new Set();
     }
 
     /**
@@ -57,6 +158,15 @@ export class DelaunayComputation {
     _invalidateCaches() {
         this._facesCache = null;
         this._cellsCache = null;
+        this._clippedCellsCache = null;
+        this._cellMetricsCache = null;
+        this._neighborGraphCache = null;
+        this._typedLayoutCache = null;
+        this._spatialIndexCache = null;
+        this._tetrahedronAdjacencyCache = null;
+        this._staleClippedCells = null;
+        this._staleCellMetrics = null;
+        this._cellsNeedingAllPoints = new Set();
     }
 
     /**
@@ -69,10 +179,12 @@ export class DelaunayComputation {
             throw new Error('WASM module not provided');
         }
         
-        console.log(`Computing Delaunay triangulation for ${this.numPoints} points (${this.isPeriodic ? 'periodic' : 'non-periodic'})...`);
+        console.log(`Computing Delaunay triangulation for ${this.numPoints} points (${this._describePeriodicity()})...`);
         
         // Clear caches since we're recomputing
         this._invalidateCaches();
+        // Kept so that movePoints/insertPoint/removePoint can retriangulate
+        this._wasmModule = wasmModule;
         
         // Debug: Log the first few points
         console.log('First 3 points:', this.pointsArray.slice(0, 3));
@@ -82,25 +194,38 @@ export class DelaunayComputation {
             console.log('Calling WASM with:', {
                 pointsLength: this.points.length,
                 numPoints: this.numPoints,
-                isPeriodic: this.isPeriodic
+                periodicAxes: this.periodicAxes,
+                boxSize: this.boxSize,
+                voronoiMode: this.config.voronoiMode
             });
             
-            const rawResult = wasmModule.compute_delaunay(this.points, this.numPoints, this.isPeriodic);
+            const raw = this._callWasm(wasmModule);
+            const rawResult = raw ? raw.tetrahedra : null;
             
             console.log('WASM returned:', rawResult ? `${rawResult.length} tetrahedra` : 'null/undefined');
             
+            this.tetrahedronShifts = null;
             if (rawResult && rawResult.length > 0) {
                 // Filter and convert the raw results
-                this.tetrahedra = this._filterTetrahedra(rawResult);
+                this.tetrahedra = this._filterTetrahedra(rawResult, raw.shifts);
                 console.log(`Computed ${this.tetrahedra.length} valid tetrahedra (filtered from ${rawResult.length})`);
                 
                 // Compute Voronoi diagram from Delaunay
-                this._computeVoronoiBarycentric();
+                if (this.config.voronoiMode === 'barycentric') {
+                    this._computeVoronoiBarycentric();
+                } else {
+                    this._computeVoronoiCircumcentric();
+                }
             } else {
                 console.warn('No tetrahedra generated');
                 this.tetrahedra = [];
                 this.voronoiEdges = [];
+                this._droppedTetrahedra = [];
+                this._duplicateTetrahedra = [];
             }
+            
+            this.diagnostics = this.validate();
+            this._logDiagnostics();
         } catch (error) {
             console.error('Error in Delaunay computation:', error);
             throw error;
@@ -110,14 +235,971 @@ export class DelaunayComputation {
     }
 
     /**
-     * Filter out tetrahedra with invalid vertex indices
+     * Check the input points and, once computed, the triangulation for problems.
+     * compute() stores the result in this.diagnostics. Every entry carries point indices so
+     * scripts can react to the offending points.
+     *
+     * @returns {Object} {
+     *   valid: boolean - false when any of the first five lists is non-empty,
+     *   nonFinite: Array<number> - points with NaN or infinite coordinates,
+     *   outOfDomain: Array<{ index, position, reason }> - points outside the box or the convex domain,
+     *   duplicates: Array<{ indices: [i, j], distance }> - coincident or near-coincident points
+     *     (closer than config.coincidentTolerance times the largest box side),
+     *   droppedTetrahedra: Array<{ indices, reason }> - WASM tetrahedra with invalid point indices,
+     *   duplicateTetrahedra: Array<{ indices, reason }> - tetrahedra WASM returned more than once,
+     *   coplanar: Array<{ tetrahedron, indices }> - flat tetrahedra, with four coplanar points,
+     *   cospherical: Array<{ tetrahedra: [t, u], indices }> - five points on one sphere, where the
+     *     Delaunay triangulation is not unique (power sphere when weighted),
+     *   warnings: Array<string> - problems with the configuration as a whole
+     * }
+     */
+    validate() {
+        const report = {
+            valid: true,
+            numPoints: this.numPoints,
+            nonFinite: [],
+            outOfDomain: [],
+            duplicates: [],
+            droppedTetrahedra: this._droppedTetrahedra.map(entry => ({ ...entry })),
+            duplicateTetrahedra: this._duplicateTetrahedra.map(entry => ({ ...entry })),
+            coplanar: [],
+            cospherical: [],
+            warnings: []
+        };
+        
+        // Coordinates
+        const finite = [];
+        this.pointsArray.forEach((p, i) => {
+            if (!p || p.length !== 3 || !Array.from(p).every(Number.isFinite)) {
+                report.nonFinite.push(i);
+                return;
+            }
+            finite.push(i);
+            
+            // WASM wraps periodic coordinates, but everything on the JS side assumes [0, L]
+            const axes = [0, 1, 2].filter(axis => p[axis] < 0 || p[axis] > this.boxSize[axis]);
+            if (axes.length > 0) {
+                const names = axes.map(axis => 'xyz'[axis]).join(', ');
+                report.outOfDomain.push({ index: i, position: [p[0], p[1], p[2]], reason: `outside the box along ${names}` });
+            } else if (this.domain && !this.isInsideDomain(p)) {
+                report.outOfDomain.push({ index: i, position: [p[0], p[1], p[2]], reason: `outside the ${this.domain.type} domain` });
+            }
+        });
+        
+        const tolerance = this.config.coincidentTolerance * Math.max(...this.boxSize);
+        report.duplicates = this._findCoincidentPoints(finite, tolerance);
+        
+        if (this.numPoints < 4) {
+            report.warnings.push(`Only ${this.numPoints} points: at least 4 are needed for a tetrahedron`);
+        } else if (!this.isPeriodic && this._allCoplanar(finite)) {
+            report.warnings.push('All points are coplanar, so there are no tetrahedra');
+        }
+        
+        // Triangulation
+        if (this.tetrahedra.length > 0) {
+            this._findDegenerateConfigurations(report);
+        } else if (this._wasmModule && this.numPoints >= 4) {
+            report.warnings.push('The triangulation is empty');
+        }
+        
+        report.valid = report.nonFinite.length === 0 &&
+            report.outOfDomain.length === 0 &&
+            report.duplicates.length === 0 &&
+            report.droppedTetrahedra.length === 0 &&
+            report.duplicateTetrahedra.length === 0;
+        return report;
+    }
+
+    /**
+     * Pairs of points closer than tolerance, found by hashing positions on a grid
+     * of that spacing (periodic-aware)
+     * @private
+     */
+    _findCoincidentPoints(indices, tolerance) {
+        const pairs = [];
+        const seen = new Set();
+        const cellSize = tolerance > 0 ? tolerance : 1;
+        const counts = this.boxSize.map(L => Math.max(1, Math.floor(L / cellSize)));
+        const grid = new Map();
+        
+        for (const i of indices) {
+            const p = this.isPeriodic ? this._wrapPoint(this.pointsArray[i]) : this.pointsArray[i];
+            const cell = p.map(x => Math.floor(x / cellSize));
+            
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const neighbor = [cell[0] + dx, cell[1] + dy, cell[2] + dz].map((c, axis) =>
+                            this.periodicAxes[axis] ? ((c % counts[axis]) + counts[axis]) % counts[axis] : c);
+                        for (const j of grid.get(neighbor.join(',')) || []) {
+                            const distance = this.getPeriodicDistance(this.pointsArray[j], this.pointsArray[i]);
+                            const key = j * this.numPoints + i;
+                            if (distance <= tolerance && !seen.has(key)) {
+                                seen.add(key);
+                                pairs.push({ indices: [j, i], distance });
+                            }
+                        }
+                    }
+                }
+            }
+            
+            const key = cell.map((c, axis) => this.periodicAxes[axis] ? ((c % counts[axis]) + counts[axis]) % counts[axis] : c).join(',');
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        }
+        return pairs;
+    }
+
+    /**
+     * Whether all the given points lie in one plane (relative to their spread)
+     * @private
+     */
+    _allCoplanar(indices) {
+        if (indices.length < 4) return true;
+        const p = i => this.pointsArray[i];
+        const a = p(indices[0]);
+        
+        // Farthest point from a, then the point farthest from line ab
+        let b = a;
+        for (const i of indices) if (this._distanceSq(a, p(i)) > this._distanceSq(a, b)) b = p(i);
+        const ab = [0, 1, 2].map(axis => b[axis] - a[axis]);
+        const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        let normal = [0, 0, 0];
+        for (const i of indices) {
+            const n = cross(ab, [0, 1, 2].map(axis => p(i)[axis] - a[axis]));
+            if (this._distanceSq(n, [0, 0, 0]) > this._distanceSq(normal, [0, 0, 0])) normal = n;
+        }
+        
+        const spread = this._distanceSq(a, b);
+        const normalLength = Math.sqrt(this._distanceSq(normal, [0, 0, 0]));
+        if (spread === 0 || normalLength <= this.config.degenerateTolerance * spread) return true;
+        
+        return indices.every(i => {
+            const d = [0, 1, 2].reduce((sum, axis) => sum + (p(i)[axis] - a[axis]) * normal[axis], 0) / normalLength;
+            return Math.abs(d) <= this.config.degenerateTolerance * Math.sqrt(spread);
+        });
+    }
+
+    /**
+     * Add flat tetrahedra and cospherical neighbour pairs to a validation report
+     * @private
+     */
+    _findDegenerateConfigurations(report) {
+        const spheres = this.tetrahedra.map((tet, t) => {
+            const vertices = this._getTetrahedronVertices(t);
+            // Flatness does not depend on the weights
+            if (!this._circumcenter(...vertices)) {
+                report.coplanar.push({ tetrahedron: t, indices: [...tet] });
+                return null;
+            }
+            const weights = this.weights ? tet.map(v => this.weights[v]) : null;
+            const center = this._circumcenter(...vertices, weights);
+            return { vertices, center, power: this._distanceSq(center, vertices[0]) - (weights ? weights[0] : 0) };
+        });
+        
+        const tolerance = this.config.cosphericalTolerance;
+        for (const edge of this.voronoiEdges) {
+            const [t, u] = edge.tetraIndices;
+            const sphere = spheres[t];
+            if (!sphere || !spheres[u]) continue;
+            
+            const opposite = this._oppositeVertex(t, u, sphere.vertices);
+            if (!opposite) continue;
+            const power = this._distanceSq(sphere.center, opposite.position) -
+                (this.weights ? this.weights[opposite.index] : 0);
+            const scale = this._distanceSq(sphere.center, sphere.vertices[0]);
+            if (Math.abs(power - sphere.power) <= tolerance * scale) {
+                report.cospherical.push({ tetrahedra: [t, u], indices: [...this.tetrahedra[t], opposite.index] });
+            }
+        }
+    }
+
+    /**
+     * Summarise this.diagnostics on the console when it found anything
+     * @private
+     */
+    _logDiagnostics() {
+        const report = this.diagnostics;
+        if (!report) return;
+        
+        const labels = {
+            nonFinite: 'non-finite points',
+            outOfDomain: 'points outside the domain',
+            duplicates: 'duplicate point pairs',
+            droppedTetrahedra: 'dropped tetrahedra',
+            duplicateTetrahedra: 'duplicate tetrahedra',
+            coplanar: 'flat tetrahedra',
+            cospherical: 'cospherical configurations'
+        };
+        const found = Object.keys(labels)
+            .filter(key => report[key].length > 0)
+            .map(key => `${report[key].length} ${labels[key]}`);
+        
+        if (found.length > 0) {
+            (report.valid ? console.log : console.warn)(`Diagnostics: ${found.join(', ')}`);
+        }
+        report.warnings.forEach(warning => console.warn(`Diagnostics: ${warning}`));
+    }
+
+    /**
+     * Move generator points and update the triangulation.
+     *
+     * When every tetrahedron around the moved points keeps its orientation and still passes
+     * the local Delaunay test against its neighbours, the triangulation is unchanged and only
+     * the Voronoi vertices of those tetrahedra are recomputed. Otherwise the points are
+     * retriangulated. Either way, cached cells are rebuilt only for the moved points, their
+     * neighbours and cells whose neighbours changed.
+     *
+     * @param {Array<number>} indices - Indices of the points to move
+     * @param {Array<Array<number>>} positions - New [x, y, z] of each point. Periodic axes are
+     *        wrapped into the box; positions outside a walled axis throw.
+     * @returns {Promise<Object>} {
+     *   retriangulated: boolean - whether WASM had to be called again,
+     *   topologyChanged: Array<number> - cells whose set of neighbours changed,
+     *   geometryChanged: Array<number> - cells whose shape may have changed (includes the above)
+     * }
+     */
+    async movePoints(indices, positions) {
+        this._requireComputed();
+        if (indices.length !== positions.length) {
+            throw new Error(`Expected ${indices.length} positions, got ${positions.length}`);
+        }
+        
+        // Validate everything before touching any state
+        const updates = new Map();
+        indices.forEach((i, k) => {
+            this._checkPointIndex(i);
+            updates.set(i, this._placePoint(positions[k]));
+        });
+        if (updates.size === 0) {
+            return { retriangulated: false, topologyChanged: [], geometryChanged: [] };
+        }
+        
+        // Orientation of the tetrahedra around the moved points, before the move
+        const affected = [];
+        for (let t = 0; t < this.tetrahedra.length; t++) {
+            if (this.tetrahedra[t].some(v => updates.has(v))) affected.push(t);
+        }
+        const orientations = affected.map(t => Math.sign(this._orientation(t)));
+        
+        // Copy before writing: pointsArray may be the caller's own array
+        const oldPoints = this.pointsArray;
+        this.pointsArray = oldPoints.slice();
+        this.points = new Float64Array(this.points);
+        
+        // Lattice offset of each moved point: the new position is its old one moved by about
+        // crossings * boxSize when it wrapped through a periodic boundary
+        const crossings = new Map();
+        for (const [i, p] of updates) {
+            const old = oldPoints[i];
+            crossings.set(i, [0, 1, 2].map(axis => this.periodicAxes[axis] ?
+                Math.round((p[axis] - old[axis]) / this.boxSize[axis]) : 0));
+            this.pointsArray[i] = p;
+            this.points.set(p, 3 * i);
+        }
+        
+        // A point that wrapped is now reached through a different image
+        if (this.tetrahedronShifts) {
+            for (const t of affected) {
+                const tet = this.tetrahedra[t];
+                const shifts = this.tetrahedronShifts[t].map((shift, k) => {
+                    const c = crossings.get(tet[k]);
+                    return c ? shift.map((x, axis) => x - c[axis]) : shift;
+                });
+                this.tetrahedronShifts[t] = shifts.map(shift => shift.map((x, axis) => x - shifts[0][axis]));
+            }
+        }
+        
+        if (this._isLocallyDelaunay(affected, orientations, updates)) {
+            return this._applyLocalMove(affected, updates, crossings);
+        }
+        
+        console.log(`Moving ${updates.size} points changed the triangulation; retriangulating`);
+        const moved = Array.from(updates.keys());
+        return this._retriangulate(i => i, i => i, crossings, moved);
+    }
+
+    /**
+     * Add a generator point and retriangulate. Cells away from the new point keep their
+     * cached geometry.
+     * @param {Array<number>} position - [x, y, z], wrapped along periodic axes
+     * @param {number} weight - Weight of the new point (weighted computations only, default 0)
+     * @returns {Promise<Object>} { index, retriangulated, topologyChanged, geometryChanged }
+     */
+    async insertPoint(position, weight) {
+        this._requireComputed();
+        if (weight !== undefined && !this.weights) {
+            throw new Error('Cannot give a weight when inserting into an unweighted computation');
+        }
+        const p = this._placePoint(position);
+        
+        const index = this.numPoints;
+        this.pointsArray = [...this.pointsArray, p];
+        const points = new Float64Array(this.points.length + 3);
+        points.set(this.points);
+        points.set(p, 3 * index);
+        this.points = points;
+        if (this.weights) {
+            const weights = new Float64Array(index + 1);
+            weights.set(this.weights);
+            weights[index] = weight || 0;
+            this.weights = weights;
+        }
+        this.numPoints++;
+        
+        const report = await this._retriangulate(i => (i < index ? i : -1), i => i, new Map(), [index]);
+        return { index, ...report };
+    }
+
+    /**
+     * Remove a generator point and retriangulate. Points after it shift down by one index.
+     * Cells away from the removed point keep their cached geometry.
+     * @param {number} index - Index of the point to remove
+     * @returns {Promise<Object>} { removedIndex, retriangulated, topologyChanged, geometryChanged },
+     *          with cell indices numbered after the removal
+     */
+    async removePoint(index) {
+        this._requireComputed();
+        this._checkPointIndex(index);
+        
+        this.pointsArray = this.pointsArray.filter((_, i) => i !== index);
+        const points = new Float64Array(this.points.length - 3);
+        points.set(this.points.subarray(0, 3 * index));
+        points.set(this.points.subarray(3 * index + 3), 3 * index);
+        this.points = points;
+        if (this.weights) {
+            const weights = new Float64Array(this.weights.length - 1);
+            weights.set(this.weights.subarray(0, index));
+            weights.set(this.weights.subarray(index + 1), index);
+            this.weights = weights;
+        }
+        this.numPoints--;
+        
+        const report = await this._retriangulate(
+            i => (i < index ? i : i + 1),
+            i => (i < index ? i : i === index ? -1 : i - 1),
+            new Map(),
+            [index]
+        );
+        return { removedIndex: index, ...report };
+    }
+
+    /**
+     * @private
+     */
+    _requireComputed() {
+        if (!this._wasmModule) {
+            throw new Error('compute() must be called before updating points');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _checkPointIndex(i) {
+        if (!Number.isInteger(i) || i < 0 || i >= this.numPoints) {
+            throw new Error(`Invalid point index ${i}: expected 0 to ${this.numPoints - 1}`);
+        }
+    }
+
+    /**
+     * Validate a new point position, wrapping it along periodic axes
+     * @private
+     */
+    _placePoint(position) {
+        if (!position || position.length !== 3 || !Array.from(position).every(Number.isFinite)) {
+            throw new Error(`Invalid point position [${position}]: expected three finite coordinates`);
+        }
+        
+        const p = [position[0], position[1], position[2]];
+        for (let axis = 0; axis < 3; axis++) {
+            const L = this.boxSize[axis];
+            if (this.periodicAxes[axis]) {
+                p[axis] -= Math.floor(p[axis] / L) * L;
+                if (p[axis] >= L) p[axis] = 0;
+            } else if (p[axis] < 0 || p[axis] > L) {
+                throw new Error(`Point [${p}] lies outside the box along walled axis ${'xyz'[axis]}`);
+            }
+        }
+        return p;
+    }
+
+    /**
+     * Six times the signed volume of a tetrahedron, in the image frame of its first vertex
+     * @private
+     */
+    _orientation(tetIndex) {
+        const [p0, p1, p2, p3] = this._getTetrahedronVertices(tetIndex);
+        return this._signedVolume6(p0, p1, p2, p3);
+    }
+
+    /**
+     * Six times the signed volume of the tetrahedron p0 p1 p2 p3
+     * @private
+     */
+    _signedVolume6(p0, p1, p2, p3) {
+        const ux = p1[0] - p0[0], uy = p1[1] - p0[1], uz = p1[2] - p0[2];
+        const vx = p2[0] - p0[0], vy = p2[1] - p0[1], vz = p2[2] - p0[2];
+        const wx = p3[0] - p0[0], wy = p3[1] - p0[1], wz = p3[2] - p0[2];
+        return ux * (vy * wz - vz * wy) + uy * (vz * wx - vx * wz) + uz * (vx * wy - vy * wx);
+    }
+
+    /**
+     * Check whether the current triangulation is still Delaunay after moving some points.
+     * Only tetrahedra around moved points can have changed, so it is enough that each of them
+     * keeps its orientation and that no neighbour across any of its triangles reaches into its
+     * circumsphere. Returns false whenever the answer is not certain.
+     * @private
+     */
+    _isLocallyDelaunay(affected, orientations, moved) {
+        // Weighted points may appear or disappear (hidden points), so always retriangulate
+        if (this.weights) return false;
+        
+        const affectedSet = new Set(affected);
+        const adjacent = new Map(affected.map(t => [t, []]));
+        for (const edge of this.voronoiEdges) {
+            const [t, u] = edge.tetraIndices;
+            if (affectedSet.has(t)) adjacent.get(t).push(u);
+            if (affectedSet.has(u)) adjacent.get(u).push(t);
+        }
+        
+        for (let k = 0; k < affected.length; k++) {
+            const t = affected[k];
+            const tet = this.tetrahedra[t];
+            if (new Set(tet).size < 4) return false;
+            
+            const sign = Math.sign(this._orientation(t));
+            if (sign === 0 || sign !== orientations[k]) return false;
+            
+            const vertices = this._getTetrahedronVertices(t);
+            const center = this._circumcenter(...vertices);
+            if (!center) return false;
+            const radiusSq = this._distanceSq(center, vertices[0]);
+            
+            const matched = new Set();
+            for (const u of adjacent.get(t)) {
+                const opposite = this._oppositeVertex(t, u, vertices);
+                if (!opposite) return false;
+                matched.add(tet.find(v => !this.tetrahedra[u].includes(v)));
+                
+                // Cospherical within rounding counts as a failure, leaving the tie to WASM
+                if (this._distanceSq(center, opposite.position) <= radiusSq * (1 + 1e-12)) return false;
+            }
+            
+            // A triangle without a neighbour lies on the hull; the hull must not move
+            for (const v of tet) {
+                if (matched.has(v)) continue;
+                if (this.isFullyPeriodic || tet.some(w => w !== v && moved.has(w))) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * The vertex of tetrahedron u opposite the triangle it shares with t, brought into the
+     * image frame of t's vertices (as given by _getTetrahedronVertices) through a shared vertex.
+     * Null when the two do not share exactly one triangle by point index (tiny periodic systems).
+     * @private
+     * @returns {Object|null} { index, position }
+     */
+    _oppositeVertex(t, u, vertices = this._getTetrahedronVertices(t)) {
+        const tet = this.tetrahedra[t];
+        const other = this.tetrahedra[u];
+        const opposite = other.filter(v => !tet.includes(v));
+        if (opposite.length !== 1 || new Set(tet).size < 4 || new Set(other).size < 4) return null;
+        
+        const otherVertices = this._getTetrahedronVertices(u);
+        const shared = other.find(v => v !== opposite[0]);
+        const here = vertices[tet.indexOf(shared)];
+        const there = otherVertices[other.indexOf(shared)];
+        return {
+            index: opposite[0],
+            position: otherVertices[other.indexOf(opposite[0])].map((x, axis) => x + here[axis] - there[axis])
+        };
+    }
+
+    /**
+     * @private
+     */
+    _distanceSq(a, b) {
+        const dx = a[0] - b[0], dy = a[1] - b[1], dz = a[2] - b[2];
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    /**
+     * Update the Voronoi vertices and caches after a move that kept the triangulation
+     * @private
+     */
+    _applyLocalMove(affected, moved, crossings) {
+        const degenerate = new Set(this.degenerateTetrahedra);
+        for (const t of affected) {
+            const vertex = this._computeVoronoiVertex(t);
+            this.barycenters[t] = vertex.center;
+            this._localCenters[t] = vertex.local;
+            if (vertex.degenerate) {
+                degenerate.add(t);
+            } else {
+                degenerate.delete(t);
+            }
+        }
+        this.degenerateTetrahedra = Array.from(degenerate).sort((a, b) => a - b);
+        
+        const affectedSet = new Set(affected);
+        for (const edge of this.voronoiEdges) {
+            const [t, u] = edge.tetraIndices;
+            if (!affectedSet.has(t) && !affectedSet.has(u)) continue;
+            Object.assign(edge, this._voronoiEdgeGeometry(t, u));
+        }
+        
+        // Topology is unchanged, so the typed layout only needs its coordinates refreshed
+        if (this._typedLayoutCache) {
+            this._typedLayoutCache.points = this.points;
+            for (const t of affected) {
+                this._typedLayoutCache.vertices.set(this.barycenters[t], 3 * t);
+            }
+        }
+        this._facesCache = null;
+        this._cellsCache = null;
+        this._spatialIndexCache = null;
+        
+        // Neighbour shifts are relative to the wrapped positions, so they change when a point wraps
+        const geometryChanged = this._cellsAround(Array.from(moved.keys()));
+        const wrapped = Array.from(crossings.values()).some(c => c.some(Boolean));
+        if (wrapped) {
+            this._neighborGraphCache = null;
+        }
+        this._markCellsStale(geometryChanged);
+        
+        this.diagnostics = this.validate();
+        this._logDiagnostics();
+        
+        return { retriangulated: false, topologyChanged: [], geometryChanged };
+    }
+
+    /**
+     * Moved points, their neighbours and cells that depend on every point, sorted
+     * @private
+     */
+    _cellsAround(points) {
+        const cells = new Set(points);
+        const { offsets, indices } = this.getNeighborGraph();
+        for (const i of points) {
+            for (let k = offsets[i]; k < offsets[i + 1]; k++) cells.add(indices[k]);
+        }
+        for (const i of this._cellsNeedingAllPoints) cells.add(i);
+        return Array.from(cells).sort((a, b) => a - b);
+    }
+
+    /**
+     * Mark cells for rebuilding in the clipped-cell and metrics caches
+     * @private
+     */
+    _markCellsStale(cells) {
+        if (this._clippedCellsCache) {
+            this._staleClippedCells = new Set([...(this._staleClippedCells || []), ...cells]);
+        }
+        if (this._cellMetricsCache) {
+            this._staleCellMetrics = new Set([...(this._staleCellMetrics || []), ...cells]);
+        }
+    }
+
+    /**
+     * Retriangulate after the points changed and work out which cells were affected.
+     * @param {Function} toOld - Maps a new point index to its old index, or -1 for a new point
+     * @param {Function} toNew - Maps an old point index to its new index, or -1 if removed
+     * @param {Map} crossings - Lattice offset of each moved point that wrapped (see movePoints)
+     * @param {Array<number>} changed - Old indices of the points that moved, appeared or vanished
+     * @private
+     */
+    async _retriangulate(toOld, toNew, crossings, changed) {
+        const oldGraph = this.getNeighborGraph();
+        const oldNumPoints = oldGraph.offsets.length - 1;
+        const oldClipped = this._clippedCellsCache;
+        const oldMetrics = this._cellMetricsCache;
+        const oldStaleClipped = this._staleClippedCells;
+        const oldStaleMetrics = this._staleCellMetrics;
+        
+        // Old cells whose shape depends on a changed point
+        const dirty = new Set([...changed, ...this._cellsNeedingAllPoints]);
+        for (const i of changed) {
+            if (i >= oldNumPoints) continue;
+            for (let k = oldGraph.offsets[i]; k < oldGraph.offsets[i + 1]; k++) dirty.add(oldGraph.indices[k]);
+        }
+        
+        const crossingOf = i => crossings.get(i) || [0, 0, 0];
+        const oldNeighbors = i => {
+            const keys = new Set();
+            for (let k = oldGraph.offsets[i]; k < oldGraph.offsets[i + 1]; k++) {
+                const j = oldGraph.indices[k];
+                const shift = oldGraph.shifts ?
+                    [oldGraph.shifts[3 * k], oldGraph.shifts[3 * k + 1], oldGraph.shifts[3 * k + 2]] : [0, 0, 0];
+                keys.add(`${j}:${shift.join(',')}`);
+            }
+            return keys;
+        };
+        
+        await this.compute(this._wasmModule);
+        
+        // Compare neighbour sets in old indices; a shift seen from the new wrapped positions
+        // becomes shift + c_j - c_i in the old frame
+        const graph = this.getNeighborGraph();
+        const topologyChanged = [];
+        const geometryChanged = [];
+        for (let i = 0; i < this.numPoints; i++) {
+            const oi = toOld(i);
+            let same = oi >= 0;
+            if (same) {
+                const before = oldNeighbors(oi);
+                const ci = crossingOf(oi);
+                same = before.size === graph.offsets[i + 1] - graph.offsets[i];
+                for (let k = graph.offsets[i]; same && k < graph.offsets[i + 1]; k++) {
+                    const oj = toOld(graph.indices[k]);
+                    const cj = crossingOf(oj);
+                    const shift = [0, 1, 2].map(axis =>
+                        (graph.shifts ? graph.shifts[3 * k + axis] : 0) + cj[axis] - ci[axis]);
+                    same = oj >= 0 && before.has(`${oj}:${shift.join(',')}`);
+                }
+            }
+            if (!same) topologyChanged.push(i);
+            if (!same || dirty.has(oi)) geometryChanged.push(i);
+        }
+        
+        // Carry over cached cells that cannot have changed; the rest are rebuilt on demand
+        const changedSet = new Set(geometryChanged);
+        const renumbered = changed.some(i => i < oldNumPoints && toNew(i) !== i);
+        const renumberCell = cell => ({
+            ...cell,
+            generator: toNew(cell.generator),
+            faces: cell.faces.map(face => face.isWall ? face : { ...face, neighbor: toNew(face.neighbor) })
+        });
+        [this._clippedCellsCache, this._staleClippedCells] =
+            this._carryOverCells(oldClipped, oldStaleClipped, changedSet, toOld, renumbered ? renumberCell : null);
+        [this._cellMetricsCache, this._staleCellMetrics] =
+            this._carryOverCells(oldMetrics, oldStaleMetrics, changedSet, toOld, null);
+        
+        return { retriangulated: true, topologyChanged, geometryChanged };
+    }
+
+    /**
+     * Rebuild a per-cell cache in new point indices, keeping the cells that did not change
+     * @private
+     * @returns {Array} [cells, staleCells], or [null, null] when there was no cache
+     */
+    _carryOverCells(oldCells, oldStale, changed, toOld, renumber) {
+        if (!oldCells) return [null, null];
+        
+        const cells = new Array(this.numPoints).fill(null);
+        const stale = new Set();
+        for (let i = 0; i < this.numPoints; i++) {
+            const oi = toOld(i);
+            // Cells left stale by an earlier update were never rebuilt, so cannot be reused
+            if (changed.has(i) || (oldStale && oldStale.has(oi))) {
+                stale.add(i);
+                continue;
+            }
+            const cell = oldCells[oi];
+            cells[i] = cell && renumber ? renumber(cell) : cell;
+        }
+        return [cells, stale];
+    }
+
+    /**
+     * Run the triangulation in WASM, using the extended binding when the build provides it
+     * @private
+     * @returns {Object|null} { tetrahedra, shifts }, shifts being null when unavailable
+     */
+    _callWasm(wasmModule) {
+        // Geogram's periodic mode wraps all three axes, and without compute_delaunay_ex only of a
+        // cube, so partial periodicity and older builds' non-cubic boxes use periodic images.
+        // So do older builds' weighted runs, which triangulate in JavaScript without periodicity.
+        const [Lx, Ly, Lz] = this.boxSize;
+        const cubic = Lx === Ly && Ly === Lz;
+        const extended = typeof wasmModule.compute_delaunay_ex === 'function';
+        if (this.isPeriodic && (!this.isFullyPeriodic || (!extended && (!cubic || this.weights)))) {
+            return this._computeReplicated(wasmModule);
+        }
+        
+        const result = this._triangulate(wasmModule, this.points, this.boxSize, this.isPeriodic, this.weights);
+        // Shifts are all zero without periodicity
+        if (result && !this.isPeriodic) result.shifts = null;
+        if (result && this.isPeriodic && !result.shifts) {
+            // Builds without compute_delaunay_ex do not report image shifts: place the
+            // tetrahedra by the minimum image, and replicate only when that misplaces some
+            result.shifts = this._minimumImageShifts(result.tetrahedra);
+            if (!result.shifts) {
+                console.warn('Minimum-image placement does not fill the periodic box; triangulating periodic images instead');
+                return this._computeReplicated(wasmModule);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Image shifts of periodic tetrahedra placed by the minimum image around their first
+     * vertex, for builds that do not report shifts. Tetrahedra over half a period wide, which
+     * only small systems have, are misplaced this way; the placement is accepted only when
+     * the placed tetrahedra fill the box exactly.
+     * @private
+     * @param {Array} rawTetrahedra - Point indices per tetrahedron, as returned by WASM
+     * @returns {Array|null} Per tetrahedron four [sx, sy, sz] shifts, or null when misplaced
+     */
+    _minimumImageShifts(rawTetrahedra) {
+        const shifts = [];
+        let volume = 0;
+        for (const tet of rawTetrahedra) {
+            const indices = [tet[0], tet[1], tet[2], tet[3]];
+            if (indices.some(v => !(v >= 0 && v < this.numPoints))) return null;
+            
+            const p0 = this.pointsArray[indices[0]];
+            const tetShifts = indices.map(v => {
+                const p = this.pointsArray[v];
+                return [0, 1, 2].map(axis => this.periodicAxes[axis] ?
+                    -Math.round((p[axis] - p0[axis]) / this.boxSize[axis]) : 0);
+            });
+            const [q0, q1, q2, q3] = indices.map((v, k) => [0, 1, 2].map(axis =>
+                this.pointsArray[v][axis] + tetShifts[k][axis] * this.boxSize[axis]));
+            const u = [q1[0] - q0[0], q1[1] - q0[1], q1[2] - q0[2]];
+            const v = [q2[0] - q0[0], q2[1] - q0[1], q2[2] - q0[2]];
+            const w = [q3[0] - q0[0], q3[1] - q0[1], q3[2] - q0[2]];
+            volume += Math.abs(u[0] * (v[1] * w[2] - v[2] * w[1]) -
+                u[1] * (v[0] * w[2] - v[2] * w[0]) +
+                u[2] * (v[0] * w[1] - v[1] * w[0])) / 6;
+            shifts.push(tetShifts);
+        }
+        
+        const boxVolume = this.boxSize[0] * this.boxSize[1] * this.boxSize[2];
+        return Math.abs(volume - boxVolume) <= 1e-9 * boxVolume ? shifts : null;
+    }
+
+    /**
+     * Triangulate a flat coordinate array with whichever WASM binding is available
+     * @private
+     * @returns {Object|null} { tetrahedra, shifts }. Older builds do not report image shifts,
+     *          in which case shifts is null.
+     */
+    _triangulate(wasmModule, points, boxSize, periodic, weights = null) {
+        const numPoints = points.length / 3;
+        if (typeof wasmModule.compute_delaunay_ex === 'function') {
+            const options = { periodic, box: boxSize };
+            if (weights) {
+                options.weights = weights;
+            }
+            const result = wasmModule.compute_delaunay_ex(points, numPoints, options);
+            return result ? { tetrahedra: result.tetrahedra, shifts: result.shifts || null } : null;
+        }
+        
+        if (weights) {
+            // Older builds cannot weight points; callers replicate periodic boxes beforehand
+            if (periodic) {
+                throw new Error('This WASM build does not support periodic weights; rebuild with build.sh');
+            }
+            return { tetrahedra: computeRegularTriangulation(points, weights), shifts: null };
+        }
+        
+        // Older builds only expose compute_delaunay, which assumes the unit cube
+        const [Lx, Ly, Lz] = boxSize;
+        if (Lx === 1 && Ly === 1 && Lz === 1) {
+            return { tetrahedra: wasmModule.compute_delaunay(points, numPoints, periodic), shifts: null };
+        }
+        
+        // A cubic box can still be handled by scaling, since the triangulation is scale invariant.
+        // Without periodicity the box does not matter, so any box is scaled uniformly into the
+        // unit cube (scaling each axis separately would change the triangulation).
+        if ((Lx === Ly && Ly === Lz) || !periodic) {
+            const scale = 1 / Math.max(Lx, Ly, Lz);
+            const scaled = points.map(v => v * scale);
+            return { tetrahedra: wasmModule.compute_delaunay(scaled, numPoints, periodic), shifts: null };
+        }
+        
+        throw new Error('This WASM build only supports cubic periodic boxes; rebuild with build.sh to use box size ' +
+            `[${boxSize.join(', ')}]`);
+    }
+
+    /**
+     * Triangulate with periodicity along some axes only, or along all three when WASM does
+     * not report image shifts and the minimum image misplaces some tetrahedra.
+     *
+     * Geogram's periodic mode wraps all three axes, so the points are instead replicated
+     * once on each side along the periodic axes and triangulated without periodicity.
+     * Each periodic tetrahedron then appears once per translation; we keep the copy whose
+     * lowest vertex (by point index, then image shift) lies in the original box. The image
+     * shifts of its vertices are known exactly.
+     * @private
+     */
+    _computeReplicated(wasmModule) {
+        const periodicAxes = this.periodicAxes;
+        const boxSize = this.boxSize;
+        
+        // Image shifts: -1, 0, +1 along periodic axes, 0 along walled axes
+        const shifts = [[0, 0, 0]];
+        for (let axis = 0; axis < 3; axis++) {
+            if (!periodicAxes[axis]) continue;
+            const count = shifts.length;
+            for (let s = 0; s < count; s++) {
+                for (const delta of [-1, 1]) {
+                    const shift = [...shifts[s]];
+                    shift[axis] = delta;
+                    shifts.push(shift);
+                }
+            }
+        }
+        
+        // The replicated region spans 3L along periodic axes; translate it to start at the
+        // origin and scale it uniformly into [0,1) so any binding can triangulate it
+        const extent = boxSize.map((L, axis) => periodicAxes[axis] ? 3 * L : L);
+        const scale = 1 / (Math.max(...extent) * (1 + 1e-9));
+        const numImages = shifts.length;
+        const replicated = new Float64Array(this.numPoints * numImages * 3);
+        // Weights are squared lengths, so they scale with scale^2
+        const replicatedWeights = this.weights ? new Float64Array(this.numPoints * numImages) : null;
+        for (let s = 0; s < numImages; s++) {
+            for (let i = 0; i < this.numPoints; i++) {
+                const dst = (s * this.numPoints + i) * 3;
+                for (let axis = 0; axis < 3; axis++) {
+                    const offset = periodicAxes[axis] ? (shifts[s][axis] + 1) * boxSize[axis] : 0;
+                    replicated[dst + axis] = (this.points[i * 3 + axis] + offset) * scale;
+                }
+                if (replicatedWeights) {
+                    replicatedWeights[s * this.numPoints + i] = this.weights[i] * scale * scale;
+                }
+            }
+        }
+        
+        console.log(`Mixed periodicity: triangulating ${numImages} images of ${this.numPoints} points`);
+        const triangulation = this._triangulate(wasmModule, replicated, [1, 1, 1], false, replicatedWeights);
+        if (!triangulation) return triangulation;
+        const rawResult = triangulation.tetrahedra;
+        
+        // Geogram keeps one of two coincident points, not necessarily the same one in every
+        // image; credit every copy to the first so the other is consistently left out
+        const representative = this._coincidentRepresentatives();
+        
+        const maxWeight = this.weights ? this.weights.reduce((max, w) => Math.max(max, w), 0) : 0;
+        const unique = new Set();
+        const result = [];
+        const resultShifts = [];
+        for (const tet of rawResult) {
+            const vertices = [tet[0], tet[1], tet[2], tet[3]].map(v => ({
+                index: representative[v % this.numPoints],
+                shift: shifts[Math.floor(v / this.numPoints)]
+            }));
+            
+            // Canonical vertex: smallest point index, ties broken by shift. Translating the
+            // tetrahedron moves every shift equally, so exactly one copy has it unshifted.
+            let lowest = vertices[0];
+            for (const v of vertices) {
+                if (v.index < lowest.index ||
+                    (v.index === lowest.index && this._compareShifts(v.shift, lowest.shift) < 0)) {
+                    lowest = v;
+                }
+            }
+            if (lowest.shift[0] !== 0 || lowest.shift[1] !== 0 || lowest.shift[2] !== 0) continue;
+            
+            // Tetrahedra near the outer hull of the tiling are artifacts of its finite size
+            if (!this._isInsideReplica(vertices, maxWeight)) continue;
+            
+            // The image shifts are known exactly here, so copies that share the same points
+            // through different images (small systems) stay distinct
+            const key = vertices.map(v => `${v.index}:${v.shift.join(',')}`).sort().join('|');
+            if (unique.has(key)) continue;
+            unique.add(key);
+            result.push(vertices.map(v => v.index));
+            resultShifts.push(vertices.map(v => v.shift.map((t, axis) => t - vertices[0].shift[axis])));
+        }
+        
+        return { tetrahedra: result, shifts: resultShifts };
+    }
+
+    /**
+     * Whether a tetrahedron of the replicated points is also Delaunay in the infinite periodic
+     * tiling: its circumsphere (power sphere when weighted) lies within the replicated images,
+     * [-L, 2L) along periodic axes, so no point left out of the replication can fall inside it.
+     * Near-flat tetrahedra, whose circumcenter is unreliable, are kept when they span less
+     * than half a period.
+     * @private
+     * @param {Array<Object>} vertices - Four { index, shift }
+     * @param {number} maxWeight - Largest point weight: a weighted point is inside the power
+     *        sphere up to sqrt(R^2 + w) from its center
+     */
+    _isInsideReplica(vertices, maxWeight = 0) {
+        const positions = vertices.map(v => [0, 1, 2].map(axis =>
+            this.points[v.index * 3 + axis] + v.shift[axis] * this.boxSize[axis]));
+        const weights = this.weights ? vertices.map(v => this.weights[v.index]) : null;
+        const center = this._circumcenter(positions[0], positions[1], positions[2], positions[3], weights);
+        
+        for (let axis = 0; axis < 3; axis++) {
+            if (!this.periodicAxes[axis]) continue;
+            const L = this.boxSize[axis];
+            if (!center) {
+                const coords = positions.map(p => p[axis]);
+                if (Math.max(...coords) - Math.min(...coords) > L / 2) return false;
+                continue;
+            }
+            const radiusSq = this._distanceSq(center, positions[0]) - (weights ? weights[0] : 0);
+            const radius = Math.sqrt(Math.max(0, radiusSq + maxWeight));
+            if (center[axis] - radius < -L || center[axis] + radius > 2 * L) return false;
+        }
+        return true;
+    }
+
+    /**
+     * For each point, the first point at exactly the same position (with the same weight).
+     * Geogram keeps only one of coincident points, and not always the first.
+     * @private
+     * @returns {Uint32Array} Representative point index per point
+     */
+    _coincidentRepresentatives() {
+        const representative = new Uint32Array(this.numPoints);
+        const firstAt = new Map();
+        for (let i = 0; i < this.numPoints; i++) {
+            const p = this.pointsArray[i];
+            const key = `${p[0]},${p[1]},${p[2]},${this.weights ? this.weights[i] : 0}`;
+            if (!firstAt.has(key)) firstAt.set(key, i);
+            representative[i] = firstAt.get(key);
+        }
+        return representative;
+    }
+
+    /**
+     * Lexicographic comparison of image shifts
+     * @private
+     */
+    _compareShifts(a, b) {
+        for (let axis = 0; axis < 3; axis++) {
+            if (a[axis] !== b[axis]) return a[axis] - b[axis];
+        }
+        return 0;
+    }
+
+    /**
+     * Human-readable description of the boundary conditions
      * @private
      */
-    _filterTetrahedra(rawResult) {
+    _describePeriodicity() {
+        if (this.isFullyPeriodic) return 'periodic';
+        if (!this.isPeriodic) return 'non-periodic';
+        const axes = ['x', 'y', 'z'].filter((_, axis) => this.periodicAxes[axis]).join('');
+        return `periodic in ${axes}`;
+    }
+
+    /**
+     * Filter out tetrahedra with invalid vertex indices and repeated tetrahedra, keeping the
+     * image shifts of the remaining ones in this.tetrahedronShifts. What was removed is
+     * recorded for validate(). Of coincident points, only the first appears in the result.
+     * @private
+     */
+    _filterTetrahedra(rawResult, rawShifts = null) {
         const filtered = [];
+        const filteredShifts = rawShifts ? [] : null;
+        const seen = new Set();
+        // The first of coincident points is the one that keeps a cell
+        const representative = this._coincidentRepresentatives();
+        this._droppedTetrahedra = [];
+        this._duplicateTetrahedra = [];
         let invalidCount = 0;
         
-        for (const tet of rawResult) {
+        for (let t = 0; t < rawResult.length; t++) {
+            const tet = rawResult[t];
             // Check if all vertex indices are valid (non-negative and within bounds)
             const v0 = tet[0];
             const v1 = tet[1];
@@ -128,9 +1210,26 @@ export class DelaunayComputation {
                 v1 >= 0 && v1 < this.numPoints &&
                 v2 >= 0 && v2 < this.numPoints &&
                 v3 >= 0 && v3 < this.numPoints) {
+                const shift = rawShifts ? rawShifts[t] : null;
+                const shifts = shift ? [0, 1, 2, 3].map(k => [shift[k][0], shift[k][1], shift[k][2]]) : null;
+                const indices = [v0, v1, v2, v3].map(v => representative[v]);
+                
+                // The same tetrahedron twice (same points through the same images)
+                const key = [0, 1, 2, 3]
+                    .map(k => shifts ? `${indices[k]}:${shifts[k].join(',')}` : `${indices[k]}`)
+                    .sort()
+                    .join('|');
+                if (seen.has(key)) {
+                    this._duplicateTetrahedra.push({ indices: [v0, v1, v2, v3], reason: 'duplicate' });
+                    continue;
+                }
+                seen.add(key);
+                
                 // Convert to nested array format
-                filtered.push([v0, v1, v2, v3]);
+                filtered.push(indices);
+                if (filteredShifts) filteredShifts.push(shifts);
             } else {
+                this._droppedTetrahedra.push({ indices: [v0, v1, v2, v3], reason: 'invalid point index' });
                 invalidCount++;
             }
         }
@@ -138,7 +1237,11 @@ export class DelaunayComputation {
         if (invalidCount > 0) {
             console.log(`Filtered out ${invalidCount} tetrahedra with invalid vertex indices`);
         }
+        if (this._duplicateTetrahedra.length > 0) {
+            console.log(`Filtered out ${this._duplicateTetrahedra.length} duplicate tetrahedra`);
+        }
         
+        this.tetrahedronShifts = filteredShifts;
         return filtered;
     }
 
@@ -153,55 +1256,221 @@ export class DelaunayComputation {
 
         // 1. Calculate the barycenter for each valid tetrahedron
         this.barycenters = [];
+        this._localCenters = [];
         for (let i = 0; i < this.tetrahedra.length; i++) {
-            const tetraIndices = this.tetrahedra[i];
-            const p0 = this.pointsArray[tetraIndices[0]];
-            const p1 = this.pointsArray[tetraIndices[1]];
-            const p2 = this.pointsArray[tetraIndices[2]];
-            const p3 = this.pointsArray[tetraIndices[3]];
+            const { center, local } = this._computeVoronoiVertex(i);
+            this.barycenters.push(center);
+            this._localCenters.push(local);
+        }
 
-            // For periodic mode, we need to handle wrap-around when computing barycenters
-            if (this.isPeriodic) {
-                // Use the first point as reference
-                const ref = p0;
-                
-                // Adjust other points to be in the same periodic image
-                const adjustPoint = (p) => {
-                    const adjusted = [...p];
-                    for (let dim = 0; dim < 3; dim++) {
-                        const diff = p[dim] - ref[dim];
-                        if (diff > 0.5) adjusted[dim] -= 1.0;
-                        else if (diff < -0.5) adjusted[dim] += 1.0;
-                    }
-                    return adjusted;
-                };
-                
-                const p1adj = adjustPoint(p1);
-                const p2adj = adjustPoint(p2);
-                const p3adj = adjustPoint(p3);
-                
-                let centerX = (ref[0] + p1adj[0] + p2adj[0] + p3adj[0]) / 4;
-                let centerY = (ref[1] + p1adj[1] + p2adj[1] + p3adj[1]) / 4;
-                let centerZ = (ref[2] + p1adj[2] + p2adj[2] + p3adj[2]) / 4;
-                
-                // Wrap the center back into [0,1]
-                while (centerX < 0) centerX += 1.0;
-                while (centerX >= 1) centerX -= 1.0;
-                while (centerY < 0) centerY += 1.0;
-                while (centerY >= 1) centerY -= 1.0;
-                while (centerZ < 0) centerZ += 1.0;
-                while (centerZ >= 1) centerZ -= 1.0;
-                
-                this.barycenters.push([centerX, centerY, centerZ]);
+        this._buildVoronoiEdges();
+    }
+
+    /**
+     * Compute Voronoi diagram using tetrahedra circumcenters (exact Voronoi vertices)
+     * @private
+     */
+    _computeVoronoiCircumcentric() {
+        if (this.tetrahedra.length === 0) return;
+
+        console.log(`Computing Voronoi diagram using ${this.weights ? 'power centers' : 'circumcenters'}...`);
+
+        // 1. Calculate the circumcenter (power center when weighted) for each valid tetrahedron
+        this.barycenters = [];
+        this._localCenters = [];
+        this.degenerateTetrahedra = [];
+        for (let i = 0; i < this.tetrahedra.length; i++) {
+            const { center, local, degenerate } = this._computeVoronoiVertex(i);
+            if (degenerate) this.degenerateTetrahedra.push(i);
+            this.barycenters.push(center);
+            this._localCenters.push(local);
+        }
+
+        if (this.degenerateTetrahedra.length > 0) {
+            console.warn(`${this.degenerateTetrahedra.length} near-degenerate tetrahedra fell back to barycenters`);
+        }
+
+        this._buildVoronoiEdges();
+    }
+
+    /**
+     * Voronoi vertex of one tetrahedron in the current mode, wrapped into the box, and
+     * unwrapped in the image frame of the tetrahedron's first vertex.
+     * In circumcenter mode, near-flat tetrahedra fall back to their barycenter and are
+     * reported as degenerate.
+     * @private
+     * @returns {Object} { center: [x, y, z], local: [x, y, z], degenerate: boolean }
+     */
+    _computeVoronoiVertex(tetIndex) {
+        const tet = this.tetrahedra[tetIndex];
+        const [p0, p1, p2, p3] = this._getTetrahedronVertices(tetIndex);
+        
+        let center = null;
+        if (this.config.voronoiMode !== 'barycentric') {
+            const tetWeights = this.weights ? tet.map(v => this.weights[v]) : null;
+            center = this._circumcenter(p0, p1, p2, p3, tetWeights);
+        }
+        // Near-flat tetrahedron: the circumcenter is numerically meaningless
+        const degenerate = this.config.voronoiMode !== 'barycentric' && !center;
+        
+        if (!center) {
+            center = [
+                (p0[0] + p1[0] + p2[0] + p3[0]) / 4,
+                (p0[1] + p1[1] + p2[1] + p3[1]) / 4,
+                (p0[2] + p1[2] + p2[2] + p3[2]) / 4
+            ];
+        }
+        
+        return { center: this.isPeriodic ? this._wrapPoint(center) : center, local: center, degenerate };
+    }
+
+    /**
+     * Get the four vertices of a tetrahedron, brought into the same periodic
+     * image as the first vertex in periodic mode
+     * @private
+     */
+    _getTetrahedronVertices(tetIndex) {
+        const tet = this.tetrahedra[tetIndex];
+        const p0 = this.pointsArray[tet[0]];
+        const vertices = [p0];
+        for (let k = 1; k < 4; k++) {
+            const p = this.pointsArray[tet[k]];
+            if (!this.isPeriodic) {
+                vertices.push(p);
+            } else if (this.tetrahedronShifts) {
+                const shift = this.tetrahedronShifts[tetIndex][k];
+                vertices.push([0, 1, 2].map(axis => p[axis] + shift[axis] * this.boxSize[axis]));
             } else {
-                // Non-periodic case - simple average
-                const centerX = (p0[0] + p1[0] + p2[0] + p3[0]) / 4;
-                const centerY = (p0[1] + p1[1] + p2[1] + p3[1]) / 4;
-                const centerZ = (p0[2] + p1[2] + p2[2] + p3[2]) / 4;
-                this.barycenters.push([centerX, centerY, centerZ]);
+                vertices.push(this._minimumImage(p0, p));
             }
         }
+        return vertices;
+    }
+
+    /**
+     * Voronoi vertex of tetrahedron t in the periodic image around its k-th vertex, so that
+     * the vertices of a cell are contiguous around their generator. Exact when WASM reports
+     * image shifts, otherwise the minimum image of the wrapped vertex.
+     * @private
+     */
+    _voronoiVertexAround(t, k) {
+        if (!this.isPeriodic) return this.barycenters[t];
+        if (!this.tetrahedronShifts) {
+            return this._minimumImage(this.pointsArray[this.tetrahedra[t][k]], this.barycenters[t]);
+        }
+        const local = this._localCenters[t];
+        const shift = this.tetrahedronShifts[t][k];
+        return [0, 1, 2].map(axis => local[axis] - shift[axis] * this.boxSize[axis]);
+    }
+
+    /**
+     * End of the Voronoi edge from tetrahedron t to u, in the image adjacent to the (wrapped)
+     * Voronoi vertex of t. Both Voronoi vertices are taken around a shared generator.
+     * @private
+     */
+    _voronoiEdgeEndImage(t, u) {
+        const tet = this.tetrahedra[t];
+        const other = this.tetrahedra[u];
+        const shared = tet.find(v => other.includes(v));
+        const from = this._voronoiVertexAround(t, tet.indexOf(shared));
+        const to = this._voronoiVertexAround(u, other.indexOf(shared));
+        const start = this.barycenters[t];
+        return [0, 1, 2].map(axis => start[axis] + to[axis] - from[axis]);
+    }
+
+    /**
+     * Get the four vertices of tetrahedron t as positions in one consistent periodic image
+     * (exact when WASM reports image shifts)
+     * @param {number} t - Tetrahedron index
+     * @returns {Array<Array<number>>} Four [x, y, z] positions
+     */
+    getTetrahedronVertices(t) {
+        if (!Number.isInteger(t) || t < 0 || t >= this.tetrahedra.length) {
+            throw new Error(`Invalid tetrahedron index ${t}: expected 0 to ${this.tetrahedra.length - 1}`);
+        }
+        return this._getTetrahedronVertices(t);
+    }
+
+    /**
+     * Circumcenter of a tetrahedron, or null if it is too flat to be reliable.
+     * With weights [w0, w1, w2, w3] this is the power center: the point with equal
+     * power distance |x - p|^2 - w to all four vertices.
+     * @private
+     */
+    _circumcenter(p0, p1, p2, p3, weights = null) {
+        const ux = p1[0] - p0[0], uy = p1[1] - p0[1], uz = p1[2] - p0[2];
+        const vx = p2[0] - p0[0], vy = p2[1] - p0[1], vz = p2[2] - p0[2];
+        const wx = p3[0] - p0[0], wy = p3[1] - p0[1], wz = p3[2] - p0[2];
+
+        // Cross products v×w, w×u, u×v
+        const vwx = vy * wz - vz * wy, vwy = vz * wx - vx * wz, vwz = vx * wy - vy * wx;
+        const wux = wy * uz - wz * uy, wuy = wz * ux - wx * uz, wuz = wx * uy - wy * ux;
+        const uvx = uy * vz - uz * vy, uvy = uz * vx - ux * vz, uvz = ux * vy - uy * vx;
+
+        const det = ux * vwx + uy * vwy + uz * vwz;
+
+        const uLenSq = ux * ux + uy * uy + uz * uz;
+        const vLenSq = vx * vx + vy * vy + vz * vz;
+        const wLenSq = wx * wx + wy * wy + wz * wz;
+
+        // Scale-invariant flatness test: det relative to the product of edge lengths
+        const scale = Math.sqrt(uLenSq * vLenSq * wLenSq);
+        if (scale === 0 || Math.abs(det) < this.config.degenerateTolerance * scale) {
+            return null;
+        }
+
+        // Right-hand sides of 2 u·c = |u|^2 - (w1 - w0) etc., relative to p0
+        let a = uLenSq, b = vLenSq, c = wLenSq;
+        if (weights) {
+            a -= weights[1] - weights[0];
+            b -= weights[2] - weights[0];
+            c -= weights[3] - weights[0];
+        }
+
+        const inv = 1 / (2 * det);
+        return [
+            p0[0] + (a * vwx + b * wux + c * uvx) * inv,
+            p0[1] + (a * vwy + b * wuy + c * uvy) * inv,
+            p0[2] + (a * vwz + b * wuz + c * uvz) * inv
+        ];
+    }
+
+    /**
+     * Bring p into the periodic image closest to reference
+     * @private
+     */
+    _minimumImage(reference, p) {
+        const corrected = [p[0], p[1], p[2]];
+        for (let dim = 0; dim < 3; dim++) {
+            if (!this.periodicAxes[dim]) continue;
+            const L = this.boxSize[dim];
+            const diff = p[dim] - reference[dim];
+            if (diff > L / 2) corrected[dim] -= L;
+            else if (diff < -L / 2) corrected[dim] += L;
+        }
+        return corrected;
+    }
 
+    /**
+     * Wrap a point back into the periodic box [0,L)
+     * @private
+     */
+    _wrapPoint(p) {
+        const wrapped = [p[0], p[1], p[2]];
+        for (let dim = 0; dim < 3; dim++) {
+            if (!this.periodicAxes[dim]) continue;
+            const L = this.boxSize[dim];
+            wrapped[dim] -= Math.floor(wrapped[dim] / L) * L;
+            if (wrapped[dim] >= L) wrapped[dim] = 0;
+        }
+        return wrapped;
+    }
+
+    /**
+     * Build Voronoi edges by connecting the Voronoi vertices of adjacent tetrahedra
+     * @private
+     */
+    _buildVoronoiEdges() {
         // 2. Build face-to-tetra adjacency map
         const faceToTetraMap = new Map();
         for (let i = 0; i < this.tetrahedra.length; i++) {
@@ -216,7 +1485,7 @@ export class DelaunayComputation {
             
             faces.forEach(face => {
                 // Create a canonical key for the face
-                const key = face.slice().sort((a, b) => a - b).join('-');
+                const key = this._triangleKey(face[0], face[1], face[2]);
                 if (!faceToTetraMap.has(key)) {
                     faceToTetraMap.set(key, []);
                 }
@@ -228,85 +1497,314 @@ export class DelaunayComputation {
         this.voronoiEdges = [];
         const edgeSet = new Set(); // To avoid duplicates
         
-        for (const [faceKey, tetraIndices] of faceToTetraMap.entries()) {
+        for (const tetraIndices of faceToTetraMap.values()) {
             if (tetraIndices.length === 2) {
                 // This face is shared by exactly 2 tetrahedra
                 const idx1 = tetraIndices[0];
                 const idx2 = tetraIndices[1];
                 
                 // Create edge key to avoid duplicates
-                const edgeKey = idx1 < idx2 ? `${idx1}-${idx2}` : `${idx2}-${idx1}`;
+                const edgeKey = idx1 < idx2 ?
+                    idx1 * this.tetrahedra.length + idx2 :
+                    idx2 * this.tetrahedra.length + idx1;
                 if (!edgeSet.has(edgeKey)) {
                     edgeSet.add(edgeKey);
-                    const center1 = this.barycenters[idx1];
-                    const center2 = this.barycenters[idx2];
                     this.voronoiEdges.push({
-                        start: center1,
-                        end: center2,
-                        tetraIndices: [idx1, idx2],
-                        isPeriodic: this._isPeriodicEdge(center1, center2)
+                        ...this._voronoiEdgeGeometry(idx1, idx2),
+                        tetraIndices: [idx1, idx2]
                     });
                 }
             }
         }
         
-        console.log(`Computed ${this.voronoiEdges.length} Voronoi edges.`);
-        
-        // ACUTENESS ANALYSIS: Log data structure exploration
-        console.log('=== ACUTENESS ANALYSIS DATA STRUCTURE EXPLORATION ===');
-        console.log('Available data structures:');
-        console.log('- getPoints():', this.getPoints());
-        console.log('- getVertices():', this.getVertices());
-        console.log('- getCells():', this.getCells());
-        console.log('- getFaces():', this.getFaces());
-        console.log('- getDelaunayTetrahedra():', this.getDelaunayTetrahedra());
-        console.log('- First 3 tetrahedra:', this.tetrahedra.slice(0, 3));
-        console.log('- First 3 barycenters:', this.barycenters.slice(0, 3));
-        console.log('- First 3 voronoi edges:', this.voronoiEdges.slice(0, 3));
-        console.log('==================================================');
+        console.log(`Computed ${this.voronoiEdges.length} Voronoi edges.`);
+        
+        // ACUTENESS ANALYSIS: Log data structure exploration
+        console.log('=== ACUTENESS ANALYSIS DATA STRUCTURE EXPLORATION ===');
+        console.log('Available data structures:');
+        console.log('- getPoints():', this.getPoints());
+        console.log('- getVertices():', this.getVertices());
+        console.log('- getCells():', this.getCells());
+        console.log('- getFaces():', this.getFaces());
+        console.log('- getDelaunayTetrahedra():', this.getDelaunayTetrahedra());
+        console.log('- First 3 tetrahedra:', this.tetrahedra.slice(0, 3));
+        console.log('- First 3 barycenters:', this.barycenters.slice(0, 3));
+        console.log('- First 3 voronoi edges:', this.voronoiEdges.slice(0, 3));
+        console.log('==================================================');
+    }
+
+    /**
+     * Endpoints of the Voronoi edge between tetrahedra t and u. With exact image shifts the
+     * edge also gets endImage, the end in the image adjacent to start, and crosses a periodic
+     * boundary exactly when that differs from end.
+     * @private
+     */
+    _voronoiEdgeGeometry(t, u) {
+        const start = this.barycenters[t];
+        const end = this.barycenters[u];
+        if (!this.isPeriodic || !this.tetrahedronShifts) {
+            return { start, end, isPeriodic: this._isPeriodicEdge(start, end) };
+        }
+        
+        const endImage = this._voronoiEdgeEndImage(t, u);
+        const isPeriodic = [0, 1, 2].some(axis => Math.abs(endImage[axis] - end[axis]) > this.boxSize[axis] / 2);
+        return { start, end, endImage, isPeriodic };
+    }
+
+    /**
+     * Check if an edge crosses periodic boundaries
+     * @private
+     */
+    _isPeriodicEdge(p1, p2) {
+        if (!this.isPeriodic) return false;
+        
+        // If any periodic dimension has a distance > L/2, it crosses the periodic boundary
+        for (let dim = 0; dim < 3; dim++) {
+            if (this.periodicAxes[dim] && Math.abs(p1[dim] - p2[dim]) > this.boxSize[dim] / 2) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the minimum image distance between two points in periodic space
+     */
+    getPeriodicDistance(p1, p2) {
+        if (!this.isPeriodic) {
+            const dx = p2[0] - p1[0];
+            const dy = p2[1] - p1[1];
+            const dz = p2[2] - p1[2];
+            return Math.sqrt(dx*dx + dy*dy + dz*dz);
+        }
+        
+        // Apply periodic boundary conditions on the periodic axes
+        const corrected = this._minimumImage(p1, p2);
+        const dx = corrected[0] - p1[0];
+        const dy = corrected[1] - p1[1];
+        const dz = corrected[2] - p1[2];
+        
+        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+
+    /**
+     * Get the power distance |x - p_i|^2 - w_i from a position to generator i.
+     * Without weights this is the squared (minimum image) distance.
+     */
+    getPowerDistance(x, pointIndex) {
+        const d = this.getPeriodicDistance(x, this.pointsArray[pointIndex]);
+        return d * d - (this.weights ? this.weights[pointIndex] : 0);
+    }
+
+    /**
+     * Get the per-point weights, or null for an unweighted diagram
+     */
+    getWeights() {
+        return this.weights;
+    }
+
+    /**
+     * Find the generator whose (power) cell contains a position. Periodic axes wrap; outside
+     * the box on a walled axis, or outside the convex domain, there is no cell.
+     * @param {Array<number>} position - [x, y, z]
+     * @returns {number} Point index, or -1 when the position lies outside the domain
+     */
+    locateCell(position) {
+        if (!this.isInsideDomain(position)) return -1;
+        const p = this.isPeriodic ? this._wrapPoint(position) : position;
+        const nearest = this._getSpatialIndex().nearest(p, 1)[0];
+        if (!nearest) return -1;
+        if (!this.weights) return nearest.index;
+        
+        // Power cells need not contain their generator. Walking to any neighbour with a lower
+        // power distance ends in the cell containing p: if p were outside the current cell,
+        // the neighbour across the separating face would be closer.
+        const { offsets, indices } = this.getNeighborGraph();
+        let current = nearest.index;
+        if (offsets[current] === offsets[current + 1]) {
+            // Hidden point (empty cell) or nothing computed yet: compare against every point
+            let best = Infinity;
+            for (let i = 0; i < this.numPoints; i++) {
+                const d = this.getPowerDistance(p, i);
+                if (d < best) {
+                    best = d;
+                    current = i;
+                }
+            }
+            return current;
+        }
+        
+        let best = this.getPowerDistance(p, current);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (let k = offsets[current]; k < offsets[current + 1]; k++) {
+                const d = this.getPowerDistance(p, indices[k]);
+                if (d < best) {
+                    best = d;
+                    current = indices[k];
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Find the Delaunay tetrahedron containing a position, by walking from a tetrahedron at the
+     * nearest generator towards the position.
+     * @param {Array<number>} position - [x, y, z]
+     * @returns {Object|null} { tetrahedron, indices, vertices, position, barycentric }: the corners
+     *          in one periodic image, the image of the query position among them, and its four
+     *          barycentric weights (summing to 1). Null outside the convex hull (walled axes only).
+     */
+    locateTetrahedron(position) {
+        if (this.tetrahedra.length === 0) {
+            throw new Error('compute() must be called before locating tetrahedra');
+        }
+        
+        // The hull lies inside the domain
+        if (!this.isInsideDomain(position)) return null;
+        
+        const p = this.isPeriodic ? this._wrapPoint(position) : position;
+        const tolerance = 1e-10;
+        const { neighbors, firstTetrahedron } = this._getTetrahedronAdjacency();
+        const nearest = this._getSpatialIndex().nearest(p, 1)[0];
+        let t = nearest && firstTetrahedron[nearest.index] >= 0 ? firstTetrahedron[nearest.index] : 0;
+        
+        const visited = new Set();
+        while (!visited.has(t)) {
+            visited.add(t);
+            const located = this._barycentricCoordinates(t, p);
+            if (!located) break;
+            
+            // Step out through the face opposite the most negative weight
+            let exit = -1;
+            let worst = -tolerance;
+            located.barycentric.forEach((lambda, k) => {
+                if (lambda < worst) {
+                    worst = lambda;
+                    exit = k;
+                }
+            });
+            if (exit < 0) return located;
+            
+            const next = neighbors[4 * t + exit];
+            if (next < 0) {
+                if (!this.isPeriodic) return null;
+                // Left through a wall face, or the adjacency was ambiguous
+                break;
+            }
+            t = next;
+        }
+        
+        // The walk hit a flat tetrahedron or looped: test every tetrahedron
+        let best = null;
+        let bestMin = -Infinity;
+        for (let u = 0; u < this.tetrahedra.length; u++) {
+            const located = this._barycentricCoordinates(u, p);
+            if (!located) continue;
+            const min = Math.min(...located.barycentric);
+            if (min > bestMin) {
+                bestMin = min;
+                best = located;
+            }
+        }
+        return bestMin >= -tolerance ? best : null;
     }
 
     /**
-     * Check if an edge crosses periodic boundaries
+     * The k generators nearest to a position (minimum image distance on periodic axes)
+     * @param {Array<number>} position - [x, y, z]
+     * @param {number} k - Number of generators to return
+     * @returns {Array<Object>} [{ index, distance }], nearest first
+     */
+    kNearest(position, k) {
+        if (!Number.isInteger(k) || k < 0) {
+            throw new Error(`Invalid k ${k}: expected a non-negative integer`);
+        }
+        return this._getSpatialIndex().nearest(position, k);
+    }
+
+    /**
+     * All generators within a distance of a position (minimum image distance on periodic axes).
+     * Each generator is listed once, even when the radius exceeds half a period.
+     * @param {Array<number>} position - [x, y, z]
+     * @param {number} radius - Search radius
+     * @returns {Array<Object>} [{ index, distance }], nearest first
+     */
+    withinRadius(position, radius) {
+        if (!(radius >= 0) || !Number.isFinite(radius)) {
+            throw new Error(`Invalid radius ${radius}: expected a finite non-negative number`);
+        }
+        return this._getSpatialIndex().within(position, radius);
+    }
+
+    /**
+     * Bucket grid over the generators - CACHED
      * @private
      */
-    _isPeriodicEdge(p1, p2) {
-        if (!this.isPeriodic) return false;
-        
-        const dx = Math.abs(p1[0] - p2[0]);
-        const dy = Math.abs(p1[1] - p2[1]);
-        const dz = Math.abs(p1[2] - p2[2]);
-        
-        // If any dimension has a distance > 0.5, it crosses the periodic boundary
-        return dx > 0.5 || dy > 0.5 || dz > 0.5;
+    _getSpatialIndex() {
+        if (!this._spatialIndexCache) {
+            this._spatialIndexCache = new SpatialGrid(this.pointsArray, this.boxSize, this.periodicAxes);
+        }
+        return this._spatialIndexCache;
     }
 
     /**
-     * Get the minimum image distance between two points in periodic space
+     * Tetrahedron adjacency - CACHED
+     * @private
+     * @returns {Object} { neighbors: Int32Array(4 * T), the tetrahedron across the face opposite
+     *          vertex k of t at 4 * t + k (-1 on the hull or when ambiguous in tiny periodic
+     *          systems), firstTetrahedron: Int32Array(n), a tetrahedron at each point or -1 }
      */
-    getPeriodicDistance(p1, p2) {
-        if (!this.isPeriodic) {
-            const dx = p2[0] - p1[0];
-            const dy = p2[1] - p1[1];
-            const dz = p2[2] - p1[2];
-            return Math.sqrt(dx*dx + dy*dy + dz*dz);
+    _getTetrahedronAdjacency() {
+        if (this._tetrahedronAdjacencyCache) {
+            return this._tetrahedronAdjacencyCache;
         }
         
-        let dx = p2[0] - p1[0];
-        let dy = p2[1] - p1[1];
-        let dz = p2[2] - p1[2];
+        const neighbors = new Int32Array(4 * this.tetrahedra.length).fill(-1);
+        const firstTetrahedron = new Int32Array(this.numPoints).fill(-1);
+        this.tetrahedra.forEach((tet, t) => {
+            for (const v of tet) {
+                if (firstTetrahedron[v] < 0) firstTetrahedron[v] = t;
+            }
+        });
         
-        // Apply periodic boundary conditions
-        if (dx > 0.5) dx -= 1.0;
-        else if (dx < -0.5) dx += 1.0;
+        for (const edge of this.voronoiEdges) {
+            const [t, u] = edge.tetraIndices;
+            const tet = this.tetrahedra[t];
+            const other = this.tetrahedra[u];
+            const ownOnly = tet.filter(v => !other.includes(v));
+            const otherOnly = other.filter(v => !tet.includes(v));
+            if (ownOnly.length !== 1 || otherOnly.length !== 1) continue;
+            neighbors[4 * t + tet.indexOf(ownOnly[0])] = u;
+            neighbors[4 * u + other.indexOf(otherOnly[0])] = t;
+        }
         
-        if (dy > 0.5) dy -= 1.0;
-        else if (dy < -0.5) dy += 1.0;
+        this._tetrahedronAdjacencyCache = { neighbors, firstTetrahedron };
+        return this._tetrahedronAdjacencyCache;
+    }
+
+    /**
+     * Barycentric coordinates of p in tetrahedron t, with p taken at its image nearest the
+     * tetrahedron. Null for a flat tetrahedron.
+     * @private
+     */
+    _barycentricCoordinates(t, p) {
+        const vertices = this._getTetrahedronVertices(t);
+        const volume = this._signedVolume6(...vertices);
+        if (volume === 0 || !Number.isFinite(volume)) return null;
         
-        if (dz > 0.5) dz -= 1.0;
-        else if (dz < -0.5) dz += 1.0;
+        const centroid = [0, 1, 2].map(axis => (vertices[0][axis] + vertices[1][axis] + vertices[2][axis] + vertices[3][axis]) / 4);
+        const q = this.isPeriodic ? this._minimumImage(centroid, p) : p;
+        const barycentric = [0, 1, 2, 3].map(k => {
+            const replaced = vertices.map((v, j) => j === k ? q : v);
+            return this._signedVolume6(...replaced) / volume;
+        });
         
-        return Math.sqrt(dx*dx + dy*dy + dz*dz);
+        return { tetrahedron: t, indices: [...this.tetrahedra[t]], vertices, position: q, barycentric };
     }
 
     /**
@@ -317,7 +1815,12 @@ export class DelaunayComputation {
             numPoints: this.numPoints,
             numTetrahedra: this.tetrahedra.length,
             numVoronoiEdges: this.voronoiEdges.length,
-            isPeriodic: this.isPeriodic
+            isPeriodic: this.isPeriodic,
+            isWeighted: this.weights !== null,
+            periodicAxes: [...this.periodicAxes],
+            boxSize: [...this.boxSize],
+            voronoiMode: this.config.voronoiMode,
+            numDegenerateTetrahedra: this.degenerateTetrahedra.length
         };
     }
 
@@ -329,7 +1832,7 @@ export class DelaunayComputation {
     }
 
     /**
-     * Get the Voronoi vertices (barycenter of tetrahedra)
+     * Get the Voronoi vertices (one per tetrahedron: circumcenters, or barycenters in legacy mode)
      */
     getVertices() {
         return this.barycenters;
@@ -345,17 +1848,25 @@ export class DelaunayComputation {
         }
         
         const cells = new Map();
+        // Exact image shifts make every cell contiguous around its generator; otherwise
+        // only circumcenter mode moves vertices next to the generator
+        const useGeneratorFrame = this.isPeriodic &&
+            (this.tetrahedronShifts !== null || this.config.voronoiMode !== 'barycentric');
         
-        // Map each original vertex to the barycenters of tetrahedra that contain it
+        // Map each original vertex to the Voronoi vertices of tetrahedra that contain it
         this.tetrahedra.forEach((tet, index) => {
             const barycenter = this.barycenters[index];
             if (!barycenter) return;
 
-            tet.forEach(vertexIndex => {
+            tet.forEach((vertexIndex, k) => {
                 if (!cells.has(vertexIndex)) {
                     cells.set(vertexIndex, []);
                 }
-                cells.get(vertexIndex).push(barycenter);
+                // Express periodic cell vertices in the image around their generator
+                // so each cell is spatially contiguous
+                cells.get(vertexIndex).push(useGeneratorFrame ?
+                    this._voronoiVertexAround(index, k) :
+                    barycenter);
             });
         });
         
@@ -364,6 +1875,515 @@ export class DelaunayComputation {
         return cells;
     }
 
+    /**
+     * Get the cells clipped exactly against the domain - CACHED
+     *
+     * Each cell is built from the domain (the box on walled axes, plus the convex domain
+     * if one was given) cut by the bisector plane of every Delaunay neighbour, so boundary
+     * cells are bounded polyhedra instead of reaching out to far-away circumcenters.
+     * On periodic axes the cell is expressed around its generator and is not cut by walls.
+     *
+     * @returns {Array<Object|null>} Indexed by point: { generator, vertices, faces, touchesWall },
+     *          where each face is { vertices: [indices], neighbor, shift, wall, isWall } with
+     *          outward (counter-clockwise) vertex order. Null for generators outside the domain,
+     *          for empty (hidden) power cells and for points the triangulation left out, such as
+     *          the second of two coincident points (the first one's cell covers both).
+     */
+    getClippedCells() {
+        if (this._clippedCellsCache && !this._staleClippedCells) {
+            return this._clippedCellsCache;
+        }
+        
+        // After a local update only the stale cells are rebuilt
+        const cells = this._clippedCellsCache || new Array(this.numPoints).fill(null);
+        const toBuild = this._clippedCellsCache ? this._staleClippedCells : cells.keys();
+        
+        for (const i of toBuild) {
+            cells[i] = this._buildClippedCell(i);
+        }
+        
+        this._clippedCellsCache = cells;
+        this._staleClippedCells = null;
+        return cells;
+    }
+
+    /**
+     * Build the clipped cell of one generator
+     * @private
+     */
+    _buildClippedCell(i) {
+        this._cellsNeedingAllPoints.delete(i);
+        
+        // Geogram drops a point that coincides with another, leaving it without Delaunay
+        // neighbours; its cell would otherwise be the whole domain
+        const { offsets } = this.getNeighborGraph();
+        if (this.tetrahedra.length > 0 && offsets[i + 1] === offsets[i]) return null;
+        
+        const p = this.pointsArray[i];
+        const min = [0, 0, 0];
+        const max = [0, 0, 0];
+        const tags = [];
+        
+        for (let axis = 0; axis < 3; axis++) {
+            const L = this.boxSize[axis];
+            if (this.periodicAxes[axis]) {
+                // The cell never extends past the bisectors with its own images at +-L
+                min[axis] = p[axis] - L / 2;
+                max[axis] = p[axis] + L / 2;
+                const lower = [0, 0, 0];
+                const upper = [0, 0, 0];
+                lower[axis] = -1;
+                upper[axis] = 1;
+                tags.push({ neighbor: i, shift: lower }, { neighbor: i, shift: upper });
+            } else {
+                min[axis] = 0;
+                max[axis] = L;
+                tags.push({ wall: 2 * axis }, { wall: 2 * axis + 1 });
+            }
+        }
+        
+        let polyhedron = buildClippedCell(
+            p,
+            this.weights ? this.weights[i] : 0,
+            createBoxPolyhedron(min, max, tags),
+            this._getNeighborImages(i),
+            this.domain ? this.domain.planes : []
+        );
+        if (polyhedron && this.isPeriodic) {
+            polyhedron = this._completePeriodicCell(i, polyhedron);
+        }
+        if (!polyhedron) return null;
+        
+        const scale = Math.max(...this.boxSize);
+        const cell = indexPolyhedron(polyhedron, 1e-10 * scale);
+        cell.generator = i;
+        cell.touchesWall = cell.faces.some(face => face.isWall);
+        return cell;
+    }
+
+    /**
+     * Get the polyhedral topology of one cell.
+     *
+     * Faces are convex polygons whose vertex indices run counter-clockwise seen from outside
+     * the cell (outward normals by the right-hand rule). Each face names the cell across it:
+     * `neighbor` is that cell's index and `shift` the lattice image [sx, sy, sz] it sits in,
+     * so its generator is at points[neighbor] + shift * boxSize. The same face seen from the
+     * neighbour carries this cell's index and the opposite shift. Wall faces have
+     * neighbor -1, shift null, isWall true and the wall index.
+     *
+     * @param {number} index - Generator index
+     * @returns {Object|null} { generator, vertices, faces, touchesWall }, or null for an empty cell
+     */
+    getCellPolyhedron(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.numPoints) {
+            throw new Error(`Cell index ${index} out of range [0, ${this.numPoints})`);
+        }
+        return this.getClippedCells()[index];
+    }
+
+    /**
+     * Get physical measures of every cell - CACHED
+     *
+     * Computed on the clipped cells, so periodic cells are measured across the boundary
+     * and walled cells stop at the walls. Without a convex domain the volumes sum to the
+     * box volume; a warning is logged if they do not.
+     *
+     * @returns {Array<Object|null>} Indexed by point: { volume, surfaceArea, faceAreas,
+     *          facePerimeters, centroid, numNeighbors }. faceAreas and facePerimeters follow the
+     *          face order of getClippedCells(); the centroid is wrapped into the box on periodic
+     *          axes; numNeighbors counts faces shared with other cells (not walls).
+     */
+    getCellMetrics() {
+        if (this._cellMetricsCache && !this._staleCellMetrics) {
+            return this._cellMetricsCache;
+        }
+        
+        const clippedCells = this.getClippedCells();
+        const metrics = this._cellMetricsCache || new Array(this.numPoints).fill(null);
+        const toMeasure = this._cellMetricsCache ? this._staleCellMetrics : metrics.keys();
+        
+        for (const i of toMeasure) {
+            const cell = clippedCells[i];
+            if (!cell) {
+                metrics[i] = null;
+                continue;
+            }
+            
+            const measured = computePolyhedronMetrics(cell);
+            metrics[i] = {
+                ...measured,
+                centroid: this.isPeriodic ? this._wrapPoint(measured.centroid) : measured.centroid,
+                numNeighbors: cell.faces.filter(face => !face.isWall).length
+            };
+        }
+        
+        if (!this.domain && this.numPoints > 0) {
+            const totalVolume = metrics.reduce((sum, m) => sum + (m ? m.volume : 0), 0);
+            const boxVolume = this.boxSize[0] * this.boxSize[1] * this.boxSize[2];
+            if (Math.abs(totalVolume - boxVolume) > 1e-6 * boxVolume) {
+                console.warn(`Cell volumes sum to ${totalVolume}, expected box volume ${boxVolume}`);
+            }
+        }
+        
+        this._cellMetricsCache = metrics;
+        this._staleCellMetrics = null;
+        return metrics;
+    }
+
+    /**
+     * Check whether a position lies inside the domain: within the box on walled axes
+     * and on the inner side of every convex-domain plane. Periodic axes never exclude.
+     * For a sphere or cylinder these are the planes of its circumscribed polyhedron, the
+     * region the cells actually fill; ConvexDomain.domainContains tests the exact shape.
+     * @param {Array<number>} position - [x, y, z]
+     * @param {number} tolerance - Allowed overshoot, relative to the largest box length
+     */
+    isInsideDomain(position, tolerance = 1e-9) {
+        const slack = tolerance * Math.max(...this.boxSize);
+        
+        for (let axis = 0; axis < 3; axis++) {
+            if (this.periodicAxes[axis]) continue;
+            if (position[axis] < -slack || position[axis] > this.boxSize[axis] + slack) {
+                return false;
+            }
+        }
+        
+        if (this.domain) {
+            for (const { normal, offset } of this.domain.planes) {
+                if (normal[0] * position[0] + normal[1] * position[1] + normal[2] * position[2] > offset + slack) {
+                    return false;
+                }
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Cross-section of the tessellation by the plane planeNormal·x = offset, as labelled
+     * 2D polygons, the way a microscope section of the structure looks.
+     *
+     * Periodic axes are sectioned inside the box: a cell crossing a periodic boundary
+     * contributes one polygon per image that meets the plane there. Where the plane runs
+     * along a cell face, the section belongs to the cell on the negative side; to section a
+     * wall itself, point the normal into the box.
+     *
+     * 2D coordinates are taken from origin in the in-plane axes [u, v], with u × v along the
+     * normal; for a normal along z these are x and y.
+     *
+     * @param {Array<number>} planeNormal - Plane normal [nx, ny, nz] (need not be unit length)
+     * @param {number} offset - Plane offset
+     * @returns {Object} {
+     *   normal, offset - the plane, normalized,
+     *   origin: [x, y, z], axes: [u, v] - the 2D frame,
+     *   polygons: Array<{ cell, shift, vertices, points, area, perimeter, centroid }> - cell is the
+     *     generator index, shift the periodic image [sx, sy, sz] of the cell, vertices the 3D
+     *     corners inside the box, points their 2D coordinates (counter-clockwise) and centroid
+     *     the 2D area centroid,
+     *   totalArea: number
+     * }
+     */
+    computeSlice(planeNormal, offset) {
+        const length = Math.hypot(planeNormal[0], planeNormal[1], planeNormal[2]);
+        if (!(length > 0) || !Number.isFinite(length) || !Number.isFinite(offset)) {
+            throw new Error(`Invalid slice plane: expected a non-zero normal and a finite offset, got [${planeNormal}] and ${offset}`);
+        }
+        if (this.tetrahedra.length === 0) {
+            throw new Error('compute() must be called before slicing');
+        }
+        
+        const normal = planeNormal.map(x => x / length);
+        const d = offset / length;
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        
+        // In-plane axes: u from the coordinate axis least aligned with the normal
+        const least = [0, 1, 2].reduce((best, axis) => Math.abs(normal[axis]) < Math.abs(normal[best]) ? axis : best, 0);
+        const e = [0, 0, 0];
+        e[least] = 1;
+        const uRaw = e.map((x, axis) => x - normal[least] * normal[axis]);
+        const uLength = Math.hypot(...uRaw);
+        const u = uRaw.map(x => x / uLength);
+        const v = [
+            normal[1] * u[2] - normal[2] * u[1],
+            normal[2] * u[0] - normal[0] * u[2],
+            normal[0] * u[1] - normal[1] * u[0]
+        ];
+        const origin = normal.map(x => x * d);
+        
+        const tolerance = 1e-12 * Math.max(...this.boxSize);
+        // Periodic cells can extend half a period outside the box, so images -1, 0, 1 suffice
+        const imageRange = axis => this.periodicAxes[axis] ? [-1, 0, 1] : [0];
+        const boxPlanes = [];
+        for (let axis = 0; axis < 3; axis++) {
+            if (!this.periodicAxes[axis]) continue;
+            const n = [0, 0, 0];
+            n[axis] = -1;
+            boxPlanes.push({ normal: n, offset: 0 });
+            boxPlanes.push({ normal: n.map(x => -x), offset: this.boxSize[axis] });
+        }
+        
+        const polygons = [];
+        let totalArea = 0;
+        this.getClippedCells().forEach((cell, i) => {
+            if (!cell) return;
+            const heights = cell.vertices.map(p => dot(normal, p));
+            const low = Math.min(...heights);
+            const high = Math.max(...heights);
+            
+            for (const sx of imageRange(0)) {
+                for (const sy of imageRange(1)) {
+                    for (const sz of imageRange(2)) {
+                        const translation = [sx * this.boxSize[0], sy * this.boxSize[1], sz * this.boxSize[2]];
+                        // The plane as seen from the untranslated cell
+                        const localOffset = d - dot(normal, translation);
+                        if (localOffset < low - tolerance || localOffset > high + tolerance) continue;
+                        
+                        let polygon = slicePolyhedron(cell, normal, localOffset, tolerance)
+                            .map(p => [p[0] + translation[0], p[1] + translation[1], p[2] + translation[2]]);
+                        for (const plane of boxPlanes) {
+                            if (polygon.length < 3) break;
+                            polygon = clipPolygon(polygon, plane.normal, plane.offset, tolerance);
+                        }
+                        if (polygon.length < 3) continue;
+                        
+                        const points = polygon.map(p => {
+                            const r = [p[0] - origin[0], p[1] - origin[1], p[2] - origin[2]];
+                            return [dot(r, u), dot(r, v)];
+                        });
+                        
+                        // Shoelace area and centroid
+                        let area = 0;
+                        let perimeter = 0;
+                        let cu = 0;
+                        let cv = 0;
+                        for (let k = 0; k < points.length; k++) {
+                            const [x0, y0] = points[k];
+                            const [x1, y1] = points[(k + 1) % points.length];
+                            const cross = x0 * y1 - x1 * y0;
+                            area += cross;
+                            cu += (x0 + x1) * cross;
+                            cv += (y0 + y1) * cross;
+                            perimeter += Math.hypot(x1 - x0, y1 - y0);
+                        }
+                        area /= 2;
+                        if (!(area > 0)) continue;
+                        
+                        polygons.push({
+                            cell: i,
+                            shift: [sx, sy, sz],
+                            vertices: polygon,
+                            points,
+                            area,
+                            perimeter,
+                            centroid: [cu / (6 * area), cv / (6 * area)]
+                        });
+                        totalArea += area;
+                    }
+                }
+            }
+        });
+        
+        return { normal, offset: d, origin, axes: [u, v], polygons, totalArea };
+    }
+
+    /**
+     * Make sure a periodic cell is cut by every image that can reach it.
+     *
+     * Every image's bisector is a valid constraint, so the cell built from the Delaunay
+     * neighbours can only be too large, never too small. Any point that cuts it lies within
+     * `reach` of the generator; while that is under half a period, the minimum images of the
+     * Delaunay neighbours already cover it. Larger cells (small or very sparse systems) are
+     * checked against all images within reach.
+     * @private
+     */
+    _completePeriodicCell(i, polyhedron) {
+        const p = this.pointsArray[i];
+        const wi = this.weights ? this.weights[i] : 0;
+        const maxWeight = this.weights ? Math.max(...this.weights) : 0;
+        
+        let radius = 0;
+        for (const face of polyhedron.faces) {
+            for (const v of face.vertices) {
+                radius = Math.max(radius, Math.hypot(v[0] - p[0], v[1] - p[1], v[2] - p[2]));
+            }
+        }
+        // Furthest generator whose power plane can still intersect a ball of this radius
+        const reach = radius + Math.sqrt(radius * radius + Math.max(0, maxWeight - wi));
+        
+        const safe = [0, 1, 2].every(axis => !this.periodicAxes[axis] || reach < this.boxSize[axis] / 2);
+        if (safe) return polyhedron;
+        this._cellsNeedingAllPoints.add(i);
+        
+        const ranges = [0, 1, 2].map(axis => {
+            if (!this.periodicAxes[axis]) return [0];
+            const n = Math.ceil(reach / this.boxSize[axis]) + 1;
+            const range = [];
+            for (let t = -n; t <= n; t++) range.push(t);
+            return range;
+        });
+        
+        const candidates = [];
+        for (let j = 0; j < this.numPoints; j++) {
+            const q = this.pointsArray[j];
+            const wj = this.weights ? this.weights[j] : 0;
+            for (const sx of ranges[0]) {
+                for (const sy of ranges[1]) {
+                    for (const sz of ranges[2]) {
+                        if (j === i && sx === 0 && sy === 0 && sz === 0) continue;
+                        const position = [
+                            q[0] + sx * this.boxSize[0],
+                            q[1] + sy * this.boxSize[1],
+                            q[2] + sz * this.boxSize[2]
+                        ];
+                        const d = Math.hypot(position[0] - p[0], position[1] - p[1], position[2] - p[2]);
+                        // Power plane distance from the generator is (d^2 - (wj - wi)) / 2d
+                        if (d > 0 && d * d - (wj - wi) < 2 * d * radius) {
+                            candidates.push({ index: j, position, weight: wj, shift: [sx, sy, sz] });
+                        }
+                    }
+                }
+            }
+        }
+        
+        return buildClippedCell(p, wi, polyhedron, candidates);
+    }
+
+    /**
+     * Get the Delaunay adjacency graph in compressed sparse row form - CACHED
+     *
+     * The neighbours of point i are indices[offsets[i]] .. indices[offsets[i + 1] - 1].
+     * In periodic mode every entry also has a lattice shift (shifts[3k .. 3k + 2]) giving the
+     * image the neighbour is adjacent through, at points[j] + shift * boxSize; a point adjacent
+     * to two images of the same neighbour (small systems) has one entry per image. Every edge
+     * is listed from both ends, with opposite shifts.
+     *
+     * @returns {Object} { offsets: Uint32Array(n + 1), indices: Uint32Array, shifts: Int32Array|null }
+     */
+    getNeighborGraph() {
+        if (this._neighborGraphCache) {
+            return this._neighborGraphCache;
+        }
+        
+        const lists = Array.from({ length: this.numPoints }, () => new Map());
+        
+        for (let t = 0; t < this.tetrahedra.length; t++) {
+            const tet = this.tetrahedra[t];
+            // Vertex images consistent within this tetrahedron
+            const images = this._getTetrahedronVertices(t);
+            for (let a = 0; a < 4; a++) {
+                for (let b = 0; b < 4; b++) {
+                    if (a === b) continue;
+                    const i = tet[a];
+                    const j = tet[b];
+                    const p = this.pointsArray[i];
+                    const q = this.pointsArray[j];
+                    
+                    // Lattice shift of j's image as seen from i at its own position
+                    const shift = [0, 1, 2].map(axis => this.periodicAxes[axis] ?
+                        Math.round(((images[b][axis] - images[a][axis]) - (q[axis] - p[axis])) / this.boxSize[axis]) : 0);
+                    if (i === j && shift.every(t => t === 0)) continue;
+                    
+                    const key = this.isPeriodic ? `${j}:${shift.join(',')}` : `${j}`;
+                    if (!lists[i].has(key)) {
+                        lists[i].set(key, { index: j, shift });
+                    }
+                }
+            }
+        }
+        
+        const offsets = new Uint32Array(this.numPoints + 1);
+        for (let i = 0; i < this.numPoints; i++) {
+            offsets[i + 1] = offsets[i] + lists[i].size;
+        }
+        
+        const indices = new Uint32Array(offsets[this.numPoints]);
+        const shifts = this.isPeriodic ? new Int32Array(indices.length * 3) : null;
+        
+        for (let i = 0; i < this.numPoints; i++) {
+            const entries = Array.from(lists[i].values()).sort((a, b) => a.index - b.index);
+            let k = offsets[i];
+            for (const entry of entries) {
+                indices[k] = entry.index;
+                if (shifts) {
+                    shifts[3 * k] = entry.shift[0];
+                    shifts[3 * k + 1] = entry.shift[1];
+                    shifts[3 * k + 2] = entry.shift[2];
+                }
+                k++;
+            }
+        }
+        
+        this._neighborGraphCache = { offsets, indices, shifts };
+        return this._neighborGraphCache;
+    }
+
+    /**
+     * Neighbour images used to clip cell i: its entries in the neighbour graph plus,
+     * in periodic mode, the minimum image of every neighbour
+     * @private
+     */
+    _getNeighborImages(i) {
+        const { offsets, indices, shifts } = this.getNeighborGraph();
+        const images = new Map();
+        const p = this.pointsArray[i];
+        
+        const addImage = (j, shift) => {
+            if (i === j && shift.every(t => t === 0)) return;
+            const key = `${j}:${shift.join(',')}`;
+            if (images.has(key)) return;
+            const q = this.pointsArray[j];
+            images.set(key, {
+                index: j,
+                position: [0, 1, 2].map(axis => q[axis] + shift[axis] * this.boxSize[axis]),
+                weight: this.weights ? this.weights[j] : 0,
+                shift
+            });
+        };
+        
+        for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+            const j = indices[k];
+            addImage(j, shifts ? [shifts[3 * k], shifts[3 * k + 1], shifts[3 * k + 2]] : [0, 0, 0]);
+            if (shifts) {
+                const q = this.pointsArray[j];
+                const image = this._minimumImage(p, q);
+                addImage(j, [0, 1, 2].map(axis => this.periodicAxes[axis] ?
+                    Math.round((image[axis] - q[axis]) / this.boxSize[axis]) : 0));
+            }
+        }
+        
+        return Array.from(images.values());
+    }
+
+    /**
+     * Integer key for an unordered pair of point indices
+     * @private
+     */
+    _pairKey(a, b) {
+        return a < b ? a * this.numPoints + b : b * this.numPoints + a;
+    }
+
+    /**
+     * Point indices [smaller, larger] of a pair key
+     * @private
+     */
+    _unpackPairKey(key) {
+        return [Math.floor(key / this.numPoints), key % this.numPoints];
+    }
+
+    /**
+     * Integer key for an unordered triple of point indices. Exact while numPoints^3 stays
+     * below 2^53 (about 200,000 points); larger inputs fall back to a string key.
+     * @private
+     */
+    _triangleKey(a, b, c) {
+        let x = a, y = b, z = c, t;
+        if (x > y) { t = x; x = y; y = t; }
+        if (y > z) { t = y; y = z; z = t; }
+        if (x > y) { t = x; x = y; y = t; }
+        const n = this.numPoints;
+        return n < 200000 ? (x * n + y) * n + z : `${x}-${y}-${z}`;
+    }
+
     /**
      * Build edge-to-tetrahedra mapping (simple version)
      * @private
@@ -387,7 +2407,7 @@ export class DelaunayComputation {
             
             edges.forEach(edge => {
                 // Create a canonical key for the edge
-                const key = edge[0] < edge[1] ? `${edge[0]}-${edge[1]}` : `${edge[1]}-${edge[0]}`;
+                const key = this._pairKey(edge[0], edge[1]);
                 if (!edgeToTetraMap.has(key)) {
                     edgeToTetraMap.set(key, []);
                 }
@@ -418,11 +2438,10 @@ export class DelaunayComputation {
         for (const [edgeKey, tetraIndices] of edgeToTetraMap.entries()) {
             if (tetraIndices.length < 2) continue;
             
-            const [p1, p2] = edgeKey.split('-').map(Number);
-            const pairKey = `${p1}-${p2}`;
+            const [p1, p2] = this._unpackPairKey(edgeKey);
             
-            if (processedPairs.has(pairKey)) continue;
-            processedPairs.add(pairKey);
+            if (processedPairs.has(edgeKey)) continue;
+            processedPairs.add(edgeKey);
             
             // Collect all Voronoi vertices (barycenters) for tetrahedra containing both p1 and p2
             const voronoiVertices = [];
@@ -434,7 +2453,10 @@ export class DelaunayComputation {
                 const tetra = this.tetrahedra[tetraIdx];
                 // Check if this tetrahedron contains both p1 and p2
                 if (tetra.includes(p1) && tetra.includes(p2)) {
-                    voronoiVertices.push(this.barycenters[tetraIdx]);
+                    // With exact image shifts, take every vertex around p1 directly
+                    voronoiVertices.push(this.tetrahedronShifts ?
+                        this._voronoiVertexAround(tetraIdx, tetra.indexOf(p1)) :
+                        this.barycenters[tetraIdx]);
                     usedTetraIndices.add(tetraIdx);
                 }
             }
@@ -443,24 +2465,14 @@ export class DelaunayComputation {
             if (voronoiVertices.length >= 3) {
                 // Apply MIC correction for periodic mode
                 let correctedVertices = voronoiVertices;
-                if (this.isPeriodic && voronoiVertices.length > 0) {
+                if (this.isPeriodic && !this.tetrahedronShifts && voronoiVertices.length > 0) {
                     // Use first vertex as reference for MIC
                     const reference = voronoiVertices[0];
                     correctedVertices = voronoiVertices.map((vertex, index) => {
                         if (index === 0) return vertex;
                         
                         // Apply MIC to bring vertex to same periodic image as reference
-                        const corrected = [...vertex];
-                        for (let i = 0; i < 3; i++) {
-                            const delta = vertex[i] - reference[i];
-                            // If distance > 0.5, we're crossing a periodic boundary
-                            if (delta > 0.5) {
-                                corrected[i] -= 1.0;
-                            } else if (delta < -0.5) {
-                                corrected[i] += 1.0;
-                            }
-                        }
-                        return corrected;
+                        return this._minimumImage(reference, vertex);
                     });
                 }
                 
@@ -472,7 +2484,14 @@ export class DelaunayComputation {
                 }, [0, 0, 0]);
                 
                 // Project vertices onto a plane and sort by angle
-                const sortedVertices = this._sortVerticesByAngle(correctedVertices, centroid);
+                let sortedVertices = this._sortVerticesByAngle(correctedVertices, centroid);
+                
+                // Cospherical generators give several tetrahedra with the same circumcenter;
+                // collapse those repeats so the polygon has no zero-length edges
+                if (this.config.voronoiMode !== 'barycentric') {
+                    sortedVertices = this._removeDuplicateVertices(sortedVertices);
+                    if (sortedVertices.length < 3) continue;
+                }
                 
                 faces.push({
                     delaunayEdge: [p1, p2],
@@ -489,6 +2508,39 @@ export class DelaunayComputation {
         return faces;
     }
     
+    /**
+     * Remove consecutive (cyclically) coincident vertices from an ordered polygon
+     * @private
+     */
+    _removeDuplicateVertices(vertices, tolerance = 1e-9) {
+        const result = [];
+        for (const v of vertices) {
+            const last = result[result.length - 1];
+            if (last &&
+                Math.abs(v[0] - last[0]) < tolerance &&
+                Math.abs(v[1] - last[1]) < tolerance &&
+                Math.abs(v[2] - last[2]) < tolerance) {
+                continue;
+            }
+            result.push(v);
+        }
+        
+        // Polygon is cyclic: the last vertex may coincide with the first
+        while (result.length > 1) {
+            const first = result[0];
+            const last = result[result.length - 1];
+            if (Math.abs(first[0] - last[0]) < tolerance &&
+                Math.abs(first[1] - last[1]) < tolerance &&
+                Math.abs(first[2] - last[2]) < tolerance) {
+                result.pop();
+            } else {
+                break;
+            }
+        }
+        
+        return result;
+    }
+
     /**
      * Sort vertices by angle around a centroid to form a proper polygon
      * @private
@@ -557,4 +2609,162 @@ export class DelaunayComputation {
     getDelaunayTetrahedra() {
         return this.tetrahedra;
     }
+
+    /**
+     * Get the results as flat typed arrays - CACHED
+     *
+     * The nested-array getters (getDelaunayTetrahedra, getVertices, getCells, getFaces) remain
+     * as a compatibility view; this layout is meant for large inputs and for passing to workers.
+     * Voronoi vertices are numbered like the tetrahedra they come from.
+     *
+     * @returns {Object} {
+     *   numPoints, numTetrahedra, numFaces, numVoronoiEdges,
+     *   points: Float64Array(3n),
+     *   tetrahedra: Int32Array(4T),
+     *   vertices: Float64Array(3T) - Voronoi vertex of each tetrahedron (NaN if missing),
+     *   cellOffsets: Uint32Array(n + 1), cellVertices: Int32Array - Voronoi vertices of each cell,
+     *   faceEdges: Int32Array(2F) - Delaunay edge [i, j] (i < j) dual to each face,
+     *   faceOffsets: Uint32Array(F + 1), faceVertices: Int32Array - Voronoi vertices of each face
+     *     in cyclic order around its Delaunay edge (one per tetrahedron, so may repeat positions),
+     *   voronoiEdges: Int32Array(2E) - pairs of Voronoi vertices
+     * }
+     */
+    getTypedLayout() {
+        if (this._typedLayoutCache) {
+            return this._typedLayoutCache;
+        }
+        
+        const numPoints = this.numPoints;
+        const numTetrahedra = this.tetrahedra.length;
+        
+        const tetrahedra = new Int32Array(numTetrahedra * 4);
+        const vertices = new Float64Array(numTetrahedra * 3).fill(NaN);
+        for (let t = 0; t < numTetrahedra; t++) {
+            tetrahedra.set(this.tetrahedra[t], 4 * t);
+            const center = this.barycenters[t];
+            if (center) vertices.set(center, 3 * t);
+        }
+        
+        // Cells: the tetrahedra incident to each point
+        const cellOffsets = new Uint32Array(numPoints + 1);
+        for (let k = 0; k < tetrahedra.length; k++) {
+            cellOffsets[tetrahedra[k] + 1]++;
+        }
+        for (let i = 0; i < numPoints; i++) {
+            cellOffsets[i + 1] += cellOffsets[i];
+        }
+        const cellVertices = new Int32Array(cellOffsets[numPoints]);
+        const cellFill = cellOffsets.slice(0, numPoints);
+        for (let k = 0; k < tetrahedra.length; k++) {
+            cellVertices[cellFill[tetrahedra[k]]++] = k >> 2;
+        }
+        
+        // Faces: one per Delaunay edge with at least three incident tetrahedra
+        const edgeToTetraMap = this._getEdgeToTetraMap();
+        const faceEdgeList = [];
+        const faceCounts = [];
+        const faceVertexList = [];
+        for (const [key, tetraIndices] of edgeToTetraMap.entries()) {
+            if (tetraIndices.length < 3) continue;
+            const [a, b] = this._unpackPairKey(key);
+            const ordered = this._orderTetrahedraAroundEdge(a, b, tetraIndices);
+            faceEdgeList.push(a, b);
+            faceCounts.push(ordered.length);
+            for (const t of ordered) faceVertexList.push(t);
+        }
+        const faceOffsets = new Uint32Array(faceCounts.length + 1);
+        for (let f = 0; f < faceCounts.length; f++) {
+            faceOffsets[f + 1] = faceOffsets[f] + faceCounts[f];
+        }
+        
+        const voronoiEdges = new Int32Array(this.voronoiEdges.length * 2);
+        this.voronoiEdges.forEach((edge, e) => {
+            voronoiEdges[2 * e] = edge.tetraIndices[0];
+            voronoiEdges[2 * e + 1] = edge.tetraIndices[1];
+        });
+        
+        this._typedLayoutCache = {
+            numPoints,
+            numTetrahedra,
+            numFaces: faceCounts.length,
+            numVoronoiEdges: this.voronoiEdges.length,
+            points: this.points,
+            tetrahedra,
+            vertices,
+            cellOffsets,
+            cellVertices,
+            faceEdges: new Int32Array(faceEdgeList),
+            faceOffsets,
+            faceVertices: new Int32Array(faceVertexList),
+            voronoiEdges
+        };
+        return this._typedLayoutCache;
+    }
+
+    /**
+     * Order the tetrahedra around Delaunay edge (a, b) so consecutive ones share a triangle.
+     * Open fans (hull edges) start at one end. If the point indices are ambiguous (a tiny
+     * periodic system where a point appears through two images), fall back to sorting the
+     * Voronoi vertices by angle.
+     * @private
+     */
+    _orderTetrahedraAroundEdge(a, b, tetraIndices) {
+        // For each tetrahedron, its two vertices besides a and b
+        const others = new Map();
+        const byVertex = new Map();
+        for (const t of tetraIndices) {
+            const rest = this.tetrahedra[t].filter(v => v !== a && v !== b);
+            if (rest.length !== 2) return this._sortTetrahedraByAngle(tetraIndices, a);
+            others.set(t, rest);
+            for (const v of rest) {
+                if (!byVertex.has(v)) byVertex.set(v, []);
+                byVertex.get(v).push(t);
+            }
+        }
+        
+        let start = tetraIndices[0];
+        let entry = others.get(start)[0];
+        for (const [v, list] of byVertex.entries()) {
+            if (list.length > 2) return this._sortTetrahedraByAngle(tetraIndices, a);
+            if (list.length === 1) {
+                start = list[0];
+                entry = v;
+            }
+        }
+        
+        const ordered = [start];
+        let current = start;
+        let via = entry;
+        while (ordered.length < tetraIndices.length) {
+            const [c, d] = others.get(current);
+            const exit = c === via ? d : c;
+            const next = byVertex.get(exit).find(t => t !== current);
+            if (next === undefined || next === start) break;
+            ordered.push(next);
+            current = next;
+            via = exit;
+        }
+        
+        return ordered.length === tetraIndices.length ? ordered : this._sortTetrahedraByAngle(tetraIndices, a);
+    }
+
+    /**
+     * Sort the tetrahedra around edge (a, b) by the angle of their Voronoi vertices
+     * around the centroid
+     * @private
+     */
+    _sortTetrahedraByAngle(tetraIndices, a) {
+        const reference = this.barycenters[tetraIndices[0]];
+        const positions = tetraIndices.map(t => {
+            if (!this.isPeriodic) return this.barycenters[t];
+            return this.tetrahedronShifts ?
+                this._voronoiVertexAround(t, this.tetrahedra[t].indexOf(a)) :
+                this._minimumImage(reference, this.barycenters[t]);
+        });
+        const centroid = [0, 1, 2].map(axis =>
+            positions.reduce((sum, p) => sum + p[axis], 0) / positions.length);
+        
+        const sorted = this._sortVerticesByAngle(positions, centroid);
+        return sorted.map(p => tetraIndices[positions.indexOf(p)]);
+    }
 } 
\ No newline at end of file
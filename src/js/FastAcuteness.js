@@ -5,6 +5,14 @@
  * Uses JavaScript optimization techniques to achieve near-WASM performance
  */
 
+import {
+    CELL_METRICS,
+    DEFAULT_ANGLE_THRESHOLD,
+    DEFAULT_HISTOGRAM_BINS,
+    cellDihedralAcuteness,
+    summarizeAngles
+} from './GeometryAnalysis.js';
+
 // Pre-allocate arrays to avoid garbage collection
 const vec1 = new Float32Array(3);
 const vec2 = new Float32Array(3);
@@ -44,6 +52,8 @@ export class FastCellAcuteness {
     
     /**
      * Calculate cell acuteness with optimizations
+     * options.angleThreshold sets the acute cutoff (radians, default π/2); an options.angleStats
+     * array receives a summarizeAngles() entry per cell, indexed like the scores.
      */
     calculate(cells, options = {}) {
         const startTime = performance.now();
@@ -56,10 +66,16 @@ export class FastCellAcuteness {
         const skipRatio = isPreview ? 4 : 1; // Sample every Nth cell in preview
         const isPeriodic = options.isPeriodic !== undefined ? options.isPeriodic : true;
         const points = options.points || [];
+        // Exactly clipped cells (walled domains) replace the boundary estimate below
+        const clippedCells = options.clippedCells || null;
+        // Acute means cos(angle) above the cosine of the cutoff
+        const cosThreshold = Math.cos(options.angleThreshold !== undefined ? options.angleThreshold : DEFAULT_ANGLE_THRESHOLD);
+        const angleStats = options.angleStats || null;
+        const histogramBins = options.histogramBins || DEFAULT_HISTOGRAM_BINS;
         
         // Detect boundary cells in non-periodic mode with nuanced scoring
         let boundaryCells = new Map();
-        if (!isPeriodic && points.length > 0) {
+        if (!isPeriodic && points.length > 0 && !clippedCells) {
             const boundaryThreshold = 0.1;
             points.forEach((point, idx) => {
                 const [x, y, z] = point;
@@ -107,10 +123,15 @@ export class FastCellAcuteness {
         let cellIdx = 0;
         let processedCount = 0;
         
-        for (const [vertexIndex, cellVertices] of cells.entries()) {
+        for (const [vertexIndex, unclippedVertices] of cells.entries()) {
+            const cellVertices = clippedCells ?
+                (clippedCells[vertexIndex] ? clippedCells[vertexIndex].vertices : null) :
+                unclippedVertices;
+            
             // Skip sampling for preview mode
             if (isPreview && cellIdx % skipRatio !== 0) {
                 scores[cellIdx] = 0;
+                if (angleStats) angleStats[cellIdx] = summarizeAngles([], histogramBins);
                 cellIdx++;
                 continue;
             }
@@ -118,6 +139,7 @@ export class FastCellAcuteness {
             // Validate cell vertices
             if (!cellVertices || cellVertices.length < 4) {
                 scores[cellIdx] = 0;
+                if (angleStats) angleStats[cellIdx] = summarizeAngles([], histogramBins);
                 cellIdx++;
                 continue;
             }
@@ -128,6 +150,7 @@ export class FastCellAcuteness {
             
             // Fast calculation without allocations
             let acuteAngles = 0;
+            const cellAngles = angleStats ? [] : null;
             const vertCount = cellVertices.length;
             
             // Limit vertices checked for performance
@@ -174,16 +197,19 @@ export class FastCellAcuteness {
                         if (mag1Sq === 0 || mag2Sq === 0) continue;
                         
                         // cos(angle) = dot / (|v1| * |v2|)
-                        // For acute angle, cos > 0 and angle < PI/2
+                        // For acute angle, cos > cos(threshold) and angle < threshold
                         const cosAngle = dot / Math.sqrt(mag1Sq * mag2Sq);
                         
-                        if (cosAngle > 0 && cosAngle < 1) { // Acute angle
+                        if (cosAngle > cosThreshold && cosAngle < 1) { // Acute angle
                             acuteAngles++;
                         }
+                        if (cellAngles) cellAngles.push(Math.acos(Math.max(-1, Math.min(1, cosAngle))));
                     }
                 }
             }
             
+            if (angleStats) angleStats[cellIdx] = summarizeAngles(cellAngles, histogramBins);
+            
             // Don't normalize by cell size - acute angles are scale-invariant!
             // The issue was that larger cells (fewer points) have more vertices,
             // so dividing by maxVerts was artificially reducing scores
@@ -343,39 +369,73 @@ export class FastAcutenessAnalyzer {
         this.lastPositions = new Map();
         this.movementThreshold = 0.001; // Minimum movement to trigger update
         this.HALF_PI = Math.PI / 2; // Add this constant
+        this.lastAngleThreshold = DEFAULT_ANGLE_THRESHOLD; // Cutoff the cached scores were counted with
     }
     
     /**
      * Analyze with optimizations for 1000+ points
+     * @param {Object} computation - The DelaunayComputation object
+     * @param {Object} options - Quality overrides, plus cellMetric (one of CELL_METRICS,
+     *        default 'nearest-vertex'), angleThreshold (radians, default π/2), angleStatistics
+     *        and histogramBins as for GeometryAnalysis.analyzeAcuteness(). The dihedral metric
+     *        and angle statistics are computed in full, bypassing the incremental cache.
+     * @returns {Object} { cellScores, cellMetric, angleThreshold, faceScores, vertexScores,
+     *          edgeScores }, plus cellAngleStats and histogramBins with angleStatistics
      */
     analyze(computation, options = {}) {
         const startTime = performance.now();
+        const cellMetric = options.cellMetric || CELL_METRICS.NEAREST_VERTEX;
+        const angleThreshold = options.angleThreshold !== undefined ? options.angleThreshold : DEFAULT_ANGLE_THRESHOLD;
+        const histogramBins = options.histogramBins || DEFAULT_HISTOGRAM_BINS;
+        const angleStats = options.angleStatistics ? [] : null;
+        if (!(angleThreshold > 0 && angleThreshold < Math.PI)) {
+            throw new Error(`angleThreshold must lie strictly between 0 and π radians, got ${angleThreshold}`);
+        }
         
         // Get quality settings
         const qualitySettings = this.qualityManager.getSettings();
         const analysisOptions = { 
             ...qualitySettings, 
             ...options,
+            angleThreshold,
+            angleStats,
+            histogramBins,
             isPeriodic: computation.isPeriodic,
-            points: computation.getPoints()
+            points: computation.getPoints(),
+            clippedCells: !computation.isFullyPeriodic && typeof computation.getClippedCells === 'function' ?
+                computation.getClippedCells() : null
         };
         
-        // Detect which cells changed
-        const changedCells = this.detectChangedCells(computation);
-        
         // Use incremental update if possible
         const cells = computation.getCells();
         let cellScores;
         
-        if (changedCells.size === 0) {
-            // No changes, return cached results
-            cellScores = this.cellAnalyzer.previousScores;
-        } else if (changedCells.size < cells.size * 0.3) {
-            // Incremental update
-            cellScores = this.cellAnalyzer.updateIncremental(cells, changedCells, analysisOptions);
+        if (cellMetric === CELL_METRICS.DIHEDRAL) {
+            // Measured on the exact cell polyhedra, always in full
+            cellScores = cellDihedralAcuteness(computation, Infinity, { angleThreshold, angleStats, histogramBins });
+        } else if (cellMetric === CELL_METRICS.NEAREST_VERTEX) {
+            // Detect which cells changed
+            const changedCells = this.detectChangedCells(computation);
+            
+            // Cached and incremental scores were counted against the previous cutoff,
+            // and carry no angle statistics
+            const needsFullPass = angleStats !== null || angleThreshold !== this.lastAngleThreshold;
+            this.lastAngleThreshold = angleThreshold;
+            
+            if (needsFullPass) {
+                cellScores = this.cellAnalyzer.calculate(cells, analysisOptions);
+            } else if (changedCells.size === 0) {
+                // No changes, return cached results
+                cellScores = this.cellAnalyzer.previousScores;
+            } else if (changedCells.size < cells.size * 0.3) {
+                // Incremental update
+                cellScores = this.cellAnalyzer.updateIncremental(cells, changedCells, analysisOptions);
+            } else {
+                // Full recalculation with quality settings
+                cellScores = this.cellAnalyzer.calculate(cells, analysisOptions);
+            }
         } else {
-            // Full recalculation with quality settings
-            cellScores = this.cellAnalyzer.calculate(cells, analysisOptions);
+            throw new Error(`Unknown cell metric '${cellMetric}'`);
         }
         
         // Record frame timing
@@ -428,12 +488,21 @@ export class FastAcutenessAnalyzer {
         const endTime = performance.now();
         console.log(`FastAcutenessAnalyzer: Total analysis time ${(endTime - startTime).toFixed(2)}ms`);
         
-        return {
+        const results = {
             cellScores: Array.from(cellScores),
+            cellMetric,
+            angleThreshold,
             faceScores,
             vertexScores,
             edgeScores
         };
+        
+        if (angleStats) {
+            results.cellAngleStats = angleStats;
+            results.histogramBins = histogramBins;
+        }
+        
+        return results;
     }
     
     /**
@@ -75,33 +75,114 @@ function calculateAngle(vec1, vec2) {
     return Math.acos(cosTheta);
 }
 
+// Angles below this cutoff count as acute unless a call overrides it (angleThreshold option)
+export const DEFAULT_ANGLE_THRESHOLD = Math.PI / 2;
+
+// Bins of the per-element angle histograms, evenly spread over [0, π]
+export const DEFAULT_HISTOGRAM_BINS = 6;
+
+/**
+ * Summarize the angles measured on one element (tetrahedron, face, cell or edge).
+ * Unlike the acute count, these vary smoothly as the points move.
+ * @param {Array<number>} angles - Angles in radians
+ * @param {number} bins - Number of histogram bins over [0, π]
+ * @returns {Object} { count, min, mean, std, histogram }: min, mean and (population) std in
+ *          radians, NaN for an element without angles; histogram holds the count per bin
+ */
+export function summarizeAngles(angles, bins = DEFAULT_HISTOGRAM_BINS) {
+    const histogram = new Array(bins).fill(0);
+    const count = angles.length;
+    if (count === 0) {
+        return { count, min: NaN, mean: NaN, std: NaN, histogram };
+    }
+    
+    let min = Infinity;
+    let sum = 0;
+    for (const angle of angles) {
+        if (angle < min) min = angle;
+        sum += angle;
+        histogram[Math.min(bins - 1, Math.floor(angle / Math.PI * bins))]++;
+    }
+    const mean = sum / count;
+    
+    let squaredDeviations = 0;
+    for (const angle of angles) {
+        squaredDeviations += (angle - mean) * (angle - mean);
+    }
+    
+    return { count, min, mean, std: Math.sqrt(squaredDeviations / count), histogram };
+}
+
 /**
- * Calculate the dihedral angle between two faces sharing an edge
+ * Get the non-periodic (walled) axes of a computation with their box lengths.
+ * Computations without per-axis information are treated as all-periodic or all-walled.
+ */
+function getWalledAxes(computation) {
+    const periodicAxes = computation.periodicAxes ||
+        [computation.isPeriodic, computation.isPeriodic, computation.isPeriodic];
+    const boxSize = computation.boxSize || [1, 1, 1];
+    
+    const walledAxes = [];
+    for (let axis = 0; axis < 3; axis++) {
+        if (!periodicAxes[axis]) {
+            walledAxes.push({ axis, length: boxSize[axis] });
+        }
+    }
+    return walledAxes;
+}
+
+/**
+ * Check if a point lies within threshold (as a fraction of the box length) of a wall
+ */
+function isNearWall(point, walledAxes, threshold) {
+    for (const { axis, length } of walledAxes) {
+        const margin = threshold * length;
+        if (point[axis] < margin || point[axis] > length - margin) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Get the exactly clipped cells of a computation whose domain has walls.
+ * Returns null for fully periodic domains and for computations that cannot clip,
+ * in which case callers fall back to estimating boundary effects.
+ */
+function getClippedCells(computation) {
+    if (getWalledAxes(computation).length === 0 && !computation.domain) {
+        return null;
+    }
+    return typeof computation.getClippedCells === 'function' ? computation.getClippedCells() : null;
+}
+
+/**
+ * Find the clipped polygon shared by cells a and b, as vertex positions (empty if outside the domain)
+ */
+function getClippedFaceVertices(clippedCells, a, b) {
+    const cell = clippedCells[a];
+    if (!cell) return [];
+    const face = cell.faces.find(f => !f.isWall && f.neighbor === b);
+    return face ? face.vertices.map(index => cell.vertices[index]) : [];
+}
+
+/**
+ * Calculate the dihedral angle between two faces sharing an edge.
+ * Both faces must be ordered counter-clockwise seen from outside (outward normals);
+ * the result is the interior angle, in [0, π].
  */
 function getDihedralAngle(face1, face2, commonEdge) {
-    // Helper function to calculate normal vector of a face
+    // Newell's method: the normal of the whole polygon, robust when the first
+    // vertices are nearly collinear
     function calculateNormal(vertices) {
-        if (vertices.length < 3) return [0, 0, 0];
-        
-        const v1 = [
-            vertices[1][0] - vertices[0][0],
-            vertices[1][1] - vertices[0][1],
-            vertices[1][2] - vertices[0][2]
-        ];
-        
-        const v2 = [
-            vertices[2][0] - vertices[0][0],
-            vertices[2][1] - vertices[0][1],
-            vertices[2][2] - vertices[0][2]
-        ];
-        
-        // Cross product to get normal
-        const normal = [
-            v1[1] * v2[2] - v1[2] * v2[1],
-            v1[2] * v2[0] - v1[0] * v2[2],
-            v1[0] * v2[1] - v1[1] * v2[0]
-        ];
-        
+        const normal = [0, 0, 0];
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+            normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+            normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+        }
         return normal;
     }
     
@@ -111,36 +192,159 @@ function getDihedralAngle(face1, face2, commonEdge) {
     return Math.PI - angle;
 }
 
+// Cell acuteness metrics; analysis results record which one produced cellScores
+export const CELL_METRICS = {
+    // Legacy: angles between the edges to the 3 nearest cell vertices of each vertex
+    NEAREST_VERTEX: 'nearest-vertex',
+    // Dihedral angles between adjacent faces plus interior face angles, from the cell topology
+    DIHEDRAL: 'dihedral'
+};
+
+// Angles exactly at the cutoff (right angles of box walls, with the default) come out of the
+// clipping slightly below it; don't count them
+const RIGHT_ANGLE_TOLERANCE = 1e-9;
+
+/**
+ * Measure a convex polyhedron from its face topology: the interior dihedral angle along every
+ * edge (between the two faces that share it) and the interior angle at every face corner.
+ * @param {Object} cell - { vertices: [[x,y,z]], faces: [{ vertices: [indices] }] } with faces
+ *        counter-clockwise seen from outside, as returned by DelaunayComputation.getCellPolyhedron()
+ * @returns {Object} { dihedralAngles: Array<number>, faceAngles: Array<number> } in radians
+ */
+export function getPolyhedronAngles(cell) {
+    const faceVertices = cell.faces.map(face => face.vertices.map(index => cell.vertices[index]));
+    const numVertices = cell.vertices.length;
+    const faceAngles = [];
+    const dihedralAngles = [];
+    const edgeFaces = new Map(); // edge key -> first face seen along it
+    
+    cell.faces.forEach((face, f) => {
+        const polygon = faceVertices[f];
+        const n = polygon.length;
+        
+        for (let k = 0; k < n; k++) {
+            const prev = polygon[(k + n - 1) % n];
+            const current = polygon[k];
+            const next = polygon[(k + 1) % n];
+            faceAngles.push(calculateAngle(
+                [prev[0] - current[0], prev[1] - current[1], prev[2] - current[2]],
+                [next[0] - current[0], next[1] - current[1], next[2] - current[2]]
+            ));
+            
+            const a = face.vertices[k];
+            const b = face.vertices[(k + 1) % n];
+            const key = a < b ? a * numVertices + b : b * numVertices + a;
+            const other = edgeFaces.get(key);
+            if (other === undefined) {
+                edgeFaces.set(key, f);
+            } else {
+                dihedralAngles.push(getDihedralAngle(faceVertices[other], polygon, [a, b]));
+            }
+        }
+    });
+    
+    return { dihedralAngles, faceAngles };
+}
+
+/**
+ * Cell acuteness from the actual polyhedron of each cell: the number of acute (< 90° by
+ * default) dihedral angles between adjacent faces plus the number of acute interior face angles.
+ * Uses the clipped cells, so it is exact in every periodicity mode and domain.
+ *
+ * Example: a cube has 12 right dihedral angles and 24 right face angles and scores 0;
+ * a regular tetrahedron has 6 dihedral angles of 70.5° and 12 face angles of 60° and scores 18.
+ *
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {number} maxScore - Scores are capped at this value
+ * @param {Object} options - Angle options, as for vertexAcuteness()
+ * @returns {Array<number>} Acute angle count for each cell (0 for empty cells)
+ */
+export function cellDihedralAcuteness(computation, maxScore = Infinity, options = {}) {
+    if (typeof computation.getClippedCells !== 'function') {
+        throw new Error('The dihedral cell metric needs cell polyhedra (DelaunayComputation.getClippedCells)');
+    }
+    const startTime = performanceEnabled ? performance.now() : 0;
+    const { angleThreshold, angleStats, histogramBins } = getAngleOptions(options);
+    const acuteLimit = angleThreshold - RIGHT_ANGLE_TOLERANCE;
+    
+    const scores = computation.getClippedCells().map(cell => {
+        if (!cell) {
+            if (angleStats) angleStats.push(summarizeAngles([], histogramBins));
+            return 0;
+        }
+        const { dihedralAngles, faceAngles } = getPolyhedronAngles(cell);
+        let acuteAngles = 0;
+        for (const angle of dihedralAngles) if (angle < acuteLimit) acuteAngles++;
+        for (const angle of faceAngles) if (angle < acuteLimit) acuteAngles++;
+        if (angleStats) angleStats.push(summarizeAngles(dihedralAngles.concat(faceAngles), histogramBins));
+        return Math.min(acuteAngles, maxScore);
+    });
+    
+    if (performanceEnabled) {
+        simpleMetrics.totalTime += performance.now() - startTime;
+        simpleMetrics.callCount++;
+    }
+    
+    if (scores.length > 0) {
+        const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
+        console.log(`Cell dihedral acuteness (${scores.length} cells): min=${Math.min(...scores)}, max=${Math.max(...scores)}, avg=${avgScore.toFixed(1)}`);
+    }
+    
+    return scores;
+}
+
+/**
+ * Read the angle options shared by the acuteness functions
+ * @private
+ */
+function getAngleOptions(options) {
+    const angleThreshold = options.angleThreshold !== undefined ? options.angleThreshold : DEFAULT_ANGLE_THRESHOLD;
+    if (!(angleThreshold > 0 && angleThreshold < Math.PI)) {
+        throw new Error(`angleThreshold must lie strictly between 0 and π radians, got ${angleThreshold}`);
+    }
+    return {
+        angleThreshold,
+        angleStats: options.angleStats || null,
+        histogramBins: options.histogramBins || DEFAULT_HISTOGRAM_BINS
+    };
+}
+
 /**
  * Analyze vertex acuteness in the Delaunay triangulation (FAST VERSION)
  * Counts acute angles at each vertex of each tetrahedron
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {number} maxScore - Maximum score to compute (for early termination)
+ * @param {Object} options - Angle options, shared by all acuteness functions:
+ * @param {number} options.angleThreshold - Angles below this count as acute (radians, default π/2)
+ * @param {Array} options.angleStats - If given, one summarizeAngles() entry per scored element
+ *        is appended to it. Boundary discounts only apply to the counts, not to these.
+ * @param {number} options.histogramBins - Histogram bins of those entries (default 6)
+ * @returns {Array<number>} Acute angle count for each tetrahedron
  */
-export function vertexAcuteness(computation, maxScore = Infinity) {
+export function vertexAcuteness(computation, maxScore = Infinity, options = {}) {
     const tetrahedra = computation.getDelaunayTetrahedra();
     const points = computation.getPoints();
     const scores = [];
+    const { angleThreshold, angleStats, histogramBins } = getAngleOptions(options);
     
-    // In non-periodic mode, detect boundary tetrahedra
+    // Along walled (non-periodic) axes, detect boundary tetrahedra. When the computation
+    // clips its cells exactly, tetrahedra are scored as they are and no discount is applied.
     let boundaryTetrahedra = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0 && !getClippedCells(computation)) {
         const boundaryThreshold = 0.1;
         
-        // A tetrahedron is on the boundary if any of its vertices is near the boundary
+        // A tetrahedron is on the boundary if any of its vertices is near a wall
         tetrahedra.forEach((tet, tetIdx) => {
             for (const vertIdx of tet) {
-                const point = points[vertIdx];
-                const [x, y, z] = point;
-                
-                if (x < boundaryThreshold || x > 1 - boundaryThreshold ||
-                    y < boundaryThreshold || y > 1 - boundaryThreshold ||
-                    z < boundaryThreshold || z > 1 - boundaryThreshold) {
+                if (isNearWall(points[vertIdx], walledAxes, boundaryThreshold)) {
                     boundaryTetrahedra.add(tetIdx);
                     break;
                 }
             }
         });
         
-        console.log(`Detected ${boundaryTetrahedra.size} boundary tetrahedra in non-periodic mode`);
+        console.log(`Detected ${boundaryTetrahedra.size} boundary tetrahedra near walls`);
     }
     
     for (let i = 0; i < tetrahedra.length; i++) {
@@ -148,9 +352,10 @@ export function vertexAcuteness(computation, maxScore = Infinity) {
         const vertices = tet.map(idx => points[idx]);
         
         // Check if this is a boundary tetrahedron
-        const isBoundaryTet = !computation.isPeriodic && boundaryTetrahedra.has(i);
+        const isBoundaryTet = boundaryTetrahedra.has(i);
         
         let acuteAngles = 0;
+        const tetAngles = angleStats ? [] : null;
         
         // For each vertex, calculate the angles between the three edges
         for (let j = 0; j < 4; j++) {
@@ -171,11 +376,14 @@ export function vertexAcuteness(computation, maxScore = Infinity) {
                 calculateAngle(edges[2], edges[0])
             ];
             
-            // Count acute angles (< 90 degrees)
-            const acuteCount = angles.filter(angle => angle < Math.PI / 2).length;
+            // Count acute angles (< 90 degrees by default)
+            const acuteCount = angles.filter(angle => angle < angleThreshold).length;
             acuteAngles += acuteCount;
+            if (tetAngles) tetAngles.push(...angles);
         }
         
+        if (angleStats) angleStats.push(summarizeAngles(tetAngles, histogramBins));
+        
         // Adjust score for boundary tetrahedra
         if (isBoundaryTet) {
             // Boundary tetrahedra often have artificially acute angles
@@ -202,53 +410,58 @@ export function vertexAcuteness(computation, maxScore = Infinity) {
 
 /**
  * Analyze face acuteness in the Voronoi diagram (FAST VERSION)
+ * Counts acute interior angles of each Voronoi face polygon
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {number} maxScore - Maximum score to compute (for early termination)
+ * @param {Object} options - Angle options, as for vertexAcuteness()
+ * @returns {Array<number>} Acute angle count for each face
  */
-export function faceAcuteness(computation, maxScore = Infinity) {
+export function faceAcuteness(computation, maxScore = Infinity, options = {}) {
     const faces = computation.getFaces();
     const points = computation.getPoints();
     const scores = [];
+    const { angleThreshold, angleStats, histogramBins } = getAngleOptions(options);
+    
+    // With exactly clipped cells, boundary faces are scored on their clipped polygons
+    const clippedCells = getClippedCells(computation);
     
-    // In non-periodic mode, detect boundary faces
+    // Otherwise, along walled (non-periodic) axes, detect boundary faces to discount
     let boundaryFaces = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0 && !clippedCells) {
         const boundaryThreshold = 0.1;
         
         // A face is on the boundary if its Delaunay edge connects boundary points
         faces.forEach((face, faceIdx) => {
             const [p1Idx, p2Idx] = face.delaunayEdge;
-            const p1 = points[p1Idx];
-            const p2 = points[p2Idx];
-            
-            // Check if either point is near the boundary
-            const p1Boundary = (p1[0] < boundaryThreshold || p1[0] > 1 - boundaryThreshold ||
-                               p1[1] < boundaryThreshold || p1[1] > 1 - boundaryThreshold ||
-                               p1[2] < boundaryThreshold || p1[2] > 1 - boundaryThreshold);
             
-            const p2Boundary = (p2[0] < boundaryThreshold || p2[0] > 1 - boundaryThreshold ||
-                               p2[1] < boundaryThreshold || p2[1] > 1 - boundaryThreshold ||
-                               p2[2] < boundaryThreshold || p2[2] > 1 - boundaryThreshold);
-            
-            if (p1Boundary || p2Boundary) {
+            // Check if either point is near a wall
+            if (isNearWall(points[p1Idx], walledAxes, boundaryThreshold) ||
+                isNearWall(points[p2Idx], walledAxes, boundaryThreshold)) {
                 boundaryFaces.add(faceIdx);
             }
         });
         
-        console.log(`Detected ${boundaryFaces.size} boundary faces in non-periodic mode`);
+        console.log(`Detected ${boundaryFaces.size} boundary faces near walls`);
     }
     
     for (let faceIdx = 0; faceIdx < faces.length; faceIdx++) {
         const face = faces[faceIdx];
-        const vertices = face.voronoiVertices;
+        const vertices = clippedCells ?
+            getClippedFaceVertices(clippedCells, face.delaunayEdge[0], face.delaunayEdge[1]) :
+            face.voronoiVertices;
         
         if (vertices.length < 3) {
             scores.push(0);
+            if (angleStats) angleStats.push(summarizeAngles([], histogramBins));
             continue;
         }
         
         // Check if this is a boundary face
-        const isBoundaryFace = !computation.isPeriodic && boundaryFaces.has(faceIdx);
+        const isBoundaryFace = boundaryFaces.has(faceIdx);
         
         let acuteAngles = 0;
+        const faceAngles = angleStats ? [] : null;
         
         // Calculate interior angles of the polygon
         for (let i = 0; i < vertices.length; i++) {
@@ -272,12 +485,15 @@ export function faceAcuteness(computation, maxScore = Infinity) {
             // Calculate the angle between the vectors
             const angle = calculateAngle(vec1, vec2);
             
-            // Count if the angle is acute (< 90 degrees)
-            if (angle < Math.PI / 2) {
+            // Count if the angle is acute (< 90 degrees by default)
+            if (angle < angleThreshold) {
                 acuteAngles++;
             }
+            if (faceAngles) faceAngles.push(angle);
         }
         
+        if (angleStats) angleStats.push(summarizeAngles(faceAngles, histogramBins));
+        
         // Adjust score for boundary faces
         if (isBoundaryFace) {
             // Boundary faces are often truncated, leading to artificial acute angles
@@ -316,41 +532,47 @@ export function faceAcuteness(computation, maxScore = Infinity) {
  * Example: A perfect cube has 6 faces × 4 vertices = 24 total vertices,
  * but all angles are 90°, so it would score 0 acute angles.
  * 
+ * The current implementation approximates this by the angles between the edges to the
+ * 3 nearest cell vertices of each vertex: the 'nearest-vertex' metric (CELL_METRICS).
+ * cellDihedralAcuteness() measures the actual faces.
+ * 
  * @param {Object} computation - The DelaunayComputation object
  * @param {number} maxScore - Maximum score to compute (for early termination)
  * @param {number} searchRadius - Not used in current implementation
+ * @param {Object} options - Angle options, as for vertexAcuteness()
  * @returns {Array<number>} Array of acute angle counts for each cell
  */
-export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0.3) {
+export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0.3, options = {}) {
     const startTime = performanceEnabled ? performance.now() : 0;
     
     const cells = computation.getCells();
     const scores = [];
+    const { angleThreshold, angleStats, histogramBins } = getAngleOptions(options);
     
-    // In non-periodic mode, detect boundary cells
+    // With exactly clipped cells, boundary cells are scored on their clipped vertices
+    const clippedCells = getClippedCells(computation);
+    
+    // Otherwise, along walled (non-periodic) axes, detect boundary cells to discount
     let boundaryCells = new Map(); // Map cell index to boundary info
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0 && !clippedCells) {
         // Find the convex hull of all points to identify boundary vertices
         const points = computation.getPoints();
-        const boundaryThreshold = 0.1; // Distance from edge to be considered boundary
+        const boundaryThreshold = 0.1; // Distance from edge to be considered boundary (fraction of box length)
         
-        // Simple approach: vertices near the min/max bounds are likely boundary cells
+        // Simple approach: vertices near the walls are likely boundary cells
         for (const [cellIdx, point] of points.entries()) {
-            const [x, y, z] = point;
-            
             // Calculate how "boundary" this cell is (0 = interior, 1 = corner)
             let boundaryScore = 0;
             let numBoundaries = 0;
             
-            // Check each dimension
-            if (x < boundaryThreshold) { boundaryScore += (boundaryThreshold - x) / boundaryThreshold; numBoundaries++; }
-            else if (x > 1 - boundaryThreshold) { boundaryScore += (x - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
-            
-            if (y < boundaryThreshold) { boundaryScore += (boundaryThreshold - y) / boundaryThreshold; numBoundaries++; }
-            else if (y > 1 - boundaryThreshold) { boundaryScore += (y - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
-            
-            if (z < boundaryThreshold) { boundaryScore += (boundaryThreshold - z) / boundaryThreshold; numBoundaries++; }
-            else if (z > 1 - boundaryThreshold) { boundaryScore += (z - (1 - boundaryThreshold)) / boundaryThreshold; numBoundaries++; }
+            // Check each walled dimension
+            for (const { axis, length } of walledAxes) {
+                const margin = boundaryThreshold * length;
+                const c = point[axis];
+                if (c < margin) { boundaryScore += (margin - c) / margin; numBoundaries++; }
+                else if (c > length - margin) { boundaryScore += (c - (length - margin)) / margin; numBoundaries++; }
+            }
             
             if (numBoundaries > 0) {
                 // Normalize boundary score (0-1 range)
@@ -362,21 +584,27 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
             }
         }
         
-        console.log(`Detected ${boundaryCells.size} boundary cells in non-periodic mode`);
+        console.log(`Detected ${boundaryCells.size} boundary cells near walls`);
     }
     
     // For each cell, analyze the angles at each Voronoi vertex 
-    for (const [cellIdx, cellVertices] of cells.entries()) {
+    for (const [cellIdx, unclippedVertices] of cells.entries()) {
+        const cellVertices = clippedCells ?
+            (clippedCells[cellIdx] ? clippedCells[cellIdx].vertices : []) :
+            unclippedVertices;
+        
         if (cellVertices.length < 4) {
             scores.push(0);
+            if (angleStats) angleStats.push(summarizeAngles([], histogramBins));
             continue;
         }
         
-        // Check if this is a boundary cell in non-periodic mode
+        // Check if this is a boundary cell next to a wall
         const boundaryInfo = boundaryCells.get(cellIdx);
-        const isBoundaryCell = !computation.isPeriodic && boundaryInfo !== undefined;
+        const isBoundaryCell = boundaryInfo !== undefined;
         
         let acuteAngles = 0;
+        const cellAngles = angleStats ? [] : null;
         
         // CORRECT APPROACH: Count acute angles in each face of the cell
         // A Voronoi cell is a convex polyhedron with polygonal faces
@@ -437,13 +665,16 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
                     const angle = calculateAngle(vec1, vec2);
                     
                     // Count if acute
-                    if (angle < Math.PI / 2) {
+                    if (angle < angleThreshold) {
                         acuteAngles++;
                     }
+                    if (cellAngles) cellAngles.push(angle);
                 }
             }
         }
         
+        if (angleStats) angleStats.push(summarizeAngles(cellAngles, histogramBins));
+        
         // Don't normalize by cell size - acute angles are scale-invariant!
         // The issue was that larger cells (fewer points) have more vertices,
         // so dividing by cellVertices.length was artificially reducing scores
@@ -505,34 +736,35 @@ export function cellAcuteness(computation, maxScore = Infinity, searchRadius = 0
  * For each edge, count how many acute angles it forms with other connected edges.
  * @param {Object} computation - The DelaunayComputation object
  * @param {number} maxScore - Maximum score to compute (for early termination)
+ * @param {Object} options - Angle options, as for vertexAcuteness()
  * @returns {Array<number>} Array of acuteness scores for each edge
  */
-export function edgeAcuteness(computation, maxScore = Infinity) {
+export function edgeAcuteness(computation, maxScore = Infinity, options = {}) {
     if (!computation || !computation.voronoiEdges || computation.voronoiEdges.length === 0) {
         return [];
     }
+    const { angleThreshold, angleStats, histogramBins } = getAngleOptions(options);
     
-    // In non-periodic mode, detect boundary edges
+    // With exactly clipped cells, angles are only counted at Voronoi vertices inside the
+    // domain; outside it the edges are cut by a wall and those angles do not exist
+    const clippedCells = getClippedCells(computation);
+    const countsAngleAt = (position) => !clippedCells || computation.isInsideDomain(position);
+    
+    // Otherwise, along walled (non-periodic) axes, detect boundary edges to discount
     let boundaryEdges = new Set();
-    if (!computation.isPeriodic) {
+    const walledAxes = getWalledAxes(computation);
+    if (walledAxes.length > 0 && !clippedCells) {
         const boundaryThreshold = 0.1;
         
-        // An edge is on the boundary if either endpoint is near the boundary
+        // An edge is on the boundary if either endpoint is near a wall
         computation.voronoiEdges.forEach((edge, edgeIdx) => {
-            const startBoundary = (edge.start[0] < boundaryThreshold || edge.start[0] > 1 - boundaryThreshold ||
-                                  edge.start[1] < boundaryThreshold || edge.start[1] > 1 - boundaryThreshold ||
-                                  edge.start[2] < boundaryThreshold || edge.start[2] > 1 - boundaryThreshold);
-            
-            const endBoundary = (edge.end[0] < boundaryThreshold || edge.end[0] > 1 - boundaryThreshold ||
-                                edge.end[1] < boundaryThreshold || edge.end[1] > 1 - boundaryThreshold ||
-                                edge.end[2] < boundaryThreshold || edge.end[2] > 1 - boundaryThreshold);
-            
-            if (startBoundary || endBoundary) {
+            if (isNearWall(edge.start, walledAxes, boundaryThreshold) ||
+                isNearWall(edge.end, walledAxes, boundaryThreshold)) {
                 boundaryEdges.add(edgeIdx);
             }
         });
         
-        console.log(`Detected ${boundaryEdges.size} boundary edges in non-periodic mode`);
+        console.log(`Detected ${boundaryEdges.size} boundary edges near walls`);
     }
     
     // Build a map of vertex positions to connected edges
@@ -561,13 +793,15 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
     
     computation.voronoiEdges.forEach((currentEdge, currentIndex) => {
         let acuteCount = 0;
+        const edgeAngles = angleStats ? [] : null;
         
         // Check if this is a boundary edge
-        const isBoundaryEdge = !computation.isPeriodic && boundaryEdges.has(currentIndex);
+        const isBoundaryEdge = boundaryEdges.has(currentIndex);
         
         // Check angles at both endpoints of the current edge
         ['start', 'end'].forEach(endpoint => {
             const vertexPos = currentEdge[endpoint];
+            if (!countsAngleAt(vertexPos)) return;
             const vertexKey = `${vertexPos[0].toFixed(6)},${vertexPos[1].toFixed(6)},${vertexPos[2].toFixed(6)}`;
             const connectedEdges = vertexToEdges.get(vertexKey) || [];
             
@@ -596,12 +830,15 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
                 const angle = calculateAngle(currentDir, connectedDir);
                 
                 // Count if acute
-                if (angle < Math.PI / 2) {
+                if (angle < angleThreshold) {
                     acuteCount++;
                 }
+                if (edgeAngles) edgeAngles.push(angle);
             });
         });
         
+        if (angleStats) angleStats.push(summarizeAngles(edgeAngles, histogramBins));
+        
         // Adjust score for boundary edges
         if (isBoundaryEdge) {
             // Boundary edges often have fewer connections and artificial angles
@@ -630,27 +867,63 @@ export function edgeAcuteness(computation, maxScore = Infinity) {
  * Comprehensive acuteness analysis for all geometric features.
  * @param {Object} computation - The DelaunayComputation result
  * @param {Object} options - Analysis options
- * @returns {Object} Analysis results with scores for vertices, faces, and cells
+ * @param {string} options.cellMetric - How cellScores are computed, one of CELL_METRICS
+ *        (default 'nearest-vertex', the legacy score)
+ * @param {number} options.angleThreshold - Angles below this count as acute (radians, default π/2)
+ * @param {boolean} options.angleStatistics - Also summarize the angles of every element
+ *        (min, mean, std, histogram; see summarizeAngles)
+ * @param {number} options.histogramBins - Histogram bins over [0, π] (default 6)
+ * @returns {Object} Analysis results with scores for vertices, faces, and cells, the
+ *          cellMetric that produced cellScores and the angleThreshold used; with
+ *          angleStatistics also vertexAngleStats, faceAngleStats, cellAngleStats and
+ *          edgeAngleStats, parallel to the score arrays
  */
 export function analyzeAcuteness(computation, options = {}) {
     const { 
         maxScore = Infinity, 
         includePerformance = false,  // Default to false for speed
-        searchRadius = 0.3
+        searchRadius = 0.3,
+        cellMetric = CELL_METRICS.NEAREST_VERTEX,
+        angleThreshold = DEFAULT_ANGLE_THRESHOLD,
+        angleStatistics = false,
+        histogramBins = DEFAULT_HISTOGRAM_BINS
     } = options;
     
+    if (!Object.values(CELL_METRICS).includes(cellMetric)) {
+        throw new Error(`Unknown cell metric '${cellMetric}': expected one of ${Object.values(CELL_METRICS).join(', ')}`);
+    }
+    
     // Enable performance tracking only if requested
     setPerformanceTracking(includePerformance);
     
     const analysisStartTime = includePerformance ? performance.now() : 0;
     
+    // Each kind of element gets its own angle options so the summaries land in separate arrays
+    const angleOptions = () => ({ angleThreshold, histogramBins, angleStats: angleStatistics ? [] : null });
+    const vertexOptions = angleOptions();
+    const faceOptions = angleOptions();
+    const cellOptions = angleOptions();
+    const edgeOptions = angleOptions();
+    
     const results = {
-        vertexScores: vertexAcuteness(computation, maxScore),
-        faceScores: faceAcuteness(computation, maxScore),
-        cellScores: cellAcuteness(computation, maxScore, searchRadius),
-        edgeScores: edgeAcuteness(computation, maxScore)
+        vertexScores: vertexAcuteness(computation, maxScore, vertexOptions),
+        faceScores: faceAcuteness(computation, maxScore, faceOptions),
+        cellScores: cellMetric === CELL_METRICS.DIHEDRAL ?
+            cellDihedralAcuteness(computation, maxScore, cellOptions) :
+            cellAcuteness(computation, maxScore, searchRadius, cellOptions),
+        cellMetric,
+        edgeScores: edgeAcuteness(computation, maxScore, edgeOptions),
+        angleThreshold
     };
     
+    if (angleStatistics) {
+        results.vertexAngleStats = vertexOptions.angleStats;
+        results.faceAngleStats = faceOptions.angleStats;
+        results.cellAngleStats = cellOptions.angleStats;
+        results.edgeAngleStats = edgeOptions.angleStats;
+        results.histogramBins = histogramBins;
+    }
+    
     if (includePerformance) {
         const analysisEndTime = performance.now();
         const totalDuration = analysisEndTime - analysisStartTime;
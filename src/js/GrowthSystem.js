@@ -6,6 +6,8 @@
  * away from the cell centroid
  */
 
+import { reflectIntoDomain, separateCoincidentPoints } from './ConvexDomain.js';
+
 export class GrowthSystem {
     constructor(config = {}) {
         // Growth configuration
@@ -25,7 +27,11 @@ export class GrowthSystem {
             // Power factor for non-linear growth (1 = linear, 2 = quadratic)
             growthPower: config.growthPower || 1.5,
             // Growth mode: 'more_grow_only', 'more_grow_both', 'more_shrink_only', 'more_shrink_both'
-            mode: config.mode || 'more_grow_both'
+            mode: config.mode || 'more_grow_both',
+            // Periodic box dimensions [Lx, Ly, Lz]; overridden by computation.boxSize when available
+            boxSize: config.boxSize || [1, 1, 1],
+            // Periodicity per axis; walled axes reflect instead of wrapping
+            periodicAxes: config.periodicAxes || [true, true, true]
         };
         
         // Previous deltas for momentum
@@ -77,6 +83,9 @@ export class GrowthSystem {
         
         const cells = computation.getCells();
         const cellScores = analysisResults.cellScores;
+        const boxSize = computation.boxSize || this.config.boxSize;
+        const periodicAxes = computation.periodicAxes || this.config.periodicAxes;
+        const domain = computation.domain || null;
         
         // Reset stats
         this.stats = {
@@ -187,7 +196,7 @@ export class GrowthSystem {
             const dirZ = point[2] - centroid[2];
             
             // Handle periodic boundaries
-            const adjustedDir = this.adjustDirectionForPeriodic(dirX, dirY, dirZ);
+            const adjustedDir = this.adjustDirectionForPeriodic(dirX, dirY, dirZ, boxSize, periodicAxes);
             
             // Normalize direction
             const length = Math.sqrt(
@@ -230,8 +239,11 @@ export class GrowthSystem {
             const newY = point[1] + adjustedDir[1] * delta;
             const newZ = point[2] + adjustedDir[2] * delta;
             
-            // Wrap coordinates for periodic mode
-            const wrappedPos = this.wrapCoordinates(newX, newY, newZ);
+            // Wrap coordinates for periodic mode, keep walled points inside the domain
+            const wrappedPos = this.wrapCoordinates(newX, newY, newZ, boxSize, periodicAxes);
+            if (domain) {
+                reflectIntoDomain(domain, wrappedPos, 1e-9 * Math.max(...boxSize));
+            }
             newPoints.push(wrappedPos);
             
             // Update statistics
@@ -247,6 +259,7 @@ export class GrowthSystem {
                 }
             }
         }
+        separateCoincidentPoints(newPoints, points);
         
         return newPoints;
     }
@@ -255,33 +268,39 @@ export class GrowthSystem {
      * Adjust direction vector for periodic boundaries
      * @private
      */
-    adjustDirectionForPeriodic(dx, dy, dz) {
-        // Apply minimum image convention
+    adjustDirectionForPeriodic(dx, dy, dz, boxSize = this.config.boxSize, periodicAxes = this.config.periodicAxes) {
+        // Apply minimum image convention on periodic axes
         const adjusted = [dx, dy, dz];
         
-        if (dx > 0.5) adjusted[0] -= 1.0;
-        else if (dx < -0.5) adjusted[0] += 1.0;
-        
-        if (dy > 0.5) adjusted[1] -= 1.0;
-        else if (dy < -0.5) adjusted[1] += 1.0;
-        
-        if (dz > 0.5) adjusted[2] -= 1.0;
-        else if (dz < -0.5) adjusted[2] += 1.0;
+        for (let i = 0; i < 3; i++) {
+            if (!periodicAxes[i]) continue;
+            const L = boxSize[i];
+            if (adjusted[i] > L / 2) adjusted[i] -= L;
+            else if (adjusted[i] < -L / 2) adjusted[i] += L;
+        }
         
         return adjusted;
     }
     
     /**
-     * Wrap coordinates to [0,1] for periodic boundaries
+     * Wrap coordinates to [0,L) on periodic axes and reflect them off the walls on the others
      * @private
      */
-    wrapCoordinates(x, y, z) {
+    wrapCoordinates(x, y, z, boxSize = this.config.boxSize, periodicAxes = this.config.periodicAxes) {
         const wrapped = [x, y, z];
         
-        // Wrap each coordinate to [0,1]
         for (let i = 0; i < 3; i++) {
-            wrapped[i] = wrapped[i] % 1;
-            if (wrapped[i] < 0) wrapped[i] += 1;
+            const L = boxSize[i];
+            if (periodicAxes[i]) {
+                // Wrap to [0,L)
+                wrapped[i] = wrapped[i] % L;
+                if (wrapped[i] < 0) wrapped[i] += L;
+            } else {
+                // Reflect rather than clamp, which would stack points on the wall
+                if (wrapped[i] < 0) wrapped[i] = -wrapped[i];
+                if (wrapped[i] > L) wrapped[i] = 2 * L - wrapped[i];
+                wrapped[i] = Math.max(0, Math.min(L * (1 - 1e-9), wrapped[i]));
+            }
         }
         
         return wrapped;
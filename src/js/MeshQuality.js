@@ -0,0 +1,241 @@
+/**
+ * MeshQuality.js
+ *
+ * Element quality of the Delaunay tetrahedra, for reusing the triangulation as a finite
+ * element mesh. Per tetrahedron:
+ *
+ * - Radius ratio ρ = 3 r_in / R_circ, 1 for the regular tetrahedron and 0 when flat
+ * - Minimum and maximum interior dihedral angle (70.53° for the regular tetrahedron)
+ * - Aspect ratio: longest edge over 2√6 r_in, 1 for the regular tetrahedron
+ * - Volume, and sliver detection: slivers have well-proportioned edges yet almost no
+ *   volume, the one bad element Delaunay meshes do not avoid
+ *
+ * Pure geometry on computation.getTetrahedronVertices(), in every periodicity mode.
+ */
+
+// Regular tetrahedron dihedral angle, arccos(1/3)
+export const REGULAR_DIHEDRAL_ANGLE = Math.acos(1 / 3);
+
+// Edges as vertex pairs, each with the two vertices opposite it (whose faces meet at the edge)
+const TETRAHEDRON_EDGES = [
+    [0, 1, 2, 3], [0, 2, 1, 3], [0, 3, 1, 2],
+    [1, 2, 0, 3], [1, 3, 0, 2], [2, 3, 0, 1]
+];
+
+/**
+ * Measure one tetrahedron
+ * @param {Array<Array<number>>} vertices - Four [x, y, z] corners
+ * @returns {Object} { volume, radiusRatio, minDihedral, maxDihedral (radians), aspectRatio,
+ *          edgeRatio (longest over shortest edge), inradius, circumradius }
+ */
+export function computeTetrahedronQuality(vertices) {
+    const [p0, p1, p2, p3] = vertices;
+    const volume = Math.abs(dot(sub(p1, p0), cross(sub(p2, p0), sub(p3, p0)))) / 6;
+
+    const edgeLengths = TETRAHEDRON_EDGES.map(([i, j]) => length(sub(vertices[j], vertices[i])));
+    const longest = Math.max(...edgeLengths);
+    const shortest = Math.min(...edgeLengths);
+
+    // Outward unit normal and area of the face opposite each vertex
+    const normals = [];
+    let surfaceArea = 0;
+    for (let k = 0; k < 4; k++) {
+        const [a, b, c] = [0, 1, 2, 3].filter(i => i !== k).map(i => vertices[i]);
+        let normal = cross(sub(b, a), sub(c, a));
+        const doubleArea = length(normal);
+        surfaceArea += doubleArea / 2;
+        if (dot(normal, sub(vertices[k], a)) > 0) normal = scale(normal, -1);
+        normals.push(doubleArea > 0 ? scale(normal, 1 / doubleArea) : null);
+    }
+
+    // Interior dihedral angle at each edge from the outward normals of its two faces
+    let minDihedral = Infinity;
+    let maxDihedral = -Infinity;
+    for (const [, , k, l] of TETRAHEDRON_EDGES) {
+        if (!normals[k] || !normals[l]) {
+            minDihedral = 0;
+            maxDihedral = Math.PI;
+            continue;
+        }
+        const angle = Math.acos(Math.max(-1, Math.min(1, -dot(normals[k], normals[l]))));
+        minDihedral = Math.min(minDihedral, angle);
+        maxDihedral = Math.max(maxDihedral, angle);
+    }
+
+    // Circumradius from the products of opposite edge lengths
+    const a = edgeLengths[0] * edgeLengths[5];
+    const b = edgeLengths[1] * edgeLengths[4];
+    const c = edgeLengths[2] * edgeLengths[3];
+    const product = (a + b + c) * (a + b - c) * (a - b + c) * (-a + b + c);
+    const circumradius = volume > 0 ? Math.sqrt(Math.max(0, product)) / (24 * volume) : Infinity;
+    const inradius = surfaceArea > 0 ? 3 * volume / surfaceArea : 0;
+
+    return {
+        volume,
+        radiusRatio: circumradius > 0 && isFinite(circumradius) ? Math.min(1, 3 * inradius / circumradius) : 0,
+        minDihedral,
+        maxDihedral,
+        aspectRatio: inradius > 0 ? longest / (2 * Math.sqrt(6) * inradius) : Infinity,
+        edgeRatio: shortest > 0 ? longest / shortest : Infinity,
+        inradius,
+        circumradius
+    };
+}
+
+/**
+ * Measure every tetrahedron of a computation and summarize the mesh.
+ * A tetrahedron is a sliver when its radius ratio is below sliverRadiusRatio while its
+ * longest edge is less than sliverEdgeRatio times its shortest: it is flat although no
+ * edge is short (needles and wedges, which do have short edges, are not slivers).
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {Object} options - Analysis options
+ * @param {number} options.sliverRadiusRatio - Radius ratio below which a well-proportioned
+ *        tetrahedron counts as a sliver (default 0.2)
+ * @param {number} options.sliverEdgeRatio - Longest over shortest edge below which a flat
+ *        tetrahedron counts as a sliver rather than a needle or wedge (default 2)
+ * @param {number} options.histogramBins - Bins of the radius ratio histogram over [0, 1] (default 10)
+ * @param {boolean} options.includePerformance - Record the time taken
+ * @returns {Object} {
+ *     qualityScores: radius ratio per tetrahedron, the values the QUALITY coloring shows,
+ *     radiusRatio, minDihedral, maxDihedral, aspectRatio, volume, isSliver: per tetrahedron,
+ *     slivers: indices of the slivers,
+ *     summary: { numTetrahedra, numSlivers, degenerate, totalVolume,
+ *                radiusRatio, minDihedral, maxDihedral, aspectRatio, volume: { min, mean, max },
+ *                radiusRatioHistogram: counts per bin, worst: up to 10 indices, lowest radius ratio first }
+ * }
+ */
+export function analyzeMeshQuality(computation, options = {}) {
+    const sliverRadiusRatio = options.sliverRadiusRatio !== undefined ? options.sliverRadiusRatio : 0.2;
+    const sliverEdgeRatio = options.sliverEdgeRatio || 2;
+    const histogramBins = options.histogramBins || 10;
+    const startTime = options.includePerformance ? performance.now() : 0;
+
+    const numTetrahedra = computation.tetrahedra.length;
+    const results = {
+        qualityScores: null,
+        radiusRatio: [],
+        minDihedral: [],
+        maxDihedral: [],
+        aspectRatio: [],
+        volume: [],
+        isSliver: [],
+        slivers: []
+    };
+
+    for (let t = 0; t < numTetrahedra; t++) {
+        const quality = computeTetrahedronQuality(computation.getTetrahedronVertices(t));
+        const isSliver = quality.radiusRatio < sliverRadiusRatio && quality.edgeRatio < sliverEdgeRatio;
+
+        results.radiusRatio.push(quality.radiusRatio);
+        results.minDihedral.push(quality.minDihedral);
+        results.maxDihedral.push(quality.maxDihedral);
+        results.aspectRatio.push(quality.aspectRatio);
+        results.volume.push(quality.volume);
+        results.isSliver.push(isSliver);
+        if (isSliver) results.slivers.push(t);
+    }
+    results.qualityScores = results.radiusRatio;
+
+    const histogram = new Array(histogramBins).fill(0);
+    for (const rho of results.radiusRatio) {
+        histogram[Math.min(histogramBins - 1, Math.floor(rho * histogramBins))]++;
+    }
+
+    const worst = results.radiusRatio
+        .map((rho, t) => [rho, t])
+        .sort((a, b) => a[0] - b[0])
+        .slice(0, 10)
+        .map(([, t]) => t);
+
+    results.summary = {
+        numTetrahedra,
+        numSlivers: results.slivers.length,
+        degenerate: results.volume.filter(v => v === 0).length,
+        totalVolume: results.volume.reduce((a, b) => a + b, 0),
+        radiusRatio: summarize(results.radiusRatio),
+        minDihedral: summarize(results.minDihedral),
+        maxDihedral: summarize(results.maxDihedral),
+        aspectRatio: summarize(results.aspectRatio.filter(isFinite)),
+        volume: summarize(results.volume),
+        radiusRatioHistogram: histogram,
+        worst
+    };
+
+    if (options.includePerformance) {
+        results.performance = { totalTime: performance.now() - startTime };
+    }
+
+    console.log(formatMeshQualityReport(results));
+    return results;
+}
+
+/**
+ * One-line summary of analyzeMeshQuality() results
+ * @param {Object} results - Result of analyzeMeshQuality()
+ * @returns {string} The report
+ */
+export function formatMeshQualityReport(results) {
+    const s = results.summary;
+    if (s.numTetrahedra === 0) {
+        return 'Mesh quality: no tetrahedra';
+    }
+    const degrees = radians => (radians * 180 / Math.PI).toFixed(1);
+    return `Mesh quality: ${s.numTetrahedra} tetrahedra, radius ratio min ${s.radiusRatio.min.toFixed(3)} ` +
+        `mean ${s.radiusRatio.mean.toFixed(3)}, dihedral angles ${degrees(s.minDihedral.min)}°-${degrees(s.maxDihedral.max)}°, ` +
+        `max aspect ratio ${s.aspectRatio.max.toFixed(2)}, ${s.numSlivers} slivers` +
+        (s.degenerate > 0 ? `, ${s.degenerate} degenerate` : '');
+}
+
+/**
+ * Minimum, mean and maximum of a list of values (NaN when empty)
+ * @private
+ */
+function summarize(values) {
+    if (values.length === 0) {
+        return { min: NaN, mean: NaN, max: NaN };
+    }
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+        sum += value;
+    }
+    return { min, mean: sum / values.length, max };
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @private
+ */
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @private
+ */
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * @private
+ */
+function scale(v, factor) {
+    return [v[0] * factor, v[1] * factor, v[2] * factor];
+}
+
+/**
+ * @private
+ */
+function length(v) {
+    return Math.hypot(v[0], v[1], v[2]);
+}
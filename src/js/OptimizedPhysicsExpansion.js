@@ -2,13 +2,14 @@
  * OptimizedPhysicsExpansion.js
  * 
  * High-performance physics-based cell expansion system with multiple optimizations:
- * - Spatial hashing for neighbor detection
- * - Vertex hashing for fast comparison
+ * - Exact Delaunay adjacency (CSR neighbor graph) shared with the computation
  * - Force calculation caching
  * - SIMD-friendly data layout
  * - Reduced object allocations
  */
 
+import { reflectIntoDomain, separateCoincidentPoints } from './ConvexDomain.js';
+
 export class OptimizedPhysicsExpansion {
     constructor() {
         // Physics parameters
@@ -24,153 +25,74 @@ export class OptimizedPhysicsExpansion {
         this.activeIndices = null; // Will be Uint32Array of indices with non-zero growth
         this.activeCount = 0;
         
-        // Neighbor cache using typed arrays
+        // Neighbor graph (CSR) from DelaunayComputation.getNeighborGraph()
         this.neighborOffsets = null; // Uint32Array - start index for each cell's neighbors
         this.neighborIndices = null; // Uint32Array - flattened list of all neighbors
-        this.neighborCacheValid = false;
-        
-        // Spatial hashing for faster neighbor detection
-        this.spatialHash = new Map();
-        this.cellSize = 0.1; // Grid cell size for spatial hashing
-        
-        // Vertex hashing for fast comparison
-        this.vertexPrecision = 10000; // For rounding vertices
-    }
-    
-    /**
-     * Initialize arrays for a given number of points
-     */
-    initializeArrays(numPoints) {
-        // Allocate typed arrays
-        this.forces = new Float32Array(numPoints * 3);
-        this.velocities = new Float32Array(numPoints * 3);
-        this.growthRates = new Float32Array(numPoints);
-        this.activeIndices = new Uint32Array(numPoints);
         
-        // Initialize neighbor arrays (will be resized as needed)
-        this.neighborOffsets = new Uint32Array(numPoints + 1);
+        // Simulation domain (null = unbounded, positions are left as computed)
+        this.boxSize = null; // [Lx, Ly, Lz]
+        this.periodicAxes = null; // [bool, bool, bool]; periodic axes wrap, others are walls
+        this.domain = null; // Optional convex domain (sphere, cylinder, polyhedron) inside the box
     }
     
     /**
-     * Hash a vertex to an integer for fast comparison
+     * Set the simulation box. Forces use the minimum image along periodic axes;
+     * after each step points are wrapped along periodic axes and reflected off the walls
+     * along the others. With a convex domain, points that leave it are reflected back in.
+     * @param {Array<number>} boxSize - [Lx, Ly, Lz]
+     * @param {Array<boolean>} periodicAxes - Periodicity per axis
+     * @param {Object} domain - Convex domain from ConvexDomain.createDomain(), or null
      */
-    hashVertex(x, y, z) {
-        const rx = Math.round(x * this.vertexPrecision);
-        const ry = Math.round(y * this.vertexPrecision);
-        const rz = Math.round(z * this.vertexPrecision);
-        // Simple hash combining the rounded coordinates
-        return `${rx},${ry},${rz}`;
+    setDomain(boxSize, periodicAxes, domain = null) {
+        this.boxSize = boxSize ? [...boxSize] : null;
+        this.periodicAxes = periodicAxes ? [...periodicAxes] : null;
+        this.domain = domain;
     }
     
     /**
-     * Build spatial hash for vertices
+     * Keep a position inside the domain: wrap periodic axes, reflect off walls (clamping
+     * would stack every point that crossed a wall onto it), then reflect into the convex
+     * domain if there is one
      */
-    buildVertexHash(voronoiCells) {
-        const vertexMap = new Map(); // vertex hash -> Set of cell indices
-        
-        voronoiCells.forEach((cell, cellIndex) => {
-            const vertices = this.extractVertices(cell);
-            vertices.forEach(vertex => {
-                const hash = this.hashVertex(vertex[0], vertex[1], vertex[2]);
-                if (!vertexMap.has(hash)) {
-                    vertexMap.set(hash, new Set());
-                }
-                vertexMap.get(hash).add(cellIndex);
-            });
-        });
-        
-        return vertexMap;
+    constrainToDomain(position) {
+        if (!this.boxSize || !this.periodicAxes) return position;
+        
+        for (let axis = 0; axis < 3; axis++) {
+            const L = this.boxSize[axis];
+            if (this.periodicAxes[axis]) {
+                position[axis] -= Math.floor(position[axis] / L) * L;
+                if (position[axis] >= L) position[axis] = 0;
+            } else {
+                if (position[axis] < 0) position[axis] = -position[axis];
+                if (position[axis] > L) position[axis] = 2 * L - position[axis];
+                // Stay strictly below L: the triangulation wraps coordinates equal to L to 0
+                position[axis] = Math.max(0, Math.min(L * (1 - 1e-9), position[axis]));
+            }
+        }
+        if (this.domain) {
+            reflectIntoDomain(this.domain, position, 1e-9 * Math.max(...this.boxSize));
+        }
+        return position;
     }
     
     /**
-     * Optimized neighbor cache building using vertex hashing
+     * Initialize arrays for a given number of points
      */
-    rebuildNeighborCache(voronoiCells) {
-        const numCells = voronoiCells.length;
-        
-        // Build vertex hash map
-        const vertexMap = this.buildVertexHash(voronoiCells);
-        
-        // Count neighbors for each cell
-        const neighborSets = new Array(numCells);
-        for (let i = 0; i < numCells; i++) {
-            neighborSets[i] = new Set();
-        }
-        
-        // Find neighbors by checking which cells share vertices
-        vertexMap.forEach(cellIndices => {
-            // All cells that share this vertex are potential neighbors
-            const indices = Array.from(cellIndices);
-            for (let i = 0; i < indices.length; i++) {
-                for (let j = i + 1; j < indices.length; j++) {
-                    const cellA = indices[i];
-                    const cellB = indices[j];
-                    
-                    // Check if they already registered as neighbors
-                    if (!neighborSets[cellA].has(cellB)) {
-                        // Count shared vertices between these two cells
-                        const sharedCount = this.countSharedVerticesFast(
-                            voronoiCells[cellA], 
-                            voronoiCells[cellB],
-                            vertexMap
-                        );
-                        
-                        if (sharedCount >= 2) {
-                            neighborSets[cellA].add(cellB);
-                            neighborSets[cellB].add(cellA);
-                        }
-                    }
-                }
-            }
-        });
-        
-        // Convert to flat arrays for better cache performance
-        let totalNeighbors = 0;
-        this.neighborOffsets[0] = 0;
-        
-        for (let i = 0; i < numCells; i++) {
-            const neighbors = neighborSets[i];
-            totalNeighbors += neighbors.size;
-            this.neighborOffsets[i + 1] = totalNeighbors;
-        }
-        
-        // Allocate neighbor indices array
-        this.neighborIndices = new Uint32Array(totalNeighbors);
-        
-        // Fill neighbor indices
-        for (let i = 0; i < numCells; i++) {
-            const neighbors = Array.from(neighborSets[i]);
-            const offset = this.neighborOffsets[i];
-            for (let j = 0; j < neighbors.length; j++) {
-                this.neighborIndices[offset + j] = neighbors[j];
-            }
-        }
-        
-        this.neighborCacheValid = true;
+    initializeArrays(numPoints) {
+        // Allocate typed arrays
+        this.forces = new Float32Array(numPoints * 3);
+        this.velocities = new Float32Array(numPoints * 3);
+        this.growthRates = new Float32Array(numPoints);
+        this.activeIndices = new Uint32Array(numPoints);
     }
     
     /**
-     * Fast shared vertex counting using pre-built vertex hashes
+     * Use a neighbor graph in CSR form, as returned by DelaunayComputation.getNeighborGraph()
+     * @param {Object} neighborGraph - { offsets: Uint32Array, indices: Uint32Array }
      */
-    countSharedVerticesFast(cell1, cell2, vertexMap) {
-        const vertices1 = this.extractVertices(cell1);
-        const vertices2 = this.extractVertices(cell2);
-        
-        // Use Set for O(1) lookup
-        const hashes2 = new Set();
-        vertices2.forEach(v => {
-            hashes2.add(this.hashVertex(v[0], v[1], v[2]));
-        });
-        
-        let count = 0;
-        vertices1.forEach(v => {
-            const hash = this.hashVertex(v[0], v[1], v[2]);
-            if (hashes2.has(hash)) {
-                count++;
-            }
-        });
-        
-        return count;
+    setNeighborGraph(neighborGraph) {
+        this.neighborOffsets = neighborGraph.offsets;
+        this.neighborIndices = neighborGraph.indices;
     }
     
     /**
@@ -182,29 +104,6 @@ export class OptimizedPhysicsExpansion {
         return this.neighborIndices.subarray(start, end);
     }
     
-    /**
-     * Extract vertices from cell structure
-     */
-    extractVertices(cell) {
-        if (Array.isArray(cell) && cell.length > 0 && Array.isArray(cell[0])) {
-            return cell;
-        }
-        
-        if (cell && cell.vertices) {
-            return cell.vertices;
-        }
-        
-        if (cell && Array.isArray(cell)) {
-            const vertices = [];
-            for (let i = 0; i < cell.length; i += 3) {
-                vertices.push([cell[i], cell[i + 1], cell[i + 2]]);
-            }
-            return vertices;
-        }
-        
-        return [];
-    }
-    
     /**
      * Set growth rate for a specific cell
      */
@@ -236,10 +135,6 @@ export class OptimizedPhysicsExpansion {
             const newActiveIndices = new Uint32Array(newSize);
             newActiveIndices.set(this.activeIndices);
             this.activeIndices = newActiveIndices;
-            
-            const newNeighborOffsets = new Uint32Array(newSize + 1);
-            newNeighborOffsets.set(this.neighborOffsets);
-            this.neighborOffsets = newNeighborOffsets;
         }
         
         this.growthRates[cellIndex] = rate;
@@ -265,7 +160,6 @@ export class OptimizedPhysicsExpansion {
         if (this.forces) {
             this.forces.fill(0);
         }
-        this.neighborCacheValid = false;
     }
     
     /**
@@ -287,9 +181,17 @@ export class OptimizedPhysicsExpansion {
      * Optimized force calculation using typed arrays
      */
     calculateForceFast(pointA, pointB, growthRate, forceBuffer, offset) {
-        const dx = pointB[0] - pointA[0];
-        const dy = pointB[1] - pointA[1];
-        const dz = pointB[2] - pointA[2];
+        let dx = pointB[0] - pointA[0];
+        let dy = pointB[1] - pointA[1];
+        let dz = pointB[2] - pointA[2];
+        
+        // Minimum image along periodic axes
+        if (this.periodicAxes) {
+            const [Lx, Ly, Lz] = this.boxSize;
+            if (this.periodicAxes[0]) { if (dx > Lx / 2) dx -= Lx; else if (dx < -Lx / 2) dx += Lx; }
+            if (this.periodicAxes[1]) { if (dy > Ly / 2) dy -= Ly; else if (dy < -Ly / 2) dy += Ly; }
+            if (this.periodicAxes[2]) { if (dz > Lz / 2) dz -= Lz; else if (dz < -Lz / 2) dz += Lz; }
+        }
         
         const distanceSquared = dx * dx + dy * dy + dz * dz;
         
@@ -325,8 +227,11 @@ export class OptimizedPhysicsExpansion {
     
     /**
      * Optimized physics step using typed arrays and reduced allocations
+     * @param {Array} generatorPoints - Current point positions
+     * @param {Object} neighborGraph - CSR adjacency from DelaunayComputation.getNeighborGraph()
+     * @param {number} deltaTime - Time step
      */
-    applyPhysicsStep(generatorPoints, voronoiCells, deltaTime = 0.016) {
+    applyPhysicsStep(generatorPoints, neighborGraph, deltaTime = 0.016) {
         const numPoints = generatorPoints.length;
         
         // Initialize arrays if needed
@@ -334,9 +239,11 @@ export class OptimizedPhysicsExpansion {
             this.initializeArrays(numPoints);
         }
         
-        // Rebuild neighbor cache if needed
-        if (!this.neighborCacheValid) {
-            this.rebuildNeighborCache(voronoiCells);
+        if (neighborGraph) {
+            this.setNeighborGraph(neighborGraph);
+        }
+        if (!this.neighborOffsets) {
+            throw new Error('No neighbor graph: pass DelaunayComputation.getNeighborGraph()');
         }
         
         // Update active indices
@@ -399,17 +306,15 @@ export class OptimizedPhysicsExpansion {
             const displacement = Math.sqrt(dx * dx + dy * dy + dz * dz);
             maxDisplacement = Math.max(maxDisplacement, displacement);
             
-            // Update position
+            // Update position, keeping it inside the domain
             const point = generatorPoints[i];
-            updatedPoints[i] = [
+            updatedPoints[i] = this.constrainToDomain([
                 point[0] + dx,
                 point[1] + dy,
                 point[2] + dz
-            ];
+            ]);
         }
-        
-        // Invalidate neighbor cache as points have moved
-        this.neighborCacheValid = false;
+        separateCoincidentPoints(updatedPoints, generatorPoints);
         
         return {
             updatedPoints,
@@ -445,7 +350,6 @@ export class OptimizedPhysicsExpansion {
     getDebugInfo() {
         return {
             activeCount: this.activeCount,
-            neighborCacheValid: this.neighborCacheValid,
             totalNeighbors: this.neighborIndices ? this.neighborIndices.length : 0,
             averageNeighborsPerCell: this.neighborIndices ? 
                 this.neighborIndices.length / this.growthRates.length : 0
@@ -24,108 +24,32 @@ export class PhysicsExpansion {
     }
     
     /**
-     * Find all neighbors of a cell (cells that share a Voronoi edge)
+     * Find all neighbors of a cell (cells that share a Voronoi face)
      */
-    findCellNeighbors(cellIndex, voronoiCells) {
+    findCellNeighbors(cellIndex, neighborGraph) {
         if (!this.neighborCacheValid) {
-            this.rebuildNeighborCache(voronoiCells);
+            this.rebuildNeighborCache(neighborGraph);
         }
         return this.neighborCache.get(cellIndex) || new Set();
     }
     
     /**
-     * Rebuild the neighbor cache from Voronoi cells
+     * Rebuild the neighbor cache from a CSR neighbor graph
+     * (DelaunayComputation.getNeighborGraph())
      */
-    rebuildNeighborCache(voronoiCells) {
+    rebuildNeighborCache(neighborGraph) {
         this.neighborCache.clear();
         
-        // Initialize empty sets for all cells
-        voronoiCells.forEach((_, index) => {
-            this.neighborCache.set(index, new Set());
-        });
-        
-        // For each cell, check which other cells share vertices
-        voronoiCells.forEach((cell1, index1) => {
-            voronoiCells.forEach((cell2, index2) => {
-                if (index1 >= index2) return; // Skip self and already processed pairs
-                
-                // Check if cells share any vertices (indicating shared edge)
-                const sharedVertices = this.countSharedVertices(cell1, cell2);
-                
-                // In 3D, cells sharing 2 or more vertices share an edge
-                // In 2D, cells sharing 2 vertices share an edge
-                if (sharedVertices >= 2) {
-                    this.neighborCache.get(index1).add(index2);
-                    this.neighborCache.get(index2).add(index1);
-                }
-            });
-        });
-        
-        this.neighborCacheValid = true;
-    }
-    
-    /**
-     * Count shared vertices between two cells
-     */
-    countSharedVertices(cell1, cell2) {
-        let count = 0;
-        
-        // Extract vertices from cell structure
-        const vertices1 = this.extractVertices(cell1);
-        const vertices2 = this.extractVertices(cell2);
-        
-        for (const v1 of vertices1) {
-            for (const v2 of vertices2) {
-                // Check if vertices are the same (within small tolerance)
-                const dx = Math.abs(v1[0] - v2[0]);
-                const dy = Math.abs(v1[1] - v2[1]);
-                const dz = Math.abs(v1[2] - v2[2]);
-                
-                if (dx < 0.0001 && dy < 0.0001 && dz < 0.0001) {
-                    count++;
-                    break;
-                }
+        const { offsets, indices } = neighborGraph;
+        for (let i = 0; i + 1 < offsets.length; i++) {
+            const neighbors = new Set();
+            for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+                if (indices[k] !== i) neighbors.add(indices[k]);
             }
+            this.neighborCache.set(i, neighbors);
         }
         
-        return count;
-    }
-    
-    /**
-     * Extract vertices from cell structure
-     */
-    extractVertices(cell) {
-        // If cell is already an array of vertices
-        if (Array.isArray(cell) && cell.length > 0 && Array.isArray(cell[0])) {
-            return cell;
-        }
-        
-        // If cell has faces property (typical Voronoi structure)
-        if (cell.faces && Array.isArray(cell.faces)) {
-            const vertices = [];
-            const vertexSet = new Set();
-            
-            cell.faces.forEach(face => {
-                if (face.vertices) {
-                    face.vertices.forEach(v => {
-                        const key = `${v[0].toFixed(6)},${v[1].toFixed(6)},${v[2].toFixed(6)}`;
-                        if (!vertexSet.has(key)) {
-                            vertexSet.add(key);
-                            vertices.push(v);
-                        }
-                    });
-                }
-            });
-            
-            return vertices;
-        }
-        
-        // If cell has vertices property
-        if (cell.vertices && Array.isArray(cell.vertices)) {
-            return cell.vertices;
-        }
-        
-        return [];
+        this.neighborCacheValid = true;
     }
     
     /**
@@ -187,7 +111,7 @@ export class PhysicsExpansion {
     /**
      * Apply physics step to update generator positions
      */
-    applyPhysicsStep(generatorPoints, voronoiCells, deltaTime = 0.016) {
+    applyPhysicsStep(generatorPoints, neighborGraph, deltaTime = 0.016) {
         // Clear forces
         this.forces.clear();
         
@@ -207,7 +131,7 @@ export class PhysicsExpansion {
             if (Math.abs(growthRateA) < 0.001) continue;
             
             const pointA = generatorPoints[cellIndexA];
-            const neighborsA = this.findCellNeighbors(cellIndexA, voronoiCells);
+            const neighborsA = this.findCellNeighbors(cellIndexA, neighborGraph);
             
             neighborsA.forEach(cellIndexB => {
                 // Check if neighbor also has a growth rate
@@ -57,6 +57,8 @@ export class PhysicsGrowthSystem {
         this.continuousIntervalId = null;
         this.physicsStepCounter = 0; // Track physics steps in continuous mode
         this.currentGrowthSignals = null; // Store growth signals between analyses
+        this.cellMetric = null; // Cell acuteness metric the current run is driven by
+        this.angleThreshold = null; // Acute-angle cutoff of those scores
         this.stats = {
             totalDisplacement: 0,
             maxDisplacement: 0,
@@ -67,10 +69,6 @@ export class PhysicsGrowthSystem {
             equilibriumReached: false
         };
         
-        // Cache for Voronoi cells to avoid rebuilding
-        this.voronoiCellsCache = null;
-        this.voronoiCacheValid = false;
-        
         // Performance monitoring
         this.performanceStats = {
             acutenessTime: 0,
@@ -90,6 +88,8 @@ export class PhysicsGrowthSystem {
             return points;
         }
         
+        this.checkCellMetric(analysisResults);
+        
         // Step a: Stop all motion
         this.physicsEngine.reset();
         
@@ -111,6 +111,24 @@ export class PhysicsGrowthSystem {
         return result.updatedPoints;
     }
     
+    /**
+     * Scores from different cell metrics or acute-angle cutoffs live on different scales, so
+     * the threshold means something else for each: restart the run when either changes
+     * instead of mixing them.
+     * @private
+     */
+    checkCellMetric(analysisResults) {
+        const metric = analysisResults.cellMetric || 'nearest-vertex';
+        const angleThreshold = analysisResults.angleThreshold !== undefined ? analysisResults.angleThreshold : Math.PI / 2;
+        if (this.cellMetric && (this.cellMetric !== metric || this.angleThreshold !== angleThreshold)) {
+            console.warn(`Cell scoring changed from '${this.cellMetric}' < ${this.angleThreshold} rad to ` +
+                `'${metric}' < ${angleThreshold} rad: restarting growth`);
+            this.reset();
+        }
+        this.cellMetric = metric;
+        this.angleThreshold = angleThreshold;
+    }
+    
     /**
      * Step c: Calculate growth strength based on acuteness vs threshold
      */
@@ -220,18 +238,17 @@ export class PhysicsGrowthSystem {
     balanceForces(points, computation) {
         const startTime = performance.now();
         
-        // Build Voronoi cells from computation (use cache if valid)
-        let cells;
-        if (this.voronoiCacheValid && this.voronoiCellsCache) {
-            cells = this.voronoiCellsCache;
-        } else {
-            const voronoiStart = performance.now();
-            cells = this.buildVoronoiCells(points, computation);
-            this.voronoiCellsCache = cells;
-            this.voronoiCacheValid = true;
-            this.performanceStats.voronoiTime = performance.now() - voronoiStart;
+        // Physics follows the computation's box: wrap periodic axes, stop at walls
+        // and at the surface of a convex domain
+        if (computation.boxSize && computation.periodicAxes) {
+            this.physicsEngine.setDomain(computation.boxSize, computation.periodicAxes, computation.domain || null);
         }
         
+        // Exact Delaunay adjacency, built once per triangulation by the computation
+        const voronoiStart = performance.now();
+        const neighborGraph = computation.getNeighborGraph();
+        this.performanceStats.voronoiTime = performance.now() - voronoiStart;
+        
         let currentPoints = points.map(p => [...p]); // Deep copy
         let physicsSteps = 0;
         let equilibriumReached = false;
@@ -240,7 +257,7 @@ export class PhysicsGrowthSystem {
         
         // Run physics steps until equilibrium or max steps reached
         while (physicsSteps < this.config.maxPhysicsSteps && !equilibriumReached) {
-            const result = this.physicsEngine.applyPhysicsStep(currentPoints, cells);
+            const result = this.physicsEngine.applyPhysicsStep(currentPoints, neighborGraph);
             
             currentPoints = result.updatedPoints;
             maxDisplacement = Math.max(maxDisplacement, result.maxDisplacement);
@@ -269,34 +286,6 @@ export class PhysicsGrowthSystem {
         };
     }
     
-    /**
-     * Build Voronoi cells from computation for physics engine
-     */
-    buildVoronoiCells(points, computation) {
-        const cells = [];
-        
-        // Initialize empty cells
-        for (let i = 0; i < points.length; i++) {
-            cells.push([]);
-        }
-        
-        // Build cell vertices from tetrahedra barycenters
-        if (computation.tetrahedra && computation.barycenters) {
-            computation.tetrahedra.forEach((tet, index) => {
-                const barycenter = computation.barycenters[index];
-                if (!barycenter) return;
-                
-                tet.forEach(vertexIndex => {
-                    if (cells[vertexIndex]) {
-                        cells[vertexIndex].push(barycenter);
-                    }
-                });
-            });
-        }
-        
-        return cells;
-    }
-    
     /**
      * Update statistics after physics step
      */
@@ -326,6 +315,8 @@ export class PhysicsGrowthSystem {
         this.currentStep = 0;
         this.physicsStepCounter = 0;
         this.currentGrowthSignals = null;
+        this.cellMetric = null;
+        this.angleThreshold = null;
         this.stats = {
             totalDisplacement: 0,
             maxDisplacement: 0,
@@ -335,7 +326,6 @@ export class PhysicsGrowthSystem {
             physicsSteps: 0,
             equilibriumReached: false
         };
-        this.voronoiCacheValid = false;
     }
     
     /**
@@ -482,6 +472,7 @@ export class PhysicsGrowthSystem {
         
         if (!skipAnalysis && analysisResults) {
             // New analysis available - calculate and store growth signals
+            this.checkCellMetric(analysisResults);
             this.currentGrowthSignals = this.calculateGrowthSignals(analysisResults.cellScores);
             this.applyGrowthSignals(this.currentGrowthSignals);
             this.physicsStepCounter = 0;
@@ -538,9 +529,6 @@ export class PhysicsGrowthSystem {
         this.stats.equilibriumReached = result.equilibriumReached;
         this.stepCount++;
         
-        // Invalidate Voronoi cache since points have moved
-        this.voronoiCacheValid = false;
-        
         this.performanceStats.totalTime = performance.now() - stepStartTime;
         
         return result.updatedPoints;
@@ -0,0 +1,427 @@
+/**
+ * RegularTriangulation.js
+ *
+ * Regular (weighted Delaunay) triangulation of weighted points in JavaScript, for WASM builds
+ * that predate the weights option of compute_delaunay_ex. A tetrahedron belongs to it when no
+ * other point has a smaller power distance |x - p|^2 - w to its power center than its own
+ * four vertices; a point can be hidden by heavier neighbours and then appears in no
+ * tetrahedron, as does every coincident point but one. Without weights this is the Delaunay
+ * triangulation.
+ *
+ * Incremental (Bowyer–Watson) construction: each point removes the tetrahedra it conflicts
+ * with and connects to the boundary of that cavity. The convex hull is closed with tetrahedra
+ * to a vertex at infinity, so the result covers the hull exactly. Points are inserted in
+ * spatial (Morton) order and located by walking from the last new tetrahedron.
+ *
+ * Non-periodic only: periodic callers triangulate periodic images (see
+ * DelaunayComputation._computeReplicated). Predicates are plain floating point; in place of
+ * Geogram's symbolic perturbation the points are moved by a tiny deterministic amount, which
+ * breaks the exact coplanarity and cosphericity of lattices and of periodic images (a point,
+ * its translate and another pair translated alike are coplanar). Such ties are resolved
+ * arbitrarily.
+ */
+
+/**
+ * Compute the regular triangulation of weighted points
+ * @param {Float64Array|Array<number>} points - Flat coordinates [x0, y0, z0, x1, ...]
+ * @param {Float64Array|Array<number>|null} weights - One weight (squared radius) per point,
+ *        or null for the Delaunay triangulation
+ * @returns {Array<Array<number>>} Point indices of each tetrahedron, positively oriented
+ *          (up to the perturbation, for degenerate input)
+ */
+export function computeRegularTriangulation(points, weights = null) {
+    const numPoints = Math.floor(points.length / 3);
+    const w = weights ? Float64Array.from(weights) : new Float64Array(numPoints);
+    const kept = distinctPoints(points, w, numPoints);
+    const coords = perturb(Float64Array.from(points), numPoints);
+    const order = mortonOrder(coords, numPoints).filter(i => kept[i]);
+    const seed = findInitialTetrahedron(coords, order);
+    if (!seed) return [];
+
+    const mesh = new TetrahedronMesh(coords, w, numPoints);
+    mesh.start(seed);
+    const inSeed = new Set(seed);
+    for (const i of order) {
+        if (!inSeed.has(i)) mesh.insert(i);
+    }
+    return mesh.finiteTetrahedra();
+}
+
+/**
+ * Tetrahedra with neighbour links. Tetrahedron t has vertices v[4t..4t+3] and, across the face
+ * opposite vertex k, the neighbour n[4t+k]. Every tetrahedron is positively oriented, infinite
+ * ones as if the infinite vertex were a point beyond their hull face.
+ * @private
+ */
+class TetrahedronMesh {
+    constructor(coords, weights, numPoints) {
+        this.coords = coords;
+        this.weights = weights;
+        this.infinite = numPoints;
+        this.v = [];
+        this.n = [];
+        this.alive = [];
+        // Slots of removed tetrahedra, reused by new ones
+        this.free = [];
+        // Per tetrahedron, the insertion that last classified it (positive: in the cavity)
+        this.mark = [];
+        this.stamp = 0;
+        this.last = 0;
+        // Deterministic rotation of the walk's first face, which keeps it from cycling
+        this.walkState = 1;
+    }
+
+    /**
+     * Start from one finite tetrahedron and the four infinite ones on its faces
+     */
+    start([a, b, c, d]) {
+        if (this._orient(a, b, c, d) < 0) [c, d] = [d, c];
+        const first = this._add(a, b, c, d);
+        const links = new Map();
+        for (let k = 0; k < 4; k++) {
+            const vertices = [a, b, c, d];
+            vertices[k] = this.infinite;
+            // Swapping two finite vertices keeps the infinite tetrahedron positive
+            const i = (k + 1) % 4;
+            const j = (k + 2) % 4;
+            [vertices[i], vertices[j]] = [vertices[j], vertices[i]];
+            const t = this._add(...vertices);
+            this.n[4 * t + k] = first;
+            this.n[4 * first + k] = t;
+            this._linkAround(t, k, links);
+        }
+        this.last = first;
+    }
+
+    /**
+     * Insert point p, or leave it out when heavier neighbours hide it
+     */
+    insert(p) {
+        const start = this._locate(p);
+        if (!this._conflicts(start, p)) return;
+
+        // Grow the cavity of conflicting tetrahedra, recording the faces on its boundary
+        const stamp = ++this.stamp;
+        this.mark[start] = stamp;
+        const cavity = [start];
+        const boundary = [];
+        for (let c = 0; c < cavity.length; c++) {
+            const t = cavity[c];
+            for (let k = 0; k < 4; k++) {
+                const u = this.n[4 * t + k];
+                if (this.mark[u] === stamp) continue;
+                if (this.mark[u] !== -stamp && this._conflicts(u, p)) {
+                    this.mark[u] = stamp;
+                    cavity.push(u);
+                } else {
+                    this.mark[u] = -stamp;
+                    boundary.push(t, k, u);
+                }
+            }
+        }
+
+        // Connect p to every boundary face; p takes the place of the vertex the face is opposite
+        const links = new Map();
+        for (let b = 0; b < boundary.length; b += 3) {
+            const t = boundary[b];
+            const k = boundary[b + 1];
+            const u = boundary[b + 2];
+            const base = 4 * t;
+            const created = this._add(this.v[base], this.v[base + 1], this.v[base + 2], this.v[base + 3]);
+            this.v[4 * created + k] = p;
+            this.n[4 * created + k] = u;
+            for (let j = 0; j < 4; j++) {
+                if (this.n[4 * u + j] === t) this.n[4 * u + j] = created;
+            }
+            this._linkAround(created, k, links);
+            if (!this._isInfinite(created)) this.last = created;
+        }
+        for (const t of cavity) {
+            this.alive[t] = false;
+            this.free.push(t);
+        }
+    }
+
+    /**
+     * Point indices of the live tetrahedra without the infinite vertex
+     */
+    finiteTetrahedra() {
+        const result = [];
+        for (let t = 0; t < this.alive.length; t++) {
+            if (!this.alive[t] || this._isInfinite(t)) continue;
+            result.push(this.v.slice(4 * t, 4 * t + 4));
+        }
+        return result;
+    }
+
+    _add(a, b, c, d) {
+        if (this.free.length > 0) {
+            const t = this.free.pop();
+            const base = 4 * t;
+            this.v[base] = a;
+            this.v[base + 1] = b;
+            this.v[base + 2] = c;
+            this.v[base + 3] = d;
+            this.alive[t] = true;
+            this.mark[t] = 0;
+            return t;
+        }
+        const t = this.alive.length;
+        this.v.push(a, b, c, d);
+        this.n.push(-1, -1, -1, -1);
+        this.alive.push(true);
+        this.mark.push(0);
+        return t;
+    }
+
+    /**
+     * Link the faces of new tetrahedron t that contain its vertex at position k with the new
+     * tetrahedra sharing them, matched by the two other vertices of each face
+     */
+    _linkAround(t, k, links) {
+        for (let j = 0; j < 4; j++) {
+            if (j === k) continue;
+            // The two positions other than j and k
+            const i1 = (j + 1) % 4 === k ? (j + 2) % 4 : (j + 1) % 4;
+            const i2 = 6 - j - k - i1;
+            const a = this.v[4 * t + i1];
+            const b = this.v[4 * t + i2];
+            const key = a < b ? a * (this.infinite + 1) + b : b * (this.infinite + 1) + a;
+            const match = links.get(key);
+            if (match === undefined) {
+                links.set(key, 4 * t + j);
+            } else {
+                this.n[4 * t + j] = match >> 2;
+                this.n[match] = t;
+                links.delete(key);
+            }
+        }
+    }
+
+    _isInfinite(t) {
+        const base = 4 * t;
+        const inf = this.infinite;
+        return this.v[base] === inf || this.v[base + 1] === inf || this.v[base + 2] === inf || this.v[base + 3] === inf;
+    }
+
+    /**
+     * A live tetrahedron containing p, or an infinite one whose hull face p lies beyond
+     */
+    _locate(p) {
+        let t = this.alive[this.last] ? this.last : this._anyFinite();
+        for (let steps = 0; steps < 10000; steps++) {
+            if (this._isInfinite(t)) return t;
+            this.walkState = (this.walkState * 1103515245 + 12345) & 0x7fffffff;
+            const offset = this.walkState & 3;
+            let next = -1;
+            for (let j = 0; j < 4; j++) {
+                const k = (j + offset) & 3;
+                if (this._orientWith(t, k, p) < 0) {
+                    next = this.n[4 * t + k];
+                    break;
+                }
+            }
+            if (next < 0) return t;
+            t = next;
+        }
+        return this._locateByScan(p);
+    }
+
+    /**
+     * Fallback when the walk does not settle: check every tetrahedron
+     */
+    _locateByScan(p) {
+        let outside = -1;
+        for (let t = 0; t < this.alive.length; t++) {
+            if (!this.alive[t]) continue;
+            if (this._isInfinite(t)) {
+                if (outside < 0 && this._conflicts(t, p)) outside = t;
+                continue;
+            }
+            let inside = true;
+            for (let k = 0; k < 4 && inside; k++) {
+                if (this._orientWith(t, k, p) < 0) inside = false;
+            }
+            if (inside) return t;
+        }
+        return outside >= 0 ? outside : this._anyFinite();
+    }
+
+    _anyFinite() {
+        for (let t = this.alive.length - 1; t >= 0; t--) {
+            if (this.alive[t] && !this._isInfinite(t)) return t;
+        }
+        return 0;
+    }
+
+    /**
+     * Whether p conflicts with tetrahedron t: lies inside its power sphere, or for an infinite
+     * tetrahedron beyond its hull face (on the face's plane, when it conflicts with the
+     * finite tetrahedron behind the face)
+     */
+    _conflicts(t, p) {
+        const base = 4 * t;
+        let k = 0;
+        while (k < 4 && this.v[base + k] !== this.infinite) k++;
+        if (k < 4) {
+            const side = this._orientWith(t, k, p);
+            if (side !== 0) return side > 0;
+            return this._conflicts(this.n[base + k], p);
+        }
+        return this._insphere(this.v[base], this.v[base + 1], this.v[base + 2], this.v[base + 3], p) > 0;
+    }
+
+    /**
+     * Orientation of tetrahedron t with its vertex at position k replaced by p
+     */
+    _orientWith(t, k, p) {
+        const base = 4 * t;
+        const vertices = [this.v[base], this.v[base + 1], this.v[base + 2], this.v[base + 3]];
+        vertices[k] = p;
+        return this._orient(vertices[0], vertices[1], vertices[2], vertices[3]);
+    }
+
+    /**
+     * Signed volume (times 6) of tetrahedron abcd, positive when d is on the side of abc
+     * that makes (b - a, c - a, d - a) right-handed
+     */
+    _orient(a, b, c, d) {
+        const x = this.coords;
+        const ax = x[3 * a], ay = x[3 * a + 1], az = x[3 * a + 2];
+        const ux = x[3 * b] - ax, uy = x[3 * b + 1] - ay, uz = x[3 * b + 2] - az;
+        const vx = x[3 * c] - ax, vy = x[3 * c + 1] - ay, vz = x[3 * c + 2] - az;
+        const wx = x[3 * d] - ax, wy = x[3 * d + 1] - ay, wz = x[3 * d + 2] - az;
+        return ux * (vy * wz - vz * wy) - uy * (vx * wz - vz * wx) + uz * (vx * wy - vy * wx);
+    }
+
+    /**
+     * Positive when p has a smaller power distance to the power center of the positively
+     * oriented tetrahedron abcd than its vertices: the lifted point (p, |p|^2 - w_p) lies
+     * below the hyperplane through the lifted vertices
+     */
+    _insphere(a, b, c, d, p) {
+        const x = this.coords;
+        const w = this.weights;
+        const px = x[3 * p], py = x[3 * p + 1], pz = x[3 * p + 2];
+        const rows = [a, b, c, d].map(i => {
+            const dx = x[3 * i] - px, dy = x[3 * i + 1] - py, dz = x[3 * i + 2] - pz;
+            return [dx, dy, dz, dx * dx + dy * dy + dz * dz - w[i] + w[p]];
+        });
+        const [ra, rb, rc, rd] = rows;
+        return ra[3] * det3(rb, rc, rd) - rb[3] * det3(ra, rc, rd) + rc[3] * det3(ra, rb, rd) - rd[3] * det3(ra, rb, rc);
+    }
+}
+
+/**
+ * Determinant of the 3x3 matrix with rows r0, r1, r2 (first three entries of each)
+ * @private
+ */
+function det3(r0, r1, r2) {
+    return r0[0] * (r1[1] * r2[2] - r1[2] * r2[1]) -
+        r0[1] * (r1[0] * r2[2] - r1[2] * r2[0]) +
+        r0[2] * (r1[0] * r2[1] - r1[1] * r2[0]);
+}
+
+/**
+ * Which points to triangulate: of points at exactly the same position only the heaviest
+ * (the first, among equal weights), as Geogram keeps one of coincident points
+ * @private
+ */
+function distinctPoints(points, weights, numPoints) {
+    const kept = new Uint8Array(numPoints);
+    const keptAt = new Map();
+    for (let i = 0; i < numPoints; i++) {
+        const key = `${points[3 * i]},${points[3 * i + 1]},${points[3 * i + 2]}`;
+        const other = keptAt.get(key);
+        if (other !== undefined && weights[other] >= weights[i]) continue;
+        if (other !== undefined) kept[other] = 0;
+        keptAt.set(key, i);
+        kept[i] = 1;
+    }
+    return kept;
+}
+
+/**
+ * Move every coordinate by a pseudo-random amount of at most 1e-10 of the bounding box,
+ * the same for every run
+ * @private
+ */
+function perturb(coords, numPoints) {
+    let extent = 0;
+    for (let axis = 0; axis < 3; axis++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < numPoints; i++) {
+            min = Math.min(min, coords[3 * i + axis]);
+            max = Math.max(max, coords[3 * i + axis]);
+        }
+        extent = Math.max(extent, max - min);
+    }
+    let state = 1;
+    for (let i = 0; i < 3 * numPoints; i++) {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        coords[i] += (state / 0x7fffffff - 0.5) * 2e-10 * extent;
+    }
+    return coords;
+}
+
+/**
+ * Point indices sorted along a Morton (Z-order) curve over the bounding box, so consecutive
+ * insertions are close together and the walks short
+ * @private
+ */
+function mortonOrder(coords, numPoints) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < numPoints; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], coords[3 * i + axis]);
+            max[axis] = Math.max(max[axis], coords[3 * i + axis]);
+        }
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+
+    const keys = new Float64Array(numPoints);
+    for (let i = 0; i < numPoints; i++) {
+        const cell = [0, 1, 2].map(axis =>
+            Math.min(1023, Math.floor((coords[3 * i + axis] - min[axis]) / extent * 1024)));
+        let key = 0;
+        for (let bit = 9; bit >= 0; bit--) {
+            key = key * 8 + ((cell[0] >> bit) & 1) * 4 + ((cell[1] >> bit) & 1) * 2 + ((cell[2] >> bit) & 1);
+        }
+        keys[i] = key;
+    }
+    return Array.from({ length: numPoints }, (_, i) => i).sort((i, j) => keys[i] - keys[j] || i - j);
+}
+
+/**
+ * Four points of the insertion order spanning a proper tetrahedron, or null when all points
+ * are coplanar
+ * @private
+ */
+function findInitialTetrahedron(coords, order) {
+    const at = i => [coords[3 * i], coords[3 * i + 1], coords[3 * i + 2]];
+    const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const length = a => Math.hypot(a[0], a[1], a[2]);
+    if (order.length < 4) return null;
+
+    const a = order[0];
+    const pa = at(a);
+    let scale = 0;
+    for (const i of order) scale = Math.max(scale, length(sub(at(i), pa)));
+    if (!(scale > 0)) return null;
+    const tolerance = 1e-12;
+
+    const b = order.find(i => length(sub(at(i), pa)) > tolerance * scale);
+    if (b === undefined) return null;
+    const ab = sub(at(b), pa);
+    const c = order.find(i => length(cross(ab, sub(at(i), pa))) > tolerance * scale * scale);
+    if (c === undefined) return null;
+    const normal = cross(ab, sub(at(c), pa));
+    const d = order.find(i => {
+        const ad = sub(at(i), pa);
+        return Math.abs(normal[0] * ad[0] + normal[1] * ad[1] + normal[2] * ad[2]) > tolerance * scale * scale * scale;
+    });
+    return d === undefined ? null : [a, b, c, d];
+}
@@ -0,0 +1,405 @@
+/**
+ * ShapeAnalysis.js
+ *
+ * Shape descriptors of Voronoi cells, measured on the exact cell polyhedra
+ * (DelaunayComputation.getClippedCells()) in every periodicity mode and domain:
+ *
+ * - Isoperimetric quotient Q = 36πV²/S³ and sphericity Ψ = Q^(1/3), both 1 for a ball
+ * - Gyration tensor of the solid cell about its centroid, with its eigenvalues λ1 ≥ λ2 ≥ λ3,
+ *   asphericity, relative shape anisotropy and elongation axis
+ * - Minkowski functionals W0–W3 and the rank-2 Minkowski tensors W0..W3^{2,0} (about the
+ *   centroid) and W1^{0,2}, W2^{0,2}, each with its anisotropy index β = λmin / λmax
+ *
+ * On a convex polyhedron the mean curvature sits on the edges and the Gaussian curvature on
+ * the vertices, so every integral reduces to a sum over faces, edges or vertices.
+ *
+ * Pure geometry, no dependency on Three.js or the WASM module.
+ */
+
+import { computePolyhedronMetrics } from './CellClipping.js';
+
+// Per-cell scalars that can colour cells or drive growth (see shapeCellScores)
+export const SHAPE_DESCRIPTORS = {
+    // 36πV²/S³: 1 for a ball, π/6 ≈ 0.524 for a cube
+    ISOPERIMETRIC_QUOTIENT: 'isoperimetricQuotient',
+    // Q^(1/3): surface area of the ball of the same volume over the surface area
+    SPHERICITY: 'sphericity',
+    // (λ1 - (λ2 + λ3) / 2) / (λ1 + λ2 + λ3) of the gyration tensor: 0 for isotropic shapes, 1 for a rod
+    ASPHERICITY: 'asphericity',
+    // Relative shape anisotropy κ² of the gyration tensor, between 0 (isotropic) and 1 (rod)
+    ANISOTROPY: 'anisotropy',
+    // β of the surface normal tensor W1^{0,2}: 1 for isotropic surfaces, smaller when anisotropic
+    MINKOWSKI_BETA: 'beta'
+};
+
+/**
+ * Measure the shape of one cell.
+ * @param {Object} cell - Indexed polyhedron { vertices: [[x,y,z]], faces: [{ vertices: [indices] }] }
+ *        with faces counter-clockwise seen from outside, as returned by getClippedCells()
+ * @returns {Object} {
+ *     volume, surfaceArea, centroid,
+ *     isoperimetricQuotient, sphericity,
+ *     gyrationTensor (3x3), gyrationEigenvalues [λ1, λ2, λ3], radiusOfGyration,
+ *     asphericity, anisotropy, elongationAxis (unit eigenvector of λ1, sign arbitrary),
+ *     minkowski: { W0, W1, W2, W3, W020, W120, W220, W320, W102, W202, beta: { W020, ... } }
+ * }
+ */
+export function computeCellShape(cell) {
+    const { volume, surfaceArea, centroid } = computePolyhedronMetrics(cell);
+    const numVertices = cell.vertices.length;
+    const vertices = cell.vertices.map(v => [v[0] - centroid[0], v[1] - centroid[1], v[2] - centroid[2]]);
+
+    const W020 = zeroTensor();
+    const W120 = zeroTensor();
+    const W220 = zeroTensor();
+    const W320 = zeroTensor();
+    const W102 = zeroTensor();
+    const W202 = zeroTensor();
+    let W2 = 0;
+
+    const faceNormals = [];
+    const angleSums = new Float64Array(numVertices); // Sum of face corner angles at each vertex
+    const edgeFaces = new Map(); // edge key -> first face seen along it
+
+    cell.faces.forEach((face, f) => {
+        const polygon = face.vertices.map(index => vertices[index]);
+        const n = polygon.length;
+
+        // Fan from the first corner: tetrahedra with the centroid for the volume integral,
+        // triangles for the surface integral
+        const areaVector = [0, 0, 0];
+        const a = polygon[0];
+        for (let k = 1; k + 1 < n; k++) {
+            const b = polygon[k];
+            const c = polygon[k + 1];
+            const normal = cross(sub(b, a), sub(c, a));
+            areaVector[0] += normal[0];
+            areaVector[1] += normal[1];
+            areaVector[2] += normal[2];
+
+            // Signed, so the centroid may lie anywhere
+            const tetVolume = dot(a, cross(b, c)) / 6;
+            addSimplexMoment(W020, [a, b, c], tetVolume / 20);
+            addSimplexMoment(W120, [a, b, c], length(normal) / 24);
+        }
+
+        const area = length(areaVector) / 2;
+        const unitNormal = area > 0 ? scale(areaVector, 1 / (2 * area)) : [0, 0, 0];
+        faceNormals.push(unitNormal);
+        addOuter(W102, unitNormal, unitNormal, area);
+
+        for (let k = 0; k < n; k++) {
+            const prev = polygon[(k + n - 1) % n];
+            const current = polygon[k];
+            const next = polygon[(k + 1) % n];
+            angleSums[face.vertices[k]] += angleBetween(sub(prev, current), sub(next, current));
+
+            const i = face.vertices[k];
+            const j = face.vertices[(k + 1) % n];
+            const key = i < j ? i * numVertices + j : j * numVertices + i;
+            const other = edgeFaces.get(key);
+            if (other === undefined) {
+                edgeFaces.set(key, f);
+            } else {
+                W2 += addEdge(W220, W202, vertices[i], vertices[j], faceNormals[other], unitNormal);
+            }
+        }
+    });
+
+    // Gaussian curvature: the angle defect 2π - (sum of corner angles) at each vertex
+    let W3 = 0;
+    for (let v = 0; v < numVertices; v++) {
+        const defect = 2 * Math.PI - angleSums[v];
+        W3 += defect / 3;
+        addOuter(W320, vertices[v], vertices[v], defect / 3);
+    }
+
+    scaleTensor(W120, 1 / 3);
+    scaleTensor(W102, 1 / 3);
+
+    // Gyration tensor: second moment of the uniform solid about its centroid, per unit volume
+    const gyrationTensor = W020.map(row => row.map(value => volume > 0 ? value / volume : 0));
+    const { values, vectors } = symmetricEigen(gyrationTensor);
+    const [l1, l2, l3] = values;
+    const trace = l1 + l2 + l3;
+
+    const isoperimetricQuotient = surfaceArea > 0 ? 36 * Math.PI * volume * volume / Math.pow(surfaceArea, 3) : 0;
+    const tensors = { W020, W120, W220, W320, W102, W202 };
+
+    return {
+        volume,
+        surfaceArea,
+        centroid,
+        isoperimetricQuotient,
+        sphericity: Math.cbrt(isoperimetricQuotient),
+        gyrationTensor,
+        gyrationEigenvalues: values,
+        radiusOfGyration: Math.sqrt(Math.max(0, trace)),
+        asphericity: trace > 0 ? (l1 - (l2 + l3) / 2) / trace : 0,
+        anisotropy: trace > 0 ? 1 - 3 * (l1 * l2 + l2 * l3 + l3 * l1) / (trace * trace) : 0,
+        elongationAxis: vectors[0],
+        minkowski: {
+            W0: volume,
+            W1: surfaceArea / 3,
+            W2,
+            W3,
+            ...tensors,
+            beta: Object.fromEntries(Object.entries(tensors).map(([name, tensor]) => [name, anisotropyIndex(tensor)]))
+        }
+    };
+}
+
+/**
+ * Measure the shape of every cell of a computation.
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.includePerformance - Record the time taken
+ * @returns {Object} { cells: Array<Object|null> from computeCellShape(), plus one array per
+ *          SHAPE_DESCRIPTORS value (isoperimetricQuotient, sphericity, ...) with NaN for empty cells }
+ */
+export function analyzeShapes(computation, options = {}) {
+    if (typeof computation.getClippedCells !== 'function') {
+        throw new Error('Shape analysis needs cell polyhedra (DelaunayComputation.getClippedCells)');
+    }
+    const startTime = options.includePerformance ? performance.now() : 0;
+
+    const cells = computation.getClippedCells().map(cell => cell ? computeCellShape(cell) : null);
+    const results = { cells };
+    for (const descriptor of Object.values(SHAPE_DESCRIPTORS)) {
+        results[descriptor] = cells.map(shape => shape ? getDescriptor(shape, descriptor) : NaN);
+    }
+
+    if (options.includePerformance) {
+        results.performance = { totalTime: performance.now() - startTime };
+    }
+
+    const sphericities = results.sphericity.filter(Number.isFinite);
+    if (sphericities.length > 0) {
+        const mean = sphericities.reduce((a, b) => a + b, 0) / sphericities.length;
+        console.log(`Cell shapes (${sphericities.length} cells): sphericity min=${Math.min(...sphericities).toFixed(3)}, ` +
+            `max=${Math.max(...sphericities).toFixed(3)}, avg=${mean.toFixed(3)}`);
+    }
+
+    return results;
+}
+
+/**
+ * Turn one descriptor into analysis results that PhysicsGrowthSystem.applyGrowth() accepts.
+ * The growth threshold is then in the units of the descriptor (e.g. 0.8 for sphericity), and
+ * cellMetric names the descriptor so shape and acuteness scores are never mixed.
+ * @param {Object} shapeResults - Result of analyzeShapes()
+ * @param {string} descriptor - One of SHAPE_DESCRIPTORS
+ * @returns {Object} { cellScores, cellMetric: 'shape:<descriptor>' }
+ */
+export function shapeCellScores(shapeResults, descriptor) {
+    if (!Object.values(SHAPE_DESCRIPTORS).includes(descriptor)) {
+        throw new Error(`Unknown shape descriptor '${descriptor}': expected one of ${Object.values(SHAPE_DESCRIPTORS).join(', ')}`);
+    }
+    return { cellScores: shapeResults[descriptor].slice(), cellMetric: `shape:${descriptor}` };
+}
+
+/**
+ * Read a descriptor from a computeCellShape() result
+ * @private
+ */
+function getDescriptor(shape, descriptor) {
+    return descriptor === SHAPE_DESCRIPTORS.MINKOWSKI_BETA ? shape.minkowski.beta.W102 : shape[descriptor];
+}
+
+/**
+ * Add the contributions of one edge, rounded with the exterior angle α between the normals
+ * n1 and n2 of its faces, and return its integral mean curvature over 3 (its part of W2).
+ *   W2^{2,0} += α/6 ∫ x⊗x dl
+ *   W2^{0,2} += L/6 ∫_0^α n(φ)⊗n(φ) dφ, with n(φ) turning from n1 to n2
+ * @private
+ */
+function addEdge(W220, W202, a, b, n1, n2) {
+    const alpha = angleBetween(n1, n2);
+    const edgeLength = length(sub(b, a));
+    if (alpha === 0 || edgeLength === 0) return 0;
+
+    // ∫ x⊗x dl along the segment = L (a⊗a/3 + b⊗b/3 + (a⊗b + b⊗a)/6)
+    const weight = alpha / 6 * edgeLength;
+    addOuter(W220, a, a, weight / 3);
+    addOuter(W220, b, b, weight / 3);
+    addOuter(W220, a, b, weight / 6);
+    addOuter(W220, b, a, weight / 6);
+
+    // Orthonormal (u, v) of the plane of n1 and n2, with n(φ) = cos φ u + sin φ v
+    const u = n1;
+    const normalPart = sub(n2, scale(u, dot(u, n2)));
+    const normalLength = length(normalPart);
+    if (normalLength > 0) {
+        const v = scale(normalPart, 1 / normalLength);
+        const uu = alpha / 2 + Math.sin(2 * alpha) / 4;
+        const vv = alpha / 2 - Math.sin(2 * alpha) / 4;
+        const uv = Math.sin(alpha) * Math.sin(alpha) / 2;
+        addOuter(W202, u, u, edgeLength / 6 * uu);
+        addOuter(W202, v, v, edgeLength / 6 * vv);
+        addOuter(W202, u, v, edgeLength / 6 * uv);
+        addOuter(W202, v, u, edgeLength / 6 * uv);
+    } else {
+        // Opposite normals (a degenerate sliver): the half-turn covers the plane
+        // through u and the edge normal evenly
+        addOuter(W202, u, u, edgeLength / 6 * alpha / 2);
+        const edgeNormal = normalize(cross(sub(b, a), u));
+        addOuter(W202, edgeNormal, edgeNormal, edgeLength / 6 * alpha / 2);
+    }
+
+    return edgeLength * alpha / 6;
+}
+
+/**
+ * Add weight * (Σ p⊗p + s⊗s), s = Σ p, over the corners p of a simplex with one corner at
+ * the origin: the second moment of a tetrahedron (weight V/20) or triangle (weight A/12)
+ * @private
+ */
+function addSimplexMoment(tensor, corners, weight) {
+    const sum = [0, 0, 0];
+    for (const p of corners) {
+        addOuter(tensor, p, p, weight);
+        sum[0] += p[0];
+        sum[1] += p[1];
+        sum[2] += p[2];
+    }
+    addOuter(tensor, sum, sum, weight);
+}
+
+/**
+ * Anisotropy index β = |λ|min / |λ|max of a symmetric tensor (1 when isotropic)
+ * @private
+ */
+function anisotropyIndex(tensor) {
+    const magnitudes = symmetricEigen(tensor).values.map(Math.abs);
+    const largest = Math.max(...magnitudes);
+    return largest > 0 ? Math.min(...magnitudes) / largest : 0;
+}
+
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix by cyclic Jacobi rotations
+ * @private
+ * @returns {Object} { values: eigenvalues in decreasing order, vectors: matching unit eigenvectors }
+ */
+function symmetricEigen(matrix) {
+    const a = matrix.map(row => [...row]);
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const offDiagonal = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+        const diagonal = a[0][0] * a[0][0] + a[1][1] * a[1][1] + a[2][2] * a[2][2];
+        if (offDiagonal <= 1e-30 * diagonal || offDiagonal === 0) break;
+
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (a[p][q] === 0) continue;
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p];
+                const akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k];
+                const aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k][p];
+                const vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    const order = [0, 1, 2].sort((i, j) => a[j][j] - a[i][i]);
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: order.map(i => [v[0][i], v[1][i], v[2][i]])
+    };
+}
+
+/**
+ * @private
+ */
+function zeroTensor() {
+    return [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+}
+
+/**
+ * tensor += weight * (a ⊗ b)
+ * @private
+ */
+function addOuter(tensor, a, b, weight) {
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            tensor[i][j] += weight * a[i] * b[j];
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function scaleTensor(tensor, factor) {
+    for (const row of tensor) {
+        for (let j = 0; j < 3; j++) row[j] *= factor;
+    }
+}
+
+/**
+ * Angle between two vectors in radians, 0 if either is zero
+ * @private
+ */
+function angleBetween(u, v) {
+    const lengths = length(u) * length(v);
+    return lengths > 0 ? Math.acos(Math.max(-1, Math.min(1, dot(u, v) / lengths))) : 0;
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @private
+ */
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @private
+ */
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * @private
+ */
+function scale(v, factor) {
+    return [v[0] * factor, v[1] * factor, v[2] * factor];
+}
+
+/**
+ * @private
+ */
+function length(v) {
+    return Math.hypot(v[0], v[1], v[2]);
+}
+
+/**
+ * @private
+ */
+function normalize(v) {
+    const l = length(v);
+    return l > 0 ? scale(v, 1 / l) : [0, 0, 0];
+}
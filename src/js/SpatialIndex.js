@@ -0,0 +1,152 @@
+/**
+ * SpatialIndex.js
+ *
+ * Uniform bucket grid over the generator points, for radius and nearest-neighbour queries.
+ * Periodic axes wrap; on walled axes points outside the box fall into the border buckets.
+ * Non-finite positions go into the first bucket and never match a query.
+ */
+
+export class SpatialGrid {
+    /**
+     * @param {Array<Array<number>>} points - Positions [[x, y, z], ...]
+     * @param {Array<number>} boxSize - Domain dimensions [Lx, Ly, Lz]
+     * @param {Array<boolean>} periodicAxes - Which axes wrap
+     * @param {number} pointsPerBucket - Average occupancy the bucket size is chosen for
+     */
+    constructor(points, boxSize, periodicAxes, pointsPerBucket = 2) {
+        this.points = points;
+        this.boxSize = boxSize;
+        this.periodicAxes = periodicAxes;
+
+        const volume = boxSize[0] * boxSize[1] * boxSize[2];
+        const spacing = Math.cbrt(volume * pointsPerBucket / Math.max(points.length, 1));
+        this.counts = boxSize.map(L => Math.max(1, Math.min(256, Math.floor(L / spacing))));
+        this.bucketSize = boxSize.map((L, axis) => L / this.counts[axis]);
+
+        // Counting sort into buckets: the points of bucket b are order[start[b]..start[b+1])
+        const numBuckets = this.counts[0] * this.counts[1] * this.counts[2];
+        const bucketOf = new Uint32Array(points.length);
+        this.start = new Uint32Array(numBuckets + 1);
+        for (let i = 0; i < points.length; i++) {
+            const c = this._bucketCoords(points[i]);
+            bucketOf[i] = this._bucketIndex(c[0], c[1], c[2]);
+            this.start[bucketOf[i] + 1]++;
+        }
+        for (let b = 0; b < numBuckets; b++) {
+            this.start[b + 1] += this.start[b];
+        }
+        const fill = this.start.slice(0, numBuckets);
+        this.order = new Uint32Array(points.length);
+        for (let i = 0; i < points.length; i++) {
+            this.order[fill[bucketOf[i]]++] = i;
+        }
+    }
+
+    /**
+     * All points within distance r of p (minimum image on periodic axes), nearest first.
+     * Each point is listed once, at its closest image.
+     * @param {Array<number>} p - Query position
+     * @param {number} r - Radius
+     * @returns {Array<Object>} [{ index, distance }]
+     */
+    within(p, r) {
+        const center = this._bucketCoords(p);
+        const ranges = [0, 1, 2].map(axis => {
+            const count = this.counts[axis];
+            const extent = Math.ceil(r / this.bucketSize[axis]);
+            if (this.periodicAxes[axis]) {
+                if (2 * extent + 1 >= count) return { from: 0, to: count - 1 };
+                return { from: center[axis] - extent, to: center[axis] + extent };
+            }
+            return { from: Math.max(0, center[axis] - extent), to: Math.min(count - 1, center[axis] + extent) };
+        });
+
+        const found = [];
+        const rSq = r * r;
+        for (let x = ranges[0].from; x <= ranges[0].to; x++) {
+            for (let y = ranges[1].from; y <= ranges[1].to; y++) {
+                for (let z = ranges[2].from; z <= ranges[2].to; z++) {
+                    const b = this._bucketIndex(x, y, z);
+                    for (let k = this.start[b]; k < this.start[b + 1]; k++) {
+                        const index = this.order[k];
+                        const dSq = this.distanceSq(p, this.points[index]);
+                        if (dSq <= rSq) found.push({ index, distance: Math.sqrt(dSq) });
+                    }
+                }
+            }
+        }
+        return found.sort((a, b) => a.distance - b.distance || a.index - b.index);
+    }
+
+    /**
+     * The k points closest to p, nearest first
+     * @param {Array<number>} p - Query position
+     * @param {number} k - Number of points
+     * @returns {Array<Object>} [{ index, distance }]
+     */
+    nearest(p, k) {
+        k = Math.min(k, this.points.length);
+        if (k <= 0) return [];
+
+        // Grow the search radius until it holds k points; everything closer is then inside it
+        const diagonal = Math.hypot(...this.boxSize);
+        let r = Math.max(...this.bucketSize);
+        for (;;) {
+            const found = this.within(p, r);
+            if (found.length >= k) return found.slice(0, k);
+            if (r > diagonal && this._coversAll(p, r)) return found;
+            r *= 2;
+        }
+    }
+
+    /**
+     * Squared distance between two positions, minimum image on periodic axes
+     */
+    distanceSq(a, b) {
+        let sum = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            let d = b[axis] - a[axis];
+            if (this.periodicAxes[axis]) {
+                const L = this.boxSize[axis];
+                d -= Math.round(d / L) * L;
+            }
+            sum += d * d;
+        }
+        return sum;
+    }
+
+    /**
+     * Whether a search of radius r around p reaches every point
+     * @private
+     */
+    _coversAll(p, r) {
+        const rSq = r * r;
+        for (const q of this.points) {
+            if (this.distanceSq(p, q) > rSq) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Bucket coordinates of a position: wrapped on periodic axes, clamped on walled ones
+     * @private
+     */
+    _bucketCoords(p) {
+        return [0, 1, 2].map(axis => {
+            const count = this.counts[axis];
+            const c = Number.isFinite(p[axis]) ? Math.floor(p[axis] / this.bucketSize[axis]) : 0;
+            if (this.periodicAxes[axis]) return ((c % count) + count) % count;
+            return Math.min(count - 1, Math.max(0, c));
+        });
+    }
+
+    /**
+     * Linear bucket index, wrapping coordinates on periodic axes
+     * @private
+     */
+    _bucketIndex(x, y, z) {
+        const [nx, ny, nz] = this.counts;
+        const wrap = (c, n) => ((c % n) + n) % n;
+        return (wrap(x, nx) * ny + wrap(y, ny)) * nz + wrap(z, nz);
+    }
+}
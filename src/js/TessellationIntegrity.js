@@ -0,0 +1,415 @@
+/**
+ * TessellationIntegrity.js
+ *
+ * Certifies a computed tessellation. Works on any computed DelaunayComputation and reports
+ * every failure against the cells involved, so it can back unit tests as well as the
+ * "Validate" button in the demo.
+ *
+ * Checks:
+ *   faceSharing     - every interior face is shared by exactly two cells, with opposite image
+ *                     shifts and equal areas
+ *   closedCells     - every cell is a closed, consistently oriented polyhedron with V - E + F = 2
+ *   volume          - cell volumes are positive and sum to the domain volume
+ *   delaunay        - no neighbouring tetrahedron reaches into a circumsphere (power sphere
+ *                     when weighted)
+ *   voronoiVertices - every Voronoi vertex is the circumcenter of its tetrahedron, whose four
+ *                     vertices are consistent periodic images. Fails in 'barycentric' mode by
+ *                     construction.
+ */
+
+import { createBoxPolyhedron, clipPolyhedron, indexPolyhedron, computePolyhedronMetrics } from './CellClipping.js';
+
+const DEFAULT_OPTIONS = {
+    // Relative tolerance for matching areas of the two sides of a face
+    areaTolerance: 1e-8,
+    // Relative tolerance for the total volume
+    volumeTolerance: 1e-9,
+    // Penetration into a circumsphere, relative to its squared radius, that still counts as empty
+    delaunayTolerance: 1e-9,
+    // Distance between a Voronoi vertex and its circumcenter, relative to the circumradius
+    vertexTolerance: 1e-8
+};
+
+/**
+ * Check a computed tessellation
+ * @param {DelaunayComputation} computation - A computation on which compute() has run
+ * @param {Object} options - Tolerances, see DEFAULT_OPTIONS
+ * @returns {Object} {
+ *   valid: boolean,
+ *   numCells: number,
+ *   checks: {
+ *     faceSharing: { passed, failures },
+ *     closedCells: { passed, failures },
+ *     volume: { passed, total, expected, relativeError },
+ *     delaunay: { passed, violations: [{ tetrahedra: [t, u], indices, depth }] },
+ *     voronoiVertices: { passed, failures: [{ tetrahedron, indices, reason, distance }] },
+ *       reason being 'images' (inconsistent periodic images) or 'circumcenter' (distance from it)
+ *   },
+ *   cellFailures: [{ cell, failures: [string] }] - sorted by cell index
+ * }
+ */
+export function checkTessellation(computation, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const cells = computation.getClippedCells();
+    const failures = new Map();
+    const fail = (cell, message) => {
+        if (!failures.has(cell)) failures.set(cell, []);
+        failures.get(cell).push(message);
+    };
+
+    const metrics = typeof computation.getCellMetrics === 'function' ?
+        computation.getCellMetrics() :
+        cells.map(cell => cell ? computePolyhedronMetrics(cell) : null);
+
+    const checks = {
+        faceSharing: checkFaceSharing(cells, metrics, settings, fail),
+        closedCells: checkClosedCells(cells, fail),
+        volume: checkVolume(computation, metrics, settings, fail),
+        delaunay: checkDelaunay(computation, settings, fail),
+        voronoiVertices: checkVoronoiVertices(computation, settings, fail)
+    };
+
+    const cellFailures = Array.from(failures.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([cell, messages]) => ({ cell, failures: messages }));
+
+    return {
+        valid: Object.values(checks).every(check => check.passed),
+        numCells: cells.length,
+        checks,
+        cellFailures
+    };
+}
+
+/**
+ * One-line summary of a checkTessellation() report
+ * @param {Object} report - Result of checkTessellation()
+ * @returns {string}
+ */
+export function formatIntegrityReport(report) {
+    if (report.valid) {
+        return `Tessellation OK: ${report.numCells} cells passed all checks`;
+    }
+
+    const failed = Object.entries(report.checks)
+        .filter(([, check]) => !check.passed)
+        .map(([name, check]) => {
+            if (name === 'volume') return `volume (error ${check.relativeError.toExponential(2)})`;
+            const count = Array.isArray(check.failures) ? check.failures.length :
+                check.violations ? check.violations.length : check.failures;
+            return `${name} (${count})`;
+        });
+    return `Tessellation FAILED: ${failed.join(', ')}; ${report.cellFailures.length} cells affected`;
+}
+
+/**
+ * Every interior face must appear in exactly two cells, seen from each side with
+ * opposite shift and the same area
+ * @private
+ */
+function checkFaceSharing(cells, metrics, settings, fail) {
+    const sides = new Map();
+    let count = 0;
+
+    cells.forEach((cell, i) => {
+        if (!cell) return;
+        cell.faces.forEach((face, f) => {
+            if (face.isWall) return;
+            const shift = face.shift || [0, 0, 0];
+            const key = `${i}>${face.neighbor}:${shift.join(',')}`;
+            if (!sides.has(key)) sides.set(key, []);
+            sides.get(key).push(metrics[i] ? metrics[i].faceAreas[f] : 0);
+        });
+    });
+
+    for (const [key, areas] of sides.entries()) {
+        const [pair, shiftText] = key.split(':');
+        const [i, j] = pair.split('>').map(Number);
+        const shift = shiftText.split(',').map(Number);
+
+        if (areas.length > 1) {
+            fail(i, `${areas.length} faces towards cell ${j} (shift ${shift.join(',')})`);
+            count++;
+            continue;
+        }
+
+        const partner = sides.get(`${j}>${i}:${shift.map(s => -s).join(',')}`);
+        if (!partner) {
+            fail(i, `face towards cell ${j} (shift ${shift.join(',')}) has no matching face in cell ${j}`);
+            count++;
+            continue;
+        }
+
+        const scale = Math.max(areas[0], partner[0]);
+        if (Math.abs(areas[0] - partner[0]) > settings.areaTolerance * scale) {
+            fail(i, `face towards cell ${j} has area ${areas[0]}, but ${partner[0]} seen from cell ${j}`);
+            count++;
+        }
+    }
+
+    return { passed: count === 0, failures: count };
+}
+
+/**
+ * Every cell must be closed: each edge used once in each direction, and V - E + F = 2
+ * @private
+ */
+function checkClosedCells(cells, fail) {
+    let count = 0;
+
+    cells.forEach((cell, i) => {
+        if (!cell) return;
+        const directed = new Set();
+        const used = new Set();
+        let problem = null;
+
+        for (const face of cell.faces) {
+            if (face.vertices.length < 3) {
+                problem = `has a face with ${face.vertices.length} vertices`;
+                break;
+            }
+            for (let k = 0; k < face.vertices.length; k++) {
+                const a = face.vertices[k];
+                const b = face.vertices[(k + 1) % face.vertices.length];
+                used.add(a);
+                if (directed.has(`${a},${b}`)) problem = `uses edge ${a}-${b} twice in the same direction`;
+                directed.add(`${a},${b}`);
+            }
+        }
+
+        if (!problem) {
+            for (const edge of directed) {
+                const [a, b] = edge.split(',');
+                if (!directed.has(`${b},${a}`)) {
+                    problem = `is not closed: edge ${a}-${b} belongs to one face only`;
+                    break;
+                }
+            }
+        }
+
+        if (!problem) {
+            const V = used.size;
+            const E = directed.size / 2;
+            const F = cell.faces.length;
+            if (V - E + F !== 2) problem = `has Euler characteristic ${V - E + F} (V=${V}, E=${E}, F=${F})`;
+        }
+
+        if (problem) {
+            fail(i, `cell ${problem}`);
+            count++;
+        }
+    });
+
+    return { passed: count === 0, failures: count };
+}
+
+/**
+ * Cell volumes must be positive and add up to the volume of the domain
+ * @private
+ */
+function checkVolume(computation, metrics, settings, fail) {
+    let total = 0;
+    metrics.forEach((m, i) => {
+        if (!m) return;
+        if (!(m.volume > 0)) fail(i, `cell has volume ${m.volume}`);
+        total += m.volume > 0 ? m.volume : 0;
+    });
+
+    const expected = domainVolume(computation);
+    const relativeError = Math.abs(total - expected) / expected;
+    const positive = metrics.every(m => !m || m.volume > 0);
+    return {
+        passed: positive && relativeError <= settings.volumeTolerance,
+        total,
+        expected,
+        relativeError
+    };
+}
+
+/**
+ * Volume of the box, cut by the convex domain if there is one
+ * @private
+ */
+function domainVolume(computation) {
+    const [Lx, Ly, Lz] = computation.boxSize;
+    if (!computation.domain) return Lx * Ly * Lz;
+
+    const tags = Array.from({ length: 6 }, (_, wall) => ({ wall }));
+    let polyhedron = createBoxPolyhedron([0, 0, 0], [Lx, Ly, Lz], tags);
+    for (const plane of computation.domain.planes) {
+        if (!polyhedron) return 0;
+        polyhedron = clipPolyhedron(polyhedron, plane.normal, plane.offset, { wall: 6 });
+    }
+    return polyhedron ? computePolyhedronMetrics(indexPolyhedron(polyhedron)).volume : 0;
+}
+
+/**
+ * Local Delaunay test across every interior triangle, which implies the global one
+ * @private
+ */
+function checkDelaunay(computation, settings, fail) {
+    const weights = computation.weights;
+    const spheres = computation.tetrahedra.map((tet, t) => {
+        const vertices = computation.getTetrahedronVertices(t);
+        const center = powerCenter(vertices, weights ? tet.map(v => weights[v]) : null);
+        if (!center) return null;
+        const radiusSq = distanceSq(center, vertices[0]);
+        return { vertices, center, radiusSq, power: radiusSq - (weights ? weights[tet[0]] : 0) };
+    });
+
+    const violations = [];
+    for (const edge of computation.voronoiEdges) {
+        const [t, u] = edge.tetraIndices;
+        const sphere = spheres[t];
+        if (!sphere) continue;
+
+        const tet = computation.tetrahedra[t];
+        const other = computation.tetrahedra[u];
+        const opposite = other.filter(v => !tet.includes(v));
+        // Tetrahedra sharing points through several images (tiny periodic systems) are skipped
+        if (opposite.length !== 1) continue;
+
+        // Bring the opposite point into t's image frame through the shared triangle. Without
+        // exact shifts, a tetrahedron wider than half the box can have its images placed
+        // inconsistently; such pairs cannot be judged and are skipped.
+        const otherVertices = computation.getTetrahedronVertices(u);
+        const translations = other.filter(v => v !== opposite[0]).map(shared => {
+            const here = sphere.vertices[tet.indexOf(shared)];
+            const there = otherVertices[other.indexOf(shared)];
+            return [0, 1, 2].map(axis => here[axis] - there[axis]);
+        });
+        const mismatch = Math.max(...translations.map(d => distanceSq(d, translations[0])));
+        if (mismatch > 1e-12 * sphere.radiusSq) continue;
+        const q = otherVertices[other.indexOf(opposite[0])].map((x, axis) => x + translations[0][axis]);
+
+        const power = distanceSq(sphere.center, q) - (weights ? weights[opposite[0]] : 0);
+        const depth = (sphere.power - power) / sphere.radiusSq;
+        if (depth > settings.delaunayTolerance) {
+            const indices = [...tet, opposite[0]];
+            violations.push({ tetrahedra: [t, u], indices, depth });
+            for (const cell of new Set(indices)) {
+                fail(cell, `Delaunay condition violated: point ${opposite[0]} lies inside the circumsphere of tetrahedron ${t}`);
+            }
+        }
+    }
+
+    return { passed: violations.length === 0, violations };
+}
+
+/**
+ * Each Voronoi vertex must coincide with its tetrahedron's circumcenter (power center),
+ * up to a periodic image. The circumcenter is computed from getTetrahedronVertices(), so
+ * those positions are first checked to be consistent images of the tetrahedron's points.
+ * @private
+ */
+function checkVoronoiVertices(computation, settings, fail) {
+    const weights = computation.weights;
+    const degenerate = new Set(computation.degenerateTetrahedra || []);
+    const failures = [];
+
+    computation.tetrahedra.forEach((tet, t) => {
+        const vertices = computation.getTetrahedronVertices(t);
+        const problem = findImageProblem(computation, t, vertices);
+        if (problem) {
+            failures.push({ tetrahedron: t, indices: [...tet], reason: 'images', distance: NaN });
+            for (const cell of new Set(tet)) {
+                fail(cell, `Tetrahedron ${t} has inconsistent periodic images: ${problem}`);
+            }
+            return;
+        }
+
+        if (degenerate.has(t)) return;
+        const vertex = computation.barycenters[t];
+        const center = powerCenter(vertices, weights ? tet.map(v => weights[v]) : null);
+        if (!vertex || !center) return;
+
+        const offset = [0, 1, 2].map(axis => {
+            const d = vertex[axis] - center[axis];
+            const L = computation.boxSize[axis];
+            return computation.periodicAxes[axis] ? d - Math.round(d / L) * L : d;
+        });
+        const distance = Math.sqrt(distanceSq(offset, [0, 0, 0]));
+        const radius = Math.sqrt(distanceSq(center, vertices[0]));
+        if (distance > settings.vertexTolerance * radius) {
+            failures.push({ tetrahedron: t, indices: [...tet], reason: 'circumcenter', distance });
+            for (const cell of new Set(tet)) {
+                fail(cell, `Voronoi vertex of tetrahedron ${t} is ${distance.toExponential(2)} from its circumcenter`);
+            }
+        }
+    });
+
+    return { passed: failures.length === 0, failures };
+}
+
+/**
+ * Check that the positions of a tetrahedron's vertices are images of its points: off by
+ * whole periods on periodic axes only, matching the reported image shifts, or without shifts
+ * less than half a period apart (which the minimum image convention they then rely on needs)
+ * @private
+ * @returns {string|null} What is wrong, or null
+ */
+function findImageProblem(computation, t, vertices) {
+    const { boxSize, periodicAxes, pointsArray } = computation;
+    if (!periodicAxes.some(Boolean)) return null;
+    const tet = computation.tetrahedra[t];
+    const shifts = computation.tetrahedronShifts ? computation.tetrahedronShifts[t] : null;
+
+    const images = [];
+    for (let k = 0; k < 4; k++) {
+        const image = [];
+        for (let axis = 0; axis < 3; axis++) {
+            const periods = (vertices[k][axis] - pointsArray[tet[k]][axis]) / boxSize[axis];
+            const whole = Math.round(periods);
+            if (Math.abs(periods - whole) > 1e-9 || (!periodicAxes[axis] && whole !== 0)) {
+                return `vertex ${k} is not an image of point ${tet[k]}`;
+            }
+            image.push(whole);
+        }
+        images.push(image);
+    }
+
+    for (let k = 1; k < 4; k++) {
+        for (let axis = 0; axis < 3; axis++) {
+            if (shifts && images[k][axis] - images[0][axis] !== shifts[k][axis]) {
+                return `vertex ${k} is not in the image its shift gives`;
+            }
+            for (let j = 0; !shifts && j < k; j++) {
+                if (periodicAxes[axis] && Math.abs(vertices[k][axis] - vertices[j][axis]) > boxSize[axis] / 2) {
+                    return `vertices ${j} and ${k} are over half a period apart along axis ${'xyz'[axis]}`;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Center with equal power distance |x - p|^2 - w to four points, or null if they are coplanar
+ * @private
+ */
+function powerCenter([p0, p1, p2, p3], weights) {
+    const rows = [p1, p2, p3].map(p => [p[0] - p0[0], p[1] - p0[1], p[2] - p0[2]]);
+    const rhs = rows.map((row, k) => 0.5 * (distanceSq(row, [0, 0, 0]) - (weights ? weights[k + 1] - weights[0] : 0)));
+
+    const [a, b, c] = rows;
+    const det = a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+    const scale = Math.sqrt(distanceSq(a, [0, 0, 0]) * distanceSq(b, [0, 0, 0]) * distanceSq(c, [0, 0, 0]));
+    if (scale === 0 || Math.abs(det) < 1e-12 * scale) return null;
+
+    // Cramer's rule
+    const solve = column => {
+        const m = rows.map((row, k) => row.map((x, axis) => axis === column ? rhs[k] : x));
+        return (m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])) / det;
+    };
+    return [p0[0] + solve(0), p0[1] + solve(1), p0[2] + solve(2)];
+}
+
+/**
+ * @private
+ */
+function distanceSq(a, b) {
+    const dx = a[0] - b[0], dy = a[1] - b[1], dz = a[2] - b[2];
+    return dx * dx + dy * dy + dz * dz;
+}
@@ -0,0 +1,258 @@
+/**
+ * TessellationStatistics.js
+ *
+ * Global statistics of a tessellation: distributions (mean, variance, skewness, histogram)
+ * of cell volume, surface area and face count, and fits of the empirical laws of cellular
+ * structures:
+ *
+ * - Lewis's law: the mean volume of n-faced cells grows linearly with n,
+ *   <V>_n / <V> = slope * n + intercept = slope * (n - n0)
+ * - Aboav–Weaire law: cells with many faces have neighbours with few, and
+ *   n * m(n) = (<n> - a) * n + (a * <n> + μ2), with m(n) the mean face count of the
+ *   neighbours of n-faced cells and μ2 the variance of n
+ *
+ * The result is plain data (arrays, numbers and nested objects) ready for JSON.stringify()
+ * or charting; statisticsToCSV() gives the per-face-count table for spreadsheets.
+ */
+
+import { analyzeTopology } from './TopologyAnalysis.js';
+
+/**
+ * Compute the statistics of a computed tessellation.
+ * Cells touching a wall are truncated by it, so they are left out unless includeWallCells is set;
+ * in fully periodic mode every cell counts.
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {Object} options - Statistics options
+ * @param {Array<Object>} options.cellMetrics - Per-cell { volume, surfaceArea } (default computation.getCellMetrics())
+ * @param {Object} options.topology - Result of TopologyAnalysis.analyzeTopology() (computed when omitted)
+ * @param {Object} options.extraMetrics - More per-cell values to summarize, by name,
+ *        e.g. { sphericity: shapes.sphericity, acuteness: analysis.cellScores }
+ * @param {boolean} options.includeWallCells - Also use cells that touch a wall (default false)
+ * @param {number} options.histogramBins - Bins of the volume and area histograms (default 20)
+ * @returns {Object} {
+ *     numCells, cellsUsed, totalVolume,
+ *     volume, surfaceArea, faces, [extra metric names...]: distributions,
+ *     lewis: { byFaces: [{ faces, count, meanVolume, normalizedVolume }], slope, intercept, n0, r2 },
+ *     aboavWeaire: { byFaces: [{ faces, count, meanNeighborFaces }], a, mu2, slope, intercept, predictedIntercept, r2 }
+ * }
+ * where a distribution is { count, mean, variance, std, skewness, min, max,
+ *     histogram: { edges: bin boundaries, counts } } (face counts use one bin per integer)
+ */
+export function computeTessellationStatistics(computation, options = {}) {
+    const metrics = options.cellMetrics || computation.getCellMetrics();
+    const topology = options.topology || analyzeTopology(computation);
+    const cells = computation.getClippedCells();
+    const histogramBins = options.histogramBins || 20;
+
+    const used = [];
+    for (let i = 0; i < metrics.length; i++) {
+        if (!metrics[i] || !cells[i]) continue;
+        if (topology.touchesWall[i] && !options.includeWallCells) continue;
+        used.push(i);
+    }
+
+    const volumes = used.map(i => metrics[i].volume);
+    const areas = used.map(i => metrics[i].surfaceArea);
+    const faceCounts = used.map(i => topology.topologyScores[i]);
+
+    const results = {
+        numCells: metrics.length,
+        cellsUsed: used.length,
+        totalVolume: volumes.reduce((a, b) => a + b, 0),
+        volume: describeDistribution(volumes, histogramBins),
+        surfaceArea: describeDistribution(areas, histogramBins),
+        faces: describeDistribution(faceCounts, 0)
+    };
+
+    for (const [name, values] of Object.entries(options.extraMetrics || {})) {
+        if (results[name] !== undefined) {
+            throw new Error(`Extra metric '${name}' clashes with a built-in statistic`);
+        }
+        results[name] = describeDistribution(used.map(i => values[i]).filter(Number.isFinite), histogramBins);
+    }
+
+    results.lewis = fitLewis(used, volumes, faceCounts);
+    results.aboavWeaire = fitAboavWeaire(used, cells, topology, results.faces, options.includeWallCells);
+
+    console.log(`Tessellation statistics (${used.length} cells): <n> = ${results.faces.mean.toFixed(3)}, ` +
+        `Lewis slope ${results.lewis.slope.toFixed(4)} (n0 = ${results.lewis.n0.toFixed(2)}), ` +
+        `Aboav-Weaire a = ${results.aboavWeaire.a.toFixed(3)}`);
+
+    return results;
+}
+
+/**
+ * Per-face-count table of a computeTessellationStatistics() result as CSV:
+ * faces, cells, mean volume, normalized volume (Lewis), mean neighbour faces (Aboav–Weaire)
+ * @param {Object} statistics - Result of computeTessellationStatistics()
+ * @returns {string} CSV text with a header line
+ */
+export function statisticsToCSV(statistics) {
+    const neighbors = new Map(statistics.aboavWeaire.byFaces.map(entry => [entry.faces, entry.meanNeighborFaces]));
+    const lines = ['faces,cells,mean_volume,normalized_volume,mean_neighbor_faces'];
+    for (const entry of statistics.lewis.byFaces) {
+        const m = neighbors.has(entry.faces) ? neighbors.get(entry.faces) : '';
+        lines.push(`${entry.faces},${entry.count},${entry.meanVolume},${entry.normalizedVolume},${m}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Moments and histogram of a list of values; bins = 0 gives one bin per integer
+ * @private
+ */
+function describeDistribution(values, bins) {
+    const count = values.length;
+    if (count === 0) {
+        return { count, mean: NaN, variance: NaN, std: NaN, skewness: NaN, min: NaN, max: NaN, histogram: { edges: [], counts: [] } };
+    }
+
+    const mean = values.reduce((a, b) => a + b, 0) / count;
+    let m2 = 0;
+    let m3 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+        const d = value - mean;
+        m2 += d * d;
+        m3 += d * d * d;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const variance = m2 / count;
+    const std = Math.sqrt(variance);
+
+    let edges;
+    let counts;
+    if (bins === 0) {
+        // Integers: bin k holds the value min + k
+        edges = [];
+        for (let v = min; v <= max + 1; v++) edges.push(v - 0.5);
+        counts = new Array(max - min + 1).fill(0);
+        for (const value of values) counts[value - min]++;
+    } else {
+        const width = (max - min) / bins;
+        edges = Array.from({ length: bins + 1 }, (_, k) => min + k * width);
+        counts = new Array(bins).fill(0);
+        for (const value of values) {
+            const k = width > 0 ? Math.floor((value - min) / width) : 0;
+            counts[Math.min(bins - 1, k)]++;
+        }
+    }
+
+    return {
+        count,
+        mean,
+        variance,
+        std,
+        // Population skewness, 0 when all values are equal
+        skewness: std > 0 ? (m3 / count) / (std * std * std) : 0,
+        min,
+        max,
+        histogram: { edges, counts }
+    };
+}
+
+/**
+ * Lewis's law: mean volume of n-faced cells over the mean volume, fitted linearly in n
+ * @private
+ */
+function fitLewis(used, volumes, faceCounts) {
+    const meanVolume = volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) / volumes.length : NaN;
+    const groups = new Map();
+    faceCounts.forEach((n, k) => {
+        if (!groups.has(n)) groups.set(n, []);
+        groups.get(n).push(volumes[k]);
+    });
+
+    const byFaces = [...groups.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([faces, group]) => {
+            const groupMean = group.reduce((a, b) => a + b, 0) / group.length;
+            return { faces, count: group.length, meanVolume: groupMean, normalizedVolume: groupMean / meanVolume };
+        });
+
+    const fit = linearFit(byFaces.map(e => e.faces), byFaces.map(e => e.normalizedVolume), byFaces.map(e => e.count));
+    return { byFaces, ...fit, n0: fit.slope !== 0 ? -fit.intercept / fit.slope : NaN };
+}
+
+/**
+ * Aboav–Weaire law: n * m(n) fitted linearly in n, giving a = <n> - slope
+ * Neighbours are counted once per shared face; wall-touching neighbours only with includeWallCells
+ * @private
+ */
+function fitAboavWeaire(used, cells, topology, faces, includeWallCells) {
+    const groups = new Map(); // n -> { cells, neighborFaces, neighbors }
+    for (const i of used) {
+        const n = topology.topologyScores[i];
+        let sum = 0;
+        let count = 0;
+        for (const face of cells[i].faces) {
+            if (face.isWall) continue;
+            const j = face.neighbor;
+            if (!Number.isFinite(topology.topologyScores[j])) continue;
+            if (topology.touchesWall[j] && !includeWallCells) continue;
+            sum += topology.topologyScores[j];
+            count++;
+        }
+        if (count === 0) continue;
+
+        if (!groups.has(n)) groups.set(n, { cells: 0, total: 0 });
+        const group = groups.get(n);
+        group.cells++;
+        group.total += sum / count;
+    }
+
+    const byFaces = [...groups.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([n, group]) => ({ faces: n, count: group.cells, meanNeighborFaces: group.total / group.cells }));
+
+    const fit = linearFit(byFaces.map(e => e.faces), byFaces.map(e => e.faces * e.meanNeighborFaces), byFaces.map(e => e.count));
+    const a = faces.mean - fit.slope;
+    return {
+        byFaces,
+        a,
+        mu2: faces.variance,
+        ...fit,
+        // Intercept the law predicts from the fitted a, to compare with the fitted one
+        predictedIntercept: a * faces.mean + faces.variance
+    };
+}
+
+/**
+ * Weighted least-squares line y = slope * x + intercept, with the weighted r²
+ * @private
+ */
+function linearFit(xs, ys, weights) {
+    let sw = 0;
+    let sx = 0;
+    let sy = 0;
+    for (let k = 0; k < xs.length; k++) {
+        sw += weights[k];
+        sx += weights[k] * xs[k];
+        sy += weights[k] * ys[k];
+    }
+    if (xs.length < 2 || sw === 0) {
+        return { slope: NaN, intercept: NaN, r2: NaN };
+    }
+
+    const mx = sx / sw;
+    const my = sy / sw;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let k = 0; k < xs.length; k++) {
+        const dx = xs[k] - mx;
+        const dy = ys[k] - my;
+        sxx += weights[k] * dx * dx;
+        sxy += weights[k] * dx * dy;
+        syy += weights[k] * dy * dy;
+    }
+
+    const slope = sxx > 0 ? sxy / sxx : NaN;
+    return {
+        slope,
+        intercept: my - slope * mx,
+        r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : NaN
+    };
+}
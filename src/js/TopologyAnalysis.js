@@ -0,0 +1,174 @@
+/**
+ * TopologyAnalysis.js
+ *
+ * Topological classification of Voronoi cells: faces per cell, the Voronoi index
+ * ⟨n3, n4, n5, n6, ...⟩ (number of faces with 3, 4, 5, 6, ... edges) and the global
+ * distributions of faces per cell and edges per face. Common signatures identify local order,
+ * e.g. ⟨0,0,12,0⟩ for icosahedral and ⟨0,6,0,8⟩ for BCC-like surroundings.
+ *
+ * Counts come from the exact cell polyhedra (DelaunayComputation.getClippedCells()), so a
+ * neighbour reached through two periodic images gives two faces, and walled cells are closed.
+ */
+
+import { computePolyhedronMetrics } from './CellClipping.js';
+
+// Voronoi indices of the cells of common lattices (HCP has the same index as FCC)
+export const VORONOI_SIGNATURES = {
+    ICOSAHEDRAL: '<0,0,12,0>',
+    BCC: '<0,6,0,8>',
+    FCC: '<0,12,0,0>',
+    SIMPLE_CUBIC: '<0,6,0,0>'
+};
+
+/**
+ * Classify every cell of a computation by its faces.
+ * Global distributions only use cells that do not touch a wall, since wall faces are cuts
+ * of the domain rather than neighbours; all cells are interior in fully periodic mode.
+ * @param {Object} computation - The DelaunayComputation object
+ * @param {Object} options - Analysis options
+ * @param {number} options.minFaceAreaFraction - Ignore faces smaller than this fraction of the
+ *        cell's surface area, which thermal noise leaves around degenerate vertices (default 0)
+ * @param {boolean} options.includePerformance - Record the time taken
+ * @returns {Object} {
+ *     topologyScores: faces per cell (NaN for empty cells), the values the TOPOLOGY coloring shows,
+ *     voronoiIndices: per cell [n3, n4, ...] or null, voronoiIndexLabels: per cell '<n3,n4,n5,n6>' or null,
+ *     touchesWall: per cell boolean,
+ *     facesPerCell: distribution, edgesPerFace: distribution,
+ *     indexFrequencies: [{ index, count, fraction }], most common first
+ * }
+ * where a distribution is { counts: { [n]: number }, total, mean, std, min, max }
+ */
+export function analyzeTopology(computation, options = {}) {
+    if (typeof computation.getClippedCells !== 'function') {
+        throw new Error('Topology analysis needs cell polyhedra (DelaunayComputation.getClippedCells)');
+    }
+    const minFaceAreaFraction = options.minFaceAreaFraction || 0;
+    const startTime = options.includePerformance ? performance.now() : 0;
+
+    const cells = computation.getClippedCells();
+    const topologyScores = [];
+    const voronoiIndices = [];
+    const voronoiIndexLabels = [];
+    const touchesWall = [];
+    const faceCounts = [];
+    const edgeCounts = [];
+    const labelCounts = new Map();
+    const isBoundary = cells.map(cell => cell ? cell.faces.some(face => face.isWall) : true);
+
+    cells.forEach((cell, i) => {
+        if (!cell) {
+            topologyScores.push(NaN);
+            voronoiIndices.push(null);
+            voronoiIndexLabels.push(null);
+            touchesWall.push(false);
+            return;
+        }
+
+        const faceAreas = minFaceAreaFraction > 0 ? computePolyhedronMetrics(cell).faceAreas : null;
+        const minArea = faceAreas ? minFaceAreaFraction * faceAreas.reduce((a, b) => a + b, 0) : 0;
+
+        const index = [];
+        cell.faces.forEach((face, f) => {
+            if (faceAreas && faceAreas[f] < minArea) return;
+            const edges = face.vertices.length;
+            while (index.length < edges - 2) index.push(0);
+            index[edges - 3]++;
+
+            // Each face of an interior cell once: shared with another interior cell, only from
+            // the first side (see isFirstSide)
+            if (!isBoundary[i] && (isBoundary[face.neighbor] || isFirstSide(i, face))) {
+                edgeCounts.push(edges);
+            }
+        });
+
+        const numFaces = index.reduce((a, b) => a + b, 0);
+        const label = formatVoronoiIndex(index);
+        topologyScores.push(numFaces);
+        voronoiIndices.push(index);
+        voronoiIndexLabels.push(label);
+        touchesWall.push(isBoundary[i]);
+
+        if (!isBoundary[i]) {
+            faceCounts.push(numFaces);
+            labelCounts.set(label, (labelCounts.get(label) || 0) + 1);
+        }
+    });
+
+    const interiorCells = faceCounts.length;
+    const indexFrequencies = [...labelCounts.entries()]
+        .map(([index, count]) => ({ index, count, fraction: count / interiorCells }))
+        .sort((a, b) => b.count - a.count || a.index.localeCompare(b.index));
+
+    const results = {
+        topologyScores,
+        voronoiIndices,
+        voronoiIndexLabels,
+        touchesWall,
+        facesPerCell: summarizeCounts(faceCounts),
+        edgesPerFace: summarizeCounts(edgeCounts),
+        indexFrequencies
+    };
+
+    if (options.includePerformance) {
+        results.performance = { totalTime: performance.now() - startTime };
+    }
+
+    console.log(`Cell topology (${interiorCells} interior cells): ${results.facesPerCell.mean.toFixed(2)} faces per cell, ` +
+        `${results.edgesPerFace.mean.toFixed(2)} edges per face` +
+        (indexFrequencies.length > 0 ? `, most common index ${indexFrequencies[0].index} (${indexFrequencies[0].count})` : ''));
+
+    return results;
+}
+
+/**
+ * Format a Voronoi index as '<n3,n4,n5,n6>', extended past n6 when larger faces exist
+ * @param {Array<number>} index - [n3, n4, n5, ...]
+ * @returns {string} The label
+ */
+export function formatVoronoiIndex(index) {
+    const entries = [];
+    for (let k = 0; k < Math.max(4, index.length); k++) {
+        entries.push(index[k] || 0);
+    }
+    return `<${entries.join(',')}>`;
+}
+
+/**
+ * Whether cell i is the side that counts a shared face: the lower index, or for a face
+ * between two images of the same cell, the image with the positive shift
+ * @private
+ */
+function isFirstSide(i, face) {
+    if (face.neighbor !== i) return i < face.neighbor;
+    const shift = face.shift || [0, 0, 0];
+    for (const s of shift) {
+        if (s !== 0) return s > 0;
+    }
+    return true;
+}
+
+/**
+ * Histogram and moments of integer counts
+ * @private
+ */
+function summarizeCounts(values) {
+    const counts = {};
+    let sum = 0;
+    let sumSquares = 0;
+    for (const value of values) {
+        counts[value] = (counts[value] || 0) + 1;
+        sum += value;
+        sumSquares += value * value;
+    }
+
+    const total = values.length;
+    const mean = total > 0 ? sum / total : NaN;
+    return {
+        counts,
+        total,
+        mean,
+        std: total > 0 ? Math.sqrt(Math.max(0, sumSquares / total - mean * mean)) : NaN,
+        min: total > 0 ? Math.min(...values) : NaN,
+        max: total > 0 ? Math.max(...values) : NaN
+    };
+}
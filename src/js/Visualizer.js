@@ -9,6 +9,11 @@
 let THREE = null;
 let ConvexGeometry = null;
 
+// Analysis types with continuous values (e.g. shape descriptors): their six legend ranges
+// split the current data range evenly instead of using fixed integer counts
+const DATA_RANGE_TYPES = ['SHAPE'];
+const dataRanges = {};
+
 /**
  * Initialize the visualizer with THREE.js objects
  * @param {Object} threeJS - The THREE.js object
@@ -36,17 +41,21 @@ function isInitialized() {
  * Apply minimum image convention for periodic boundaries
  * @param {Array} p1 - First point [x, y, z]
  * @param {Array} p2 - Second point [x, y, z]
+ * @param {Array} boxSize - Periodic box dimensions [Lx, Ly, Lz]
+ * @param {Array} periodicAxes - Which axes are periodic [x, y, z]
  * @returns {Array} Corrected p2 position
  */
-function getMinimumImage(p1, p2) {
+function getMinimumImage(p1, p2, boxSize = [1, 1, 1], periodicAxes = [true, true, true]) {
     const corrected = [p2[0], p2[1], p2[2]];
     
     for (let i = 0; i < 3; i++) {
+        if (!periodicAxes[i]) continue;
+        const L = boxSize[i];
         const delta = p2[i] - p1[i];
-        if (delta > 0.5) {
-            corrected[i] -= 1.0;
-        } else if (delta < -0.5) {
-            corrected[i] += 1.0;
+        if (delta > L / 2) {
+            corrected[i] -= L;
+        } else if (delta < -L / 2) {
+            corrected[i] += L;
         }
     }
     
@@ -155,7 +164,10 @@ function createColorLegend(maxScore, analysisType = '', topOffset = 10) {
         'CELL': 'Cell Acute Angles',
         'FACE': 'Face Acute Angles', 
         'VERTEX': 'Vertex Acute Angles',
-        'EDGE': 'Edge Acute Angles'
+        'EDGE': 'Edge Acute Angles',
+        'SHAPE': 'Cell Shape',
+        'TOPOLOGY': 'Faces per Cell',
+        'QUALITY': 'Tetrahedron Radius Ratio'
     };
     const title = titles[analysisType] || 'Acute Angles Scale';
     legendHTML += `<div style="font-weight: bold; margin-bottom: 8px;">${title}</div>`;
@@ -199,8 +211,11 @@ function createColorLegend(maxScore, analysisType = '', topOffset = 10) {
             legendHTML += `<span id="legend-opacity-value-${i}" style="font-size: 10px; margin-left: 4px; width: 30px;">${savedOpacity.toFixed(2)}</span>`;
             // Cell count display
             legendHTML += `<span id="legend-count-${analysisType.toLowerCase()}-${i}" style="font-size: 10px; margin-left: 4px; width: 30px; color: #666;">(0)</span>`;
+        } else if (analysisType === 'SHAPE' || analysisType === 'TOPOLOGY' || analysisType === 'QUALITY') {
+            // Count display only: these colors are drawn at a single opacity
+            legendHTML += `<span id="legend-count-${analysisType.toLowerCase()}-${i}" style="font-size: 10px; margin-left: 4px; width: 30px; color: #666;">(0)</span>`;
         }
-        
+
         legendHTML += `</div>`;
     }
     
@@ -277,7 +292,9 @@ function getColorIndexForScore(score, maxScore, analysisType = 'CELL') {
     // Use the same fixed ranges as the legend
     let fixedRanges;
     
-    if (analysisType === 'FACE') {
+    if (dataRanges[analysisType]) {
+        fixedRanges = dataRanges[analysisType];
+    } else if (analysisType === 'FACE') {
         fixedRanges = [
             { start: 0, end: 0 },      // index 0
             { start: 1, end: 1 },      // index 1
@@ -304,6 +321,17 @@ function getColorIndexForScore(score, maxScore, analysisType = 'CELL') {
             { start: 9, end: 12 },     // index 4
             { start: 13, end: 999 }    // index 5
         ];
+    } else if (analysisType === 'TOPOLOGY') {
+        fixedRanges = [
+            { start: 0, end: 10 },     // index 0
+            { start: 11, end: 12 },    // index 1
+            { start: 13, end: 14 },    // index 2
+            { start: 15, end: 16 },    // index 3
+            { start: 17, end: 18 },    // index 4
+            { start: 19, end: 999 }    // index 5
+        ];
+    } else if (analysisType === 'QUALITY') {
+        fixedRanges = getFixedRanges('QUALITY');
     } else {
         // CELL - Count of acute angles across all faces
         fixedRanges = [
@@ -326,15 +354,38 @@ function getColorIndexForScore(score, maxScore, analysisType = 'CELL') {
     return 1; // Default to max color if not found
 }
 
+/**
+ * Split the range of continuous scores into six equal legend ranges
+ * @param {string} analysisType - One of DATA_RANGE_TYPES
+ * @param {Array} scores - Scores to cover; non-finite values are ignored
+ * @private
+ */
+function updateDataRanges(analysisType, scores) {
+    if (!DATA_RANGE_TYPES.includes(analysisType)) return;
+    
+    const finite = scores.filter(score => typeof score === 'number' && isFinite(score));
+    const min = finite.length > 0 ? Math.min(...finite) : 0;
+    const max = finite.length > 0 ? Math.max(...finite) : 1;
+    const width = (max - min) / 6;
+    
+    dataRanges[analysisType] = Array.from({ length: 6 }, (_, i) => {
+        const start = min + i * width;
+        const end = i === 5 ? max : min + (i + 1) * width;
+        return { start, end, label: `${start.toFixed(2)}-${end.toFixed(2)}` };
+    });
+}
+
 /**
  * Apply analysis coloring to cell meshes
  * @param {Object} scene - Three.js scene object
  * @param {Object} voronoiFacesGroup - Three.js group containing Voronoi face meshes
- * @param {Array} analysisScores - Array of acuteness scores for each cell
+ * @param {Array} analysisScores - Array of acuteness scores (or other per-cell values) for each cell
  * @param {Object} computation - DelaunayComputation object
  * @param {number} defaultOpacity - Default opacity value for the cell materials (0.0 to 1.0)
+ * @param {string} analysisType - 'CELL' for acuteness scores with the legend opacities, or
+ *        'SHAPE' (continuous values) or 'TOPOLOGY' (faces per cell) drawn at defaultOpacity
  */
-export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, computation, defaultOpacity = 0.6) {
+export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, computation, defaultOpacity = 0.6, analysisType = 'CELL') {
     console.log('Applying cell coloring for acuteness analysis...');
     
     if (!isInitialized()) return;
@@ -359,9 +410,12 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
     const range = maxScore - minScore;
     
     console.log(`Cell coloring range: ${minScore} to ${maxScore}`);
+    updateDataRanges(analysisType, validScores);
     
-    // Get the cells mapping
+    // Get the cells mapping; walled domains are drawn with their exactly clipped cells
     const cells = computation.getCells();
+    const clippedCells = !computation.isFullyPeriodic && typeof computation.getClippedCells === 'function' ?
+        computation.getClippedCells() : null;
     
     // Clear existing meshes
     console.log('Cell coloring: Clearing voronoiFacesGroup, current children:', voronoiFacesGroup.children.length);
@@ -377,9 +431,12 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
     let hiddenCount = 0;
     let zeroOpacityCount = 0;
     
-    for (const [vertexIndex, cellVertices] of cells.entries()) {
+    for (const [vertexIndex, unclippedVertices] of cells.entries()) {
         if (cellIndex >= analysisScores.length) break;
         
+        const clippedCell = clippedCells ? clippedCells[vertexIndex] : null;
+        const cellVertices = clippedCells ? (clippedCell ? clippedCell.vertices : []) : unclippedVertices;
+        
         const score = analysisScores[cellIndex];
         
         // Validate individual score
@@ -396,8 +453,8 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
             continue;
         }
         
-        // Get opacity for this specific score
-        const scoreOpacity = getOpacityForScore(score, maxScore);
+        // Get opacity for this specific score; the legend opacity sliders only exist for acuteness
+        const scoreOpacity = analysisType === 'CELL' ? getOpacityForScore(score, maxScore) : defaultOpacity;
         
         // Skip cells with zero opacity to improve performance
         if (scoreOpacity === 0) {
@@ -409,8 +466,8 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
         visibleCount++;
         
         // Use the same color mapping as the legend
-        const colorIndex = getColorIndexForScore(score, maxScore, 'CELL');
-        const color = mapValueToColor(colorIndex, 'CELL');
+        const colorIndex = getColorIndexForScore(score, maxScore, analysisType);
+        const color = mapValueToColor(colorIndex, analysisType);
         
         // Create material with the computed color and individual opacity
         const material = new THREE.MeshPhongMaterial({
@@ -428,7 +485,11 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
                 let threeVertices;
                 
                 // Apply MIC correction for periodic cells to prevent transverse connections
-                if (computation.isPeriodic && cellVertices.length > 0) {
+                if (clippedCell || computation.tetrahedronShifts) {
+                    // Clipped cells, and cells built from exact image shifts, are already
+                    // contiguous around their generator
+                    threeVertices = cellVertices.map(v => new THREE.Vector3(v[0], v[1], v[2]));
+                } else if (computation.isPeriodic && cellVertices.length > 0) {
                     // Apply MIC: Use first barycenter as reference, correct others to same periodic image
                     const reference = cellVertices[0];
                     threeVertices = cellVertices.map((v, index) => {
@@ -437,7 +498,7 @@ export function applyCellColoring(scene, voronoiFacesGroup, analysisScores, comp
                         }
                         
                         // Apply MIC to bring vertex to same periodic image as reference
-                        const corrected = getMinimumImage(reference, v);
+                        const corrected = getMinimumImage(reference, v, computation.boxSize, computation.periodicAxes);
                         return new THREE.Vector3(corrected[0], corrected[1], corrected[2]);
                     });
                 } else {
@@ -687,7 +748,8 @@ export function applyEdgeColoring(scene, voronoiEdgesGroup, analysisScores, comp
             // Apply minimum image convention
             const p1 = edge.start;
             const p2 = edge.end;
-            const p2_corrected = getMinimumImage(p1, p2);
+            const p2_corrected = edge.endImage ||
+                getMinimumImage(p1, p2, computation.boxSize, computation.periodicAxes);
             
             positions = new Float32Array([
                 p1[0], p1[1], p1[2],
@@ -721,12 +783,68 @@ export function applyEdgeColoring(scene, voronoiEdgesGroup, analysisScores, comp
     console.log(`Applied edge coloring to ${computation.voronoiEdges.length} Voronoi edges`);
 }
 
+/**
+ * Draw the Delaunay tetrahedra colored by element quality
+ * @param {Object} tetrahedraGroup - Three.js group to draw into (cleared first)
+ * @param {Object} computation - DelaunayComputation object
+ * @param {Array} qualityScores - Radius ratio per tetrahedron (MeshQuality.analyzeMeshQuality)
+ * @param {number} opacity - Opacity of the tetrahedra (0.0 to 1.0)
+ */
+export function applyTetrahedronColoring(tetrahedraGroup, computation, qualityScores, opacity = 0.3) {
+    if (!isInitialized()) return;
+    
+    tetrahedraGroup.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    tetrahedraGroup.clear();
+    
+    // One material per legend range
+    const materials = getFixedRanges('QUALITY').map((range, i) => new THREE.MeshPhongMaterial({
+        color: mapValueToColor(i / 5, 'QUALITY'),
+        opacity: opacity,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    
+    const faces = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+    for (let t = 0; t < computation.tetrahedra.length; t++) {
+        const score = qualityScores[t];
+        if (typeof score !== 'number' || !isFinite(score)) continue;
+        
+        const vertices = computation.getTetrahedronVertices(t);
+        const positions = [];
+        for (const face of faces) {
+            for (const idx of face) {
+                positions.push(vertices[idx][0], vertices[idx][1], vertices[idx][2]);
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+        geometry.computeVertexNormals();
+        
+        const colorIndex = Math.round(getColorIndexForScore(score, 1, 'QUALITY') * 5);
+        const mesh = new THREE.Mesh(geometry, materials[colorIndex]);
+        mesh.userData.tetrahedron = t;
+        mesh.userData.score = score;
+        tetrahedraGroup.add(mesh);
+    }
+    
+    console.log(`Applied tetrahedron quality coloring to ${tetrahedraGroup.children.length} tetrahedra`);
+}
+
 /**
  * Main function to apply analysis coloring based on mode
  * @param {Object} scene - Three.js scene object
- * @param {Object} meshGroups - Object containing mesh groups (tetrahedraGroup, voronoiFacesGroup)
+ * @param {Object} meshGroups - Object containing mesh groups (tetrahedraGroup, voronoiFacesGroup, and
+ *        optionally sliceGroup with the slice it shows)
  * @param {Object} analysisResults - Object containing all analysis results
- * @param {string} coloringMode - 'CELL', 'FACE', or 'VERTEX'
+ * @param {string} coloringMode - 'CELL', 'FACE', 'VERTEX', 'SHAPE' (analysisResults.shapeScores,
+ *        one shape descriptor value per cell, see ShapeAnalysis.shapeCellScores), 'TOPOLOGY'
+ *        (analysisResults.topologyScores, faces per cell, see TopologyAnalysis.analyzeTopology), or
+ *        'QUALITY' (analysisResults.qualityScores, radius ratio per tetrahedron, see MeshQuality.analyzeMeshQuality)
  * @param {Object} computation - DelaunayComputation object
  */
 export function applyAnalysisColoring(scene, meshGroups, analysisResults, coloringMode, computation) {
@@ -748,6 +866,10 @@ export function applyAnalysisColoring(scene, meshGroups, analysisResults, colori
             if (analysisResults.cellScores) {
                 console.log('Cell scores:', analysisResults.cellScores);
                 applyCellColoring(scene, meshGroups.voronoiFacesGroup, analysisResults.cellScores, computation);
+                // A planar section, when shown, takes the same cell colors
+                if (meshGroups.sliceGroup && meshGroups.slice) {
+                    drawSlice(meshGroups.sliceGroup, meshGroups.slice, analysisResults.cellScores);
+                }
             } else {
                 console.warn('No cell scores available');
             }
@@ -770,18 +892,114 @@ export function applyAnalysisColoring(scene, meshGroups, analysisResults, colori
                 console.warn('No vertex scores available');
             }
             break;
+        case 'SHAPE':
+            console.log('Applying cell shape coloring...');
+            if (analysisResults.shapeScores) {
+                applyCellColoring(scene, meshGroups.voronoiFacesGroup, analysisResults.shapeScores, computation, 0.6, 'SHAPE');
+                if (meshGroups.sliceGroup && meshGroups.slice) {
+                    drawSlice(meshGroups.sliceGroup, meshGroups.slice, analysisResults.shapeScores, 0.85, 'SHAPE');
+                }
+            } else {
+                console.warn('No shape scores available');
+            }
+            break;
+        case 'TOPOLOGY':
+            console.log('Applying cell topology coloring...');
+            if (analysisResults.topologyScores) {
+                applyCellColoring(scene, meshGroups.voronoiFacesGroup, analysisResults.topologyScores, computation, 0.6, 'TOPOLOGY');
+                if (meshGroups.sliceGroup && meshGroups.slice) {
+                    drawSlice(meshGroups.sliceGroup, meshGroups.slice, analysisResults.topologyScores, 0.85, 'TOPOLOGY');
+                }
+            } else {
+                console.warn('No topology scores available');
+            }
+            break;
+        case 'QUALITY':
+            console.log('Applying tetrahedron quality coloring...');
+            if (analysisResults.qualityScores) {
+                applyTetrahedronColoring(meshGroups.tetrahedraGroup, computation, analysisResults.qualityScores);
+            } else {
+                console.warn('No quality scores available');
+            }
+            break;
         default:
             console.warn(`Unknown coloring mode: ${coloringMode}`);
     }
 }
 
+/**
+ * Draw a planar section from DelaunayComputation.computeSlice() as filled polygons with outlines.
+ * With cell scores the polygons use the cell colors of the analysis type; otherwise each cell gets its own hue.
+ * @param {Object} sliceGroup - Three.js group to draw into (cleared first)
+ * @param {Object} slice - Result of computation.computeSlice()
+ * @param {Array} cellScores - Optional acuteness score (or shape value) per cell
+ * @param {number} opacity - Fill opacity (0.0 to 1.0)
+ * @param {string} analysisType - Color scale of the scores: 'CELL', 'SHAPE' or 'TOPOLOGY'
+ */
+export function drawSlice(sliceGroup, slice, cellScores = null, opacity = 0.85, analysisType = 'CELL') {
+    if (!isInitialized()) return;
+    
+    sliceGroup.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    sliceGroup.clear();
+    
+    if (!slice || slice.polygons.length === 0) return;
+    
+    const outlineMaterial = new THREE.LineBasicMaterial({ color: 0x111111 });
+    
+    for (const polygon of slice.polygons) {
+        let color;
+        const score = cellScores ? cellScores[polygon.cell] : undefined;
+        if (typeof score === 'number' && isFinite(score)) {
+            color = mapValueToColor(getColorIndexForScore(score, 0, analysisType), analysisType);
+        } else {
+            // Golden-ratio hues keep neighbouring cell IDs apart
+            color = new THREE.Color().setHSL((polygon.cell * 0.618034) % 1, 0.55, 0.55);
+        }
+        
+        // Convex polygon: triangle fan from the first corner
+        const positions = [];
+        const corners = polygon.vertices;
+        for (let k = 1; k + 1 < corners.length; k++) {
+            positions.push(...corners[0], ...corners[k], ...corners[k + 1]);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: color,
+            opacity: opacity,
+            transparent: opacity < 1,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData.cell = polygon.cell;
+        mesh.userData.score = score;
+        sliceGroup.add(mesh);
+        
+        const outlineGeometry = new THREE.BufferGeometry().setFromPoints(
+            corners.map(v => new THREE.Vector3(v[0], v[1], v[2]))
+        );
+        sliceGroup.add(new THREE.LineLoop(outlineGeometry, outlineMaterial));
+    }
+    
+    console.log(`Drew slice: ${slice.polygons.length} polygons, area ${slice.totalArea.toFixed(4)}`);
+}
+
 /**
  * Get the fixed ranges for a given analysis type
  * @param {string} analysisType - Type of analysis (CELL, FACE, VERTEX, EDGE)
  * @returns {Array} Array of range objects with start, end, and label properties
  */
 function getFixedRanges(analysisType) {
-    if (analysisType === 'FACE') {
+    if (dataRanges[analysisType]) {
+        // Continuous values: ranges follow the data, see updateDataRanges()
+        return dataRanges[analysisType];
+    } else if (analysisType === 'FACE') {
         // Faces typically have fewer acute angles (they're 2D polygons)
         return [
             { start: 0, end: 0, label: '0' },
@@ -811,6 +1029,26 @@ function getFixedRanges(analysisType) {
             { start: 9, end: 12, label: '9-12' },
             { start: 13, end: 999, label: '13+' }
         ];
+    } else if (analysisType === 'QUALITY') {
+        // Radius ratio, best first so that poor elements take the warm colors
+        return [
+            { start: 0.8, end: 999, label: '0.8-1' },
+            { start: 0.6, end: 0.8, label: '0.6-0.8' },
+            { start: 0.4, end: 0.6, label: '0.4-0.6' },
+            { start: 0.2, end: 0.4, label: '0.2-0.4' },
+            { start: 0.1, end: 0.2, label: '0.1-0.2' },
+            { start: 0, end: 0.1, label: '<0.1' }
+        ];
+    } else if (analysisType === 'TOPOLOGY') {
+        // Faces per cell: 14 for BCC, 12 for FCC and icosahedral order, about 15.5 for random points
+        return [
+            { start: 0, end: 10, label: '0-10' },
+            { start: 11, end: 12, label: '11-12' },
+            { start: 13, end: 14, label: '13-14' },
+            { start: 15, end: 16, label: '15-16' },
+            { start: 17, end: 18, label: '17-18' },
+            { start: 19, end: 999, label: '19+' }
+        ];
     } else {
         // CELL - Count of acute angles across all faces of the polyhedron
         // A typical Voronoi cell has 10-20 faces with 3-6 vertices each
@@ -836,8 +1074,8 @@ function updateLegendCounts(analysisType, scores) {
     // Get the ranges for this analysis type - uses same function as legend
     const fixedRanges = getFixedRanges(analysisType);
     
-    // Only update counts for CELL and FACE types
-    if (analysisType !== 'CELL' && analysisType !== 'FACE') {
+    // Only update counts for CELL, FACE, SHAPE, TOPOLOGY and QUALITY types
+    if (!['CELL', 'FACE', 'SHAPE', 'TOPOLOGY', 'QUALITY'].includes(analysisType)) {
         return;
     }
     
@@ -874,6 +1112,7 @@ export function createAndShowLegend(analysisType, scores, verticalOffset = 0) {
     
     const maxScore = Math.max(...scores);
     const topOffset = 10 + verticalOffset;
+    updateDataRanges(analysisType, scores);
     
     // Remove existing legend of this type
     const existingLegend = document.getElementById(`acuteness-legend-${analysisType.toLowerCase()}`);
@@ -26,7 +26,7 @@ export class WorkerManager {
         // Create worker pool
         for (let i = 0; i < this.maxWorkers; i++) {
             try {
-                const worker = new Worker('./src/js/AcutenessWorker.js');
+                const worker = new Worker('./src/js/AcutenessWorker.js', { type: 'module' });
                 worker.workerId = i;
                 worker.isIdle = true;
                 
@@ -210,7 +210,8 @@ export function chunkArray(array, chunkSize) {
 /**
  * Parallel acuteness computation using Web Workers
  * @param {DelaunayComputation} computation - The computation object
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options; angleThreshold, angleStatistics and
+ *        histogramBins as for GeometryAnalysis.analyzeAcuteness()
  * @returns {Promise<Object>} Promise that resolves to analysis results
  */
 export async function parallelAcutenessAnalysis(computation, options = {}) {
@@ -218,8 +219,12 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
         maxScore = Infinity,
         searchRadius = 0.3,
         maxWorkers = 4,
-        chunkSize = 10
+        chunkSize = 10,
+        angleThreshold = Math.PI / 2,
+        angleStatistics = false,
+        histogramBins = 6
     } = options;
+    const angleOptions = { angleThreshold, angleStatistics, histogramBins };
     
     console.log('Starting parallel acuteness analysis...');
     const startTime = performance.now();
@@ -254,7 +259,8 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             workerManager.addTask('CELL_ACUTENESS', {
                 cellChunk: chunk,
                 maxScore,
-                searchRadius
+                searchRadius,
+                ...angleOptions
             }, `cell-${index}`);
         });
         
@@ -262,7 +268,8 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
         faceChunks.forEach((chunk, index) => {
             workerManager.addTask('FACE_ACUTENESS', {
                 faceChunk: chunk,
-                maxScore
+                maxScore,
+                ...angleOptions
             }, `face-${index}`);
         });
         
@@ -271,7 +278,8 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             workerManager.addTask('VERTEX_ACUTENESS', {
                 tetraChunk: chunk,
                 points,
-                maxScore
+                maxScore,
+                ...angleOptions
             }, `vertex-${index}`);
         });
         
@@ -284,6 +292,9 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             vertexScores: [],
             faceScores: [],
             cellScores: [],
+            // The workers score cells by their nearest vertices
+            cellMetric: 'nearest-vertex',
+            angleThreshold,
             performance: {
                 totalTime: performance.now() - startTime,
                 workerMetrics: [],
@@ -291,6 +302,10 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             }
         };
         
+        // Per-element angle summaries, filled when angleStatistics is set
+        const vertexAngleStats = [];
+        const faceAngleStats = [];
+        
         // Aggregate vertex scores
         const vertexResults = Array.from(results.entries())
             .filter(([taskId]) => taskId.startsWith('vertex-'))
@@ -300,8 +315,9 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             if (result.error) {
                 console.error(`Vertex task ${taskId} failed:`, result.error);
             } else {
-                result.scores.forEach(({tetraIdx, score}) => {
+                result.scores.forEach(({tetraIdx, score, stats}) => {
                     aggregatedResults.vertexScores[tetraIdx] = score;
+                    if (stats) vertexAngleStats[tetraIdx] = stats;
                 });
                 aggregatedResults.performance.workerMetrics.push({
                     taskId,
@@ -320,8 +336,9 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             if (result.error) {
                 console.error(`Face task ${taskId} failed:`, result.error);
             } else {
-                result.scores.forEach(({faceIdx, score}) => {
+                result.scores.forEach(({faceIdx, score, stats}) => {
                     aggregatedResults.faceScores[faceIdx] = score;
+                    if (stats) faceAngleStats[faceIdx] = stats;
                 });
                 aggregatedResults.performance.workerMetrics.push({
                     taskId,
@@ -337,12 +354,14 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             .sort(([a], [b]) => parseInt(a.split('-')[1]) - parseInt(b.split('-')[1]));
         
         const cellScoreMap = new Map();
+        const cellStatsMap = new Map();
         cellResults.forEach(([taskId, result]) => {
             if (result.error) {
                 console.error(`Cell task ${taskId} failed:`, result.error);
             } else {
-                result.scores.forEach(({cellIdx, score}) => {
+                result.scores.forEach(({cellIdx, score, stats}) => {
                     cellScoreMap.set(cellIdx, score);
+                    if (stats) cellStatsMap.set(cellIdx, stats);
                 });
                 aggregatedResults.performance.workerMetrics.push({
                     taskId,
@@ -357,6 +376,15 @@ export async function parallelAcutenessAnalysis(computation, options = {}) {
             cellScoreMap.get(cellIdx) || 0
         );
         
+        if (angleStatistics) {
+            aggregatedResults.vertexAngleStats = vertexAngleStats;
+            aggregatedResults.faceAngleStats = faceAngleStats;
+            aggregatedResults.cellAngleStats = Array.from(cells.keys()).map(cellIdx =>
+                cellStatsMap.get(cellIdx) || null
+            );
+            aggregatedResults.histogramBins = histogramBins;
+        }
+        
         // Calculate parallel efficiency
         const totalWorkerTime = aggregatedResults.performance.workerMetrics
             .reduce((sum, metric) => sum + metric.duration, 0);
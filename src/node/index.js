@@ -0,0 +1,107 @@
+/**
+ * index.js (Node entry point)
+ *
+ * Headless access to the triangulation for batch jobs and CI: loads the Emscripten build in
+ * dist/ from disk instead of through a <script> tag, and re-exports the DOM-free modules.
+ * Nothing imported here touches the DOM, Three.js or Web Workers.
+ *
+ *   import { loadDelaunayModule, DelaunayComputation, GeometryAnalysis } from './src/node/index.js';
+ *   const wasmModule = await loadDelaunayModule();
+ *   const computation = await new DelaunayComputation(points, true).compute(wasmModule);
+ */
+
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+import { DelaunayComputation } from '../js/DelaunayComputation.js';
+
+export { DelaunayComputation };
+export * as GeometryAnalysis from '../js/GeometryAnalysis.js';
+export * as ShapeAnalysis from '../js/ShapeAnalysis.js';
+export * as TopologyAnalysis from '../js/TopologyAnalysis.js';
+export * as MeshQuality from '../js/MeshQuality.js';
+export { computeTessellationStatistics, statisticsToCSV } from '../js/TessellationStatistics.js';
+export { PhysicsGrowthSystem } from '../js/PhysicsGrowthSystem.js';
+export { OptimizedPhysicsExpansion } from '../js/OptimizedPhysicsExpansion.js';
+export { LloydRelaxation } from '../js/LloydRelaxation.js';
+export { checkTessellation, formatIntegrityReport } from '../js/TessellationIntegrity.js';
+export { createDomain, domainContains, randomPointsInDomain } from '../js/ConvexDomain.js';
+export { computeAlphaFiltration, alphaComplex, alphaPersistence } from '../js/AlphaComplex.js';
+export { SpatialGrid } from '../js/SpatialIndex.js';
+export { computeRegularTriangulation } from '../js/RegularTriangulation.js';
+
+const require = createRequire(import.meta.url);
+
+// dist/ at the repository root, next to src/
+const DEFAULT_DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../dist');
+
+// Loads of the default build, shared by every caller
+let defaultModulePromise = null;
+
+/**
+ * Load the WASM triangulation module in Node.
+ * Without options the module is loaded once and shared; pass options to get a fresh instance.
+ * @param {Object} options - Optional settings
+ * @param {string} options.distDir - Directory holding periodic_delaunay.js and periodic_delaunay.wasm
+ * @param {boolean} options.quiet - Drop the module's own stdout logging (errors are still printed)
+ * @param {Function} options.print - Handler for the module's stdout lines (default console.log)
+ * @param {Function} options.printErr - Handler for the module's stderr lines (default console.error)
+ * @returns {Promise<Object>} The module, ready to pass to DelaunayComputation.compute()
+ */
+export async function loadDelaunayModule(options = {}) {
+    const isDefault = Object.keys(options).length === 0;
+    if (isDefault && defaultModulePromise) {
+        return defaultModulePromise;
+    }
+
+    const distDir = path.resolve(options.distDir || DEFAULT_DIST_DIR);
+    const scriptPath = path.join(distDir, 'periodic_delaunay.js');
+
+    let source;
+    try {
+        source = fs.readFileSync(scriptPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read ${scriptPath}: ${error.message}. Build it with ./build.sh`);
+    }
+
+    // Evaluated as a script with `module` undefined, as in a browser: when Geogram sees a
+    // CommonJS module it mounts the host file system through NODEFS, which this build
+    // leaves out, and every triangulation then throws
+    const wrapper = vm.runInThisContext(
+        `(function (require, __filename, __dirname, module, exports) {\n${source}\nreturn PeriodicDelaunayModule;\n})`,
+        { filename: scriptPath }
+    );
+    const factory = wrapper(require, scriptPath, distDir, undefined, undefined);
+    if (typeof factory !== 'function') {
+        throw new Error(`${scriptPath} does not define PeriodicDelaunayModule; rebuild it with ./build.sh`);
+    }
+
+    const promise = factory({
+        locateFile: file => path.join(distDir, file),
+        print: options.quiet ? () => {} : (options.print || console.log),
+        printErr: options.printErr || console.error
+    });
+
+    if (isDefault) {
+        defaultModulePromise = promise;
+        // A failed load should be retried, not cached
+        promise.catch(() => { defaultModulePromise = null; });
+    }
+    return promise;
+}
+
+/**
+ * Build and compute a DelaunayComputation with the default module in one call
+ * @param {Array|Float64Array|Float32Array} points - Generator points
+ * @param {boolean|Array<boolean>} isPeriodic - Periodicity, for all axes or per axis
+ * @param {Object} options - DelaunayComputation options (boxSize, weights, domain, ...)
+ * @returns {Promise<DelaunayComputation>} The computed triangulation
+ */
+export async function computeDelaunay(points, isPeriodic = true, options = {}) {
+    const wasmModule = await loadDelaunayModule();
+    const computation = new DelaunayComputation(points, isPeriodic, options);
+    return computation.compute(wasmModule);
+}
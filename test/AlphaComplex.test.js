@@ -0,0 +1,54 @@
+/**
+ * AlphaComplex.test.js
+ *
+ * Unit tests for the AlphaComplex module
+ * Checks the homology of the full complex, which is known from the domain's topology
+ */
+
+import { computeAlphaFiltration, alphaComplex, alphaPersistence } from '../src/js/AlphaComplex.js';
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { runTestSuite, randomPoints } from './testRunner.js';
+
+// Larger than the alpha value of any simplex in the unit box
+const FULL_ALPHA = 10;
+
+/**
+ * Test the 3-torus: the full periodic complex has Betti numbers [1, 3, 3, 1] and fills the box
+ */
+async function testTorusBetti(wasmModule) {
+    const computation = await new DelaunayComputation(randomPoints(80, 23), true).compute(wasmModule);
+    const filtration = computeAlphaFiltration(computation);
+    const { betti, essential } = alphaPersistence(computation, { filtration });
+    const shape = alphaComplex(computation, FULL_ALPHA, filtration);
+    console.log('\n=== Torus Betti numbers ===');
+    console.log('Betti:', betti(FULL_ALPHA), 'essential:', essential.length, 'volume:', shape.volume);
+
+    return betti(FULL_ALPHA).join() === '1,3,3,1' && essential.length === 8 &&
+        Math.abs(shape.volume - 1) < 1e-9 && shape.boundaryTriangles.length === 0;
+}
+
+/**
+ * Test a walled box: the full complex is the convex hull, a ball, with Betti numbers [1, 0, 0, 0]
+ */
+async function testBallBetti(wasmModule) {
+    const computation = await new DelaunayComputation(randomPoints(80, 29), false).compute(wasmModule);
+    const { betti, essential } = alphaPersistence(computation);
+    console.log('\n=== Ball Betti numbers ===');
+    console.log('Betti:', betti(FULL_ALPHA), 'at 0:', betti(0));
+
+    return betti(FULL_ALPHA).join() === '1,0,0,0' && essential.length === 1 &&
+        betti(0).join() === '80,0,0,0';
+}
+
+/**
+ * Run all AlphaComplex tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runAlphaComplexTests(wasmModule) {
+    return runTestSuite('AlphaComplex', [
+        ['Torus Betti numbers', () => testTorusBetti(wasmModule)],
+        ['Ball Betti numbers', () => testBallBetti(wasmModule)]
+    ]);
+}
+
+export { testTorusBetti, testBallBetti };
@@ -0,0 +1,80 @@
+/**
+ * ConvexDomain.test.js
+ *
+ * Unit tests for the ConvexDomain module
+ * Confines tessellations and physics to curved domains with the loaded WASM module
+ */
+
+import { createDomain, randomPointsInDomain } from '../src/js/ConvexDomain.js';
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { PhysicsGrowthSystem } from '../src/js/PhysicsGrowthSystem.js';
+import { analyzeAcuteness } from '../src/js/GeometryAnalysis.js';
+import { runTestSuite, seededRandom } from './testRunner.js';
+
+const SPHERE = { type: 'sphere', center: [0.5, 0.5, 0.5], radius: 0.45 };
+
+/**
+ * Test that physics steps inside a sphere keep the points distinct and off the surface
+ */
+async function testSpherePhysics(wasmModule) {
+    const domain = createDomain(SPHERE);
+    let points = randomPointsInDomain(domain, 200, [1, 1, 1], seededRandom(5));
+    let computation = await new DelaunayComputation(points, false, { domain: SPHERE }).compute(wasmModule);
+    const growth = new PhysicsGrowthSystem({ stepMode: 'equilibrium' });
+
+    for (let step = 0; step < 3; step++) {
+        const analysis = analyzeAcuteness(computation, { includePerformance: false });
+        points = growth.applyGrowth(points, computation, analysis);
+        computation = await new DelaunayComputation(points, false, { domain: SPHERE }).compute(wasmModule);
+    }
+
+    const distinct = new Set(points.map(p => p.join())).size;
+    const onSurface = points.filter(p =>
+        Math.hypot(p[0] - 0.5, p[1] - 0.5, p[2] - 0.5) > SPHERE.radius - 1e-6).length;
+    const cells = computation.getClippedCells().filter(Boolean).length;
+    console.log('\n=== Sphere physics ===');
+    console.log('Distinct points:', distinct, 'on the surface:', onSurface, 'cells:', cells);
+
+    return distinct === points.length && onSurface === 0 && cells === points.length;
+}
+
+/**
+ * Sum of the cell volumes of seeded points inside a domain
+ */
+async function cellVolumeIn(spec, seed, wasmModule) {
+    const points = randomPointsInDomain(createDomain(spec), 150, [1, 1, 1], seededRandom(seed));
+    const computation = await new DelaunayComputation(points, false, { domain: spec }).compute(wasmModule);
+    return computation.getCellMetrics().reduce((sum, metrics) => sum + (metrics ? metrics.volume : 0), 0);
+}
+
+/**
+ * Test that the cells fill the domain: exactly for a polyhedron (the corner x + y + z <= 1 of
+ * the box, volume 1/6), and within the circumscribed polyhedron's tolerance for curved shapes
+ */
+async function testDomainVolume(wasmModule) {
+    const corner = await cellVolumeIn([{ normal: [1, 1, 1], offset: 1 }], 7, wasmModule);
+    const sphere = await cellVolumeIn(SPHERE, 9, wasmModule);
+    const cylinder = await cellVolumeIn({ type: 'cylinder', center: [0.5, 0.5, 0.5], axis: [0, 0, 1], radius: 0.4, height: 0.8 }, 11, wasmModule);
+    const sphereVolume = 4 / 3 * Math.PI * Math.pow(SPHERE.radius, 3);
+    const cylinderVolume = Math.PI * 0.4 * 0.4 * 0.8;
+    console.log('\n=== Domain volume ===');
+    console.log('Corner:', corner, 'sphere:', sphere / sphereVolume, 'cylinder:', cylinder / cylinderVolume);
+
+    // The default tolerance 1e-3 keeps the polyhedron within 0.1% of the radius, at most 0.3% in volume
+    return Math.abs(corner - 1 / 6) < 1e-12 &&
+        sphere >= sphereVolume && sphere < sphereVolume * 1.003 &&
+        cylinder >= cylinderVolume && cylinder < cylinderVolume * 1.003;
+}
+
+/**
+ * Run all ConvexDomain tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runConvexDomainTests(wasmModule) {
+    return runTestSuite('ConvexDomain', [
+        ['Sphere physics', () => testSpherePhysics(wasmModule)],
+        ['Domain volume', () => testDomainVolume(wasmModule)]
+    ]);
+}
+
+export { testSpherePhysics, testDomainVolume };
@@ -0,0 +1,709 @@
+/**
+ * DelaunayComputation.test.js
+ *
+ * Unit tests for the DelaunayComputation class
+ * Triangulates small seeded point sets with the loaded WASM module
+ */
+
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { runTestSuite, randomPoints } from './testRunner.js';
+
+function totalVolume(computation) {
+    return computation.getCellMetrics().reduce((sum, metrics) => sum + (metrics ? metrics.volume : 0), 0);
+}
+
+/**
+ * Each cell's neighbours as sorted "index:shift" keys, with indices mapped through toOld
+ */
+function neighborKeys(computation, toOld = i => i) {
+    const { offsets, indices, shifts } = computation.getNeighborGraph();
+    return Array.from({ length: offsets.length - 1 }, (_, i) => {
+        const keys = [];
+        for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+            const shift = shifts ? [shifts[3 * k], shifts[3 * k + 1], shifts[3 * k + 2]] : [0, 0, 0];
+            keys.push(`${toOld(indices[k])}:${shift.join(',')}`);
+        }
+        return keys.sort().join(' ');
+    });
+}
+
+/**
+ * Compare an updated computation with a fresh one of the same points: the same neighbours
+ * and cell volumes, and topologyChanged listing exactly the cells whose neighbours differ
+ * from before the update (before: neighborKeys of the old points; toOld: new to old index)
+ */
+async function matchesFresh(label, computation, report, before, toOld, wasmModule) {
+    const fresh = await new DelaunayComputation(computation.getPoints(), computation.periodicAxes)
+        .compute(wasmModule);
+    const keys = neighborKeys(computation);
+    const freshKeys = neighborKeys(fresh);
+    const volumes = computation.getCellMetrics();
+    const freshVolumes = fresh.getCellMetrics();
+    const sameGraph = keys.length === freshKeys.length && keys.every((k, i) => k === freshKeys[i]);
+    const volumeError = freshVolumes.reduce((max, metrics, i) =>
+        Math.max(max, Math.abs((metrics ? metrics.volume : 0) - (volumes[i] ? volumes[i].volume : 0))), 0);
+
+    const mappedKeys = neighborKeys(fresh, toOld);
+    const expected = mappedKeys.map((k, i) => toOld(i) < 0 || k !== before[toOld(i)] ? i : -1).filter(i => i >= 0);
+    const sameChanges = expected.join() === report.topologyChanged.join();
+    console.log(`${label}: retriangulated ${report.retriangulated}, topology changed [${report.topologyChanged}]` +
+        `${sameChanges ? '' : `, expected [${expected}]`}, same graph ${sameGraph}, volume error ${volumeError}`);
+
+    return sameGraph && volumeError < 1e-9 && sameChanges;
+}
+
+/**
+ * Test that a duplicated generator owns no cell and the volumes still fill the box
+ */
+async function testDuplicateGenerator(wasmModule) {
+    let passed = true;
+    for (const periodic of [false, true]) {
+        const points = randomPoints(50, 11);
+        points.push([...points[7]]);
+        const computation = await new DelaunayComputation(points, periodic).compute(wasmModule);
+        const cells = computation.getClippedCells();
+        const volume = totalVolume(computation);
+        console.log(`\n=== Duplicate generator (${periodic ? 'periodic' : 'non-periodic'}) ===`);
+        console.log('Total volume:', volume, 'duplicate cell:', cells[50]);
+
+        passed = passed && cells[7] !== null && cells[50] === null && Math.abs(volume - 1) < 1e-9;
+    }
+    return passed;
+}
+
+/**
+ * Test periodic placement without image shifts from WASM: a large system is placed by the
+ * minimum image, a tiny one (tetrahedra over half a period wide) from periodic images.
+ * Either way every tetrahedron gets exact shifts and the cells fill the box.
+ */
+async function testPeriodicPlacement(wasmModule) {
+    let passed = true;
+    console.log('\n=== Periodic placement ===');
+    for (const count of [300, 8]) {
+        const computation = await new DelaunayComputation(randomPoints(count, 23), true).compute(wasmModule);
+        const volume = totalVolume(computation);
+        const shifts = computation.tetrahedronShifts;
+        console.log(`${count} points: ${computation.tetrahedra.length} tetrahedra, total volume ${volume}`);
+
+        passed = passed && shifts !== null && shifts.length === computation.tetrahedra.length &&
+            computation.getClippedCells().every(Boolean) && Math.abs(volume - 1) < 1e-9;
+    }
+    return passed;
+}
+
+/**
+ * Test a walled elongated box, which needs no periodic identification
+ */
+async function testAnisotropicBox(wasmModule) {
+    const boxSize = [2, 1, 0.5];
+    const computation = await new DelaunayComputation(randomPoints(100, 13, boxSize), false, { boxSize }).compute(wasmModule);
+    const volume = totalVolume(computation);
+    console.log('\n=== Anisotropic box ===');
+    console.log('Tetrahedra:', computation.tetrahedra.length, 'total volume:', volume);
+
+    return computation.tetrahedra.length > 0 && Math.abs(volume - 1) < 1e-9;
+}
+
+/**
+ * Test that a slice covers the plane's section of the box: a periodic elongated box cut
+ * across z, and the diagonal plane x + y = 1 of the walled unit cube (a 1 x √2 rectangle)
+ */
+async function testSliceArea(wasmModule) {
+    const boxSize = [1, 2, 1];
+    const periodic = await new DelaunayComputation(randomPoints(80, 17, boxSize), true, { boxSize }).compute(wasmModule);
+    const across = periodic.computeSlice([0, 0, 1], 0.3);
+    const walled = await new DelaunayComputation(randomPoints(80, 19), false).compute(wasmModule);
+    const diagonal = walled.computeSlice([1, 1, 0], 1);
+    const polygonArea = slice => slice.polygons.reduce((sum, polygon) => sum + polygon.area, 0);
+    console.log('\n=== Slice area ===');
+    console.log('Periodic:', across.totalArea, 'diagonal:', diagonal.totalArea);
+
+    return Math.abs(across.totalArea - 2) < 1e-9 && Math.abs(polygonArea(across) - 2) < 1e-9 &&
+        Math.abs(diagonal.totalArea - Math.SQRT2) < 1e-9 && Math.abs(polygonArea(diagonal) - Math.SQRT2) < 1e-9 &&
+        new Set(diagonal.polygons.map(polygon => polygon.cell)).size === diagonal.polygons.length;
+}
+
+/**
+ * Test power diagrams, walled and periodic: the cells still fill the box, and raising one
+ * generator's weight above the others' enlarges its cell
+ */
+async function testWeightedCells(wasmModule) {
+    let passed = true;
+    console.log('\n=== Weighted cells ===');
+    const points = randomPoints(60, 29);
+    for (const periodic of [false, true]) {
+        const cellVolumes = async weights => {
+            const computation = await new DelaunayComputation(points, periodic, { weights }).compute(wasmModule);
+            return { volume: totalVolume(computation), cells: computation.getCellMetrics() };
+        };
+        const equal = await cellVolumes(points.map(() => 0.001));
+        const heavier = await cellVolumes(points.map((_, i) => i === 5 ? 0.01 : 0.001));
+        console.log(`${periodic ? 'Periodic' : 'Walled'} volumes: ${equal.volume}, ${heavier.volume};`,
+            `cell 5: ${equal.cells[5].volume} -> ${heavier.cells[5].volume}`);
+
+        passed = passed && Math.abs(equal.volume - 1) < 1e-9 && Math.abs(heavier.volume - 1) < 1e-9 &&
+            heavier.cells[5].volume > equal.cells[5].volume;
+    }
+    return passed;
+}
+
+/**
+ * Test movePoints against a fresh compute(). A tiny move of an interior point keeps the
+ * triangulation and takes the in-place path; moving several points a fifth of the spacing
+ * retriangulates. Cached cells are built beforehand so the update has to refresh them.
+ */
+async function testMovePoints(wasmModule) {
+    let passed = true;
+    console.log('\n=== Move points ===');
+    for (const periodic of [false, true]) {
+        const computation = await new DelaunayComputation(randomPoints(200, 31), periodic).compute(wasmModule);
+        computation.getCellMetrics();
+        const points = computation.getPoints();
+        const spacing = Math.cbrt(1 / points.length);
+        const nearest = computation.kNearest([0.5, 0.5, 0.5], 1)[0].index;
+
+        let before = neighborKeys(computation);
+        const tiny = await computation.movePoints([nearest], [points[nearest].map(x => x + 1e-4 * spacing)]);
+        passed = passed && !tiny.retriangulated &&
+            await matchesFresh(`${periodic ? 'Periodic' : 'Walled'} tiny move`, computation, tiny, before, i => i, wasmModule);
+
+        // Towards the centre, so no point leaves a walled box or wraps
+        before = neighborKeys(computation);
+        const moved = [3, 40, 77, 120, 161];
+        const positions = moved.map(i => {
+            const p = computation.getPoints()[i];
+            const d = Math.hypot(p[0] - 0.5, p[1] - 0.5, p[2] - 0.5);
+            return p.map(x => x + (0.5 - x) / d * 0.2 * spacing);
+        });
+        const large = await computation.movePoints(moved, positions);
+        passed = passed && large.retriangulated &&
+            await matchesFresh(`${periodic ? 'Periodic' : 'Walled'} large move`, computation, large, before, i => i, wasmModule);
+    }
+    return passed;
+}
+
+/**
+ * Test insertPoint and removePoint against a fresh compute(), including the renumbering of
+ * the cells after a removed point
+ */
+async function testInsertRemove(wasmModule) {
+    let passed = true;
+    console.log('\n=== Insert and remove ===');
+    for (const periodic of [false, true]) {
+        const computation = await new DelaunayComputation(randomPoints(150, 37), periodic).compute(wasmModule);
+        computation.getCellMetrics();
+        const label = periodic ? 'Periodic' : 'Walled';
+
+        let before = neighborKeys(computation);
+        const count = computation.numPoints;
+        const inserted = await computation.insertPoint([0.37, 0.52, 0.61]);
+        passed = passed && inserted.index === count &&
+            await matchesFresh(`${label} insert`, computation, inserted, before, i => (i < count ? i : -1), wasmModule);
+
+        before = neighborKeys(computation);
+        const removed = await computation.removePoint(17);
+        passed = passed && computation.numPoints === count &&
+            await matchesFresh(`${label} remove`, computation, removed, before, i => (i < 17 ? i : i + 1), wasmModule);
+    }
+    return passed;
+}
+
+/**
+ * Minimum-image distance between two positions, wrapping only the periodic axes
+ */
+function imageDistance(computation, a, b) {
+    return Math.hypot(...[0, 1, 2].map(axis => {
+        const L = computation.boxSize[axis];
+        const d = a[axis] - b[axis];
+        return computation.periodicAxes[axis] ? d - Math.round(d / L) * L : d;
+    }));
+}
+
+/**
+ * Barycentric coordinates of p in the tetrahedron with the given corners, or null if flat
+ */
+function barycentric(vertices, p) {
+    const volume = (a, b, c, d) => {
+        const u = [0, 1, 2].map(axis => b[axis] - a[axis]);
+        const v = [0, 1, 2].map(axis => c[axis] - a[axis]);
+        const w = [0, 1, 2].map(axis => d[axis] - a[axis]);
+        return u[0] * (v[1] * w[2] - v[2] * w[1]) - u[1] * (v[0] * w[2] - v[2] * w[0]) + u[2] * (v[0] * w[1] - v[1] * w[0]);
+    };
+    const total = volume(...vertices);
+    if (total === 0) return null;
+    return [0, 1, 2, 3].map(k => volume(...vertices.map((v, j) => j === k ? p : v)) / total);
+}
+
+/**
+ * Whether any tetrahedron contains p (through the image of p nearest its centroid)
+ */
+function inSomeTetrahedron(computation, p) {
+    return computation.tetrahedra.some((_, t) => {
+        const vertices = computation.getTetrahedronVertices(t);
+        const image = p.map((x, axis) => {
+            if (!computation.periodicAxes[axis]) return x;
+            const L = computation.boxSize[axis];
+            const centroid = vertices.reduce((sum, v) => sum + v[axis], 0) / 4;
+            return x - Math.round((x - centroid) / L) * L;
+        });
+        const weights = barycentric(vertices, image);
+        return weights && Math.min(...weights) >= -1e-10;
+    });
+}
+
+/**
+ * Test kNearest, withinRadius, locateCell and locateTetrahedron against brute force in a
+ * walled, a mixed (periodic in x and z) and a fully periodic box. Queries on periodic axes
+ * are also given one period off, and weighted cells are located by the lowest power distance.
+ * locateTetrahedron may only return null where no tetrahedron contains the position.
+ */
+async function testQueries(wasmModule) {
+    let passed = true;
+    console.log('\n=== Queries ===');
+    const boxSize = [1, 0.8, 1.2];
+    for (const periodic of [false, [true, false, true], true]) {
+        const points = randomPoints(150, 43, boxSize);
+        const computation = await new DelaunayComputation(points, periodic, { boxSize }).compute(wasmModule);
+        const weights = points.map((_, i) => 0.004 * ((i * 7) % 5));
+        const weighted = await new DelaunayComputation(points, periodic, { boxSize, weights }).compute(wasmModule);
+        const queries = randomPoints(40, 47, boxSize).map((q, n) => n % 2 ?
+            q.map((x, axis) => computation.periodicAxes[axis] ? x + boxSize[axis] : x) : q);
+
+        let mismatches = 0;
+        for (const q of queries) {
+            const all = points.map((p, index) => ({ index, distance: imageDistance(computation, q, p) }))
+                .sort((a, b) => a.distance - b.distance || a.index - b.index);
+            const indices = list => list.map(entry => entry.index).join();
+            if (indices(computation.kNearest(q, 6)) !== indices(all.slice(0, 6))) mismatches++;
+            if (indices(computation.withinRadius(q, 0.15)) !== indices(all.filter(entry => entry.distance <= 0.15))) {
+                mismatches++;
+            }
+            if (computation.locateCell(q) !== all[0].index) mismatches++;
+
+            const power = i => imageDistance(weighted, q, points[i]) ** 2 - weights[i];
+            const lowest = points.reduce((best, _, i) => power(i) < power(best) ? i : best, 0);
+            if (power(weighted.locateCell(q)) > power(lowest) + 1e-12) mismatches++;
+
+            // The located tetrahedron holds an image of q, which is q itself along walled axes
+            const located = computation.locateTetrahedron(q);
+            if (!located) {
+                if (inSomeTetrahedron(computation, q)) mismatches++;
+                continue;
+            }
+            const weightsAt = barycentric(located.vertices, located.position);
+            const sameImage = [0, 1, 2].every(axis => {
+                const d = (located.position[axis] - q[axis]) / boxSize[axis];
+                return computation.periodicAxes[axis] ? Math.abs(d - Math.round(d)) < 1e-9 : Math.abs(d) < 1e-12;
+            });
+            if (!weightsAt || !sameImage || Math.min(...weightsAt) < -1e-9 ||
+                located.indices.join() !== computation.tetrahedra[located.tetrahedron].join()) {
+                mismatches++;
+            }
+        }
+        console.log(`Periodic ${JSON.stringify(periodic)}: ${mismatches} mismatches`);
+        passed = passed && mismatches === 0;
+    }
+    return passed;
+}
+
+/**
+ * Test that in a walled box locateTetrahedron returns null exactly where no tetrahedron
+ * contains the position (outside the convex hull, near the corners), and that positions
+ * outside a walled axis have no cell
+ */
+async function testOutsideHull(wasmModule) {
+    console.log('\n=== Outside hull ===');
+    const computation = await new DelaunayComputation(randomPoints(60, 53), false).compute(wasmModule);
+    const queries = [[0.001, 0.001, 0.001], [0.999, 0.002, 0.998], [0.5, 0.5, 0.001], [0.5, 0.5, 0.5], [0.3, 0.6, 0.4]];
+    let mismatches = 0;
+    for (const q of queries) {
+        const inside = inSomeTetrahedron(computation, q);
+        const located = computation.locateTetrahedron(q);
+        console.log(`[${q}]: inside hull ${inside}, located ${located ? located.tetrahedron : null}`);
+        if ((located !== null) !== inside) mismatches++;
+    }
+    const outside = computation.locateCell([0.5, 1.2, 0.5]);
+    const nullCount = queries.filter(q => computation.locateTetrahedron(q) === null).length;
+
+    return mismatches === 0 && nullCount > 0 && outside === -1 &&
+        computation.locateTetrahedron([0.5, 1.2, 0.5]) === null;
+}
+
+/**
+ * Test that getTypedLayout holds the same data as the nested-array getters, walled and
+ * periodic: typed array types and lengths, tetrahedra and Voronoi vertices, the tetrahedra
+ * of each cell (whose vertices getCells gives, periodic ones in some image), and the faces
+ * of getFaces with their tetrahedra in fan order
+ */
+async function testTypedLayout(wasmModule) {
+    let passed = true;
+    console.log('\n=== Typed layout ===');
+    for (const periodic of [false, true]) {
+        const computation = await new DelaunayComputation(randomPoints(80, 59), periodic).compute(wasmModule);
+        const layout = computation.getTypedLayout();
+        const tetrahedra = computation.getDelaunayTetrahedra();
+        const vertices = computation.getVertices();
+        const problems = [];
+
+        const types = { points: Float64Array, tetrahedra: Int32Array, vertices: Float64Array,
+            cellOffsets: Uint32Array, cellVertices: Int32Array, faceEdges: Int32Array,
+            faceOffsets: Uint32Array, faceVertices: Int32Array, voronoiEdges: Int32Array };
+        for (const [name, type] of Object.entries(types)) {
+            if (!(layout[name] instanceof type)) problems.push(`${name} is not a ${type.name}`);
+        }
+        if (layout.points.join() !== computation.getPoints().flat().join()) problems.push('points');
+        if (layout.numTetrahedra !== tetrahedra.length || layout.tetrahedra.join() !== tetrahedra.flat().join()) {
+            problems.push('tetrahedra');
+        }
+        const vertexError = vertices.reduce((max, v, t) => Math.max(max,
+            ...[0, 1, 2].map(axis => v ? Math.abs(layout.vertices[3 * t + axis] - v[axis]) : 0)), 0);
+        if (layout.vertices.length !== 3 * tetrahedra.length || vertexError !== 0) problems.push('vertices');
+
+        // Cells: tetrahedra in order, and getCells' positions up to a lattice translation
+        const cells = computation.getCells();
+        for (let i = 0; i < layout.numPoints; i++) {
+            const listed = Array.from(layout.cellVertices.subarray(layout.cellOffsets[i], layout.cellOffsets[i + 1]));
+            const expected = tetrahedra.map((tet, t) => tet.includes(i) ? t : -1).filter(t => t >= 0);
+            const positions = cells.get(i) || [];
+            const matches = listed.length === positions.length && listed.every((t, k) => [0, 1, 2].every(axis => {
+                const d = (positions[k][axis] - layout.vertices[3 * t + axis]) / computation.boxSize[axis];
+                return Math.abs(d - (periodic ? Math.round(d) : 0)) < 1e-9;
+            }));
+            if (listed.join() !== expected.join() || !matches) problems.push(`cell ${i}`);
+        }
+
+        // Faces: the same Delaunay edges and tetrahedra as getFaces, each next to the one before
+        const faces = new Map(computation.getFaces().map(face => [face.delaunayEdge.join(), face.tetraIndices]));
+        if (layout.numFaces !== faces.size || layout.faceOffsets.length !== faces.size + 1) problems.push('face count');
+        for (let f = 0; f < layout.numFaces; f++) {
+            const fan = Array.from(layout.faceVertices.subarray(layout.faceOffsets[f], layout.faceOffsets[f + 1]));
+            const expected = faces.get(`${layout.faceEdges[2 * f]},${layout.faceEdges[2 * f + 1]}`);
+            const adjacent = fan.slice(1).every((t, k) =>
+                tetrahedra[t].filter(v => tetrahedra[fan[k]].includes(v)).length === 3);
+            if (!expected || [...fan].sort((a, b) => a - b).join() !== [...expected].sort((a, b) => a - b).join() ||
+                !adjacent || layout.faceEdges[2 * f] >= layout.faceEdges[2 * f + 1]) {
+                problems.push(`face ${f}`);
+            }
+        }
+
+        const edges = computation.voronoiEdges.flatMap(edge => edge.tetraIndices);
+        if (layout.numVoronoiEdges !== computation.voronoiEdges.length || layout.voronoiEdges.join() !== edges.join()) {
+            problems.push('Voronoi edges');
+        }
+
+        console.log(`${periodic ? 'Periodic' : 'Walled'}: ${layout.numTetrahedra} tetrahedra, ${layout.numFaces} faces,`,
+            problems.length ? `problems: ${problems.slice(0, 5).join('; ')}` : 'no problems');
+        passed = passed && problems.length === 0;
+    }
+    return passed;
+}
+
+/**
+ * Test validate() on bad input before any triangulation: the indices of duplicate,
+ * near-coincident, non-finite and out-of-box points, and a pair that only coincides
+ * across a periodic boundary
+ */
+function testValidateInput() {
+    console.log('\n=== Validate input ===');
+    const points = randomPoints(30, 61);
+    points[3] = [...points[10]];
+    points[20] = points[5].map(x => x + 1e-12);
+    points[7] = [NaN, 0.5, 0.5];
+    points[12] = [0.2, Infinity, 0.3];
+    points[15] = [1.2, 0.5, -0.1];
+    points[25] = [1e-13, 0.4, 0.6];
+    points[26] = [1 - 1e-13, 0.4, 0.6];
+
+    const clean = new DelaunayComputation(randomPoints(30, 61), false).validate();
+    let passed = clean.valid && ['nonFinite', 'outOfDomain', 'duplicates', 'coplanar', 'cospherical', 'warnings']
+        .every(key => clean[key].length === 0);
+
+    for (const periodic of [false, true]) {
+        const report = new DelaunayComputation(points, periodic).validate();
+        const pairs = report.duplicates.map(pair => [...pair.indices].sort((a, b) => a - b).join('-')).sort();
+        const expectedPairs = periodic ? ['25-26', '3-10', '5-20'] : ['3-10', '5-20'];
+        const outside = report.outOfDomain.map(entry => `${entry.index}: ${entry.reason}`);
+        console.log(`${periodic ? 'Periodic' : 'Walled'}: valid ${report.valid}, non-finite [${report.nonFinite}],`,
+            `duplicates [${pairs}], outside [${outside}]`);
+
+        passed = passed && !report.valid && report.nonFinite.join() === '7,12' &&
+            pairs.join() === expectedPairs.join() &&
+            report.duplicates.every(pair => pair.distance < 1e-11) &&
+            report.outOfDomain.length === 1 && report.outOfDomain[0].index === 15 &&
+            report.outOfDomain[0].reason === 'outside the box along x, z' &&
+            report.outOfDomain[0].position.join() === '1.2,0.5,-0.1';
+    }
+
+    const few = new DelaunayComputation([[0.1, 0.1, 0.1], [0.5, 0.5, 0.5], [0.9, 0.2, 0.4]], false).validate();
+    return passed && few.valid && few.warnings.length === 1;
+}
+
+/**
+ * Test the report compute() attaches as computation.diagnostics: coincident points, and the
+ * cospherical configurations of a lattice, each with five points on one sphere
+ */
+async function testComputeDiagnostics(wasmModule) {
+    console.log('\n=== Compute diagnostics ===');
+    const points = randomPoints(40, 67);
+    points[30] = [...points[2]];
+    points[31] = points[9].map(x => x + 1e-12);
+    const computation = await new DelaunayComputation(points, false).compute(wasmModule);
+    const report = computation.diagnostics;
+    const pairs = report.duplicates.map(pair => [...pair.indices].sort((a, b) => a - b).join('-')).sort();
+
+    const lattice = [];
+    for (let x = 0; x < 3; x++) {
+        for (let y = 0; y < 3; y++) {
+            for (let z = 0; z < 3; z++) lattice.push([0.2 + 0.3 * x, 0.2 + 0.3 * y, 0.2 + 0.3 * z]);
+        }
+    }
+    const grid = await new DelaunayComputation(lattice, false).compute(wasmModule);
+    const gridReport = grid.diagnostics;
+    const cosphericalOk = gridReport.cospherical.every(({ tetrahedra, indices }) => {
+        const center = grid.getVertices()[tetrahedra[0]];
+        const distances = indices.map(i => Math.hypot(...lattice[i].map((x, axis) => x - center[axis])));
+        return new Set(indices).size === 5 && distances.every(d => Math.abs(d - distances[0]) < 1e-9);
+    });
+    console.log(`Random: valid ${report.valid}, duplicates [${pairs}];`,
+        `lattice: ${gridReport.cospherical.length} cospherical`);
+
+    return !report.valid && pairs.join() === '2-30,9-31' &&
+        report === computation.diagnostics && gridReport.valid &&
+        gridReport.cospherical.length > 0 && cosphericalOk;
+}
+
+/**
+ * Newell normal of a polygon, with the length of twice its area
+ */
+function polygonNormal(positions) {
+    const normal = [0, 0, 0];
+    positions.forEach((a, k) => {
+        const b = positions[(k + 1) % positions.length];
+        normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    });
+    return normal;
+}
+
+/**
+ * Test getCellPolyhedron in a walled, a mixed and a periodic box: every face turns
+ * counter-clockwise seen from outside, every edge is crossed once in each direction, and
+ * every shared face appears in the neighbour named by it with this cell's index, the
+ * negated shift and the same polygon moved by that shift
+ */
+async function testCellPolyhedra(wasmModule) {
+    let passed = true;
+    console.log('\n=== Cell polyhedra ===');
+    for (const periodic of [false, [true, false, true], true]) {
+        const computation = await new DelaunayComputation(randomPoints(60, 71), periodic).compute(wasmModule);
+        const boxSize = computation.boxSize;
+        const problems = [];
+        let shared = 0;
+
+        for (let i = 0; i < computation.numPoints; i++) {
+            const cell = computation.getCellPolyhedron(i);
+            const center = [0, 1, 2].map(axis => cell.vertices.reduce((sum, v) => sum + v[axis], 0) / cell.vertices.length);
+            const directed = new Set();
+
+            for (const face of cell.faces) {
+                const positions = face.vertices.map(v => cell.vertices[v]);
+                const normal = polygonNormal(positions);
+                const outward = [0, 1, 2].reduce((sum, axis) => sum + normal[axis] * (positions[0][axis] - center[axis]), 0);
+                if (!(outward > 0)) problems.push(`cell ${i}: inward face`);
+                face.vertices.forEach((v, k) => {
+                    const edge = `${v}>${face.vertices[(k + 1) % face.vertices.length]}`;
+                    if (directed.has(edge)) problems.push(`cell ${i}: edge ${edge} used twice`);
+                    directed.add(edge);
+                });
+
+                if (face.isWall) {
+                    if (face.neighbor !== -1 || face.shift !== null || !(face.wall >= 0 && face.wall < 6)) {
+                        problems.push(`cell ${i}: wall face fields`);
+                    }
+                    continue;
+                }
+
+                // The same face from the other side, moved into this cell's frame
+                shared++;
+                const other = computation.getCellPolyhedron(face.neighbor);
+                const key = points => points.map(p => p.map(x => x.toFixed(8)).join(',')).sort().join(' ');
+                const mirrors = other.faces.filter(g => !g.isWall && g.neighbor === i &&
+                    g.shift.every((x, axis) => x === -face.shift[axis]));
+                const moved = mirrors.map(g => g.vertices.map(v =>
+                    other.vertices[v].map((x, axis) => x + face.shift[axis] * boxSize[axis])));
+                if (!moved.some(polygon => key(polygon) === key(positions))) {
+                    problems.push(`cell ${i}: no reciprocal face in cell ${face.neighbor}`);
+                }
+            }
+
+            const unpaired = [...directed].filter(edge => {
+                const [a, b] = edge.split('>');
+                return !directed.has(`${b}>${a}`);
+            });
+            if (unpaired.length > 0) problems.push(`cell ${i}: open surface`);
+        }
+
+        console.log(`Periodic ${JSON.stringify(periodic)}: ${shared} shared faces,`,
+            problems.length ? `problems: ${problems.slice(0, 5).join('; ')}` : 'no problems');
+        passed = passed && shared > 0 && problems.length === 0;
+    }
+    return passed;
+}
+
+/**
+ * Test that getNeighborGraph is a symmetric CSR graph, walled, mixed and periodic: offsets
+ * run from 0 to the entry count, every entry (i, j, shift) has the entry (j, i, -shift), and
+ * the pairs are exactly the Delaunay edges of the tetrahedra. A tiny periodic system, where
+ * a point neighbours several images of another, is included.
+ */
+async function testNeighborGraph(wasmModule) {
+    let passed = true;
+    console.log('\n=== Neighbor graph ===');
+    for (const [periodic, count] of [[false, 80], [[true, false, true], 80], [true, 80], [true, 8]]) {
+        const computation = await new DelaunayComputation(randomPoints(count, 73), periodic).compute(wasmModule);
+        const { offsets, indices, shifts } = computation.getNeighborGraph();
+        const problems = [];
+
+        if (!(offsets instanceof Uint32Array) || !(indices instanceof Uint32Array) ||
+            (computation.isPeriodic ? !(shifts instanceof Int32Array) || shifts.length !== 3 * indices.length : shifts !== null)) {
+            problems.push('array types');
+        }
+        if (offsets.length !== count + 1 || offsets[0] !== 0 || offsets[count] !== indices.length ||
+            offsets.some((offset, i) => i > 0 && offset < offsets[i - 1])) {
+            problems.push('offsets');
+        }
+
+        const entries = new Map();
+        for (let i = 0; i < count; i++) {
+            for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+                const shift = shifts ? [shifts[3 * k], shifts[3 * k + 1], shifts[3 * k + 2]] : [0, 0, 0];
+                const key = `${i}>${indices[k]}:${shift.join(',')}`;
+                entries.set(key, (entries.get(key) || 0) + 1);
+                if (indices[k] === i && shift.every(x => x === 0)) problems.push(`self entry at ${i}`);
+            }
+        }
+        for (const [key, n] of entries) {
+            const [pair, shift] = key.split(':');
+            const [i, j] = pair.split('>');
+            const back = `${j}>${i}:${shift.split(',').map(x => 0 - x).join(',')}`;
+            if (n !== 1 || entries.get(back) !== 1) problems.push(`no reciprocal of ${key}`);
+        }
+
+        const pairs = set => [...set].sort().join(' ');
+        const graphPairs = new Set([...entries.keys()].map(key => key.split(':')[0]));
+        const delaunayPairs = new Set();
+        for (const tet of computation.tetrahedra) {
+            for (const a of tet) {
+                for (const b of tet) if (a !== b) delaunayPairs.add(`${a}>${b}`);
+            }
+        }
+        if (pairs(graphPairs) !== pairs(delaunayPairs)) problems.push('pairs differ from the tetrahedra');
+
+        console.log(`Periodic ${JSON.stringify(periodic)}, ${count} points: ${indices.length} entries,`,
+            problems.length ? `problems: ${problems.slice(0, 5).join('; ')}` : 'no problems');
+        passed = passed && indices.length > 0 && problems.length === 0;
+    }
+    return passed;
+}
+
+/**
+ * Test that in circumcenter mode (the default) each Voronoi vertex is equidistant from the
+ * four corners of its tetrahedron, walled and periodic (minimum image distances)
+ */
+async function testCircumcenters(wasmModule) {
+    let passed = true;
+    console.log('\n=== Circumcenters ===');
+    for (const periodic of [false, true]) {
+        const computation = await new DelaunayComputation(randomPoints(100, 79), periodic).compute(wasmModule);
+        const vertices = computation.getVertices();
+        const degenerate = new Set(computation.degenerateTetrahedra);
+        let worst = 0;
+        computation.tetrahedra.forEach((tet, t) => {
+            if (degenerate.has(t)) return;
+            const distances = tet.map(i => imageDistance(computation, vertices[t], computation.getPoints()[i]));
+            worst = Math.max(worst, (Math.max(...distances) - Math.min(...distances)) / Math.max(...distances));
+        });
+        console.log(`${periodic ? 'Periodic' : 'Walled'}: ${computation.tetrahedra.length} tetrahedra,`,
+            `${degenerate.size} degenerate, worst relative spread ${worst}`);
+        passed = passed && worst < 1e-9;
+    }
+    return passed;
+}
+
+/**
+ * Test that voronoiMode 'barycentric' gives the Voronoi vertices of the original code: the
+ * mean of the four corners, periodic ones first moved within half a box of the first corner
+ * and the mean wrapped back into the unit cube
+ */
+async function testBarycentricMode(wasmModule) {
+    let passed = true;
+    console.log('\n=== Barycentric mode ===');
+    for (const periodic of [false, true]) {
+        const computation = await new DelaunayComputation(randomPoints(100, 83), periodic, { voronoiMode: 'barycentric' })
+            .compute(wasmModule);
+        const points = computation.getPoints();
+        const vertices = computation.getVertices();
+        let worst = 0;
+        computation.tetrahedra.forEach((tet, t) => {
+            const ref = points[tet[0]];
+            const expected = [0, 1, 2].map(axis => {
+                let sum = 0;
+                for (const i of tet) {
+                    const diff = points[i][axis] - ref[axis];
+                    sum += points[i][axis] - (periodic ? (diff > 0.5 ? 1 : diff < -0.5 ? -1 : 0) : 0);
+                }
+                const center = sum / 4;
+                return periodic ? center - Math.floor(center) : center;
+            });
+            worst = Math.max(worst, ...expected.map((x, axis) => Math.abs(x - vertices[t][axis])));
+        });
+        console.log(`${periodic ? 'Periodic' : 'Walled'}: worst difference ${worst}`);
+        passed = passed && computation.tetrahedra.length > 0 && worst < 1e-12;
+    }
+    return passed;
+}
+
+/**
+ * Run all DelaunayComputation tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runDelaunayComputationTests(wasmModule) {
+    return runTestSuite('DelaunayComputation', [
+        ['Duplicate generator', () => testDuplicateGenerator(wasmModule)],
+        ['Periodic placement', () => testPeriodicPlacement(wasmModule)],
+        ['Anisotropic box', () => testAnisotropicBox(wasmModule)],
+        ['Slice area', () => testSliceArea(wasmModule)],
+        ['Weighted cells', () => testWeightedCells(wasmModule)],
+        ['Move points', () => testMovePoints(wasmModule)],
+        ['Insert and remove', () => testInsertRemove(wasmModule)],
+        ['Queries', () => testQueries(wasmModule)],
+        ['Outside hull', () => testOutsideHull(wasmModule)],
+        ['Typed layout', () => testTypedLayout(wasmModule)],
+        ['Validate input', testValidateInput],
+        ['Compute diagnostics', () => testComputeDiagnostics(wasmModule)],
+        ['Cell polyhedra', () => testCellPolyhedra(wasmModule)],
+        ['Neighbor graph', () => testNeighborGraph(wasmModule)],
+        ['Circumcenters', () => testCircumcenters(wasmModule)],
+        ['Barycentric mode', () => testBarycentricMode(wasmModule)]
+    ]);
+}
+
+export {
+    testDuplicateGenerator,
+    testPeriodicPlacement,
+    testAnisotropicBox,
+    testSliceArea,
+    testWeightedCells,
+    testMovePoints,
+    testInsertRemove,
+    testQueries,
+    testOutsideHull,
+    testTypedLayout,
+    testValidateInput,
+    testComputeDiagnostics,
+    testCellPolyhedra,
+    testNeighborGraph,
+    testCircumcenters,
+    testBarycentricMode
+};
@@ -5,7 +5,7 @@
  * Tests acuteness analysis functions with known geometric shapes
  */
 
-import { vertexAcuteness, faceAcuteness, cellAcuteness } from '../src/js/GeometryAnalysis.js';
+import { vertexAcuteness, faceAcuteness, cellAcuteness, getPolyhedronAngles, summarizeAngles } from '../src/js/GeometryAnalysis.js';
 
 /**
  * Mock DelaunayComputation class for testing
@@ -221,6 +221,86 @@ function testTriangularPrism() {
     };
 }
 
+/**
+ * Test the angles behind the dihedral cell metric on indexed polyhedra
+ * (faces counter-clockwise seen from outside, as produced by indexPolyhedron).
+ * A cube has 12 right dihedral angles and 24 right face angles: no acute angle.
+ * A regular tetrahedron has 6 dihedral angles of acos(1/3) and 12 face angles of 60°: 18 acute.
+ */
+function testPolyhedronAngles() {
+    console.log('Testing polyhedron angles...');
+    
+    const cube = {
+        vertices: [
+            [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+            [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+        ],
+        faces: [
+            [0, 4, 7, 3], [1, 2, 6, 5],  // -x, +x
+            [0, 1, 5, 4], [3, 7, 6, 2],  // -y, +y
+            [0, 3, 2, 1], [4, 5, 6, 7]   // -z, +z
+        ].map(vertices => ({ vertices }))
+    };
+    const tetrahedron = {
+        vertices: [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]],
+        faces: [[1, 3, 2], [0, 2, 3], [0, 3, 1], [0, 1, 2]].map(vertices => ({ vertices }))
+    };
+    
+    const countAcute = ({ dihedralAngles, faceAngles }) =>
+        [...dihedralAngles, ...faceAngles].filter(angle => angle < Math.PI / 2 - 1e-9).length;
+    
+    const cubeAngles = getPolyhedronAngles(cube);
+    const tetrahedronAngles = getPolyhedronAngles(tetrahedron);
+    const expectedDihedral = Math.acos(1 / 3);
+    
+    const checks = [
+        ['cube has 12 dihedral and 24 face angles',
+            cubeAngles.dihedralAngles.length === 12 && cubeAngles.faceAngles.length === 24],
+        ['cube has no acute angle', countAcute(cubeAngles) === 0],
+        ['tetrahedron has 6 dihedral and 12 face angles',
+            tetrahedronAngles.dihedralAngles.length === 6 && tetrahedronAngles.faceAngles.length === 12],
+        ['tetrahedron dihedral angles are acos(1/3)',
+            tetrahedronAngles.dihedralAngles.every(angle => Math.abs(angle - expectedDihedral) < 1e-9)],
+        ['tetrahedron has 18 acute angles', countAcute(tetrahedronAngles) === 18]
+    ];
+    
+    const failures = checks.filter(([, passed]) => !passed).map(([name]) => name);
+    if (failures.length > 0) {
+        console.error('❌ Polyhedron angles:', failures.join('; '));
+        return false;
+    }
+    console.log('✅ Polyhedron angles: all checks passed');
+    return true;
+}
+
+/**
+ * Test the per-element angle summary behind the angleStatistics option
+ */
+function testAngleSummary() {
+    console.log('Testing angle summary...');
+    
+    const right = Math.PI / 2;
+    const summary = summarizeAngles([Math.PI / 3, right, right, 2 * Math.PI / 3], 6);
+    const empty = summarizeAngles([], 6);
+    
+    const checks = [
+        ['count', summary.count === 4],
+        ['min', Math.abs(summary.min - Math.PI / 3) < 1e-12],
+        ['mean', Math.abs(summary.mean - right) < 1e-12],
+        ['std', Math.abs(summary.std - Math.PI / (6 * Math.sqrt(2))) < 1e-12],
+        ['histogram', summary.histogram.join(',') === '0,0,1,2,1,0'],
+        ['empty element', empty.count === 0 && Number.isNaN(empty.mean) && empty.histogram.every(c => c === 0)]
+    ];
+    
+    const failures = checks.filter(([, passed]) => !passed).map(([name]) => name);
+    if (failures.length > 0) {
+        console.error('❌ Angle summary:', failures.join('; '));
+        return false;
+    }
+    console.log('✅ Angle summary: all checks passed');
+    return true;
+}
+
 /**
  * Validation function to check if results are reasonable
  */
@@ -298,6 +378,26 @@ export function runGeometryAnalysisTests() {
         console.error('❌ Triangular prism test failed:', error);
     }
     
+    // Test the dihedral cell metric angles
+    totalTests++;
+    try {
+        if (testPolyhedronAngles()) {
+            passedTests++;
+        }
+    } catch (error) {
+        console.error('❌ Polyhedron angles test failed:', error);
+    }
+    
+    // Test the angle summary
+    totalTests++;
+    try {
+        if (testAngleSummary()) {
+            passedTests++;
+        }
+    } catch (error) {
+        console.error('❌ Angle summary test failed:', error);
+    }
+    
     // Summary
     console.log('\n=====================================');
     console.log(`🏁 Test Results: ${passedTests}/${totalTests} tests passed`);
@@ -318,4 +418,4 @@ if (typeof window !== 'undefined' && window.location) {
 }
 
 // Export for module usage
-export { testCubeGeometry, testRegularTetrahedronGeometry, testTriangularPrism, validateResults }; 
\ No newline at end of file
+export { testCubeGeometry, testRegularTetrahedronGeometry, testTriangularPrism, testPolyhedronAngles, testAngleSummary, validateResults }; 
\ No newline at end of file
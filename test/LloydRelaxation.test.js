@@ -0,0 +1,42 @@
+/**
+ * LloydRelaxation.test.js
+ *
+ * Unit tests for the LloydRelaxation module
+ * Relaxes seeded point sets with the loaded WASM module and follows the CVT energy
+ */
+
+import { LloydRelaxation } from '../src/js/LloydRelaxation.js';
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { runTestSuite, randomPoints } from './testRunner.js';
+
+/**
+ * Relax seeded points and check that no iteration raises the energy
+ */
+async function relaxesDownhill(periodic, seed, wasmModule) {
+    const computation = await new DelaunayComputation(randomPoints(80, seed), periodic).compute(wasmModule);
+    const { energies } = await new LloydRelaxation({ maxIterations: 6 }).relax(computation);
+    const rises = energies.slice(1).filter((energy, k) => energy > energies[k] * (1 + 1e-12)).length;
+    console.log(`${periodic ? 'Periodic' : 'Walled'} energies:`, energies.map(energy => energy.toExponential(4)).join(' '));
+
+    return energies.length > 1 && rises === 0 && energies[energies.length - 1] < energies[0];
+}
+
+/**
+ * Test that Lloyd iterations never raise the CVT energy, in a walled and a periodic box
+ */
+async function testEnergyDecrease(wasmModule) {
+    console.log('\n=== Energy decrease ===');
+    return await relaxesDownhill(false, 37, wasmModule) && await relaxesDownhill(true, 43, wasmModule);
+}
+
+/**
+ * Run all LloydRelaxation tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runLloydRelaxationTests(wasmModule) {
+    return runTestSuite('LloydRelaxation', [
+        ['Energy decrease', () => testEnergyDecrease(wasmModule)]
+    ]);
+}
+
+export { testEnergyDecrease };
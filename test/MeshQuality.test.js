@@ -0,0 +1,68 @@
+/**
+ * MeshQuality.test.js
+ *
+ * Unit tests for the MeshQuality module
+ * Measures tetrahedra whose quality is known in closed form
+ */
+
+import { computeTetrahedronQuality, analyzeMeshQuality, REGULAR_DIHEDRAL_ANGLE } from '../src/js/MeshQuality.js';
+import { runTestSuite } from './testRunner.js';
+
+// Alternate corners of the unit cube: a regular tetrahedron with edge √2
+const REGULAR = [[0, 0, 0], [1, 1, 0], [1, 0, 1], [0, 1, 1]];
+
+// A square lifted at two opposite corners: well-proportioned edges, almost no volume
+const SLIVER = [[0, 0, 0], [1, 0, 0.01], [1, 1, 0], [0, 1, 0.01]];
+
+/**
+ * Mock computation holding explicit tetrahedra
+ */
+class MockTetrahedraComputation {
+    constructor(tetrahedra) {
+        this.vertices = tetrahedra;
+        this.tetrahedra = tetrahedra.map((_, t) => [4 * t, 4 * t + 1, 4 * t + 2, 4 * t + 3]);
+    }
+
+    getTetrahedronVertices(t) {
+        return this.vertices[t];
+    }
+}
+
+/**
+ * Test that the regular tetrahedron scores 1 on every ratio
+ */
+function testRegularTetrahedron() {
+    const quality = computeTetrahedronQuality(REGULAR);
+    console.log('\n=== Regular tetrahedron ===');
+    console.log('Radius ratio:', quality.radiusRatio, 'aspect ratio:', quality.aspectRatio,
+        'dihedral:', quality.minDihedral, quality.maxDihedral);
+
+    const close = (value, expected) => Math.abs(value - expected) < 1e-12;
+    return close(quality.radiusRatio, 1) && close(quality.aspectRatio, 1) && close(quality.edgeRatio, 1) &&
+        close(quality.minDihedral, REGULAR_DIHEDRAL_ANGLE) && close(quality.maxDihedral, REGULAR_DIHEDRAL_ANGLE) &&
+        close(quality.volume, 1 / 3) && close(quality.circumradius, Math.sqrt(3) / 2);
+}
+
+/**
+ * Test that a flat tetrahedron with even edges is reported as a sliver and the regular one is not
+ */
+function testSliverDetection() {
+    const results = analyzeMeshQuality(new MockTetrahedraComputation([REGULAR, SLIVER]));
+    console.log('\n=== Sliver detection ===');
+    console.log('Radius ratios:', results.radiusRatio, 'slivers:', results.slivers);
+
+    return results.slivers.join() === '1' && results.radiusRatio[1] < 0.05 &&
+        results.summary.worst[0] === 1 && results.summary.radiusRatioHistogram[9] === 1;
+}
+
+/**
+ * Run all MeshQuality tests
+ */
+export function runMeshQualityTests() {
+    return runTestSuite('MeshQuality', [
+        ['Regular tetrahedron', testRegularTetrahedron],
+        ['Sliver detection', testSliverDetection]
+    ]);
+}
+
+export { testRegularTetrahedron, testSliverDetection };
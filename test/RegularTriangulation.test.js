@@ -0,0 +1,143 @@
+/**
+ * RegularTriangulation.test.js
+ *
+ * Unit tests for the RegularTriangulation module
+ * Compares with the loaded WASM module and checks the power criterion by brute force
+ */
+
+import { computeRegularTriangulation } from '../src/js/RegularTriangulation.js';
+import { runTestSuite, randomPoints, seededRandom } from './testRunner.js';
+
+function signedVolume(p0, p1, p2, p3) {
+    const u = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+    const v = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+    const w = [p3[0] - p0[0], p3[1] - p0[1], p3[2] - p0[2]];
+    return (u[0] * (v[1] * w[2] - v[2] * w[1]) -
+        u[1] * (v[0] * w[2] - v[2] * w[0]) +
+        u[2] * (v[0] * w[1] - v[1] * w[0])) / 6;
+}
+
+/**
+ * Power center of a tetrahedron: equal power distance |x - p|^2 - w to its four vertices
+ */
+function powerCenter(vertices, weights) {
+    const [p0] = vertices;
+    const rows = vertices.slice(1).map(p => [0, 1, 2].map(axis => 2 * (p[axis] - p0[axis])));
+    const rhs = vertices.slice(1).map((p, k) =>
+        p[0] ** 2 + p[1] ** 2 + p[2] ** 2 - p0[0] ** 2 - p0[1] ** 2 - p0[2] ** 2 - weights[k + 1] + weights[0]);
+    const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const d = det(rows);
+    return [0, 1, 2].map(axis => det(rows.map((row, k) => row.map((x, c) => c === axis ? rhs[k] : x))) / d);
+}
+
+/**
+ * Tetrahedra that some other point undercuts: a smaller power distance to the power center
+ * than the tetrahedron's own vertices
+ */
+function countNonRegular(points, weights, tetrahedra) {
+    const power = (center, i) => (points[i][0] - center[0]) ** 2 + (points[i][1] - center[1]) ** 2 +
+        (points[i][2] - center[2]) ** 2 - weights[i];
+    let count = 0;
+    for (const tet of tetrahedra) {
+        const center = powerCenter(tet.map(i => points[i]), tet.map(i => weights[i]));
+        const own = power(center, tet[0]);
+        if (points.some((_, i) => !tet.includes(i) && power(center, i) < own - 1e-9)) count++;
+    }
+    return count;
+}
+
+/**
+ * Hull volume of the WASM Delaunay triangulation, which the regular triangulation must match
+ */
+function hullVolume(points, wasmModule) {
+    return wasmModule.compute_delaunay(points.flat(), points.length, false)
+        .reduce((sum, tet) => sum + Math.abs(signedVolume(...Array.from(tet, i => points[i]))), 0);
+}
+
+/**
+ * Test that without weights the result is the Delaunay triangulation WASM computes
+ */
+function testMatchesDelaunay(wasmModule) {
+    console.log('\n=== Matches Delaunay ===');
+    const points = randomPoints(300, 5);
+    const key = tet => Array.from(tet).sort((a, b) => a - b).join(',');
+    const expected = new Set(wasmModule.compute_delaunay(points.flat(), points.length, false).map(key));
+    const tetrahedra = computeRegularTriangulation(points.flat(), null);
+    const missing = tetrahedra.filter(tet => !expected.has(key(tet))).length;
+    console.log('Tetrahedra:', tetrahedra.length, 'WASM:', expected.size, 'not in WASM:', missing);
+
+    return tetrahedra.length === expected.size && missing === 0;
+}
+
+/**
+ * Test that weighted points give a regular triangulation of the convex hull: no point
+ * undercuts a power sphere, tetrahedra are positive and fill the hull, and some light
+ * points are hidden
+ */
+function testWeightedRegular(wasmModule) {
+    console.log('\n=== Weighted regular ===');
+    const points = randomPoints(300, 8);
+    const random = seededRandom(9);
+    const weights = points.map(() => 0.01 * random());
+    const tetrahedra = computeRegularTriangulation(points.flat(), weights);
+
+    const volumes = tetrahedra.map(tet => signedVolume(...tet.map(i => points[i])));
+    const volume = volumes.reduce((sum, v) => sum + v, 0);
+    const expected = hullVolume(points, wasmModule);
+    const nonRegular = countNonRegular(points, weights, tetrahedra);
+    const hidden = points.length - new Set(tetrahedra.flat()).size;
+    console.log('Tetrahedra:', tetrahedra.length, 'volume:', volume, 'hull:', expected,
+        'non-regular:', nonRegular, 'hidden:', hidden);
+
+    return volumes.every(v => v > 0) && Math.abs(volume - expected) < 1e-9 && nonRegular === 0 && hidden > 0;
+}
+
+/**
+ * Test that periodic images, whose translated pairs are exactly coplanar, still give a
+ * regular triangulation of their hull. Such coplanar quadruples may form flat tetrahedra,
+ * but none is inverted.
+ */
+function testPeriodicImages(wasmModule) {
+    console.log('\n=== Periodic images ===');
+    const base = randomPoints(40, 12);
+    const random = seededRandom(4);
+    const baseWeights = base.map(() => 0.002 * random());
+    const points = [];
+    const weights = [];
+    for (let x = 0; x < 3; x++) {
+        for (let y = 0; y < 3; y++) {
+            for (let z = 0; z < 3; z++) {
+                base.forEach((p, i) => {
+                    points.push([(p[0] + x) / 3, (p[1] + y) / 3, (p[2] + z) / 3]);
+                    weights.push(baseWeights[i] / 9);
+                });
+            }
+        }
+    }
+    const tetrahedra = computeRegularTriangulation(points.flat(), weights);
+    const volumes = tetrahedra.map(tet => signedVolume(...tet.map(i => points[i])));
+    const inverted = volumes.filter(v => v < -1e-15).length;
+    const volume = volumes.reduce((sum, v) => sum + v, 0);
+    const expected = hullVolume(points, wasmModule);
+    const nonRegular = countNonRegular(points, weights, tetrahedra);
+    console.log('Tetrahedra:', tetrahedra.length, 'inverted:', inverted, 'volume:', volume, 'hull:', expected,
+        'non-regular:', nonRegular);
+
+    return inverted === 0 && Math.abs(volume - expected) < 1e-9 && nonRegular === 0;
+}
+
+/**
+ * Run all RegularTriangulation tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runRegularTriangulationTests(wasmModule) {
+    return runTestSuite('RegularTriangulation', [
+        ['Matches Delaunay', () => testMatchesDelaunay(wasmModule)],
+        ['Weighted regular', () => testWeightedRegular(wasmModule)],
+        ['Periodic images', () => testPeriodicImages(wasmModule)]
+    ]);
+}
+
+export { testMatchesDelaunay, testWeightedRegular, testPeriodicImages };
@@ -0,0 +1,85 @@
+/**
+ * ShapeAnalysis.test.js
+ *
+ * Unit tests for the ShapeAnalysis module
+ * Measures boxes, whose descriptors and Minkowski tensors are known in closed form
+ */
+
+import { computeCellShape, analyzeShapes, shapeCellScores } from '../src/js/ShapeAnalysis.js';
+import { createBoxPolyhedron, indexPolyhedron } from '../src/js/CellClipping.js';
+import { runTestSuite } from './testRunner.js';
+
+const TOLERANCE = 1e-12;
+
+/**
+ * Indexed box polyhedron as returned by getClippedCells()
+ */
+function createBox(size) {
+    const walls = [0, 1, 2, 3, 4, 5].map(wall => ({ wall }));
+    return indexPolyhedron(createBoxPolyhedron([0, 0, 0], size, walls));
+}
+
+function near(a, b) {
+    return Math.abs(a - b) < TOLERANCE;
+}
+
+/**
+ * Test the unit cube: isotropic, with W2 = π, W3 = 4π/3 and Q = π/6
+ */
+function testUnitCube() {
+    const shape = computeCellShape(createBox([1, 1, 1]));
+    const { W1, W2, W3, W020, W102, W202, W320, beta } = shape.minkowski;
+    console.log('\n=== Unit cube ===');
+    console.log('Shape:', shape);
+
+    return near(shape.volume, 1) &&
+        near(W1, 2) && near(W2, Math.PI) && near(W3, 4 * Math.PI / 3) &&
+        near(shape.isoperimetricQuotient, Math.PI / 6) &&
+        near(W020[0][0], 1 / 12) && near(W020[0][1], 0) &&
+        near(W102[1][1], 2 / 3) && near(W202[2][2], Math.PI / 3) && near(W320[0][0], Math.PI / 3) &&
+        near(shape.asphericity, 0) && near(shape.anisotropy, 0) &&
+        Object.values(beta).every(value => near(value, 1));
+}
+
+/**
+ * Test a 2x1x1 box: elongated along x with asphericity 1/2 and anisotropy 1/4
+ */
+function testElongatedBox() {
+    const shape = computeCellShape(createBox([2, 1, 1]));
+    console.log('\n=== Elongated box ===');
+    console.log('Shape:', shape);
+
+    return near(shape.gyrationEigenvalues[0], 1 / 3) && near(shape.gyrationEigenvalues[2], 1 / 12) &&
+        near(Math.abs(shape.elongationAxis[0]), 1) &&
+        near(shape.asphericity, 0.5) && near(shape.anisotropy, 0.25) &&
+        near(shape.minkowski.beta.W102, 0.5) &&
+        near(shape.minkowski.W3, 4 * Math.PI / 3);
+}
+
+/**
+ * Test the per-cell arrays and growth scores, with an empty cell
+ */
+function testAnalyzeShapes() {
+    const computation = { getClippedCells: () => [createBox([1, 1, 1]), null] };
+    const results = analyzeShapes(computation);
+    const scores = shapeCellScores(results, 'sphericity');
+    console.log('\n=== Analyze shapes ===');
+    console.log('Scores:', scores);
+
+    return near(scores.cellScores[0], Math.cbrt(Math.PI / 6)) &&
+        Number.isNaN(scores.cellScores[1]) &&
+        scores.cellMetric === 'shape:sphericity';
+}
+
+/**
+ * Run all ShapeAnalysis tests
+ */
+export function runShapeAnalysisTests() {
+    return runTestSuite('ShapeAnalysis', [
+        ['Unit cube', testUnitCube],
+        ['Elongated box', testElongatedBox],
+        ['Analyze shapes', testAnalyzeShapes]
+    ]);
+}
+
+export { testUnitCube, testElongatedBox, testAnalyzeShapes };
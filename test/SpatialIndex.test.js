@@ -0,0 +1,86 @@
+/**
+ * SpatialIndex.test.js
+ *
+ * Unit tests for the SpatialIndex module
+ * Compares grid queries with brute force over seeded random points
+ */
+
+import { SpatialGrid } from '../src/js/SpatialIndex.js';
+import { runTestSuite, randomPoints } from './testRunner.js';
+
+const BOX = [1, 0.5, 2];
+
+/**
+ * Every point with its distance to p, nearest first
+ */
+function bruteForce(grid, p) {
+    return grid.points
+        .map((q, index) => ({ index, distance: Math.sqrt(grid.distanceSq(p, q)) }))
+        .sort((a, b) => a.distance - b.distance || a.index - b.index);
+}
+
+function sameIndices(found, expected) {
+    return found.map(entry => entry.index).join() === expected.map(entry => entry.index).join();
+}
+
+/**
+ * within() and nearest() must agree with brute force for every query
+ */
+function matchesBruteForce(periodicAxes, seed) {
+    const grid = new SpatialGrid(randomPoints(300, seed, BOX), BOX, periodicAxes);
+    const queries = randomPoints(40, seed + 1, BOX);
+    let mismatches = 0;
+
+    for (const p of queries) {
+        const all = bruteForce(grid, p);
+        for (const r of [0.05, 0.2, 0.6]) {
+            if (!sameIndices(grid.within(p, r), all.filter(entry => entry.distance <= r))) mismatches++;
+        }
+        for (const k of [1, 7, 40]) {
+            if (!sameIndices(grid.nearest(p, k), all.slice(0, k))) mismatches++;
+        }
+    }
+
+    console.log(`Periodic axes ${periodicAxes}: ${mismatches} mismatches`);
+    return mismatches === 0;
+}
+
+/**
+ * Test queries in a fully periodic box
+ */
+function testPeriodicQueries() {
+    console.log('\n=== Periodic queries ===');
+    return matchesBruteForce([true, true, true], 21);
+}
+
+/**
+ * Test queries in a walled box, and periodic in x and y only
+ */
+function testWalledQueries() {
+    console.log('\n=== Walled queries ===');
+    return matchesBruteForce([false, false, false], 31) && matchesBruteForce([true, true, false], 41);
+}
+
+/**
+ * Test that nearest() returns every point when asked for more than there are
+ */
+function testNearestAll() {
+    const grid = new SpatialGrid(randomPoints(10, 51, BOX), BOX, [false, false, false]);
+    const found = grid.nearest([0.5, 0.25, 1], 25);
+    console.log('\n=== Nearest beyond count ===');
+    console.log('Found:', found.length);
+    return found.length === 10;
+}
+
+/**
+ * Run all SpatialIndex tests
+ */
+export function runSpatialIndexTests() {
+    return runTestSuite('SpatialIndex', [
+        ['Periodic queries', testPeriodicQueries],
+        ['Walled queries', testWalledQueries],
+        ['Nearest beyond count', testNearestAll]
+    ]);
+}
+
+export { testPeriodicQueries, testWalledQueries, testNearestAll };
@@ -0,0 +1,156 @@
+/**
+ * TessellationIntegrity.test.js
+ *
+ * Unit tests for the TessellationIntegrity module
+ * Builds a box split into two cells and checks that corruption is detected, and checks a
+ * periodic tessellation computed with the loaded WASM module
+ */
+
+import { checkTessellation } from '../src/js/TessellationIntegrity.js';
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { createBoxPolyhedron, indexPolyhedron } from '../src/js/CellClipping.js';
+import { runTestSuite, randomPoints } from './testRunner.js';
+
+/**
+ * Mock computation holding two cells that split the unit box at x = split
+ */
+class MockSplitBoxComputation {
+    constructor(split = 0.5, secondStart = split) {
+        this.boxSize = [1, 1, 1];
+        this.periodicAxes = [false, false, false];
+        this.domain = null;
+        this.weights = null;
+        this.tetrahedra = [];
+        this.barycenters = [];
+        this.voronoiEdges = [];
+        this.degenerateTetrahedra = [];
+
+        const walls = [0, 1, 2, 3, 4, 5].map(wall => ({ wall }));
+        const shared = { shift: [0, 0, 0] };
+
+        const leftTags = [...walls];
+        leftTags[1] = { ...shared, neighbor: 1 };
+        const rightTags = [...walls];
+        rightTags[0] = { ...shared, neighbor: 0 };
+
+        this.cells = [
+            indexPolyhedron(createBoxPolyhedron([0, 0, 0], [split, 1, 1], leftTags)),
+            indexPolyhedron(createBoxPolyhedron([secondStart, 0, 0], [1, 1, 1], rightTags))
+        ];
+    }
+
+    getClippedCells() {
+        return this.cells;
+    }
+
+    getTetrahedronVertices() {
+        return [];
+    }
+}
+
+/**
+ * Mock periodic computation with one tetrahedron placed by the minimum image relative to
+ * its first vertex: the second and third vertices end up 0.91 apart along x
+ */
+class MockMinimumImageComputation {
+    constructor() {
+        this.boxSize = [1, 1, 1];
+        this.periodicAxes = [true, true, true];
+        this.domain = null;
+        this.weights = null;
+        this.pointsArray = [[0.1, 0.5, 0.5], [0.55, 0.6, 0.5], [0.64, 0.4, 0.5], [0.3, 0.5, 0.7]];
+        this.tetrahedra = [[0, 1, 2, 3]];
+        this.tetrahedronShifts = null;
+        this.barycenters = [[0.2, 0.5, 0.55]];
+        this.voronoiEdges = [];
+        this.degenerateTetrahedra = [];
+    }
+
+    getClippedCells() {
+        return [];
+    }
+
+    getTetrahedronVertices(t) {
+        const [p0, ...rest] = this.tetrahedra[t].map(i => this.pointsArray[i]);
+        return [p0, ...rest.map(p => p.map((x, axis) => x - Math.round(x - p0[axis])))];
+    }
+}
+
+/**
+ * Test a consistent two-cell tessellation
+ */
+function testValidSplit() {
+    const report = checkTessellation(new MockSplitBoxComputation());
+    console.log('\n=== Valid split ===');
+    console.log('Report:', report);
+    return report.valid && report.cellFailures.length === 0;
+}
+
+/**
+ * Test that a missing face breaks both closure and face sharing
+ */
+function testMissingFace() {
+    const computation = new MockSplitBoxComputation();
+    const right = computation.cells[1];
+    right.faces = right.faces.filter(face => face.isWall);
+
+    const report = checkTessellation(computation);
+    console.log('\n=== Missing face ===');
+    console.log('Report:', report);
+    return !report.valid &&
+        !report.checks.closedCells.passed &&
+        !report.checks.faceSharing.passed &&
+        report.cellFailures.map(f => f.cell).join() === '0,1';
+}
+
+/**
+ * Test that overlapping cells fail the volume check
+ */
+function testOverlappingCells() {
+    const report = checkTessellation(new MockSplitBoxComputation(0.5, 0.4));
+    console.log('\n=== Overlapping cells ===');
+    console.log('Report:', report);
+    return !report.checks.volume.passed &&
+        Math.abs(report.checks.volume.total - 1.1) < 1e-12 &&
+        report.checks.closedCells.passed;
+}
+
+/**
+ * Test that tetrahedron vertices in inconsistent periodic images are reported, even though
+ * the Voronoi vertex matches the circumcenter of the misplaced vertices
+ */
+function testInconsistentImages() {
+    const report = checkTessellation(new MockMinimumImageComputation());
+    const failures = report.checks.voronoiVertices.failures;
+    console.log('\n=== Inconsistent images ===');
+    console.log('Failures:', failures);
+    return failures.length === 1 && failures[0].reason === 'images' &&
+        report.cellFailures.map(f => f.cell).join() === '0,1,2,3';
+}
+
+/**
+ * Test a fully periodic tessellation of seeded random points
+ */
+async function testPeriodicTessellation(wasmModule) {
+    const computation = await new DelaunayComputation(randomPoints(100, 3), true).compute(wasmModule);
+    const report = checkTessellation(computation);
+    console.log('\n=== Periodic tessellation ===');
+    console.log('Report:', report);
+    return report.valid && report.checks.delaunay.violations.length === 0;
+}
+
+/**
+ * Run all TessellationIntegrity tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runTessellationIntegrityTests(wasmModule) {
+    return runTestSuite('TessellationIntegrity', [
+        ['Valid split', testValidSplit],
+        ['Missing face', testMissingFace],
+        ['Overlapping cells', testOverlappingCells],
+        ['Inconsistent images', testInconsistentImages],
+        ['Periodic tessellation', () => testPeriodicTessellation(wasmModule)]
+    ]);
+}
+
+export { testValidSplit, testMissingFace, testOverlappingCells, testInconsistentImages, testPeriodicTessellation };
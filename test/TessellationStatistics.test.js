@@ -0,0 +1,97 @@
+/**
+ * TessellationStatistics.test.js
+ *
+ * Unit tests for the TessellationStatistics module
+ * Fits Lewis's and the Aboav–Weaire law on a hand-made table of cells whose fits are known
+ */
+
+import { computeTessellationStatistics } from '../src/js/TessellationStatistics.js';
+import { runTestSuite } from './testRunner.js';
+
+// Face count, volume and neighbours (one per shared face) of each cell. Volumes are
+// 0.02 * (n - 4), so Lewis's law holds exactly with n0 = 4. The mean neighbour face counts
+// m(12) = 16, m(14) = 100 / 7 and m(16) = 13 put n * m(n) = 192, 200, 208 on the line 4n + 144.
+// Cell 6 touches a wall: it must be left out, also as a neighbour of cell 0.
+const TABLE = [
+    { faces: 12, volume: 0.16, neighbors: [4, 6] },
+    { faces: 12, volume: 0.16, neighbors: [5] },
+    { faces: 14, volume: 0.20, neighbors: [0, 1, 0, 4, 5, 4, 5] },
+    { faces: 14, volume: 0.20, neighbors: [1, 0, 1, 5, 4, 5, 4] },
+    { faces: 16, volume: 0.24, neighbors: [0, 2] },
+    { faces: 16, volume: 0.24, neighbors: [1, 3] },
+    { faces: 20, volume: 1.00, neighbors: [0], touchesWall: true }
+];
+
+/**
+ * Mock computation with the cells of a table; the topology is passed to the statistics directly
+ */
+class MockTableComputation {
+    constructor(table) {
+        this.table = table;
+    }
+
+    getCellMetrics() {
+        return this.table.map(cell => ({ volume: cell.volume, surfaceArea: 6 * Math.pow(cell.volume, 2 / 3) }));
+    }
+
+    getClippedCells() {
+        return this.table.map(cell => ({
+            faces: cell.neighbors.map(neighbor => ({ neighbor, isWall: false }))
+                .concat(cell.touchesWall ? [{ neighbor: -1, isWall: true }] : [])
+        }));
+    }
+
+    getTopology() {
+        return {
+            topologyScores: this.table.map(cell => cell.faces),
+            touchesWall: this.table.map(cell => Boolean(cell.touchesWall))
+        };
+    }
+}
+
+function tableStatistics() {
+    const computation = new MockTableComputation(TABLE);
+    return computeTessellationStatistics(computation, { topology: computation.getTopology() });
+}
+
+const close = (value, expected) => Math.abs(value - expected) < 1e-9;
+
+/**
+ * Test the Lewis fit: normalized volumes 0.8, 1, 1.2 give slope 0.1 and n0 = 4
+ */
+function testLewisFit() {
+    const { cellsUsed, faces, lewis } = tableStatistics();
+    console.log('\n=== Lewis fit ===');
+    console.log('Cells used:', cellsUsed, 'slope:', lewis.slope, 'intercept:', lewis.intercept, 'n0:', lewis.n0, 'r2:', lewis.r2);
+
+    return cellsUsed === 6 && faces.mean === 14 &&
+        lewis.byFaces.map(entry => entry.normalizedVolume.toFixed(6)).join() === '0.800000,1.000000,1.200000' &&
+        close(lewis.slope, 0.1) && close(lewis.intercept, -0.4) && close(lewis.n0, 4) && close(lewis.r2, 1);
+}
+
+/**
+ * Test the Aboav–Weaire fit: slope 4 and intercept 144 with <n> = 14 give a = 10, and μ2 = 8/3
+ */
+function testAboavWeaireFit() {
+    const { aboavWeaire } = tableStatistics();
+    console.log('\n=== Aboav-Weaire fit ===');
+    console.log('a:', aboavWeaire.a, 'slope:', aboavWeaire.slope, 'intercept:', aboavWeaire.intercept,
+        'mu2:', aboavWeaire.mu2, 'r2:', aboavWeaire.r2);
+
+    return aboavWeaire.byFaces.map(entry => entry.count).join() === '2,2,2' &&
+        close(aboavWeaire.byFaces[0].meanNeighborFaces, 16) && close(aboavWeaire.byFaces[1].meanNeighborFaces, 100 / 7) &&
+        close(aboavWeaire.slope, 4) && close(aboavWeaire.intercept, 144) && close(aboavWeaire.a, 10) &&
+        close(aboavWeaire.mu2, 8 / 3) && close(aboavWeaire.predictedIntercept, 140 + 8 / 3) && close(aboavWeaire.r2, 1);
+}
+
+/**
+ * Run all TessellationStatistics tests
+ */
+export function runTessellationStatisticsTests() {
+    return runTestSuite('TessellationStatistics', [
+        ['Lewis fit', testLewisFit],
+        ['Aboav-Weaire fit', testAboavWeaireFit]
+    ]);
+}
+
+export { testLewisFit, testAboavWeaireFit };
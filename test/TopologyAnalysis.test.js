@@ -0,0 +1,57 @@
+/**
+ * TopologyAnalysis.test.js
+ *
+ * Unit tests for the TopologyAnalysis module
+ * Classifies the cells of known lattices with the loaded WASM module
+ */
+
+import { analyzeTopology, VORONOI_SIGNATURES } from '../src/js/TopologyAnalysis.js';
+import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { runTestSuite, seededRandom } from './testRunner.js';
+
+/**
+ * Body-centred cubic lattice with n cells per side in the unit box, jittered by up to
+ * `noise` of the spacing along each axis
+ */
+function bccLattice(n, noise, seed) {
+    const random = seededRandom(seed);
+    const jitter = () => (2 * random() - 1) * noise / n;
+    const points = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            for (let k = 0; k < n; k++) {
+                for (const offset of [0.25, 0.75]) {
+                    points.push([(i + offset) / n + jitter(), (j + offset) / n + jitter(), (k + offset) / n + jitter()]);
+                }
+            }
+        }
+    }
+    return points;
+}
+
+/**
+ * Test that every cell of a slightly jittered periodic BCC lattice is a truncated octahedron,
+ * ⟨0,6,0,8⟩ with 14 faces
+ */
+async function testBccIndex(wasmModule) {
+    const points = bccLattice(4, 0.01, 47);
+    const computation = await new DelaunayComputation(points, true).compute(wasmModule);
+    const { voronoiIndexLabels, facesPerCell, indexFrequencies } = analyzeTopology(computation);
+    console.log('\n=== BCC Voronoi index ===');
+    console.log('Indices:', indexFrequencies.map(entry => `${entry.index} x${entry.count}`).join(', '));
+
+    return voronoiIndexLabels.every(label => label === VORONOI_SIGNATURES.BCC) &&
+        indexFrequencies.length === 1 && facesPerCell.mean === 14 && facesPerCell.total === points.length;
+}
+
+/**
+ * Run all TopologyAnalysis tests
+ * @param {Object} wasmModule - The loaded WASM module
+ */
+export function runTopologyAnalysisTests(wasmModule) {
+    return runTestSuite('TopologyAnalysis', [
+        ['BCC Voronoi index', () => testBccIndex(wasmModule)]
+    ]);
+}
+
+export { testBccIndex };
@@ -0,0 +1,59 @@
+/**
+ * testRunner.js
+ *
+ * Shared helpers for the unit test modules: a runner that runs named tests in order, logs a
+ * line per test and a summary (a test passes when it returns, or resolves to, true; a thrown
+ * error fails it), and a seeded generator so every run sees the same points.
+ */
+
+/**
+ * Run a suite of tests
+ * @param {string} title - Suite name for the log
+ * @param {Array<Array>} tests - [name, testFunction] pairs, run in order
+ * @returns {Promise<boolean>} Whether every test passed
+ */
+export async function runTestSuite(title, tests) {
+    console.log(`🧪 Starting ${title} Unit Tests`);
+    console.log('=====================================');
+
+    let passedTests = 0;
+    for (const [name, test] of tests) {
+        try {
+            if (await test()) {
+                console.log(`✅ ${name} test passed`);
+                passedTests++;
+            } else {
+                console.log(`❌ ${name} test failed`);
+            }
+        } catch (error) {
+            console.error(`❌ ${name} test failed:`, error);
+        }
+    }
+
+    console.log('\n=====================================');
+    console.log(`🏁 Test Results: ${passedTests}/${tests.length} tests passed`);
+
+    return passedTests === tests.length;
+}
+
+/**
+ * Seeded uniform generator on [0, 1) (Park–Miller), the same sequence on every run
+ * @param {number} seed - Positive integer seed
+ * @returns {Function} Generator returning the next number
+ */
+export function seededRandom(seed) {
+    let state = seed;
+    return () => (state = (state * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Seeded uniform points in the box [0, size)
+ * @param {number} count - Number of points
+ * @param {number} seed - Positive integer seed
+ * @param {Array<number>} size - Box dimensions (default unit cube)
+ * @returns {Array<Array<number>>} [x, y, z] points
+ */
+export function randomPoints(count, seed, size = [1, 1, 1]) {
+    const random = seededRandom(seed);
+    return Array.from({ length: count }, () => size.map(L => random() * L));
+}